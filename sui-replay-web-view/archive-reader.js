@@ -0,0 +1,542 @@
+// Copyright (c) Mysten Labs, Inc.
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Archive Reader
+ *
+ * Extracts replay directories shipped as .zip, .tar or .tar.gz (.tgz) archives
+ * without any library or browser decompression API:
+ *   - DEFLATE (RFC 1951) stored, fixed-Huffman and dynamic-Huffman blocks
+ *   - gzip (RFC 1952) members, CRC-32 checked
+ *   - zip local files with the stored or deflate method, located through the
+ *     central directory (no zip64, no encryption)
+ *   - ustar / GNU tar, including pax "path" records and GNU long names
+ *
+ * ArchiveReader.extract() returns the regular files as { path, data } with data a
+ * Uint8Array; the viewer turns them into File objects.
+ */
+
+/**
+ * ArchiveError - The archive is malformed or uses a feature this reader does not support
+ */
+class ArchiveError extends Error {
+    constructor(reason, offset = null) {
+        super(offset !== null ? `${reason} (at byte ${offset})` : reason);
+        this.name = 'ArchiveError';
+        this.reason = reason;
+        this.offset = offset;
+    }
+}
+
+const INFLATE_LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const INFLATE_LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const INFLATE_DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073,
+    4097, 6145, 8193, 12289, 16385, 24577];
+const INFLATE_DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+// Order in which a dynamic block lists the code lengths of the code length alphabet
+const INFLATE_CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * HuffmanTable - Canonical Huffman code given by the code length of every symbol
+ * counts[n] is the number of codes of length n, symbols lists the symbols ordered by code
+ */
+class HuffmanTable {
+    constructor(lengths) {
+        this.counts = new Uint16Array(16);
+        this.symbols = new Uint16Array(lengths.length);
+
+        lengths.forEach(length => {
+            this.counts[length]++;
+        });
+        this.counts[0] = 0;
+
+        const offsets = new Uint16Array(16);
+        for (let length = 1; length < 16; length++) {
+            offsets[length] = offsets[length - 1] + this.counts[length - 1];
+        }
+        lengths.forEach((length, symbol) => {
+            if (length > 0) {
+                this.symbols[offsets[length]++] = symbol;
+            }
+        });
+    }
+}
+
+/**
+ * Inflater - DEFLATE decoder over a byte array, starting at a byte offset
+ * After inflate() returns, offset is the first byte after the compressed stream.
+ */
+class Inflater {
+    constructor(bytes, offset = 0) {
+        this.bytes = bytes;
+        this.offset = offset;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+        this.output = new Uint8Array(Math.max(1024, (bytes.length - offset) * 4));
+        this.length = 0;
+    }
+
+    static inflate(bytes, offset = 0) {
+        return new Inflater(bytes, offset).inflate();
+    }
+
+    inflate() {
+        let last = false;
+        while (!last) {
+            last = this.readBits(1) === 1;
+            const type = this.readBits(2);
+            if (type === 0) {
+                this.inflateStored();
+            } else if (type === 1) {
+                this.inflateBlock(Inflater.fixedTables().literals, Inflater.fixedTables().distances);
+            } else if (type === 2) {
+                const tables = this.readDynamicTables();
+                this.inflateBlock(tables.literals, tables.distances);
+            } else {
+                throw new ArchiveError('Invalid DEFLATE block type 3', this.offset);
+            }
+        }
+        // Give back whole bytes still sitting in the bit buffer so offset points past the stream
+        this.offset -= this.bitCount >> 3;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+        return this.output.slice(0, this.length);
+    }
+
+    readBits(count) {
+        while (this.bitCount < count) {
+            if (this.offset >= this.bytes.length) {
+                throw new ArchiveError('Compressed data ends unexpectedly', this.offset);
+            }
+            this.bitBuffer |= this.bytes[this.offset++] << this.bitCount;
+            this.bitCount += 8;
+        }
+        const value = this.bitBuffer & ((1 << count) - 1);
+        this.bitBuffer >>>= count;
+        this.bitCount -= count;
+        return value;
+    }
+
+    /**
+     * Huffman codes are packed starting with their most significant bit, one bit at a time
+     */
+    readSymbol(table) {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+        for (let length = 1; length < 16; length++) {
+            code |= this.readBits(1);
+            const count = table.counts[length];
+            if (code - first < count) {
+                return table.symbols[index + code - first];
+            }
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new ArchiveError('Invalid Huffman code', this.offset);
+    }
+
+    ensureCapacity(extra) {
+        if (this.length + extra <= this.output.length) return;
+        let size = this.output.length * 2;
+        while (size < this.length + extra) {
+            size *= 2;
+        }
+        const grown = new Uint8Array(size);
+        grown.set(this.output.subarray(0, this.length));
+        this.output = grown;
+    }
+
+    inflateStored() {
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+        if (this.offset + 4 > this.bytes.length) {
+            throw new ArchiveError('Stored block header ends unexpectedly', this.offset);
+        }
+        const length = this.bytes[this.offset] | (this.bytes[this.offset + 1] << 8);
+        const inverse = this.bytes[this.offset + 2] | (this.bytes[this.offset + 3] << 8);
+        if ((length ^ 0xffff) !== inverse) {
+            throw new ArchiveError('Stored block length check failed', this.offset);
+        }
+        this.offset += 4;
+        if (this.offset + length > this.bytes.length) {
+            throw new ArchiveError('Stored block ends unexpectedly', this.offset);
+        }
+        this.ensureCapacity(length);
+        this.output.set(this.bytes.subarray(this.offset, this.offset + length), this.length);
+        this.length += length;
+        this.offset += length;
+    }
+
+    inflateBlock(literals, distances) {
+        for (;;) {
+            const symbol = this.readSymbol(literals);
+            if (symbol < 256) {
+                this.ensureCapacity(1);
+                this.output[this.length++] = symbol;
+                continue;
+            }
+            if (symbol === 256) {
+                return;
+            }
+
+            const lengthCode = symbol - 257;
+            if (lengthCode >= INFLATE_LENGTH_BASE.length) {
+                throw new ArchiveError(`Invalid length symbol ${symbol}`, this.offset);
+            }
+            const length = INFLATE_LENGTH_BASE[lengthCode] + this.readBits(INFLATE_LENGTH_EXTRA[lengthCode]);
+            const distanceCode = this.readSymbol(distances);
+            if (distanceCode >= INFLATE_DISTANCE_BASE.length) {
+                throw new ArchiveError(`Invalid distance symbol ${distanceCode}`, this.offset);
+            }
+            const distance = INFLATE_DISTANCE_BASE[distanceCode] + this.readBits(INFLATE_DISTANCE_EXTRA[distanceCode]);
+            if (distance > this.length) {
+                throw new ArchiveError(`Distance ${distance} reaches before the start of the output`, this.offset);
+            }
+
+            // Byte by byte: the copied range may overlap the bytes being written
+            this.ensureCapacity(length);
+            for (let i = 0; i < length; i++) {
+                this.output[this.length] = this.output[this.length - distance];
+                this.length++;
+            }
+        }
+    }
+
+    readDynamicTables() {
+        const literalCount = this.readBits(5) + 257;
+        const distanceCount = this.readBits(5) + 1;
+        const codeLengthCount = this.readBits(4) + 4;
+
+        const codeLengthLengths = new Array(19).fill(0);
+        for (let i = 0; i < codeLengthCount; i++) {
+            codeLengthLengths[INFLATE_CODE_LENGTH_ORDER[i]] = this.readBits(3);
+        }
+        const codeLengthTable = new HuffmanTable(codeLengthLengths);
+
+        const lengths = [];
+        while (lengths.length < literalCount + distanceCount) {
+            const symbol = this.readSymbol(codeLengthTable);
+            if (symbol < 16) {
+                lengths.push(symbol);
+            } else if (symbol === 16) {
+                if (lengths.length === 0) {
+                    throw new ArchiveError('Code length repeat with no previous length', this.offset);
+                }
+                const previous = lengths[lengths.length - 1];
+                for (let repeat = 3 + this.readBits(2); repeat > 0; repeat--) lengths.push(previous);
+            } else if (symbol === 17) {
+                for (let repeat = 3 + this.readBits(3); repeat > 0; repeat--) lengths.push(0);
+            } else {
+                for (let repeat = 11 + this.readBits(7); repeat > 0; repeat--) lengths.push(0);
+            }
+        }
+        if (lengths.length > literalCount + distanceCount) {
+            throw new ArchiveError('Code lengths overflow the literal and distance alphabets', this.offset);
+        }
+        if (lengths[256] === 0) {
+            throw new ArchiveError('Dynamic block has no end-of-block code', this.offset);
+        }
+
+        return {
+            literals: new HuffmanTable(lengths.slice(0, literalCount)),
+            distances: new HuffmanTable(lengths.slice(literalCount))
+        };
+    }
+
+    static fixedTables() {
+        if (!Inflater._fixed) {
+            const literalLengths = [];
+            for (let symbol = 0; symbol < 288; symbol++) {
+                literalLengths.push(symbol < 144 ? 8 : symbol < 256 ? 9 : symbol < 280 ? 7 : 8);
+            }
+            Inflater._fixed = {
+                literals: new HuffmanTable(literalLengths),
+                distances: new HuffmanTable(new Array(30).fill(5))
+            };
+        }
+        return Inflater._fixed;
+    }
+}
+
+/**
+ * ArchiveReader - Format detection and the gzip, zip and tar container formats
+ */
+class ArchiveReader {
+    /**
+     * Whether a file name looks like an archive this reader handles
+     */
+    static isArchiveName(name) {
+        return /\.(zip|tar|tar\.gz|tgz)$/i.test(name);
+    }
+
+    /**
+     * Extract every regular file, detecting the format from the leading bytes
+     * @param {Uint8Array} bytes
+     * @returns {Array<{path: string, data: Uint8Array}>}
+     * @throws {ArchiveError}
+     */
+    static extract(bytes) {
+        if (bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && (bytes[2] === 0x03 || bytes[2] === 0x05)) {
+            return ArchiveReader.readZip(bytes);
+        }
+        if (bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) {
+            return ArchiveReader.readTar(ArchiveReader.gunzip(bytes));
+        }
+        if (ArchiveReader.isTarHeader(bytes, 0)) {
+            return ArchiveReader.readTar(bytes);
+        }
+        throw new ArchiveError('Not a zip, tar or gzip-compressed tar archive');
+    }
+
+    /**
+     * Decompress gzip data; concatenated members are joined as gzip(1) does
+     */
+    static gunzip(bytes) {
+        const members = [];
+        let offset = 0;
+        while (offset < bytes.length && bytes[offset] === 0x1f && bytes[offset + 1] === 0x8b) {
+            if (bytes[offset + 2] !== 8) {
+                throw new ArchiveError(`Unsupported gzip compression method ${bytes[offset + 2]}`, offset + 2);
+            }
+            const flags = bytes[offset + 3];
+            let position = offset + 10;
+            if (flags & 0x04) {
+                position += 2 + (bytes[position] | (bytes[position + 1] << 8));
+            }
+            if (flags & 0x08) {
+                while (position < bytes.length && bytes[position] !== 0) position++;
+                position++;
+            }
+            if (flags & 0x10) {
+                while (position < bytes.length && bytes[position] !== 0) position++;
+                position++;
+            }
+            if (flags & 0x02) {
+                position += 2;
+            }
+
+            const inflater = new Inflater(bytes, position);
+            const data = inflater.inflate();
+            const trailer = inflater.offset;
+            if (trailer + 8 > bytes.length) {
+                throw new ArchiveError('gzip trailer is missing', trailer);
+            }
+            if (ArchiveReader.readUint32(bytes, trailer) !== ArchiveReader.crc32(data)) {
+                throw new ArchiveError('gzip CRC-32 mismatch', trailer);
+            }
+            members.push(data);
+            offset = trailer + 8;
+        }
+        if (members.length === 0) {
+            throw new ArchiveError('Not gzip data');
+        }
+        return ArchiveReader.concat(members);
+    }
+
+    static readZip(bytes) {
+        // The end of central directory record sits at the end, before an optional comment of up to 64 KiB
+        let end = -1;
+        for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 0xffff); offset--) {
+            if (ArchiveReader.readUint32(bytes, offset) === 0x06054b50) {
+                end = offset;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new ArchiveError('zip end of central directory record not found');
+        }
+
+        const entryCount = ArchiveReader.readUint16(bytes, end + 10);
+        let offset = ArchiveReader.readUint32(bytes, end + 16);
+        if (entryCount === 0xffff || offset === 0xffffffff) {
+            throw new ArchiveError('zip64 archives are not supported', end);
+        }
+
+        const files = [];
+        for (let i = 0; i < entryCount; i++) {
+            if (ArchiveReader.readUint32(bytes, offset) !== 0x02014b50) {
+                throw new ArchiveError('Invalid zip central directory entry', offset);
+            }
+            const flags = ArchiveReader.readUint16(bytes, offset + 8);
+            const method = ArchiveReader.readUint16(bytes, offset + 10);
+            const crc = ArchiveReader.readUint32(bytes, offset + 16);
+            const compressedSize = ArchiveReader.readUint32(bytes, offset + 20);
+            const nameLength = ArchiveReader.readUint16(bytes, offset + 28);
+            const extraLength = ArchiveReader.readUint16(bytes, offset + 30);
+            const commentLength = ArchiveReader.readUint16(bytes, offset + 32);
+            const localOffset = ArchiveReader.readUint32(bytes, offset + 42);
+            const path = ArchiveReader.decodeText(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (path.endsWith('/')) continue;
+            if (flags & 0x01) {
+                throw new ArchiveError(`${path} is encrypted`);
+            }
+            if (ArchiveReader.readUint32(bytes, localOffset) !== 0x04034b50) {
+                throw new ArchiveError(`Invalid zip local header for ${path}`, localOffset);
+            }
+            const dataOffset = localOffset + 30 + ArchiveReader.readUint16(bytes, localOffset + 26) + ArchiveReader.readUint16(bytes, localOffset + 28);
+
+            let data;
+            if (method === 0) {
+                data = bytes.slice(dataOffset, dataOffset + compressedSize);
+            } else if (method === 8) {
+                data = Inflater.inflate(bytes, dataOffset);
+            } else {
+                throw new ArchiveError(`${path} uses unsupported zip compression method ${method}`);
+            }
+            if (ArchiveReader.crc32(data) !== crc) {
+                throw new ArchiveError(`CRC-32 mismatch for ${path}`, dataOffset);
+            }
+            files.push({ path, data });
+        }
+        return files;
+    }
+
+    static isTarHeader(bytes, offset) {
+        if (offset + 512 > bytes.length) return false;
+        const stored = parseInt(ArchiveReader.readTarString(bytes, offset + 148, 8).trim(), 8);
+        if (isNaN(stored)) return false;
+        // Checksum of the header with the checksum field itself read as spaces
+        let sum = 0;
+        for (let i = 0; i < 512; i++) {
+            sum += i >= 148 && i < 156 ? 0x20 : bytes[offset + i];
+        }
+        return sum === stored;
+    }
+
+    static readTar(bytes) {
+        const files = [];
+        let offset = 0;
+        let longName = null;
+        let paxPath = null;
+
+        while (offset + 512 <= bytes.length) {
+            // Two zero blocks end the archive; one is enough to stop
+            if (bytes.subarray(offset, offset + 512).every(byte => byte === 0)) break;
+            if (!ArchiveReader.isTarHeader(bytes, offset)) {
+                throw new ArchiveError('Invalid tar header checksum', offset);
+            }
+
+            const type = String.fromCharCode(bytes[offset + 156] || 0x30);
+            const size = ArchiveReader.readTarSize(bytes, offset + 124);
+            const dataOffset = offset + 512;
+            if (dataOffset + size > bytes.length) {
+                throw new ArchiveError('tar entry ends unexpectedly', dataOffset);
+            }
+            const data = bytes.slice(dataOffset, dataOffset + size);
+            offset = dataOffset + Math.ceil(size / 512) * 512;
+
+            if (type === 'L') {
+                longName = ArchiveReader.decodeText(data).replace(/\0+$/, '');
+                continue;
+            }
+            if (type === 'x') {
+                paxPath = ArchiveReader.readPaxPath(data);
+                continue;
+            }
+            if (type === 'g') continue;
+
+            const header = dataOffset - 512;
+            let path = ArchiveReader.readTarString(bytes, header, 100);
+            if (ArchiveReader.readTarString(bytes, header + 257, 5) === 'ustar') {
+                const prefix = ArchiveReader.readTarString(bytes, header + 345, 155);
+                if (prefix) path = `${prefix}/${path}`;
+            }
+            path = paxPath || longName || path;
+            longName = null;
+            paxPath = null;
+
+            if (type === '0' || type === '7') {
+                files.push({ path: path.replace(/^\.\//, ''), data });
+            }
+        }
+        return files;
+    }
+
+    /**
+     * The "path" record of a pax extended header ("<length> path=<value>\n" records)
+     */
+    static readPaxPath(data) {
+        const text = ArchiveReader.decodeText(data);
+        let position = 0;
+        while (position < text.length) {
+            const space = text.indexOf(' ', position);
+            const length = parseInt(text.slice(position, space), 10);
+            if (space === -1 || isNaN(length) || length <= 0) break;
+            const record = text.slice(space + 1, position + length - 1);
+            if (record.startsWith('path=')) {
+                return record.slice(5);
+            }
+            position += length;
+        }
+        return null;
+    }
+
+    /**
+     * Octal size field, or base-256 when the high bit of the first byte is set (GNU, files over 8 GiB)
+     */
+    static readTarSize(bytes, offset) {
+        if (bytes[offset] & 0x80) {
+            let size = 0;
+            for (let i = 1; i < 12; i++) {
+                size = size * 256 + bytes[offset + i];
+            }
+            return size;
+        }
+        return parseInt(ArchiveReader.readTarString(bytes, offset, 12).trim() || '0', 8);
+    }
+
+    static readTarString(bytes, offset, length) {
+        const field = bytes.subarray(offset, offset + length);
+        const end = field.indexOf(0);
+        return ArchiveReader.decodeText(end === -1 ? field : field.subarray(0, end));
+    }
+
+    static decodeText(bytes) {
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+
+    static readUint16(bytes, offset) {
+        return bytes[offset] | (bytes[offset + 1] << 8);
+    }
+
+    static readUint32(bytes, offset) {
+        return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+    }
+
+    static concat(chunks) {
+        const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return result;
+    }
+
+    static crc32(bytes) {
+        if (!ArchiveReader._crcTable) {
+            ArchiveReader._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ArchiveReader._crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ArchiveReader._crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+// Allow the reader to be loaded with require() from Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ArchiveReader, ArchiveError, Inflater };
+}
@@ -0,0 +1,500 @@
+// Copyright (c) Mysten Labs, Inc.
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Artifact Schema
+ *
+ * Expected shape of the five JSON files sui-replay-2 writes per transaction, and
+ * a validator that checks loaded files against it before Transaction.fromFiles
+ * runs. Every deviation is reported with its JSON path, e.g.
+ * `transaction_effects.json $.V2.changed_objects[3][1].output_state`, so a
+ * format change in the replay tool shows up as a list of exact differences
+ * instead of an exception somewhere in the model.
+ *
+ * Schemas mirror the serde JSON of the Rust types: structs are objects, tuples
+ * are arrays of fixed length, and enums are externally tagged (a bare string for
+ * unit variants, otherwise an object with the variant name as its only key).
+ * Nested Move type structures and owners are checked only for presence; the
+ * model already handles their variants.
+ */
+
+/**
+ * ArtifactSchema - Schema node constructors and the schemas of the five artifacts
+ */
+class ArtifactSchema {
+    static string() {
+        return { type: 'string' };
+    }
+
+    /**
+     * Unsigned integer, either a JSON number or a decimal string (u64 values are often quoted)
+     */
+    static integer() {
+        return { type: 'integer' };
+    }
+
+    static boolean() {
+        return { type: 'boolean' };
+    }
+
+    /**
+     * Anything except undefined; used for nested Move types, owners and other deep structures
+     */
+    static any() {
+        return { type: 'any' };
+    }
+
+    static nullable(schema) {
+        return { ...schema, nullable: true };
+    }
+
+    /**
+     * @param {Object} fields - Field name to schema
+     * @param {Array<string>} optional - Known fields that may be absent
+     */
+    static object(fields, optional = []) {
+        return { type: 'object', fields, optional };
+    }
+
+    static array(items) {
+        return { type: 'array', items };
+    }
+
+    static tuple(...items) {
+        return { type: 'tuple', items };
+    }
+
+    /**
+     * Externally tagged enum
+     * @param {Object} variants - Variant name to payload schema, null for unit variants
+     * @param {Object} options - open: unknown variants are warnings instead of errors
+     */
+    static enumOf(variants, { open = false } = {}) {
+        return { type: 'enum', variants, open };
+    }
+
+    static get gasCostSummary() {
+        const integer = ArtifactSchema.integer();
+        return ArtifactSchema.object({
+            computationCost: integer,
+            storageCost: integer,
+            storageRebate: integer,
+            nonRefundableStorageFee: integer
+        });
+    }
+
+    static get argument() {
+        return ArtifactSchema.enumOf({
+            GasCoin: null,
+            Input: ArtifactSchema.integer(),
+            Result: ArtifactSchema.integer(),
+            NestedResult: ArtifactSchema.tuple(ArtifactSchema.integer(), ArtifactSchema.integer())
+        });
+    }
+
+    static get objectRef() {
+        return ArtifactSchema.tuple(ArtifactSchema.string(), ArtifactSchema.integer(), ArtifactSchema.string());
+    }
+
+    static get transactionData() {
+        const S = ArtifactSchema;
+        const argument = S.argument;
+        const arguments_ = S.array(argument);
+        const bytes = S.array(S.integer());
+
+        const command = S.enumOf({
+            MoveCall: S.object({
+                package: S.string(),
+                module: S.string(),
+                function: S.string(),
+                type_arguments: S.array(S.any()),
+                arguments: arguments_
+            }),
+            TransferObjects: S.tuple(arguments_, argument),
+            SplitCoins: S.tuple(argument, arguments_),
+            MergeCoins: S.tuple(argument, arguments_),
+            Publish: S.tuple(S.array(bytes), S.array(S.string())),
+            MakeMoveVec: S.tuple(S.nullable(S.any()), arguments_),
+            Upgrade: S.tuple(S.array(bytes), S.array(S.string()), S.string(), argument)
+        }, { open: true });
+
+        const input = S.enumOf({
+            Pure: bytes,
+            Object: S.enumOf({
+                ImmOrOwnedObject: S.objectRef,
+                SharedObject: S.object({ id: S.string(), initial_shared_version: S.integer(), mutable: S.boolean() }),
+                Receiving: S.objectRef
+            }, { open: true })
+        }, { open: true });
+
+        const programmable = S.object({ inputs: S.array(input), commands: S.array(command) });
+
+        // System kinds are summarized by the model from whatever fields they carry
+        const kind = S.enumOf({
+            ProgrammableTransaction: programmable,
+            ProgrammableSystemTransaction: programmable,
+            ChangeEpoch: S.any(),
+            Genesis: S.any(),
+            ConsensusCommitPrologue: S.any(),
+            ConsensusCommitPrologueV2: S.any(),
+            ConsensusCommitPrologueV3: S.any(),
+            ConsensusCommitPrologueV4: S.any(),
+            AuthenticatorStateUpdate: S.any(),
+            EndOfEpochTransaction: S.any(),
+            RandomnessStateUpdate: S.any()
+        }, { open: true });
+
+        return S.enumOf({
+            V1: S.object({
+                kind,
+                sender: S.string(),
+                gas_data: S.object({
+                    payment: S.array(S.objectRef),
+                    owner: S.string(),
+                    price: S.integer(),
+                    budget: S.integer()
+                }),
+                expiration: S.any()
+            })
+        });
+    }
+
+    static get transactionEffects() {
+        const S = ArtifactSchema;
+        const status = S.enumOf({
+            Success: null,
+            Failure: S.object({ error: S.any(), command: S.nullable(S.integer()) })
+        });
+        const written = S.tuple(S.objectRef, S.any());
+        const common = {
+            status,
+            executed_epoch: S.integer(),
+            gas_used: S.gasCostSummary,
+            transaction_digest: S.string(),
+            events_digest: S.nullable(S.string()),
+            dependencies: S.array(S.string())
+        };
+
+        const v1 = S.object({
+            ...common,
+            modified_at_versions: S.array(S.tuple(S.string(), S.integer())),
+            shared_objects: S.array(S.objectRef),
+            created: S.array(written),
+            mutated: S.array(written),
+            unwrapped: S.array(written),
+            deleted: S.array(S.objectRef),
+            unwrapped_then_deleted: S.array(S.objectRef),
+            wrapped: S.array(S.objectRef),
+            gas_object: written
+        }, ['events_digest', 'modified_at_versions', 'shared_objects', 'created', 'mutated', 'unwrapped', 'deleted',
+            'unwrapped_then_deleted', 'wrapped', 'gas_object']);
+
+        const changedObject = S.object({
+            input_state: S.enumOf({
+                NotExist: null,
+                Exist: S.tuple(S.tuple(S.integer(), S.string()), S.any())
+            }),
+            output_state: S.enumOf({
+                NotExist: null,
+                ObjectWrite: S.tuple(S.string(), S.any()),
+                PackageWrite: S.tuple(S.integer(), S.string())
+            }, { open: true }),
+            id_operation: S.enumOf({ None: null, Created: null, Deleted: null })
+        });
+        const v2 = S.object({
+            ...common,
+            gas_object_index: S.nullable(S.integer()),
+            lamport_version: S.integer(),
+            changed_objects: S.array(S.tuple(S.string(), changedObject)),
+            unchanged_consensus_objects: S.array(S.tuple(S.string(), S.any())),
+            unchanged_shared_objects: S.array(S.tuple(S.string(), S.any())),
+            aux_data_digest: S.nullable(S.string())
+        }, ['events_digest', 'gas_object_index', 'unchanged_consensus_objects', 'unchanged_shared_objects', 'aux_data_digest']);
+
+        return S.enumOf({ V1: v1, V2: v2 });
+    }
+
+    static get transactionGasReport() {
+        const S = ArtifactSchema;
+        return S.object({
+            cost_summary: S.gasCostSummary,
+            gas_used: S.integer(),
+            gas_budget: S.integer(),
+            gas_price: S.integer(),
+            reference_gas_price: S.integer(),
+            storage_gas_price: S.integer(),
+            rebate_rate: S.integer(),
+            per_object_storage: S.array(S.tuple(S.string(), S.object({
+                storage_cost: S.integer(),
+                storage_rebate: S.integer(),
+                new_size: S.integer()
+            })))
+        });
+    }
+
+    static get replayCacheSummary() {
+        const S = ArtifactSchema;
+        const objectType = S.enumOf({
+            Package: S.object({
+                published_id: S.string(),
+                original_id: S.string(),
+                module_names: S.array(S.string()),
+                linkage_table: S.any(),
+                type_origin_table: S.any()
+            }, ['linkage_table', 'type_origin_table']),
+            MoveObject: S.any()
+        });
+        return S.object({
+            epoch_id: S.integer(),
+            checkpoint: S.integer(),
+            protocol_version: S.integer(),
+            network: S.string(),
+            cache_entries: S.array(S.object({
+                object_id: S.string(),
+                version: S.integer(),
+                object_type: objectType
+            }))
+        });
+    }
+
+    static get moveCallInfo() {
+        const S = ArtifactSchema;
+        return S.object({
+            command_signatures: S.array(S.nullable(S.object({
+                package: S.string(),
+                module: S.string(),
+                function: S.string(),
+                parameters: S.array(S.any()),
+                return_types: S.array(S.any())
+            })))
+        });
+    }
+
+    /**
+     * Schema of each artifact, keyed like the viewer's files map
+     */
+    static get artifacts() {
+        return {
+            transaction_data: ArtifactSchema.transactionData,
+            transaction_effects: ArtifactSchema.transactionEffects,
+            transaction_gas_report: ArtifactSchema.transactionGasReport,
+            replay_cache_summary: ArtifactSchema.replayCacheSummary,
+            move_call_info: ArtifactSchema.moveCallInfo
+        };
+    }
+}
+
+// Issues reported per artifact before the rest are summarized in one line
+const ARTIFACT_ISSUE_LIMIT = 100;
+
+/**
+ * ArtifactValidation - Result of validating a set of replay files
+ *
+ * issues: [{ artifact, path, kind, severity, message }] where kind is one of
+ * missing (required field or file absent), unexpected (field not in the schema),
+ * type (wrong JSON type or enum shape) and variant (enum variant not in the schema).
+ * severity is 'error' when the model will lack data it reads, otherwise 'warning'.
+ */
+class ArtifactValidation {
+    constructor() {
+        this.issues = [];
+        this.effects_version = null;
+        this.transaction_data_version = null;
+    }
+
+    getErrors() {
+        return this.issues.filter(issue => issue.severity === 'error');
+    }
+
+    getWarnings() {
+        return this.issues.filter(issue => issue.severity === 'warning');
+    }
+
+    isValid() {
+        return this.issues.length === 0;
+    }
+
+    getIssuesFor(artifact) {
+        return this.issues.filter(issue => issue.artifact === artifact);
+    }
+}
+
+/**
+ * ArtifactValidator - Walks loaded JSON against ArtifactSchema
+ */
+class ArtifactValidator {
+    /**
+     * Validate the viewer's files map; move_call_info may be absent
+     * @param {Object} files - transaction_data, transaction_effects, ... (parsed JSON or null)
+     * @returns {ArtifactValidation}
+     */
+    static validate(files) {
+        const validation = new ArtifactValidation();
+        const schemas = ArtifactSchema.artifacts;
+
+        Object.keys(schemas).forEach(artifact => {
+            const json = files[artifact];
+            if (json === null || json === undefined) {
+                if (artifact !== 'move_call_info') {
+                    validation.issues.push(ArtifactValidator._issue(artifact, '$', 'missing', 'error', `${artifact}.json is not loaded`));
+                }
+                return;
+            }
+
+            const issues = [];
+            ArtifactValidator._check(json, schemas[artifact], '$', issues);
+            issues.slice(0, ARTIFACT_ISSUE_LIMIT).forEach(issue => {
+                validation.issues.push({ artifact, ...issue });
+            });
+            if (issues.length > ARTIFACT_ISSUE_LIMIT) {
+                validation.issues.push(ArtifactValidator._issue(artifact, '$', 'unexpected', 'warning',
+                    `${issues.length - ARTIFACT_ISSUE_LIMIT} more issues not listed`));
+            }
+        });
+
+        validation.effects_version = ArtifactValidator._version(files.transaction_effects);
+        validation.transaction_data_version = ArtifactValidator._version(files.transaction_data);
+        return validation;
+    }
+
+    /**
+     * The variant name of a versioned envelope ({"V2": {...}} -> "V2"), or null
+     */
+    static _version(json) {
+        if (!json || typeof json !== 'object' || Array.isArray(json)) {
+            return null;
+        }
+        const keys = Object.keys(json);
+        return keys.length === 1 && /^V\d+$/.test(keys[0]) ? keys[0] : null;
+    }
+
+    static _issue(artifact, path, kind, severity, message) {
+        return { artifact, path, kind, severity, message };
+    }
+
+    static _describe(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    static _check(value, schema, path, issues) {
+        const typeIssue = (expected) => {
+            issues.push({ path, kind: 'type', severity: 'error', message: `expected ${expected}, found ${ArtifactValidator._describe(value)}` });
+        };
+
+        if (value === null && schema.nullable) {
+            return;
+        }
+
+        switch (schema.type) {
+            case 'any':
+                return;
+            case 'string':
+                if (typeof value !== 'string') typeIssue('string');
+                return;
+            case 'boolean':
+                if (typeof value !== 'boolean') typeIssue('boolean');
+                return;
+            case 'integer':
+                if (!(Number.isInteger(value) && value >= 0) && !(typeof value === 'string' && /^\d+$/.test(value))) {
+                    typeIssue('unsigned integer');
+                }
+                return;
+            case 'array':
+                if (!Array.isArray(value)) {
+                    typeIssue('array');
+                    return;
+                }
+                value.forEach((item, index) => ArtifactValidator._check(item, schema.items, `${path}[${index}]`, issues));
+                return;
+            case 'tuple':
+                if (!Array.isArray(value)) {
+                    typeIssue(`array of ${schema.items.length}`);
+                    return;
+                }
+                if (value.length !== schema.items.length) {
+                    issues.push({ path, kind: 'type', severity: 'error', message: `expected ${schema.items.length} elements, found ${value.length}` });
+                }
+                schema.items.forEach((itemSchema, index) => {
+                    if (index < value.length) {
+                        ArtifactValidator._check(value[index], itemSchema, `${path}[${index}]`, issues);
+                    }
+                });
+                return;
+            case 'object':
+                ArtifactValidator._checkObject(value, schema, path, issues, typeIssue);
+                return;
+            case 'enum':
+                ArtifactValidator._checkEnum(value, schema, path, issues, typeIssue);
+                return;
+            default:
+                throw new Error(`Unknown schema type ${schema.type}`);
+        }
+    }
+
+    static _checkObject(value, schema, path, issues, typeIssue) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            typeIssue('object');
+            return;
+        }
+        Object.keys(schema.fields).forEach(field => {
+            const fieldPath = `${path}.${field}`;
+            if (value[field] === undefined) {
+                if (!schema.optional.includes(field)) {
+                    issues.push({ path: fieldPath, kind: 'missing', severity: 'error', message: 'required field is missing' });
+                }
+                return;
+            }
+            ArtifactValidator._check(value[field], schema.fields[field], fieldPath, issues);
+        });
+        Object.keys(value).forEach(field => {
+            if (!(field in schema.fields)) {
+                issues.push({ path: `${path}.${field}`, kind: 'unexpected', severity: 'warning', message: 'unexpected field (ignored)' });
+            }
+        });
+    }
+
+    static _checkEnum(value, schema, path, issues, typeIssue) {
+        let name;
+        let payload;
+        if (typeof value === 'string') {
+            name = value;
+            payload = undefined;
+        } else if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 1) {
+            name = Object.keys(value)[0];
+            payload = value[name];
+        } else {
+            typeIssue(`one of ${Object.keys(schema.variants).join(', ')}`);
+            return;
+        }
+
+        if (!(name in schema.variants)) {
+            issues.push({
+                path,
+                kind: 'variant',
+                severity: schema.open ? 'warning' : 'error',
+                message: `unknown variant "${name}", expected one of ${Object.keys(schema.variants).join(', ')}`
+            });
+            return;
+        }
+
+        const variantSchema = schema.variants[name];
+        if (variantSchema === null) {
+            if (payload !== undefined) {
+                issues.push({ path: `${path}.${name}`, kind: 'type', severity: 'warning', message: `"${name}" carries no data, found ${ArtifactValidator._describe(payload)}` });
+            }
+            return;
+        }
+        if (payload === undefined) {
+            issues.push({ path, kind: 'type', severity: 'error', message: `"${name}" is missing its data` });
+            return;
+        }
+        ArtifactValidator._check(payload, variantSchema, `${path}.${name}`, issues);
+    }
+}
+
+// Allow the schema to be loaded with require() from Node.js (used by replay-cli.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ArtifactSchema, ArtifactValidator, ArtifactValidation };
+}
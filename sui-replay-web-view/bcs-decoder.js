@@ -0,0 +1,363 @@
+// Copyright (c) Mysten Labs, Inc.
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * BCS Decoder
+ *
+ * Decodes the BCS bytes of pure PTB inputs using the parameter type from
+ * move_call_info.json signatures. Supports primitives, vector<T> (ULEB128 length
+ * prefix), Option<T>, 0x1::string::String (UTF-8), 0x1::ascii::String and
+ * 0x2::object::ID, nested to any depth.
+ *
+ * Accepted type structures (as found in move_call_info.json and transaction_data.json):
+ *   "U64" / "u64", {Vector: T} / {vector: T},
+ *   {Datatype: [address, module, name, typeParams]},
+ *   {DatatypeInstantiation: [[address, module, name, typeParams], typeArgs]},
+ *   {struct: {address, module, name, type_args}},
+ *   {Reference: T} / {MutableReference: T}, {TypeParameter: i}
+ */
+
+/**
+ * BcsDecodeError - Decoding stopped partway; offset is the byte index where it stopped
+ */
+class BcsDecodeError extends Error {
+    constructor(reason, offset, path = '') {
+        super(`${path ? `${path}: ` : ''}${reason} (at byte ${offset})`);
+        this.name = 'BcsDecodeError';
+        this.reason = reason;
+        this.offset = offset;
+        this.path = path;
+    }
+}
+
+/**
+ * BcsReader - Cursor over a byte array
+ */
+class BcsReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.offset = 0;
+    }
+
+    get remaining() {
+        return this.bytes.length - this.offset;
+    }
+
+    readBytes(count, what, path) {
+        if (this.remaining < count) {
+            throw new BcsDecodeError(`${what} needs ${count} byte${count === 1 ? '' : 's'}, only ${this.remaining} left`, this.offset, path);
+        }
+        const slice = this.bytes.slice(this.offset, this.offset + count);
+        this.offset += count;
+        return slice;
+    }
+
+    readByte(what, path) {
+        return this.readBytes(1, what, path)[0];
+    }
+
+    /**
+     * Read a little-endian unsigned integer of the given byte width as a BigInt
+     */
+    readUnsigned(width, what, path) {
+        const bytes = this.readBytes(width, what, path);
+        let result = 0n;
+        for (let i = 0; i < width; i++) {
+            result += BigInt(bytes[i]) << (BigInt(i) * 8n);
+        }
+        return result;
+    }
+
+    /**
+     * Read a ULEB128 length prefix
+     * Example: [0x02] -> 2, [0x80, 0x01] -> 128
+     */
+    readUleb128(what, path) {
+        const start = this.offset;
+        let result = 0;
+        let shift = 0;
+        let byte;
+
+        do {
+            if (this.remaining < 1) {
+                throw new BcsDecodeError(`${what} ULEB128 length is truncated`, start, path);
+            }
+            byte = this.bytes[this.offset++];
+            result += (byte & 0x7f) * Math.pow(2, shift);
+            shift += 7;
+            if (shift > 35) {
+                // Lengths are u32 in BCS
+                throw new BcsDecodeError(`${what} ULEB128 length does not fit in u32`, start, path);
+            }
+        } while (byte & 0x80);
+
+        return result;
+    }
+}
+
+/**
+ * BcsDecoder - Type-directed decoding of pure values
+ */
+class BcsDecoder {
+    /**
+     * Decode a complete pure value; every byte must be consumed
+     * @param {number[]} bytes - Pure input bytes
+     * @param {*} typeObj - Parameter type structure
+     * @param {Array} typeArguments - Type structures for TypeParameter(i) (e.g. MoveCall type_arguments)
+     * @returns {*} - Decoded value: number/BigInt/boolean/string for scalars, arrays for vectors,
+     *                null or the inner value for Option<T> (wrapped as {some: value})
+     * @throws {BcsDecodeError}
+     */
+    static decode(bytes, typeObj, typeArguments = []) {
+        const reader = new BcsReader(bytes || []);
+        const value = BcsDecoder.decodeValue(reader, typeObj, typeArguments, '');
+
+        if (reader.remaining > 0) {
+            throw new BcsDecodeError(
+                `${reader.remaining} trailing byte${reader.remaining === 1 ? '' : 's'} after ${BcsDecoder.typeName(typeObj, typeArguments)} value`,
+                reader.offset
+            );
+        }
+        return value;
+    }
+
+    static decodeValue(reader, typeObj, typeArguments, path) {
+        const type = BcsDecoder.normalizeType(typeObj, typeArguments);
+
+        switch (type.kind) {
+            case 'bool': {
+                const byte = reader.readByte('bool', path);
+                if (byte > 1) {
+                    throw new BcsDecodeError(`invalid bool byte 0x${byte.toString(16).padStart(2, '0')}`, reader.offset - 1, path);
+                }
+                return byte === 1;
+            }
+            case 'u8':
+                return reader.readByte('u8', path);
+            case 'u16':
+                return Number(reader.readUnsigned(2, 'u16', path));
+            case 'u32':
+                return Number(reader.readUnsigned(4, 'u32', path));
+            case 'u64':
+                return reader.readUnsigned(8, 'u64', path);
+            case 'u128':
+                return reader.readUnsigned(16, 'u128', path);
+            case 'u256':
+                return reader.readUnsigned(32, 'u256', path);
+            case 'address':
+                return BcsDecoder.readAddress(reader, 'address', path);
+            case 'vector': {
+                const length = reader.readUleb128('vector', path);
+                const elements = [];
+                for (let i = 0; i < length; i++) {
+                    elements.push(BcsDecoder.decodeValue(reader, type.inner, typeArguments, `${path}[${i}]`));
+                }
+                return elements;
+            }
+            case 'option': {
+                // Option<T> is a vector of length 0 or 1
+                const tagOffset = reader.offset;
+                const tag = reader.readUleb128('Option', path);
+                if (tag === 0) {
+                    return null;
+                }
+                if (tag !== 1) {
+                    throw new BcsDecodeError(`invalid Option tag ${tag} (expected 0 or 1)`, tagOffset, path);
+                }
+                return { some: BcsDecoder.decodeValue(reader, type.inner, typeArguments, `${path}.some`) };
+            }
+            case 'utf8': {
+                const length = reader.readUleb128('String', path);
+                const start = reader.offset;
+                const bytes = reader.readBytes(length, 'String', path);
+                const utf8 = new TextDecoder('utf-8', { fatal: true });
+                try {
+                    return utf8.decode(new Uint8Array(bytes));
+                } catch (error) {
+                    throw new BcsDecodeError('String is not valid UTF-8', start, path);
+                }
+            }
+            case 'ascii': {
+                const length = reader.readUleb128('ascii::String', path);
+                const start = reader.offset;
+                const bytes = reader.readBytes(length, 'ascii::String', path);
+                const invalid = bytes.findIndex(b => b > 0x7f);
+                if (invalid !== -1) {
+                    throw new BcsDecodeError(`ascii::String contains non-ASCII byte 0x${bytes[invalid].toString(16)}`, start + invalid, path);
+                }
+                return String.fromCharCode(...bytes);
+            }
+            case 'id':
+                return BcsDecoder.readAddress(reader, 'object::ID', path);
+            default:
+                throw new BcsDecodeError(type.reason, reader.offset, path);
+        }
+    }
+
+    static readAddress(reader, what, path) {
+        const bytes = reader.readBytes(32, what, path);
+        return `0x${bytes.map(b => b.toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    /**
+     * Reduce a type structure to { kind, inner } for decoding
+     * Unsupported types come back as { kind: 'unsupported', reason }
+     */
+    static normalizeType(typeObj, typeArguments = []) {
+        const primitives = ['bool', 'u8', 'u16', 'u32', 'u64', 'u128', 'u256', 'address'];
+
+        if (typeof typeObj === 'string') {
+            const lower = typeObj.toLowerCase();
+            if (primitives.includes(lower)) {
+                return { kind: lower };
+            }
+            return { kind: 'unsupported', reason: `unsupported type ${typeObj}` };
+        }
+
+        if (!typeObj || typeof typeObj !== 'object') {
+            return { kind: 'unsupported', reason: 'missing type information' };
+        }
+
+        // References are decoded as the referenced type
+        if (typeObj.Reference) {
+            return BcsDecoder.normalizeType(typeObj.Reference, typeArguments);
+        }
+        if (typeObj.MutableReference) {
+            return BcsDecoder.normalizeType(typeObj.MutableReference, typeArguments);
+        }
+
+        if (typeObj.TypeParameter !== undefined) {
+            const resolved = typeArguments[typeObj.TypeParameter];
+            if (resolved === undefined) {
+                return { kind: 'unsupported', reason: `type parameter T${typeObj.TypeParameter} is not instantiated` };
+            }
+            return BcsDecoder.normalizeType(resolved, []);
+        }
+
+        const vectorInner = typeObj.Vector !== undefined ? typeObj.Vector : typeObj.vector;
+        if (vectorInner !== undefined) {
+            return { kind: 'vector', inner: vectorInner };
+        }
+
+        // Single-key primitive objects, e.g. {U64: null}
+        const keys = Object.keys(typeObj);
+        if (keys.length === 1 && primitives.includes(keys[0].toLowerCase())) {
+            return { kind: keys[0].toLowerCase() };
+        }
+
+        const datatype = BcsDecoder.datatypeOf(typeObj);
+        if (!datatype) {
+            return { kind: 'unsupported', reason: `unsupported type ${JSON.stringify(typeObj)}` };
+        }
+
+        const { address, module, name, typeArgs } = datatype;
+        const qualified = `${address}::${module}::${name}`;
+
+        if (qualified === '0x1::string::String') {
+            return { kind: 'utf8' };
+        }
+        if (qualified === '0x1::ascii::String') {
+            return { kind: 'ascii' };
+        }
+        if (qualified === '0x2::object::ID') {
+            return { kind: 'id' };
+        }
+        if (qualified === '0x1::option::Option') {
+            if (typeArgs.length !== 1) {
+                return { kind: 'unsupported', reason: 'Option without a type argument' };
+            }
+            return { kind: 'option', inner: typeArgs[0] };
+        }
+
+        return { kind: 'unsupported', reason: `${module}::${name} is not a pure type` };
+    }
+
+    /**
+     * Extract { address (short 0x form), module, name, typeArgs } from any struct type format
+     */
+    static datatypeOf(typeObj) {
+        let address;
+        let module;
+        let name;
+        let typeArgs = [];
+
+        if (typeObj.Datatype) {
+            [address, module, name] = typeObj.Datatype;
+        } else if (typeObj.DatatypeInstantiation) {
+            [[address, module, name], typeArgs] = typeObj.DatatypeInstantiation;
+        } else if (typeObj.struct) {
+            ({ address, module, name } = typeObj.struct);
+            typeArgs = typeObj.struct.type_args || [];
+        } else if (typeObj.address && typeObj.module && typeObj.name) {
+            ({ address, module, name } = typeObj);
+            typeArgs = typeObj.type_args || [];
+        } else {
+            return null;
+        }
+
+        let addr = address.startsWith('0x') ? address.slice(2) : address;
+        addr = addr.replace(/^0+/, '') || '0';
+        return { address: `0x${addr}`, module, name, typeArgs: typeArgs || [] };
+    }
+
+    /**
+     * Short, human readable name of a type (for error messages)
+     */
+    static typeName(typeObj, typeArguments = []) {
+        const type = BcsDecoder.normalizeType(typeObj, typeArguments);
+        switch (type.kind) {
+            case 'vector':
+                return `vector<${BcsDecoder.typeName(type.inner, typeArguments)}>`;
+            case 'option':
+                return `Option<${BcsDecoder.typeName(type.inner, typeArguments)}>`;
+            case 'utf8':
+                return 'string::String';
+            case 'ascii':
+                return 'ascii::String';
+            case 'id':
+                return 'object::ID';
+            case 'unsupported':
+                return 'unknown';
+            default:
+                return type.kind;
+        }
+    }
+
+    /**
+     * Format a decoded value for display, walking the type alongside the value
+     * @param {Object} options - { formatInteger(value) } to customise integer display
+     */
+    static formatValue(value, typeObj, typeArguments = [], options = {}) {
+        const formatInteger = options.formatInteger || (v => v.toString());
+        const type = BcsDecoder.normalizeType(typeObj, typeArguments);
+
+        switch (type.kind) {
+            case 'bool':
+                return value.toString();
+            case 'u8':
+            case 'u16':
+            case 'u32':
+            case 'u64':
+            case 'u128':
+            case 'u256':
+                return formatInteger(value);
+            case 'address':
+            case 'id':
+                return value;
+            case 'utf8':
+            case 'ascii':
+                return JSON.stringify(value);
+            case 'vector':
+                return `[${value.map(element => BcsDecoder.formatValue(element, type.inner, typeArguments, options)).join(', ')}]`;
+            case 'option':
+                return value === null ? 'None' : `Some(${BcsDecoder.formatValue(value.some, type.inner, typeArguments, options)})`;
+            default:
+                return String(value);
+        }
+    }
+}
+
+// Allow the decoder to be loaded with require() from Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BcsDecoder, BcsDecodeError, BcsReader };
+}
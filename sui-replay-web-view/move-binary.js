@@ -0,0 +1,989 @@
+// Copyright (c) Mysten Labs, Inc.
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Move Binary Format
+ *
+ * Deserializes the compiled modules carried by Publish and Upgrade commands
+ * (bytecode file format versions 2 to 7, including Sui's flavored version word and
+ * v7 enums) and disassembles their function bodies, so the Package tab can show
+ * what went on chain without the Move toolchain.
+ *
+ * A module is a header (magic 0xA11CEB0B, version, table directory) followed by
+ * tables of handles, signatures, identifiers, addresses, constants and
+ * definitions; entries refer to each other by ULEB128 index. Deserialization keeps
+ * that shape (CompiledMoveModule) and the get*() methods resolve the indices into
+ * names and type strings for display.
+ */
+
+/**
+ * MoveBinaryError - Deserialization stopped; offset is the byte index in the module where it stopped
+ */
+class MoveBinaryError extends Error {
+    constructor(reason, offset) {
+        super(`${reason} (at byte ${offset})`);
+        this.name = 'MoveBinaryError';
+        this.reason = reason;
+        this.offset = offset;
+    }
+}
+
+const MOVE_MAGIC = [0xA1, 0x1C, 0xEB, 0x0B];
+const MOVE_MIN_VERSION = 2;
+const MOVE_MAX_VERSION = 7;
+
+// Versions from 7 on carry a flavor byte (0x05 for Sui) in the top byte of the version word
+const MOVE_VERSION_MASK = 0x00FFFFFF;
+
+const MOVE_ADDRESS_LENGTH = 32;
+
+// Table kinds of the table directory, named after the CompiledModule fields they fill
+const MOVE_TABLE_KINDS = {
+    0x01: 'module_handles',
+    0x02: 'datatype_handles',
+    0x03: 'function_handles',
+    0x04: 'function_instantiations',
+    0x05: 'signatures',
+    0x06: 'constant_pool',
+    0x07: 'identifiers',
+    0x08: 'address_identifiers',
+    0x0A: 'struct_defs',
+    0x0B: 'struct_def_instantiations',
+    0x0C: 'function_defs',
+    0x0D: 'field_handles',
+    0x0E: 'field_instantiations',
+    0x0F: 'friend_decls',
+    0x10: 'metadata',
+    0x11: 'enum_defs',
+    0x12: 'enum_def_instantiations',
+    0x13: 'variant_handles',
+    0x14: 'variant_instantiation_handles'
+};
+
+const MOVE_ABILITIES = [[0x1, 'copy'], [0x2, 'drop'], [0x4, 'store'], [0x8, 'key']];
+
+const MOVE_VISIBILITIES = { 0x0: 'private', 0x1: 'public', 0x3: 'friend' };
+const MOVE_DEPRECATED_SCRIPT_VISIBILITY = 0x2;
+const MOVE_FUNCTION_NATIVE = 0x2;
+const MOVE_FUNCTION_ENTRY = 0x4;
+
+const MOVE_STRUCT_NATIVE = 0x1;
+const MOVE_STRUCT_DECLARED = 0x2;
+const MOVE_ENUM_DECLARED = 0x2;
+const MOVE_JUMP_TABLE_FULL = 0x1;
+
+// Serialized signature token tags
+const MOVE_TYPE_TAGS = {
+    0x1: 'bool',
+    0x2: 'u8',
+    0x3: 'u64',
+    0x4: 'u128',
+    0x5: 'address',
+    0x6: 'reference',
+    0x7: 'mut_reference',
+    0x8: 'datatype',
+    0x9: 'type_parameter',
+    0xA: 'vector',
+    0xB: 'datatype_instantiation',
+    0xC: 'signer',
+    0xD: 'u16',
+    0xE: 'u32',
+    0xF: 'u256'
+};
+
+/**
+ * Opcodes as [name, operand]. Operands: offset (code offset), u8..u256 (immediate),
+ * const, local, field, field_inst, function, function_inst, struct, struct_inst,
+ * signature, vec_count (signature and element count), variant, variant_inst, jump_table
+ */
+const MOVE_OPCODES = {
+    0x01: ['Pop'],
+    0x02: ['Ret'],
+    0x03: ['BrTrue', 'offset'],
+    0x04: ['BrFalse', 'offset'],
+    0x05: ['Branch', 'offset'],
+    0x06: ['LdU64', 'u64'],
+    0x07: ['LdConst', 'const'],
+    0x08: ['LdTrue'],
+    0x09: ['LdFalse'],
+    0x0A: ['CopyLoc', 'local'],
+    0x0B: ['MoveLoc', 'local'],
+    0x0C: ['StLoc', 'local'],
+    0x0D: ['MutBorrowLoc', 'local'],
+    0x0E: ['ImmBorrowLoc', 'local'],
+    0x0F: ['MutBorrowField', 'field'],
+    0x10: ['ImmBorrowField', 'field'],
+    0x11: ['Call', 'function'],
+    0x12: ['Pack', 'struct'],
+    0x13: ['Unpack', 'struct'],
+    0x14: ['ReadRef'],
+    0x15: ['WriteRef'],
+    0x16: ['Add'],
+    0x17: ['Sub'],
+    0x18: ['Mul'],
+    0x19: ['Mod'],
+    0x1A: ['Div'],
+    0x1B: ['BitOr'],
+    0x1C: ['BitAnd'],
+    0x1D: ['Xor'],
+    0x1E: ['Or'],
+    0x1F: ['And'],
+    0x20: ['Not'],
+    0x21: ['Eq'],
+    0x22: ['Neq'],
+    0x23: ['Lt'],
+    0x24: ['Gt'],
+    0x25: ['Le'],
+    0x26: ['Ge'],
+    0x27: ['Abort'],
+    0x28: ['Nop'],
+    0x29: ['Exists', 'struct'],
+    0x2A: ['MutBorrowGlobal', 'struct'],
+    0x2B: ['ImmBorrowGlobal', 'struct'],
+    0x2C: ['MoveFrom', 'struct'],
+    0x2D: ['MoveTo', 'struct'],
+    0x2E: ['FreezeRef'],
+    0x2F: ['Shl'],
+    0x30: ['Shr'],
+    0x31: ['LdU8', 'u8'],
+    0x32: ['LdU128', 'u128'],
+    0x33: ['CastU8'],
+    0x34: ['CastU64'],
+    0x35: ['CastU128'],
+    0x36: ['MutBorrowFieldGeneric', 'field_inst'],
+    0x37: ['ImmBorrowFieldGeneric', 'field_inst'],
+    0x38: ['CallGeneric', 'function_inst'],
+    0x39: ['PackGeneric', 'struct_inst'],
+    0x3A: ['UnpackGeneric', 'struct_inst'],
+    0x3B: ['ExistsGeneric', 'struct_inst'],
+    0x3C: ['MutBorrowGlobalGeneric', 'struct_inst'],
+    0x3D: ['ImmBorrowGlobalGeneric', 'struct_inst'],
+    0x3E: ['MoveFromGeneric', 'struct_inst'],
+    0x3F: ['MoveToGeneric', 'struct_inst'],
+    0x40: ['VecPack', 'vec_count'],
+    0x41: ['VecLen', 'signature'],
+    0x42: ['VecImmBorrow', 'signature'],
+    0x43: ['VecMutBorrow', 'signature'],
+    0x44: ['VecPushBack', 'signature'],
+    0x45: ['VecPopBack', 'signature'],
+    0x46: ['VecUnpack', 'vec_count'],
+    0x47: ['VecSwap', 'signature'],
+    0x48: ['LdU16', 'u16'],
+    0x49: ['LdU32', 'u32'],
+    0x4A: ['LdU256', 'u256'],
+    0x4B: ['CastU16'],
+    0x4C: ['CastU32'],
+    0x4D: ['CastU256'],
+    0x4E: ['PackVariant', 'variant'],
+    0x4F: ['PackVariantGeneric', 'variant_inst'],
+    0x50: ['UnpackVariant', 'variant'],
+    0x51: ['UnpackVariantImmRef', 'variant'],
+    0x52: ['UnpackVariantMutRef', 'variant'],
+    0x53: ['UnpackVariantGeneric', 'variant_inst'],
+    0x54: ['UnpackVariantGenericImmRef', 'variant_inst'],
+    0x55: ['UnpackVariantGenericMutRef', 'variant_inst'],
+    0x56: ['VariantSwitch', 'jump_table']
+};
+
+/**
+ * MoveBinaryReader - Cursor over module bytes
+ * Offsets in errors are absolute (from the start of the module), including inside a table.
+ */
+class MoveBinaryReader {
+    constructor(bytes, start = 0, end = bytes.length) {
+        this.bytes = bytes;
+        this.offset = start;
+        this.end = end;
+    }
+
+    get remaining() {
+        return this.end - this.offset;
+    }
+
+    readBytes(count, what) {
+        if (this.remaining < count) {
+            throw new MoveBinaryError(`${what} needs ${count} byte${count === 1 ? '' : 's'}, only ${this.remaining} left`, this.offset);
+        }
+        const slice = Array.from(this.bytes.slice(this.offset, this.offset + count));
+        this.offset += count;
+        return slice;
+    }
+
+    readU8(what) {
+        return this.readBytes(1, what)[0];
+    }
+
+    /**
+     * Little-endian unsigned integer of the given byte width, as a BigInt
+     */
+    readUnsigned(width, what) {
+        const bytes = this.readBytes(width, what);
+        let result = 0n;
+        for (let i = width - 1; i >= 0; i--) {
+            result = (result << 8n) | BigInt(bytes[i]);
+        }
+        return result;
+    }
+
+    /**
+     * ULEB128 index, count or offset (at most u64; returned as a Number)
+     */
+    readUleb128(what) {
+        const start = this.offset;
+        let result = 0;
+        let shift = 0;
+        let byte;
+
+        do {
+            if (this.remaining < 1) {
+                throw new MoveBinaryError(`${what} ULEB128 is truncated`, start);
+            }
+            byte = this.bytes[this.offset++];
+            result += (byte & 0x7f) * Math.pow(2, shift);
+            shift += 7;
+            if (shift > 63) {
+                throw new MoveBinaryError(`${what} ULEB128 does not fit in u64`, start);
+            }
+        } while (byte & 0x80);
+
+        return result;
+    }
+
+    /**
+     * ULEB128 length followed by that many items
+     */
+    readVector(what, readItem) {
+        const count = this.readUleb128(`${what} count`);
+        const items = [];
+        for (let i = 0; i < count; i++) {
+            items.push(readItem(i));
+        }
+        return items;
+    }
+}
+
+/**
+ * CompiledMoveModule - Tables of one deserialized module
+ *
+ * Table entries keep the indices of the binary format (e.g. a function handle is
+ * { module, name, parameters, returns, type_parameters } with module a module handle
+ * index and name an identifier index). Signature tokens are
+ *   { kind } for primitives, { kind: 'vector' | 'reference' | 'mut_reference', inner },
+ *   { kind: 'datatype', handle, type_args } and { kind: 'type_parameter', index }.
+ */
+class CompiledMoveModule {
+    constructor(version) {
+        this.version = version;
+        this.self_module_handle = 0;
+        Object.values(MOVE_TABLE_KINDS).forEach(table => {
+            this[table] = [];
+        });
+    }
+
+    /**
+     * Deserialize one module
+     * @param {number[]|Uint8Array} bytes - Module bytes as found in the Publish / Upgrade command
+     * @returns {CompiledMoveModule}
+     * @throws {MoveBinaryError}
+     */
+    static fromBytes(bytes) {
+        const reader = new MoveBinaryReader(bytes || []);
+
+        const magic = reader.readBytes(4, 'magic');
+        if (magic.some((byte, i) => byte !== MOVE_MAGIC[i])) {
+            throw new MoveBinaryError(`not a Move module (magic ${magic.map(b => b.toString(16).padStart(2, '0')).join('')}, expected a11ceb0b)`, 0);
+        }
+        const version = Number(reader.readUnsigned(4, 'version')) & MOVE_VERSION_MASK;
+        if (version < MOVE_MIN_VERSION || version > MOVE_MAX_VERSION) {
+            throw new MoveBinaryError(`unsupported bytecode version ${version} (supported: ${MOVE_MIN_VERSION} to ${MOVE_MAX_VERSION})`, 4);
+        }
+
+        const compiled = new CompiledMoveModule(version);
+        const tables = reader.readVector('table', () => ({
+            kind: reader.readU8('table kind'),
+            offset: reader.readUleb128('table offset'),
+            length: reader.readUleb128('table length')
+        }));
+
+        const contentStart = reader.offset;
+        let contentLength = 0;
+        const seen = new Set();
+        tables.forEach(table => {
+            const name = MOVE_TABLE_KINDS[table.kind];
+            if (!name) {
+                throw new MoveBinaryError(`unknown table kind 0x${table.kind.toString(16)}`, contentStart);
+            }
+            if (seen.has(table.kind)) {
+                throw new MoveBinaryError(`duplicate ${name} table`, contentStart);
+            }
+            seen.add(table.kind);
+            contentLength = Math.max(contentLength, table.offset + table.length);
+        });
+        if (contentStart + contentLength > reader.end) {
+            throw new MoveBinaryError(`tables need ${contentLength} bytes, only ${reader.end - contentStart} left`, contentStart);
+        }
+
+        const tableOffsets = {};
+        tables.forEach(table => {
+            const start = contentStart + table.offset;
+            const tableReader = new MoveBinaryReader(reader.bytes, start, start + table.length);
+            const name = MOVE_TABLE_KINDS[table.kind];
+            tableOffsets[name] = start;
+            while (tableReader.remaining > 0) {
+                compiled[name].push(compiled._readEntry(name, tableReader));
+            }
+        });
+
+        // Before version 5 the module's own handle was always the first one
+        reader.offset = contentStart + contentLength;
+        if (version >= 5) {
+            compiled.self_module_handle = reader.readUleb128('self module handle');
+        }
+        if (reader.remaining > 0) {
+            throw new MoveBinaryError(`${reader.remaining} trailing byte${reader.remaining === 1 ? '' : 's'} after the module`, reader.offset);
+        }
+        if (!compiled.module_handles[compiled.self_module_handle]) {
+            throw new MoveBinaryError(`self module handle ${compiled.self_module_handle} does not exist`, reader.offset);
+        }
+        compiled._checkBounds(tableOffsets);
+        return compiled;
+    }
+
+    /**
+     * Check the indices the display methods follow, so a corrupt module fails here with the
+     * offending table entry instead of showing undefined names
+     */
+    _checkBounds(tableOffsets) {
+        const check = (table, entryIndex, what, target, value) => {
+            if (!Number.isInteger(value) || value >= this[target].length) {
+                throw new MoveBinaryError(
+                    `${table}[${entryIndex}].${what}: index ${value} is out of bounds (${this[target].length} ${target})`,
+                    tableOffsets[table]
+                );
+            }
+        };
+        const checkType = (table, entryIndex, what, token) => {
+            if (token.kind === 'datatype') {
+                check(table, entryIndex, what, 'datatype_handles', token.handle);
+                token.type_args.forEach(arg => checkType(table, entryIndex, what, arg));
+            } else if (token.inner) {
+                checkType(table, entryIndex, what, token.inner);
+            }
+        };
+        const checkFields = (table, i, fields) => fields.forEach(field => {
+            check(table, i, 'field name', 'identifiers', field.name);
+            checkType(table, i, 'field type', field.type);
+        });
+
+        ['module_handles', 'friend_decls'].forEach(table => this[table].forEach((handle, i) => {
+            check(table, i, 'address', 'address_identifiers', handle.address);
+            check(table, i, 'name', 'identifiers', handle.name);
+        }));
+        this.datatype_handles.forEach((handle, i) => {
+            check('datatype_handles', i, 'module', 'module_handles', handle.module);
+            check('datatype_handles', i, 'name', 'identifiers', handle.name);
+        });
+        this.function_handles.forEach((handle, i) => {
+            check('function_handles', i, 'module', 'module_handles', handle.module);
+            check('function_handles', i, 'name', 'identifiers', handle.name);
+            check('function_handles', i, 'parameters', 'signatures', handle.parameters);
+            check('function_handles', i, 'returns', 'signatures', handle.returns);
+        });
+        this.signatures.forEach((signature, i) => signature.forEach(token => checkType('signatures', i, 'token', token)));
+        this.constant_pool.forEach((constant, i) => checkType('constant_pool', i, 'type', constant.type));
+        this.struct_defs.forEach((definition, i) => {
+            check('struct_defs', i, 'handle', 'datatype_handles', definition.handle);
+            checkFields('struct_defs', i, definition.fields);
+        });
+        this.enum_defs.forEach((definition, i) => {
+            check('enum_defs', i, 'handle', 'datatype_handles', definition.handle);
+            definition.variants.forEach(variant => {
+                check('enum_defs', i, 'variant name', 'identifiers', variant.name);
+                checkFields('enum_defs', i, variant.fields);
+            });
+        });
+        this.function_defs.forEach((definition, i) => {
+            check('function_defs', i, 'handle', 'function_handles', definition.handle);
+            if (definition.locals !== null) {
+                check('function_defs', i, 'locals', 'signatures', definition.locals);
+            }
+        });
+    }
+
+    _readEntry(table, reader) {
+        const index = what => reader.readUleb128(what);
+        const abilities = () => reader.readU8('ability set');
+
+        switch (table) {
+            case 'module_handles':
+            case 'friend_decls':
+                return { address: index('address index'), name: index('name index') };
+            case 'datatype_handles':
+                return {
+                    module: index('module handle index'),
+                    name: index('name index'),
+                    abilities: abilities(),
+                    type_parameters: reader.readVector('type parameter', () => ({
+                        constraints: abilities(),
+                        is_phantom: this.version >= 3 ? reader.readU8('phantom flag') !== 0 : false
+                    }))
+                };
+            case 'function_handles':
+                return {
+                    module: index('module handle index'),
+                    name: index('name index'),
+                    parameters: index('parameters signature index'),
+                    returns: index('return signature index'),
+                    type_parameters: reader.readVector('type parameter', abilities)
+                };
+            case 'function_instantiations':
+            case 'struct_def_instantiations':
+            case 'field_instantiations':
+            case 'enum_def_instantiations':
+                return { handle: index('handle index'), type_parameters: index('type arguments signature index') };
+            case 'signatures':
+                return reader.readVector('signature token', () => this._readType(reader));
+            case 'constant_pool':
+                return { type: this._readType(reader), data: reader.readBytes(index('constant length'), 'constant') };
+            case 'identifiers':
+                return CompiledMoveModule.decodeUtf8(reader.readBytes(index('identifier length'), 'identifier'));
+            case 'address_identifiers': {
+                const bytes = reader.readBytes(MOVE_ADDRESS_LENGTH, 'address');
+                return `0x${bytes.map(b => b.toString(16).padStart(2, '0')).join('')}`;
+            }
+            case 'struct_defs':
+                return this._readStructDefinition(reader);
+            case 'function_defs':
+                return this._readFunctionDefinition(reader);
+            case 'field_handles':
+                return { owner: index('struct definition index'), field: index('field index') };
+            case 'metadata':
+                return {
+                    key: reader.readBytes(index('metadata key length'), 'metadata key'),
+                    value: reader.readBytes(index('metadata value length'), 'metadata value')
+                };
+            case 'enum_defs':
+                return this._readEnumDefinition(reader);
+            case 'variant_handles':
+            case 'variant_instantiation_handles':
+                return { enum_def: index('enum definition index'), variant: index('variant index') };
+            default:
+                throw new MoveBinaryError(`no reader for table ${table}`, reader.offset);
+        }
+    }
+
+    _readType(reader) {
+        const start = reader.offset;
+        const tag = reader.readU8('type tag');
+        const kind = MOVE_TYPE_TAGS[tag];
+        switch (kind) {
+            case undefined:
+                throw new MoveBinaryError(`unknown type tag 0x${tag.toString(16)}`, start);
+            case 'vector':
+            case 'reference':
+            case 'mut_reference':
+                return { kind, inner: this._readType(reader) };
+            case 'datatype':
+                return { kind: 'datatype', handle: reader.readUleb128('datatype handle index'), type_args: [] };
+            case 'datatype_instantiation': {
+                const handle = reader.readUleb128('datatype handle index');
+                const typeArgs = reader.readVector('type argument', () => this._readType(reader));
+                return { kind: 'datatype', handle, type_args: typeArgs };
+            }
+            case 'type_parameter':
+                return { kind, index: reader.readUleb128('type parameter index') };
+            default:
+                return { kind };
+        }
+    }
+
+    _readFields(reader) {
+        return reader.readVector('field', () => ({
+            name: reader.readUleb128('field name index'),
+            type: this._readType(reader)
+        }));
+    }
+
+    _readStructDefinition(reader) {
+        const handle = reader.readUleb128('datatype handle index');
+        const start = reader.offset;
+        const flag = reader.readU8('field information');
+        if (flag === MOVE_STRUCT_NATIVE) {
+            return { handle, native: true, fields: [] };
+        }
+        if (flag !== MOVE_STRUCT_DECLARED) {
+            throw new MoveBinaryError(`invalid struct field information 0x${flag.toString(16)}`, start);
+        }
+        return { handle, native: false, fields: this._readFields(reader) };
+    }
+
+    _readEnumDefinition(reader) {
+        const handle = reader.readUleb128('datatype handle index');
+        const start = reader.offset;
+        const flag = reader.readU8('enum flag');
+        if (flag !== MOVE_ENUM_DECLARED) {
+            throw new MoveBinaryError(`invalid enum flag 0x${flag.toString(16)}`, start);
+        }
+        const variants = reader.readVector('variant', () => ({
+            name: reader.readUleb128('variant name index'),
+            fields: this._readFields(reader)
+        }));
+        return { handle, variants };
+    }
+
+    _readFunctionDefinition(reader) {
+        const handle = reader.readUleb128('function handle index');
+        const start = reader.offset;
+        const flags = reader.readU8('visibility');
+        let visibility;
+        let isEntry;
+        let extraFlags = reader.readU8('function flags');
+
+        if (this.version < 5) {
+            // Script visibility was replaced by the entry flag in version 5
+            isEntry = flags === MOVE_DEPRECATED_SCRIPT_VISIBILITY;
+            visibility = isEntry ? 'public' : MOVE_VISIBILITIES[flags];
+        } else {
+            visibility = MOVE_VISIBILITIES[flags];
+            isEntry = (extraFlags & MOVE_FUNCTION_ENTRY) !== 0;
+            extraFlags &= ~MOVE_FUNCTION_ENTRY;
+        }
+        if (!visibility) {
+            throw new MoveBinaryError(`invalid visibility 0x${flags.toString(16)}`, start);
+        }
+
+        const acquires = reader.readVector('acquires', () => reader.readUleb128('struct definition index'));
+        const native = (extraFlags & MOVE_FUNCTION_NATIVE) !== 0;
+        const definition = { handle, visibility, is_entry: isEntry, native, acquires, locals: null, jump_tables: [], code: [] };
+        if (native) {
+            return definition;
+        }
+
+        // Code unit: locals, code, then (version 7+) the jump tables of VariantSwitch
+        definition.locals = reader.readUleb128('locals signature index');
+        definition.code = reader.readVector('instruction', () => this._readInstruction(reader));
+        if (this.version >= 7) {
+            definition.jump_tables = reader.readVector('jump table', () => {
+                const enumDef = reader.readUleb128('enum definition index');
+                const branchCount = reader.readUleb128('jump table length');
+                const flagOffset = reader.offset;
+                const flag = reader.readU8('jump table flag');
+                if (flag !== MOVE_JUMP_TABLE_FULL) {
+                    throw new MoveBinaryError(`invalid jump table flag 0x${flag.toString(16)}`, flagOffset);
+                }
+                const offsets = [];
+                for (let i = 0; i < branchCount; i++) {
+                    offsets.push(reader.readUleb128('code offset'));
+                }
+                return { enum_def: enumDef, offsets };
+            });
+        }
+        return definition;
+    }
+
+    _readInstruction(reader) {
+        const start = reader.offset;
+        const opcode = reader.readU8('opcode');
+        const entry = MOVE_OPCODES[opcode];
+        if (!entry) {
+            throw new MoveBinaryError(`unknown opcode 0x${opcode.toString(16).padStart(2, '0')}`, start);
+        }
+        const [name, operand = null] = entry;
+        const instruction = { name, operand, value: null, count: null };
+
+        switch (operand) {
+            case null:
+                break;
+            case 'u8':
+                instruction.value = BigInt(reader.readU8(name));
+                break;
+            case 'u16':
+                instruction.value = reader.readUnsigned(2, name);
+                break;
+            case 'u32':
+                instruction.value = reader.readUnsigned(4, name);
+                break;
+            case 'u64':
+                instruction.value = reader.readUnsigned(8, name);
+                break;
+            case 'u128':
+                instruction.value = reader.readUnsigned(16, name);
+                break;
+            case 'u256':
+                instruction.value = reader.readUnsigned(32, name);
+                break;
+            case 'local':
+                instruction.value = reader.readU8(`${name} local index`);
+                break;
+            case 'vec_count':
+                instruction.value = reader.readUleb128(`${name} signature index`);
+                instruction.count = reader.readUnsigned(8, `${name} element count`);
+                break;
+            default:
+                instruction.value = reader.readUleb128(`${name} operand`);
+        }
+        return instruction;
+    }
+
+    static decodeUtf8(bytes) {
+        if (typeof TextDecoder !== 'undefined') {
+            return new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+        }
+        return Buffer.from(bytes).toString('utf8');
+    }
+
+    // ============================================================================
+    // Resolved views for display
+    // ============================================================================
+
+    getAddress() {
+        return this.address_identifiers[this.module_handles[this.self_module_handle].address] || null;
+    }
+
+    getName() {
+        return this.identifiers[this.module_handles[this.self_module_handle].name] || null;
+    }
+
+    /**
+     * "0x<address>::<name>" of a module handle (the module itself by default)
+     */
+    getModuleId(handleIndex = this.self_module_handle) {
+        const handle = this.module_handles[handleIndex];
+        return handle ? `${this.address_identifiers[handle.address]}::${this.identifiers[handle.name]}` : `<module ${handleIndex}>`;
+    }
+
+    getFriends() {
+        return this.friend_decls.map(friend => `${this.address_identifiers[friend.address]}::${this.identifiers[friend.name]}`);
+    }
+
+    /**
+     * Other modules the module refers to (its handles other than its own)
+     */
+    getDependencies() {
+        return this.module_handles
+            .map((_handle, index) => index)
+            .filter(index => index !== this.self_module_handle)
+            .map(index => this.getModuleId(index));
+    }
+
+    static formatAbilities(abilitySet) {
+        return MOVE_ABILITIES.filter(([bit]) => (abilitySet & bit) !== 0).map(([, name]) => name);
+    }
+
+    /**
+     * Declared type parameters of a struct or enum, e.g. "phantom T0: store"
+     */
+    formatDatatypeTypeParameters(handle) {
+        return handle.type_parameters.map((parameter, i) => {
+            const constraints = CompiledMoveModule.formatAbilities(parameter.constraints);
+            return `${parameter.is_phantom ? 'phantom ' : ''}T${i}${constraints.length > 0 ? `: ${constraints.join(' + ')}` : ''}`;
+        });
+    }
+
+    getDatatypeName(handleIndex) {
+        const handle = this.datatype_handles[handleIndex];
+        return handle ? this.identifiers[handle.name] : `<datatype ${handleIndex}>`;
+    }
+
+    /**
+     * Datatype as written in the module's source: bare for its own types, module::Name for others
+     * (qualified gives the full 0xaddress::module::Name)
+     */
+    formatDatatype(handleIndex, qualified = false) {
+        const handle = this.datatype_handles[handleIndex];
+        if (!handle) {
+            return `<datatype ${handleIndex}>`;
+        }
+        const name = this.identifiers[handle.name];
+        if (qualified) {
+            return `${this.getModuleId(handle.module)}::${name}`;
+        }
+        if (handle.module === this.self_module_handle) {
+            return name;
+        }
+        return `${this.identifiers[this.module_handles[handle.module].name]}::${name}`;
+    }
+
+    formatType(token, qualified = false) {
+        switch (token.kind) {
+            case 'vector':
+                return `vector<${this.formatType(token.inner, qualified)}>`;
+            case 'reference':
+                return `&${this.formatType(token.inner, qualified)}`;
+            case 'mut_reference':
+                return `&mut ${this.formatType(token.inner, qualified)}`;
+            case 'type_parameter':
+                return `T${token.index}`;
+            case 'datatype': {
+                const name = this.formatDatatype(token.handle, qualified);
+                return token.type_args.length > 0
+                    ? `${name}<${token.type_args.map(arg => this.formatType(arg, qualified)).join(', ')}>`
+                    : name;
+            }
+            default:
+                return token.kind;
+        }
+    }
+
+    getSignature(index) {
+        return this.signatures[index] || [];
+    }
+
+    formatSignature(index) {
+        return this.getSignature(index).map(token => this.formatType(token));
+    }
+
+    _formatFields(fields) {
+        return fields.map(field => ({ name: this.identifiers[field.name], type: this.formatType(field.type) }));
+    }
+
+    /**
+     * Struct definitions: [{ name, abilities, type_parameters, native, fields: [{ name, type }] }]
+     */
+    getStructs() {
+        return this.struct_defs.map(definition => {
+            const handle = this.datatype_handles[definition.handle];
+            return {
+                name: this.identifiers[handle.name],
+                abilities: CompiledMoveModule.formatAbilities(handle.abilities),
+                type_parameters: this.formatDatatypeTypeParameters(handle),
+                native: definition.native,
+                fields: this._formatFields(definition.fields)
+            };
+        });
+    }
+
+    /**
+     * Enum definitions (bytecode version 7): [{ name, abilities, type_parameters, variants: [{ name, fields }] }]
+     */
+    getEnums() {
+        return this.enum_defs.map(definition => {
+            const handle = this.datatype_handles[definition.handle];
+            return {
+                name: this.identifiers[handle.name],
+                abilities: CompiledMoveModule.formatAbilities(handle.abilities),
+                type_parameters: this.formatDatatypeTypeParameters(handle),
+                variants: definition.variants.map(variant => ({
+                    name: this.identifiers[variant.name],
+                    fields: this._formatFields(variant.fields)
+                }))
+            };
+        });
+    }
+
+    /**
+     * Constant pool: [{ index, type, value }] with the value decoded from its BCS bytes
+     */
+    getConstants() {
+        return this.constant_pool.map((constant, index) => ({
+            index,
+            type: this.formatType(constant.type),
+            value: this.formatConstant(constant)
+        }));
+    }
+
+    /**
+     * vector<u8> constants are mostly error messages, so printable ones are shown as b"..."
+     */
+    formatConstant(constant) {
+        const hex = bytes => `x"${bytes.map(b => b.toString(16).padStart(2, '0')).join('')}"`;
+        const type = constant.type;
+        if (type.kind === 'vector' && type.inner.kind === 'u8') {
+            const reader = new MoveBinaryReader(constant.data);
+            try {
+                const length = reader.readUleb128('vector length');
+                const bytes = reader.readBytes(length, 'vector');
+                if (reader.remaining === 0) {
+                    return bytes.every(b => b >= 0x20 && b < 0x7f) ? `b${JSON.stringify(String.fromCharCode(...bytes))}` : hex(bytes);
+                }
+            } catch (error) {
+                // Fall through to the raw bytes
+            }
+            return hex(constant.data);
+        }
+
+        const decoder = typeof BcsDecoder !== 'undefined' ? BcsDecoder
+            : (typeof require === 'function' ? require('./bcs-decoder.js').BcsDecoder : null);
+        const bcsType = CompiledMoveModule._bcsType(type);
+        if (!decoder || !bcsType) {
+            return hex(constant.data);
+        }
+        try {
+            return decoder.formatValue(decoder.decode(constant.data, bcsType), bcsType);
+        } catch (error) {
+            return hex(constant.data);
+        }
+    }
+
+    /**
+     * Type structure BcsDecoder understands, or null for types a constant cannot have
+     */
+    static _bcsType(token) {
+        if (token.kind === 'vector') {
+            const inner = CompiledMoveModule._bcsType(token.inner);
+            return inner ? { Vector: inner } : null;
+        }
+        return ['bool', 'u8', 'u16', 'u32', 'u64', 'u128', 'u256', 'address'].includes(token.kind) ? token.kind : null;
+    }
+
+    /**
+     * Function definitions with resolved signatures and disassembled code:
+     * [{ name, visibility, is_entry, native, type_parameters, parameters, returns, locals, acquires,
+     *    jump_tables, code: [{ offset, text }] }]
+     */
+    getFunctions() {
+        return this.function_defs.map(definition => {
+            const handle = this.function_handles[definition.handle];
+            const parameters = this.formatSignature(handle.parameters);
+            const locals = definition.locals === null ? [] : this.formatSignature(definition.locals);
+            return {
+                name: this.identifiers[handle.name],
+                visibility: definition.visibility,
+                is_entry: definition.is_entry,
+                native: definition.native,
+                type_parameters: handle.type_parameters.map((constraints, i) => {
+                    const abilities = CompiledMoveModule.formatAbilities(constraints);
+                    return `T${i}${abilities.length > 0 ? `: ${abilities.join(' + ')}` : ''}`;
+                }),
+                parameters,
+                returns: this.formatSignature(handle.returns),
+                locals,
+                acquires: definition.acquires.map(index => this.getDatatypeName(this.struct_defs[index]?.handle)),
+                jump_tables: definition.jump_tables.map(table => ({
+                    enum: this.getDatatypeName(this.enum_defs[table.enum_def]?.handle),
+                    offsets: table.offsets
+                })),
+                code: definition.code.map((instruction, offset) => ({
+                    offset,
+                    text: this.formatInstruction(instruction, parameters, locals)
+                }))
+            };
+        });
+    }
+
+    /**
+     * Source-like declaration, e.g. "public entry fun swap<T0, T1>(&mut Pool<T0, T1>, Coin<T0>): Coin<T1>"
+     */
+    static formatFunctionSignature(fn) {
+        const modifiers = [fn.visibility === 'private' ? '' : (fn.visibility === 'friend' ? 'public(friend)' : 'public'), fn.is_entry ? 'entry' : '', fn.native ? 'native' : '']
+            .filter(Boolean);
+        const typeParameters = fn.type_parameters.length > 0 ? `<${fn.type_parameters.join(', ')}>` : '';
+        const returns = fn.returns.length === 0 ? '' : `: ${fn.returns.length === 1 ? fn.returns[0] : `(${fn.returns.join(', ')})`}`;
+        return `${modifiers.concat('fun').join(' ')} ${fn.name}${typeParameters}(${fn.parameters.join(', ')})${returns}`;
+    }
+
+    /**
+     * One disassembled instruction, e.g. "MoveLoc[0](Arg0: &mut Pool<T0>)" or "Call coin::value<T0>(&Coin<T0>): u64"
+     */
+    formatInstruction(instruction, parameters, locals) {
+        const { name, operand, value } = instruction;
+        const functionCall = (handleIndex, typeArgs) => {
+            const handle = this.function_handles[handleIndex];
+            if (!handle) {
+                return `<function ${handleIndex}>`;
+            }
+            const moduleName = handle.module === this.self_module_handle ? '' : `${this.identifiers[this.module_handles[handle.module].name]}::`;
+            const returns = this.formatSignature(handle.returns);
+            const instantiation = typeArgs.length > 0 ? `<${typeArgs.join(', ')}>` : '';
+            return `${moduleName}${this.identifiers[handle.name]}${instantiation}(${this.formatSignature(handle.parameters).join(', ')})${returns.length > 0 ? `: ${returns.join(', ')}` : ''}`;
+        };
+        const structName = (definitionIndex, typeArgs = []) => {
+            const definition = this.struct_defs[definitionIndex];
+            const base = definition ? this.formatDatatype(definition.handle) : `<struct ${definitionIndex}>`;
+            return typeArgs.length > 0 ? `${base}<${typeArgs.join(', ')}>` : base;
+        };
+        const fieldName = (fieldHandleIndex, typeArgs = []) => {
+            const handle = this.field_handles[fieldHandleIndex];
+            const definition = handle ? this.struct_defs[handle.owner] : null;
+            if (!definition || !definition.fields[handle.field]) {
+                return `<field ${fieldHandleIndex}>`;
+            }
+            const field = definition.fields[handle.field];
+            return `${structName(handle.owner, typeArgs)}.${this.identifiers[field.name]}: ${this.formatType(field.type)}`;
+        };
+        const variantName = variantHandleIndex => {
+            const handle = this.variant_handles[variantHandleIndex];
+            const definition = handle ? this.enum_defs[handle.enum_def] : null;
+            if (!definition || !definition.variants[handle.variant]) {
+                return `<variant ${variantHandleIndex}>`;
+            }
+            return `${this.formatDatatype(definition.handle)}::${this.identifiers[definition.variants[handle.variant].name]}`;
+        };
+
+        switch (operand) {
+            case null:
+                return name;
+            case 'offset':
+            case 'jump_table':
+                return `${name}(${value})`;
+            case 'u8':
+            case 'u16':
+            case 'u32':
+            case 'u64':
+            case 'u128':
+            case 'u256':
+                return `${name}(${value.toString()})`;
+            case 'const': {
+                const constant = this.constant_pool[value];
+                return constant ? `${name}[${value}](${this.formatType(constant.type)}: ${this.formatConstant(constant)})` : `${name}[${value}]`;
+            }
+            case 'local': {
+                const isParameter = value < parameters.length;
+                const type = isParameter ? parameters[value] : locals[value - parameters.length];
+                const label = isParameter ? `Arg${value}` : `loc${value - parameters.length}`;
+                return `${name}[${value}](${label}${type ? `: ${type}` : ''})`;
+            }
+            case 'field':
+                return `${name}[${value}](${fieldName(value)})`;
+            case 'field_inst': {
+                const instantiation = this.field_instantiations[value];
+                return instantiation
+                    ? `${name}[${value}](${fieldName(instantiation.handle, this.formatSignature(instantiation.type_parameters))})`
+                    : `${name}[${value}]`;
+            }
+            case 'function':
+                return `${name} ${functionCall(value, [])}`;
+            case 'function_inst': {
+                const instantiation = this.function_instantiations[value];
+                return instantiation
+                    ? `${name} ${functionCall(instantiation.handle, this.formatSignature(instantiation.type_parameters))}`
+                    : `${name}[${value}]`;
+            }
+            case 'struct':
+                return `${name}[${value}](${structName(value)})`;
+            case 'struct_inst': {
+                const instantiation = this.struct_def_instantiations[value];
+                return instantiation
+                    ? `${name}[${value}](${structName(instantiation.handle, this.formatSignature(instantiation.type_parameters))})`
+                    : `${name}[${value}]`;
+            }
+            case 'signature':
+                return `${name}(${this.formatSignature(value).join(', ')})`;
+            case 'vec_count':
+                return `${name}(${this.formatSignature(value).join(', ')}, ${instruction.count})`;
+            case 'variant':
+                return `${name}(${variantName(value)})`;
+            case 'variant_inst': {
+                const instantiation = this.variant_instantiation_handles[value];
+                const enumInstantiation = instantiation ? this.enum_def_instantiations[instantiation.enum_def] : null;
+                if (!enumInstantiation) {
+                    return `${name}[${value}]`;
+                }
+                const definition = this.enum_defs[enumInstantiation.handle];
+                const variant = definition ? definition.variants[instantiation.variant] : null;
+                if (!variant) {
+                    return `${name}[${value}]`;
+                }
+                const typeArgs = this.formatSignature(enumInstantiation.type_parameters);
+                return `${name}(${this.formatDatatype(definition.handle)}<${typeArgs.join(', ')}>::${this.identifiers[variant.name]})`;
+            }
+            default:
+                return `${name}(${value})`;
+        }
+    }
+}
+
+// Allow the deserializer to be loaded with require() from Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CompiledMoveModule, MoveBinaryError, MoveBinaryReader };
+}
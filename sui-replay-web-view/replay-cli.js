@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+// Copyright (c) Mysten Labs, Inc.
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Headless replay summary
+ *
+ * Loads a `.replay/<DIGEST>/` directory through Transaction.fromFiles and prints
+ * the same summary the Overview and Gas Analysis tabs show, without a browser.
+ *
+ * Usage: node replay-cli.js [--format text|json|markdown|html] <replay-directory>
+ *
+ * markdown and html print the same report the viewer's export buttons produce
+ * (the html page holds only the model-built Report tab).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Transaction } = require('./transaction-model.js');
+const { TransactionReport } = require('./transaction-report.js');
+const { ArtifactValidator } = require('./artifact-schema.js');
+
+const REPLAY_FILES = {
+    transaction_data: { name: 'transaction_data.json', required: true },
+    transaction_effects: { name: 'transaction_effects.json', required: true },
+    transaction_gas_report: { name: 'transaction_gas_report.json', required: true },
+    replay_cache_summary: { name: 'replay_cache_summary.json', required: true },
+    move_call_info: { name: 'move_call_info.json', required: false }
+};
+
+const FORMATS = ['text', 'json', 'markdown', 'html'];
+const USAGE = `Usage: node replay-cli.js [--format ${FORMATS.join('|')}] <replay-directory>`;
+
+function parseArgs(argv) {
+    const options = { format: 'text', directory: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '--format') {
+            options.format = argv[++i];
+        } else if (arg.startsWith('--format=')) {
+            options.format = arg.slice('--format='.length);
+        } else if (arg === '--json') {
+            options.format = 'json';
+        } else if (!options.directory) {
+            options.directory = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    if (!options.help && !options.directory) {
+        throw new Error('Missing replay directory');
+    }
+    if (!FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format} (expected one of ${FORMATS.join(', ')})`);
+    }
+
+    return options;
+}
+
+/**
+ * Read the replay JSON files from a directory into the shape Transaction.fromFiles expects
+ */
+function loadReplayDirectory(directory) {
+    const files = {};
+
+    Object.entries(REPLAY_FILES).forEach(([fileType, { name, required }]) => {
+        const filePath = path.join(directory, name);
+        if (!fs.existsSync(filePath)) {
+            if (required) {
+                throw new Error(`Missing ${name} in ${directory}`);
+            }
+            files[fileType] = null;
+            return;
+        }
+
+        try {
+            files[fileType] = Transaction.parseJson(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Error parsing ${name}: ${error.message}`);
+        }
+    });
+
+    return files;
+}
+
+/**
+ * Build a plain summary object from a loaded Transaction
+ * @param {ArtifactValidation} validation - Schema check of the files the transaction was loaded from
+ */
+function summarizeTransaction(transaction, validation) {
+    const executionStatus = transaction.getExecutionStatus();
+    const failure = transaction.getExecutionFailure();
+
+    const commands = transaction.getCommands().map((cmd, index) => {
+        const entry = {
+            index,
+            type: cmd.getTypeName(),
+            display: cmd.toDisplayString()
+        };
+        if (cmd.function) {
+            entry.target = cmd.function.toFullyQualifiedString();
+            entry.package = transaction.getMoveCallTarget(cmd.function.package);
+        }
+        return entry;
+    });
+
+    const gasVerification = transaction.getGasVerification();
+    const diagnostics = transaction.getDiagnostics();
+    const diagnosticCounts = diagnostics.getCounts();
+
+    const transactionKind = transaction.getTransactionKind();
+    const kindFields = {};
+    if (transactionKind) {
+        transactionKind.getFields().forEach(field => {
+            kindFields[field.name] = field.value;
+        });
+    }
+
+    return {
+        digest: transaction.digest,
+        kind: transactionKind ? transactionKind.getTypeName() : null,
+        kind_fields: kindFields,
+        status: executionStatus ? (executionStatus.success ? 'Success' : 'Failure') : null,
+        error: executionStatus && !executionStatus.success ? executionStatus.error : null,
+        failure: failure ? {
+            kind: failure.kind,
+            command: failure.command,
+            location: failure.getLocationString(),
+            abort_code: failure.abortCode,
+            abort_name: failure.abortName,
+            description: failure.getDescription()
+        } : null,
+        sender: transaction.sender,
+        epoch: transaction.epoch,
+        checkpoint: transaction.checkpoint,
+        protocol_version: transaction.protocol_version,
+        network: transaction.network,
+        commands,
+        gas: transaction.getGasSummary(),
+        gas_verification: {
+            consistent: gasVerification.isConsistent(),
+            checks: gasVerification.getChecks().length,
+            mismatches: gasVerification.getMismatches()
+        },
+        diagnostics: {
+            rules: diagnostics.getResults().length,
+            passed: diagnosticCounts.passed,
+            skipped: diagnosticCounts.skipped,
+            findings: diagnostics.getFindings()
+        },
+        artifact_validation: {
+            transaction_data_version: validation.transaction_data_version,
+            effects_version: validation.effects_version,
+            issues: validation.issues,
+            load_errors: transaction.load_errors
+        }
+    };
+}
+
+function formatNumber(num) {
+    // Same underscore thousands separator the web viewer uses
+    if (num === null || num === undefined || num === '') {
+        return 'N/A';
+    }
+    const numStr = num.toString();
+    if (!/^-?\d+$/.test(numStr)) {
+        return numStr;
+    }
+    return numStr.replace(/\B(?=(\d{3})+(?!\d))/g, '_');
+}
+
+function formatText(summary) {
+    const lines = [];
+    const field = (label, value) => lines.push(`${label.padEnd(18)}${value === null || value === undefined ? 'N/A' : value}`);
+
+    field('Digest:', summary.digest);
+    field('Status:', summary.status);
+    if (summary.failure) {
+        field('Error:', summary.failure.description);
+    } else if (summary.error) {
+        field('Error:', JSON.stringify(summary.error));
+    }
+    field('Sender:', summary.sender);
+    field('Epoch:', summary.epoch);
+    field('Checkpoint:', summary.checkpoint);
+    field('Protocol Version:', summary.protocol_version);
+    field('Network:', summary.network);
+    field('Kind:', summary.kind);
+
+    if (summary.kind === 'ProgrammableTransaction') {
+        lines.push('');
+        lines.push(`Commands (${summary.commands.length}):`);
+        summary.commands.forEach(cmd => {
+            const detail = cmd.target ? `${cmd.type}  ${cmd.target}` : cmd.display;
+            lines.push(`  ${`Cmd_${cmd.index}`.padEnd(8)}${detail}`);
+            if (cmd.package && cmd.package.loaded) {
+                const outdated = cmd.package.outdated ? ` (older than loaded version ${cmd.package.latest_version})` : '';
+                lines.push(`  ${''.padEnd(8)}original package ${cmd.package.original_id}, version ${cmd.package.version}${outdated}`);
+            }
+        });
+    } else if (Object.keys(summary.kind_fields).length > 0) {
+        lines.push('');
+        lines.push(`${summary.kind}:`);
+        Object.entries(summary.kind_fields).forEach(([name, value]) => {
+            // Byte vectors (random_bytes) read better as hex
+            const display = Array.isArray(value) ? `0x${value.map(b => b.toString(16).padStart(2, '0')).join('')}` : value;
+            lines.push(`  ${`${name}:`.padEnd(42)}${display === null ? 'N/A' : display}`);
+        });
+    }
+
+    const gas = summary.gas;
+    const gasRows = [
+        ['Price', gas.price],
+        ['Budget', gas.budget],
+        ['Gas Used', gas.gas_used],
+        ['Computation Cost', gas.computation_cost],
+        ['Storage Cost', gas.storage_cost],
+        ['Non-Refundable Fee', gas.non_refundable_fee],
+        ['Storage Rebate', gas.storage_rebate === null ? null : `-${formatNumber(gas.storage_rebate)}`],
+        ['Gas Charges', gas.gas_charges]
+    ];
+
+    lines.push('');
+    lines.push('Gas:');
+    gasRows.forEach(([label, value]) => {
+        lines.push(`  ${label.padEnd(20)}${formatNumber(value).padStart(16)}`);
+    });
+
+    const verification = summary.gas_verification;
+    lines.push('');
+    if (verification.mismatches.length === 0) {
+        lines.push(`Gas Verification: OK (${verification.checks} checks)`);
+    } else {
+        lines.push(`Gas Verification: ${verification.consistent ? 'WARNING' : 'MISMATCH'} (${verification.mismatches.length} of ${verification.checks} checks)`);
+        verification.mismatches.forEach(check => {
+            const subject = check.object_id ? `${check.label} ${check.object_id}` : check.label;
+            lines.push(`  ${check.severity === 'warning' ? '⚠' : '✖'} ${subject}: expected ${check.relation === '≤' ? '≤ ' : ''}${formatNumber(check.expected)}, reported ${formatNumber(check.actual)}`);
+            lines.push(`      ${check.formula}${check.calculation ? `  [${check.calculation}]` : ''}`);
+        });
+    }
+
+    const diagnostics = summary.diagnostics;
+    const ran = diagnostics.rules - diagnostics.skipped;
+    lines.push('');
+    if (diagnostics.findings.length === 0) {
+        lines.push(`Diagnostics: OK (${ran} of ${diagnostics.rules} rules)`);
+    } else {
+        const errors = diagnostics.findings.filter(finding => finding.severity === 'error').length;
+        lines.push(`Diagnostics: ${errors > 0 ? 'INCONSISTENT' : 'WARNING'} (${diagnostics.findings.length} findings, ${ran} of ${diagnostics.rules} rules)`);
+        diagnostics.findings.forEach(finding => {
+            const objects = finding.object_ids.length > 0 ? ` [${finding.object_ids.join(', ')}]` : '';
+            lines.push(`  ${finding.severity === 'error' ? '✖' : '⚠'} ${finding.rule}: ${finding.message}${objects}`);
+        });
+    }
+
+    lines.push('');
+    // Deviations from the expected replay format; values above that depend on them may be missing
+    const artifacts = summary.artifact_validation;
+    const versions = `transaction_data ${artifacts.transaction_data_version || 'unknown'}, effects ${artifacts.effects_version || 'unknown'}`;
+    if (artifacts.issues.length === 0 && artifacts.load_errors.length === 0) {
+        lines.push(`Artifacts: OK (${versions})`);
+    } else {
+        const degraded = artifacts.load_errors.length > 0 || artifacts.issues.some(issue => issue.severity === 'error');
+        lines.push(`Artifacts: ${degraded ? 'DEGRADED' : 'WARNING'} (${versions})`);
+        artifacts.issues.forEach(issue => {
+            lines.push(`  ${issue.severity === 'error' ? '✖' : '⚠'} ${issue.artifact}.json ${issue.path}: ${issue.message}`);
+        });
+        artifacts.load_errors.forEach(error => {
+            lines.push(`  ✖ ${error.artifact}.json could not be loaded: ${error.message}`);
+        });
+    }
+
+    return lines.join('\n');
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    let transaction;
+    let validation;
+    try {
+        const files = loadReplayDirectory(options.directory);
+        validation = ArtifactValidator.validate(files);
+        transaction = Transaction.fromFiles(files);
+    } catch (error) {
+        console.error(`Analysis error: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (options.format === 'markdown') {
+        console.log(new TransactionReport(transaction).toMarkdown());
+        return;
+    }
+    if (options.format === 'html') {
+        console.log(new TransactionReport(transaction).toHTML({ css: fs.readFileSync(path.join(__dirname, 'styles.css'), 'utf8') }));
+        return;
+    }
+
+    let summary;
+    try {
+        summary = summarizeTransaction(transaction, validation);
+    } catch (error) {
+        console.error(`Analysis error: ${error.message}`);
+        validation.issues.forEach(issue => console.error(`  ${issue.severity}: ${issue.artifact}.json ${issue.path}: ${issue.message}`));
+        process.exit(1);
+    }
+    if (options.format === 'json') {
+        console.log(JSON.stringify(summary, null, 2));
+    } else {
+        console.log(formatText(summary));
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { loadReplayDirectory, summarizeTransaction };
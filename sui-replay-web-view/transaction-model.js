@@ -127,6 +127,14 @@ class MoveType {
             return new MoveType(null, null, primitives[typeObj], [], true);
         }
 
+        // Lowercase TypeTag format used inside object types (e.g. "u64", "address", {vector: "u8"})
+        if (typeof typeObj === 'string' && Object.values(primitives).includes(typeObj)) {
+            return new MoveType(null, null, typeObj, [], true);
+        }
+        if (typeof typeObj === 'object' && typeObj !== null && typeObj.vector !== undefined) {
+            return new MoveType(null, 'vector', 'vector', [MoveType.fromTypeStructure(typeObj.vector, cacheData)], true);
+        }
+
         // Handle object with primitive key
         if (typeof typeObj === 'object' && typeObj !== null) {
             for (const [key, value] of Object.entries(typeObj)) {
@@ -220,6 +228,181 @@ class MoveType {
         // Fallback - return unknown
         return new MoveType(null, 'unknown', 'unknown', [], false);
     }
+
+    /**
+     * Check whether this is the struct package::module::name, comparing normalized addresses
+     * (so "0x2" matches "000...0002")
+     */
+    isStruct(packageAddr, module, name) {
+        if (this.isPrimitive || !this.package) {
+            return false;
+        }
+        return MoveType.normalizeAddress(this.package) === MoveType.normalizeAddress(packageAddr) && this.module === module && this.name === name;
+    }
+
+    /**
+     * For a 0x2::dynamic_field::Field<K, V> object type, describe the dynamic field
+     * Dynamic object fields are stored as Field<dynamic_object_field::Wrapper<K>, ID>
+     * Returns { kind: "dynamic_field" | "dynamic_object_field", keyType, valueType } or null
+     */
+    getDynamicFieldInfo() {
+        if (!this.isStruct('0x2', 'dynamic_field', 'Field') || this.typeArgs.length !== 2) {
+            return null;
+        }
+
+        const [nameType, valueType] = this.typeArgs;
+        if (nameType.isStruct('0x2', 'dynamic_object_field', 'Wrapper') && nameType.typeArgs.length === 1) {
+            return { kind: 'dynamic_object_field', keyType: nameType.typeArgs[0], valueType };
+        }
+        return { kind: 'dynamic_field', keyType: nameType, valueType };
+    }
+
+    /**
+     * Replace {TypeParameter: i} in a move_call_info type structure with typeArguments[i]
+     * (the MoveCall's type_arguments), e.g. &mut Pool<T0, T1> -> &mut Pool<SUI, USDC>
+     * Parameters without a matching type argument are left generic.
+     */
+    static substituteTypeParameters(typeObj, typeArguments) {
+        if (!typeObj || typeof typeObj !== 'object' || !typeArguments || typeArguments.length === 0) {
+            return typeObj;
+        }
+        const substitute = inner => MoveType.substituteTypeParameters(inner, typeArguments);
+
+        if (typeObj.TypeParameter !== undefined) {
+            const typeArgument = typeArguments[typeObj.TypeParameter];
+            return typeArgument !== undefined ? typeArgument : typeObj;
+        }
+        if (typeObj.Vector !== undefined) {
+            return { Vector: substitute(typeObj.Vector) };
+        }
+        if (typeObj.vector !== undefined) {
+            return { vector: substitute(typeObj.vector) };
+        }
+        if (typeObj.Reference !== undefined) {
+            return { Reference: substitute(typeObj.Reference) };
+        }
+        if (typeObj.MutableReference !== undefined) {
+            return { MutableReference: substitute(typeObj.MutableReference) };
+        }
+        if (typeObj.DatatypeInstantiation) {
+            const [datatype, typeArgs] = typeObj.DatatypeInstantiation;
+            return { DatatypeInstantiation: [datatype, (typeArgs || []).map(substitute)] };
+        }
+        if (typeObj.struct) {
+            return { struct: { ...typeObj.struct, type_args: (typeObj.struct.type_args || []).map(substitute) } };
+        }
+        if (typeObj.address && typeObj.module && typeObj.name) {
+            return { ...typeObj, type_args: (typeObj.type_args || []).map(substitute) };
+        }
+        return typeObj;
+    }
+
+    /**
+     * Whether a move_call_info type structure mentions a type parameter
+     */
+    static hasTypeParameter(typeObj) {
+        if (!typeObj || typeof typeObj !== 'object') {
+            return false;
+        }
+        if (typeObj.TypeParameter !== undefined) {
+            return true;
+        }
+        return Object.values(typeObj).some(value => MoveType.hasTypeParameter(value));
+    }
+
+    /**
+     * Convert a move_call_info type structure to a plain fully qualified string (no HTML)
+     * e.g. {Reference: {Datatype: ["0x2", "clock", "Clock", []]}} -> "&0x2::clock::Clock"
+     */
+    static typeStructureToString(typeObj) {
+        if (!typeObj) return 'unknown';
+
+        // Handle primitive types (string variants) - normalize to lowercase
+        if (typeof typeObj === 'string') {
+            const primitives = {
+                'Bool': 'bool',
+                'U8': 'u8',
+                'U16': 'u16',
+                'U32': 'u32',
+                'U64': 'u64',
+                'U128': 'u128',
+                'U256': 'u256',
+                'Address': 'address'
+            };
+            if (primitives[typeObj]) {
+                return primitives[typeObj];
+            }
+            return typeObj.toLowerCase();
+        }
+
+        // Handle Vector type
+        if (typeObj.Vector) {
+            return `vector<${MoveType.typeStructureToString(typeObj.Vector)}>`;
+        }
+
+        // Handle lowercase TypeTag formats (type_arguments substituted into a signature)
+        if (typeObj.vector !== undefined) {
+            return `vector<${MoveType.typeStructureToString(typeObj.vector)}>`;
+        }
+        const tag = typeObj.struct || (typeObj.address && typeObj.module && typeObj.name ? typeObj : null);
+        if (tag) {
+            const pkg = tag.address.startsWith('0x') ? tag.address : `0x${tag.address}`;
+            const typeArgs = tag.type_args || [];
+            const suffix = typeArgs.length > 0 ? `<${typeArgs.map(arg => MoveType.typeStructureToString(arg)).join(', ')}>` : '';
+            return `${pkg}::${tag.module}::${tag.name}${suffix}`;
+        }
+
+        // Handle Datatype (simple struct without type parameters)
+        if (typeObj.Datatype) {
+            const [address, module, name, _typeParams] = typeObj.Datatype;
+            const pkg = address.startsWith('0x') ? address : `0x${address}`;
+            return `${pkg}::${module}::${name}`;
+        }
+
+        // Handle DatatypeInstantiation (struct with type parameters)
+        if (typeObj.DatatypeInstantiation) {
+            const [[address, module, name, _typeParams], typeArgs] = typeObj.DatatypeInstantiation;
+            const pkg = address.startsWith('0x') ? address : `0x${address}`;
+            let typeString = `${pkg}::${module}::${name}`;
+
+            if (typeArgs && typeArgs.length > 0) {
+                const formattedArgs = typeArgs.map(arg => MoveType.typeStructureToString(arg));
+                typeString += `<${formattedArgs.join(', ')}>`;
+            }
+
+            return typeString;
+        }
+
+        // Handle Reference type
+        if (typeObj.Reference) {
+            return `&${MoveType.typeStructureToString(typeObj.Reference)}`;
+        }
+
+        // Handle MutableReference type
+        if (typeObj.MutableReference) {
+            return `&mut ${MoveType.typeStructureToString(typeObj.MutableReference)}`;
+        }
+
+        // Handle TypeParameter
+        if (typeObj.TypeParameter !== undefined) {
+            return `T${typeObj.TypeParameter}`;
+        }
+
+        // Fallback for unknown types
+        return JSON.stringify(typeObj);
+    }
+
+    /**
+     * Normalize an address to 0x-prefixed lowercase hex without leading zeros (0x2, 0xabc...)
+     * so short and 64-digit forms of the same address compare equal
+     */
+    static normalizeAddress(address) {
+        if (!address) {
+            return null;
+        }
+        const hex = String(address).toLowerCase().replace(/^0x/, '').replace(/^0+/, '');
+        return `0x${hex || '0'}`;
+    }
 }
 
 /**
@@ -308,16 +491,76 @@ class Command {
     toDisplayString() {
         throw new Error('toDisplayString() must be implemented by subclass');
     }
+
+    /**
+     * Get the arguments this command consumes, in order
+     * Returns an array of { role, argument } where argument is the raw reference
+     * (Input, Result, NestedResult or GasCoin) and role names its position (e.g. "coin", "amounts[0]")
+     */
+    getArguments() {
+        return [];
+    }
+
+    /**
+     * Infer the MoveType of a Result or NestedResult argument from the raw commands before it
+     * rawCommands must only hold the commands preceding the consumer, which also stops a
+     * malformed self-reference from recursing
+     */
+    static inferResultType(argument, rawCommands, transaction, inputs) {
+        if (!argument || !rawCommands) return null;
+
+        let cmdIndex = null;
+        let resultIndex = 0;
+        if (argument.Result !== undefined) {
+            cmdIndex = argument.Result;
+        } else if (Array.isArray(argument.NestedResult)) {
+            [cmdIndex, resultIndex] = argument.NestedResult;
+        }
+        if (!Number.isInteger(cmdIndex) || cmdIndex < 0 || cmdIndex >= rawCommands.length) {
+            return null;
+        }
+
+        const previousCmd = rawCommands[cmdIndex];
+        const earlierCommands = rawCommands.slice(0, cmdIndex);
+        if (!previousCmd) return null;
+
+        // Handle MoveCall - generic return types are instantiated with the call's type arguments
+        if (previousCmd.MoveCall) {
+            const returnTypes = previousCmd._signature && previousCmd._signature.return_types;
+            if (returnTypes && resultIndex < returnTypes.length) {
+                const returnType = MoveType.substituteTypeParameters(returnTypes[resultIndex], previousCmd.MoveCall.type_arguments);
+                return MoveType.fromTypeStructure(returnType, transaction);
+            }
+        }
+        // Handle SplitCoins - returns array of Coin<T>
+        else if (previousCmd.SplitCoins) {
+            const parsedCmd = SplitCoinsCommand.fromRawCommand(previousCmd, transaction, inputs, earlierCommands);
+            return parsedCmd.coinType;
+        }
+        // Handle MergeCoins - returns void, but shouldn't be referenced
+        // Handle MakeMoveVec - returns vector<T>
+        else if (previousCmd.MakeMoveVec) {
+            const parsedCmd = MakeMoveVecCommand.fromRawCommand(previousCmd, transaction, inputs, earlierCommands);
+            if (parsedCmd.elementType) {
+                // Return the element type wrapped in a vector
+                return new MoveType(null, 'vector', 'vector', [parsedCmd.elementType], true);
+            }
+        }
+
+        return null;
+    }
 }
 
 /**
  * MoveCallCommand - Represents a MoveCall command
  */
 class MoveCallCommand extends Command {
-    constructor(moveFunction, signature = null) {
+    constructor(moveFunction, signature = null, args = [], typeArguments = []) {
         super(moveFunction.typeArgs);
         this.function = moveFunction; // MoveFunction instance
         this.signature = signature; // Optional signature from move_call_info
+        this.arguments = args; // Array of argument references
+        this.typeArguments = typeArguments; // Raw type_arguments, used to instantiate the signature
     }
 
     getTypeName() {
@@ -328,6 +571,26 @@ class MoveCallCommand extends Command {
         return this.function.toDisplayString();
     }
 
+    getArguments() {
+        return this.arguments.map((argument, i) => ({ role: `arg${i}`, argument }));
+    }
+
+    /**
+     * The signature with the call's type arguments substituted for its type parameters
+     * Returns { parameters, return_types } or null without a signature
+     */
+    getInstantiatedSignature() {
+        if (!this.signature) {
+            return null;
+        }
+        const instantiate = typeObj => MoveType.substituteTypeParameters(typeObj, this.typeArguments);
+        return {
+            ...this.signature,
+            parameters: (this.signature.parameters || []).map(instantiate),
+            return_types: (this.signature.return_types || []).map(instantiate)
+        };
+    }
+
     /**
      * Parse from raw command structure
      */
@@ -343,7 +606,7 @@ class MoveCallCommand extends Command {
         );
 
         const moveFunction = new MoveFunction(packageAddr, module, name, typeArgs);
-        return new MoveCallCommand(moveFunction, rawCmd._signature);
+        return new MoveCallCommand(moveFunction, rawCmd._signature, mc.arguments || [], mc.type_arguments || []);
     }
 }
 
@@ -365,6 +628,14 @@ class TransferObjectsCommand extends Command {
         return 'TransferObjects';
     }
 
+    getArguments() {
+        const args = (this.objects || []).map((argument, i) => ({ role: `objects[${i}]`, argument }));
+        if (this.address) {
+            args.push({ role: 'recipient', argument: this.address });
+        }
+        return args;
+    }
+
     static fromRawCommand(rawCmd) {
         const [objects, address] = rawCmd.TransferObjects;
         return new TransferObjectsCommand(objects, address);
@@ -393,7 +664,13 @@ class SplitCoinsCommand extends Command {
         return 'SplitCoins<T>';
     }
 
-    static fromRawCommand(rawCmd, transaction, inputs) {
+    getArguments() {
+        const args = [{ role: 'coin', argument: this.coin }];
+        (this.amounts || []).forEach((argument, i) => args.push({ role: `amounts[${i}]`, argument }));
+        return args;
+    }
+
+    static fromRawCommand(rawCmd, transaction, inputs, rawCommands = null) {
         const [coin, amounts] = rawCmd.SplitCoins;
 
         let coinType = null;
@@ -418,6 +695,8 @@ class SplitCoinsCommand extends Command {
             // GasCoin is always Coin<SUI>
             const suiType = new MoveType('0000000000000000000000000000000000000000000000000000000000000002', 'sui', 'SUI', [], false);
             coinType = new MoveType('0000000000000000000000000000000000000000000000000000000000000002', 'coin', 'Coin', [suiType], false);
+        } else if (coin.Result !== undefined || coin.NestedResult !== undefined) {
+            coinType = Command.inferResultType(coin, rawCommands, transaction, inputs);
         }
 
         return new SplitCoinsCommand(coin, amounts, coinType);
@@ -446,7 +725,13 @@ class MergeCoinsCommand extends Command {
         return 'MergeCoins<T>';
     }
 
-    static fromRawCommand(rawCmd, transaction, inputs) {
+    getArguments() {
+        const args = [{ role: 'target', argument: this.target }];
+        (this.sources || []).forEach((argument, i) => args.push({ role: `sources[${i}]`, argument }));
+        return args;
+    }
+
+    static fromRawCommand(rawCmd, transaction, inputs, rawCommands = null) {
         const [target, sources] = rawCmd.MergeCoins;
 
         let coinType = null;
@@ -471,6 +756,8 @@ class MergeCoinsCommand extends Command {
             // GasCoin is always Coin<SUI>
             const suiType = new MoveType('0000000000000000000000000000000000000000000000000000000000000002', 'sui', 'SUI', [], false);
             coinType = new MoveType('0000000000000000000000000000000000000000000000000000000000000002', 'coin', 'Coin', [suiType], false);
+        } else if (target.Result !== undefined || target.NestedResult !== undefined) {
+            coinType = Command.inferResultType(target, rawCommands, transaction, inputs);
         }
 
         return new MergeCoinsCommand(target, sources, coinType);
@@ -498,6 +785,10 @@ class MakeMoveVecCommand extends Command {
         return 'MakeMoveVec<T>';
     }
 
+    getArguments() {
+        return (this.elements || []).map((argument, i) => ({ role: `elements[${i}]`, argument }));
+    }
+
     static fromRawCommand(rawCmd, transaction, inputs, rawCommands) {
         const [typeArg, elements] = rawCmd.MakeMoveVec;
 
@@ -506,55 +797,11 @@ class MakeMoveVecCommand extends Command {
             elementType = MoveType.fromTypeStructure(typeArg, transaction);
         } else if (elements && elements.length > 0) {
             // Type not specified - infer from first element
-            const firstElem = elements[0];
-
-            // Handle Result reference
-            if (firstElem.Result !== undefined && rawCommands) {
-                const cmdIndex = firstElem.Result;
-                elementType = MakeMoveVecCommand._inferTypeFromCommand(rawCommands[cmdIndex], 0, transaction, inputs);
-            }
-            // Handle NestedResult reference
-            else if (firstElem.NestedResult !== undefined && rawCommands) {
-                const [cmdIndex, resultIndex] = firstElem.NestedResult;
-                elementType = MakeMoveVecCommand._inferTypeFromCommand(rawCommands[cmdIndex], resultIndex, transaction, inputs);
-            }
+            elementType = Command.inferResultType(elements[0], rawCommands, transaction, inputs);
         }
 
         return new MakeMoveVecCommand(elements, elementType);
     }
-
-    /**
-     * Helper to infer type from a command's return value
-     */
-    static _inferTypeFromCommand(previousCmd, resultIndex, transaction, inputs) {
-        if (!previousCmd) return null;
-
-        // Handle MoveCall
-        if (previousCmd.MoveCall) {
-            if (previousCmd._signature && previousCmd._signature.return_types) {
-                const returnTypes = previousCmd._signature.return_types;
-                if (resultIndex < returnTypes.length) {
-                    return MoveType.fromTypeStructure(returnTypes[resultIndex], transaction);
-                }
-            }
-        }
-        // Handle SplitCoins - returns array of Coin<T>
-        else if (previousCmd.SplitCoins) {
-            const parsedCmd = SplitCoinsCommand.fromRawCommand(previousCmd, transaction, inputs);
-            return parsedCmd.coinType;
-        }
-        // Handle MergeCoins - returns void, but shouldn't be referenced
-        // Handle MakeMoveVec - returns vector<T>
-        else if (previousCmd.MakeMoveVec) {
-            const parsedCmd = MakeMoveVecCommand.fromRawCommand(previousCmd, transaction, inputs, null);
-            if (parsedCmd.elementType) {
-                // Return the element type wrapped in a vector
-                return new MoveType(null, 'vector', 'vector', [parsedCmd.elementType], true);
-            }
-        }
-
-        return null;
-    }
 }
 
 /**
@@ -575,6 +822,34 @@ class PublishCommand extends Command {
         return 'Publish';
     }
 
+    /**
+     * Deserialize the published modules (see move-binary.js)
+     * Returns [{ index, size, module, error }] where module is a CompiledMoveModule, or null
+     * with error set when the bytes could not be read
+     */
+    getCompiledModules() {
+        if (!this._compiledModules) {
+            this._compiledModules = PublishCommand.compileModules(this.modules);
+        }
+        return this._compiledModules;
+    }
+
+    static compileModules(modules) {
+        const binary = typeof CompiledMoveModule !== 'undefined' ? CompiledMoveModule
+            : (typeof require === 'function' ? require('./move-binary.js').CompiledMoveModule : null);
+        return (modules || []).map((bytes, index) => {
+            const size = Array.isArray(bytes) ? bytes.length : 0;
+            if (!binary) {
+                return { index, size, module: null, error: 'move-binary.js is not loaded' };
+            }
+            try {
+                return { index, size, module: binary.fromBytes(bytes), error: null };
+            } catch (error) {
+                return { index, size, module: null, error: error.message };
+            }
+        });
+    }
+
     static fromRawCommand(rawCmd) {
         const [modules, deps] = rawCmd.Publish;
         return new PublishCommand(modules, deps);
@@ -601,584 +876,3378 @@ class UpgradeCommand extends Command {
         return 'Upgrade';
     }
 
+    getArguments() {
+        return this.ticket ? [{ role: 'ticket', argument: this.ticket }] : [];
+    }
+
+    getCompiledModules() {
+        if (!this._compiledModules) {
+            this._compiledModules = PublishCommand.compileModules(this.modules);
+        }
+        return this._compiledModules;
+    }
+
     static fromRawCommand(rawCmd) {
         const [modules, deps, packageId, ticket] = rawCmd.Upgrade;
         return new UpgradeCommand(modules, deps, packageId, ticket);
     }
 }
 
-class Transaction {
-    constructor() {
-        // Top-level transaction fields
-        this.digest = null;
-        this.sender = null;
-        this.epoch = null;
-        this.checkpoint = null;
-        this.protocol_version = null;
-        this.network = null;
-        this.status = null;
-        this.expiration = null;
-
-        // Transaction data fields
-        this.kind = null; // Will store the full transaction kind (e.g., ProgrammableTransaction)
-
-        // Unified gas information (combines gas_data and gas_charges)
-        this.gas_data = {
-            // From transaction_data.json (gas_data)
-            payment: null,      // Array of payment objects [object_id, version, digest]
-            owner: null,        // Gas owner address
-            price: null,        // Gas price
-            budget: null,       // Gas budget
-
-            // From transaction_gas_report.json
-            computation_cost: null,
-            storage_cost: null,
-            non_refundable_fee: null,
-            storage_rebate: null,
-            gas_used: null,
-            reference_gas_price: null,
-            storage_gas_price: null,
-            rebate_rate: null,
+/**
+ * TransactionKind - Base class for the transaction kind stored in transaction_data.json (V1.kind)
+ *
+ * Programmable transactions are analyzed through the Command hierarchy; the system
+ * kinds (checkpoint-boundary transactions) only carry fields, which getFields()
+ * and getTables() expose for display.
+ */
+class TransactionKind {
+    constructor(name, raw = null) {
+        this.name = name; // Variant name, e.g. "ChangeEpoch", "ConsensusCommitPrologueV3"
+        this.raw = raw;   // Variant payload as found in the JSON
+    }
 
-            // Derived fields
-            coins: [],          // Array of object_id strings (extracted from payment)
-            per_object_breakup: [] // Array of { object_id, size, storage_cost, non_refundable_fee, storage_rebate }
-        };
+    getTypeName() {
+        return this.name;
+    }
 
-        // Dependencies
-        this.deps = [];
+    isProgrammable() {
+        return false;
+    }
 
-        // Changed objects - just IDs, details are in _objects
-        this.changed_objects = []; // Array of object_id strings
+    /**
+     * Get the scalar fields of this kind, in display order
+     * Returns an array of { name, label, value, type } where type is one of
+     * "number", "timestamp", "object", "digest", "bytes" or "text"
+     */
+    getFields() {
+        return [];
+    }
 
-        // Objects involved in the transaction - THE SOURCE OF TRUTH
-        this._objects = []; // Internal storage: { object_id, version, status, source, type, object_type }
+    /**
+     * Get list-valued fields as tables
+     * Returns an array of { title, columns: [label], rows: [[{ value, type }]] }
+     */
+    getTables() {
+        return [];
+    }
 
-        // Raw JSON data (for debugging and transition period)
-        this._rawData = {
-            transaction_data: null,
-            transaction_effects: null,
-            transaction_gas_report: null,
-            replay_cache_summary: null,
-            move_call_info: null
-        };
+    static field(raw, name, label, type = 'number') {
+        return { name, label, value: raw && raw[name] !== undefined ? raw[name] : null, type };
     }
 
     /**
-     * Load replay_cache_summary.json and extract relevant fields
+     * Parse V1.kind into the matching TransactionKind subclass
      */
-    loadReplayCacheSummary(json) {
-        this._rawData.replay_cache_summary = json;
+    static fromRaw(rawKind) {
+        if (rawKind === null || rawKind === undefined) {
+            return null;
+        }
 
-        // Extract top-level fields
-        this.epoch = json.epoch_id || null;
-        this.checkpoint = json.checkpoint || null;
-        this.protocol_version = json.protocol_version || null;
-        this.network = json.network || null;
+        // Payload-less variants serialize as a bare string
+        if (typeof rawKind === 'string') {
+            return new UnknownTransactionKind(rawKind, null);
+        }
 
-        // Process cache_entries and rename to objects
-        if (json.cache_entries && Array.isArray(json.cache_entries)) {
-            json.cache_entries.forEach(entry => {
-                const obj = {
-                    object_id: entry.object_id,
-                    version: entry.version,
-                    status: null, // Will be populated from transaction_effects
-                    source: null, // Will be populated when we load transaction_data
-                    type: null, // Will be populated based on object_type
-                    object_type: entry.object_type // Keep the full object_type structure
-                };
+        const name = Object.keys(rawKind)[0] || 'Unknown';
+        const value = rawKind[name];
 
-                this._objects.push(obj);
-            });
+        if (name === 'ProgrammableTransaction' || name === 'ProgrammableSystemTransaction') {
+            return new ProgrammableTransactionKind(name, value);
+        }
+        if (name.startsWith('ConsensusCommitPrologue')) {
+            return new ConsensusCommitPrologueKind(name, value);
+        }
+
+        switch (name) {
+            case 'ChangeEpoch':
+                return new ChangeEpochKind(name, value);
+            case 'EndOfEpochTransaction':
+                return new EndOfEpochTransactionKind(name, value);
+            case 'AuthenticatorStateUpdate':
+                return new AuthenticatorStateUpdateKind(name, value);
+            case 'RandomnessStateUpdate':
+                return new RandomnessStateUpdateKind(name, value);
+            case 'Genesis':
+                return new GenesisKind(name, value);
+            default:
+                return new UnknownTransactionKind(name, value);
         }
     }
+}
 
-    /**
-     * API: Get all objects (both packages and move objects)
-     */
-    get allObjects() {
-        return this._objects;
+/**
+ * ProgrammableTransactionKind - A PTB (also used for ProgrammableSystemTransaction)
+ */
+class ProgrammableTransactionKind extends TransactionKind {
+    isProgrammable() {
+        return true;
     }
 
-    /**
-     * API: Get only packages
+    getFields() {
+        return [
+            { name: 'inputs', label: 'Inputs', value: (this.raw?.inputs || []).length, type: 'number' },
+            { name: 'commands', label: 'Commands', value: (this.raw?.commands || []).length, type: 'number' }
+        ];
+    }
+}
+
+/**
+ * ConsensusCommitPrologueKind - ConsensusCommitPrologue and its V2/V3/V4 revisions
+ * Later versions add the commit digest, sub-DAG index, cancelled-transaction version
+ * assignments (V3) and an additional state digest (V4).
+ */
+class ConsensusCommitPrologueKind extends TransactionKind {
+    getVersion() {
+        const match = this.name.match(/V(\d+)$/);
+        return match ? parseInt(match[1], 10) : 1;
+    }
+
+    getFields() {
+        const fields = [
+            TransactionKind.field(this.raw, 'epoch', 'Epoch'),
+            TransactionKind.field(this.raw, 'round', 'Consensus Round'),
+            TransactionKind.field(this.raw, 'commit_timestamp_ms', 'Commit Timestamp', 'timestamp')
+        ];
+        if (this.raw && this.raw.sub_dag_index !== undefined) {
+            fields.push(TransactionKind.field(this.raw, 'sub_dag_index', 'Sub-DAG Index'));
+        }
+        if (this.raw && this.raw.consensus_commit_digest !== undefined) {
+            fields.push(TransactionKind.field(this.raw, 'consensus_commit_digest', 'Commit Digest', 'digest'));
+        }
+        if (this.raw && this.raw.additional_state_digest !== undefined) {
+            fields.push(TransactionKind.field(this.raw, 'additional_state_digest', 'Additional State Digest', 'digest'));
+        }
+        return fields;
+    }
+
+    /**
+     * Get the versions consensus assigned to shared objects of cancelled transactions
+     * Returns an array of { transaction, object_id, version }
+     */
+    getCancelledTransactions() {
+        const assignments = this.raw?.consensus_determined_version_assignments;
+        if (!assignments || typeof assignments !== 'object') {
+            return [];
+        }
+
+        // CancelledTransactions: [digest, [[id, version]]]
+        // CancelledTransactionsV2: [digest, [[[id, start_version], version]]]
+        const variant = Object.keys(assignments)[0];
+        const entries = assignments[variant] || [];
+        const rows = [];
+        entries.forEach(([transaction, objects]) => {
+            (objects || []).forEach(assignment => {
+                const [object, version] = assignment;
+                const objectId = Array.isArray(object) ? object[0] : object;
+                rows.push({ transaction, object_id: objectId, version });
+            });
+        });
+        return rows;
+    }
+
+    getTables() {
+        const cancelled = this.getCancelledTransactions();
+        if (cancelled.length === 0) {
+            return [];
+        }
+        return [{
+            title: 'Cancelled Transactions',
+            columns: ['Transaction', 'Shared Object', 'Assigned Version'],
+            rows: cancelled.map(row => [
+                { value: row.transaction, type: 'transaction' },
+                { value: row.object_id, type: 'object' },
+                { value: row.version, type: 'number' }
+            ])
+        }];
+    }
+}
+
+/**
+ * ChangeEpochKind - Epoch change parameters (standalone or inside EndOfEpochTransaction)
+ */
+class ChangeEpochKind extends TransactionKind {
+    getFields() {
+        return [
+            TransactionKind.field(this.raw, 'epoch', 'Next Epoch'),
+            TransactionKind.field(this.raw, 'protocol_version', 'Protocol Version'),
+            TransactionKind.field(this.raw, 'epoch_start_timestamp_ms', 'Epoch Start', 'timestamp'),
+            TransactionKind.field(this.raw, 'computation_charge', 'Computation Charge'),
+            TransactionKind.field(this.raw, 'storage_charge', 'Storage Charge'),
+            TransactionKind.field(this.raw, 'storage_rebate', 'Storage Rebate'),
+            TransactionKind.field(this.raw, 'non_refundable_storage_fee', 'Non-Refundable Storage Fee')
+        ];
+    }
+
+    getTables() {
+        // system_packages: [[version, [module bytes], [dependency ids]]]
+        const packages = this.raw?.system_packages || [];
+        if (packages.length === 0) {
+            return [];
+        }
+        return [{
+            title: 'System Packages',
+            columns: ['Version', 'Modules', 'Dependencies'],
+            rows: packages.map(([version, modules, deps]) => [
+                { value: version, type: 'number' },
+                { value: `${(modules || []).length} modules, ${(modules || []).reduce((sum, m) => sum + m.length, 0)} bytes`, type: 'text' },
+                { value: deps || [], type: 'objects' }
+            ])
+        }];
+    }
+}
+
+/**
+ * EndOfEpochTransactionKind - A list of end-of-epoch operations, usually ending with ChangeEpoch
+ */
+class EndOfEpochTransactionKind extends TransactionKind {
+    /**
+     * Get the operations as TransactionKind instances (ChangeEpoch becomes a ChangeEpochKind)
+     */
+    getOperations() {
+        return (this.raw || []).map(operation => TransactionKind.fromRaw(operation));
+    }
+
+    getFields() {
+        return [{ name: 'operations', label: 'Operations', value: (this.raw || []).length, type: 'number' }];
+    }
+}
+
+/**
+ * AuthenticatorStateUpdateKind - New active JWKs for zkLogin
+ */
+class AuthenticatorStateUpdateKind extends TransactionKind {
+    getFields() {
+        return [
+            TransactionKind.field(this.raw, 'epoch', 'Epoch'),
+            TransactionKind.field(this.raw, 'round', 'Consensus Round'),
+            TransactionKind.field(this.raw, 'authenticator_obj_initial_shared_version', 'Authenticator Object Initial Version')
+        ];
+    }
+
+    getTables() {
+        const jwks = this.raw?.new_active_jwks || [];
+        return [{
+            title: `New Active JWKs (${jwks.length})`,
+            columns: ['Issuer', 'Key ID', 'Algorithm', 'Epoch'],
+            rows: jwks.map(entry => [
+                { value: entry.jwk_id?.iss ?? null, type: 'text' },
+                { value: entry.jwk_id?.kid ?? null, type: 'text' },
+                { value: entry.jwk?.alg ?? null, type: 'text' },
+                { value: entry.epoch ?? null, type: 'number' }
+            ])
+        }];
+    }
+}
+
+/**
+ * RandomnessStateUpdateKind - Randomness beacon output for a round
+ */
+class RandomnessStateUpdateKind extends TransactionKind {
+    getFields() {
+        return [
+            TransactionKind.field(this.raw, 'epoch', 'Epoch'),
+            TransactionKind.field(this.raw, 'randomness_round', 'Randomness Round'),
+            TransactionKind.field(this.raw, 'random_bytes', 'Random Bytes', 'bytes'),
+            TransactionKind.field(this.raw, 'randomness_obj_initial_shared_version', 'Randomness Object Initial Version')
+        ];
+    }
+}
+
+/**
+ * GenesisKind - The genesis transaction and the objects it writes
+ */
+class GenesisKind extends TransactionKind {
+    getFields() {
+        return [{ name: 'objects', label: 'Objects', value: (this.raw?.objects || []).length, type: 'number' }];
+    }
+
+    getTables() {
+        // objects: [{ RawObject: { data: { Move: {...} } | { Package: {...} }, owner } }]
+        const objects = this.raw?.objects || [];
+        if (objects.length === 0) {
+            return [];
+        }
+        return [{
+            title: 'Genesis Objects',
+            columns: ['Object', 'Kind', 'Owner'],
+            rows: objects.map(object => {
+                const rawObject = object.RawObject || object;
+                const data = rawObject.data || {};
+                const dataKind = Object.keys(data)[0] || 'Unknown';
+                let id = data.Package?.id ?? null;
+                let description = dataKind;
+                if (data.Move) {
+                    // A Move object's contents start with its 32-byte UID
+                    const contents = data.Move.contents || [];
+                    id = contents.length >= 32 ? '0x' + contents.slice(0, 32).map(b => b.toString(16).padStart(2, '0')).join('') : null;
+                    const objectType = data.Move.type_;
+                    if (objectType) {
+                        description = `Move (${typeof objectType === 'string' ? objectType : Object.keys(objectType)[0]})`;
+                    }
+                }
+                const owner = rawObject.owner;
+                return [
+                    { value: id ?? '-', type: id ? 'object' : 'text' },
+                    { value: description, type: 'text' },
+                    { value: typeof owner === 'string' ? owner : JSON.stringify(owner), type: 'text' }
+                ];
+            })
+        }];
+    }
+}
+
+/**
+ * UnknownTransactionKind - A kind this viewer has no model for; fields are shown as raw JSON
+ */
+class UnknownTransactionKind extends TransactionKind {
+    getFields() {
+        if (this.raw === null || this.raw === undefined) {
+            return [];
+        }
+        return [{ name: 'raw', label: 'Payload', value: JSON.stringify(this.raw), type: 'text' }];
+    }
+}
+
+/**
+ * Abort codes of well-known 0x1 (Move stdlib) and 0x2 (Sui framework) modules,
+ * keyed by "<short address>::<module>" and then by code
+ */
+const FRAMEWORK_ABORT_CODES = {
+    '0x1::vector': { 131072: 'EINDEX_OUT_OF_BOUNDS' },
+    '0x1::option': { 262144: 'EOPTION_IS_SET', 262145: 'EOPTION_NOT_SET' },
+    '0x1::string': { 1: 'EInvalidUTF8', 2: 'EInvalidIndex' },
+    '0x1::ascii': { 65536: 'EInvalidASCIICharacter', 65537: 'EInvalidIndex' },
+    '0x2::address': { 0: 'EAddressParseError' },
+    '0x2::bag': { 0: 'EBagNotEmpty' },
+    '0x2::balance': { 0: 'ENonZero', 1: 'EOverflow', 2: 'ENotEnough', 3: 'ENotSystemAddress', 4: 'ENotSUI' },
+    '0x2::bcs': { 0: 'EOutOfRange', 1: 'ENotBool', 2: 'ELenOutOfRange' },
+    '0x2::clock': { 0: 'ENotSystemAddress' },
+    '0x2::coin': { 0: 'EBadWitness', 1: 'EInvalidArg', 2: 'ENotEnough' },
+    '0x2::dynamic_field': { 0: 'EFieldAlreadyExists', 1: 'EFieldDoesNotExist', 2: 'EFieldTypeMismatch', 3: 'EBCSSerializationFailure', 4: 'ESharedObjectOperationNotSupported' },
+    '0x2::hex': { 0: 'EInvalidHexLength', 1: 'ENotValidHexCharacter' },
+    '0x2::linked_table': { 0: 'ETableNotEmpty', 1: 'ETableIsEmpty' },
+    '0x2::object': { 0: 'ENotSystemAddress' },
+    '0x2::object_bag': { 0: 'EBagNotEmpty' },
+    '0x2::object_table': { 0: 'ETableNotEmpty' },
+    '0x2::pay': { 0: 'ENoCoins' },
+    '0x2::sui': { 0: 'EAlreadyMinted', 1: 'ENotSystemAddress' },
+    '0x2::table': { 0: 'ETableNotEmpty' },
+    '0x2::table_vec': { 0: 'EIndexOutOfBound', 1: 'ETableNonEmpty' },
+    '0x2::transfer': { 0: 'ESharedNonNewObject', 1: 'EBCSSerializationFailure', 2: 'EReceivingObjectTypeMismatch', 3: 'EUnableToReceiveObject', 4: 'ESharedObjectOperationNotSupported' },
+    '0x2::vec_map': { 0: 'EKeyAlreadyExists', 1: 'EKeyDoesNotExist', 2: 'ECannotDestroyNonEmpty', 3: 'EIndexOutOfBounds', 4: 'EMapEmpty', 5: 'EUnequalLengths' },
+    '0x2::vec_set': { 0: 'EKeyAlreadyExists', 1: 'EKeyDoesNotExist' }
+};
+
+// dynamic_object_field aborts with the dynamic_field codes
+FRAMEWORK_ABORT_CODES['0x2::dynamic_object_field'] = FRAMEWORK_ABORT_CODES['0x2::dynamic_field'];
+
+/**
+ * ExecutionFailure - A parsed ExecutionFailureStatus from transaction_effects.json
+ *
+ * Unit variants arrive as a plain string ("InsufficientGas"), the others as a
+ * single-key object ({ "MoveAbort": [location, code] },
+ * { "CommandArgumentError": { arg_idx, kind } }, ...)
+ */
+class ExecutionFailure {
+    constructor(kind, command = null, raw = null) {
+        this.kind = kind;             // Variant name, e.g. "MoveAbort"
+        this.command = command;       // Index of the failing PTB command, if reported
+        this.raw = raw;               // Original error value
+        this.location = null;         // { address, module, function, function_name, instruction }
+        this.abortCode = null;        // Decimal string; exact for u64 codes only if the file was read with Transaction.parseJson
+        this.abortName = null;        // Constant name from FRAMEWORK_ABORT_CODES
+        this.argumentIndex = null;    // Argument position for CommandArgumentError / TypeArgumentError
+        this.subKind = null;          // Nested error kind, e.g. "TypeMismatch", "IndexOutOfBounds"
+        this.details = null;          // Fields of the nested kind, e.g. { idx: 3 }
+    }
+
+    static fromStatus(error, command = null) {
+        if (error === null || error === undefined) {
+            return null;
+        }
+
+        if (typeof error === 'string') {
+            return new ExecutionFailure(error, command, error);
+        }
+
+        const kind = Object.keys(error)[0] || 'Unknown';
+        const value = error[kind];
+        const failure = new ExecutionFailure(kind, command, error);
+
+        switch (kind) {
+            case 'MoveAbort': {
+                const [location, code] = Array.isArray(value) ? value : [null, null];
+                failure.location = ExecutionFailure._parseLocation(location);
+                failure.abortCode = code !== null && code !== undefined ? String(code) : null;
+                failure.abortName = ExecutionFailure.lookupAbortName(failure.location, failure.abortCode);
+                break;
+            }
+            case 'MovePrimitiveRuntimeError':
+                failure.location = ExecutionFailure._parseLocation(value);
+                break;
+            case 'CommandArgumentError':
+                failure.argumentIndex = value?.arg_idx ?? null;
+                ExecutionFailure._parseSubKind(failure, value?.kind);
+                break;
+            case 'TypeArgumentError':
+                failure.argumentIndex = value?.argument_idx ?? null;
+                ExecutionFailure._parseSubKind(failure, value?.kind);
+                break;
+            default:
+                // Struct variants such as MoveObjectTooBig or UnusedValueWithoutDrop carry plain fields
+                if (value && typeof value === 'object') {
+                    failure.details = value;
+                }
+        }
+
+        return failure;
+    }
+
+    static _parseLocation(location) {
+        if (!location || !location.module) {
+            return null;
+        }
+        return {
+            address: MoveType.normalizeAddress(location.module.address),
+            module: location.module.name,
+            function: location.function ?? null,
+            function_name: location.function_name ?? null,
+            instruction: location.instruction ?? null
+        };
+    }
+
+    static _parseSubKind(failure, kind) {
+        if (typeof kind === 'string') {
+            failure.subKind = kind;
+        } else if (kind && typeof kind === 'object') {
+            failure.subKind = Object.keys(kind)[0] || null;
+            failure.details = failure.subKind ? kind[failure.subKind] : null;
+        }
+    }
+
+    /**
+     * Look up the constant name of an abort code raised by a 0x1/0x2 module
+     */
+    static lookupAbortName(location, abortCode) {
+        if (!location || abortCode === null) {
+            return null;
+        }
+        const codes = FRAMEWORK_ABORT_CODES[`${location.address}::${location.module}`];
+        return codes && codes[abortCode] ? codes[abortCode] : null;
+    }
+
+    /**
+     * Decode a Move 2024 "clever error" abort code
+     * Layout: tag bit (63) | reserved (48-62) | line (32-47) | identifier index (16-31) | constant index (0-15)
+     * Returns { line, identifier_index, constant_index } or null for a plain abort code
+     */
+    static decodeCleverAbortCode(abortCode) {
+        if (abortCode === null || !/^\d+$/.test(abortCode) || typeof BigInt === 'undefined') {
+            return null;
+        }
+        const code = BigInt(abortCode);
+        if ((code >> 63n) !== 1n) {
+            return null;
+        }
+        return {
+            line: Number((code >> 32n) & 0xffffn),
+            identifier_index: Number((code >> 16n) & 0xffffn),
+            constant_index: Number(code & 0xffffn)
+        };
+    }
+
+    /**
+     * Get "0x2::balance::split" style location, falling back to the function index
+     */
+    getLocationString() {
+        if (!this.location) {
+            return null;
+        }
+        const fn = this.location.function_name || (this.location.function !== null ? `<function #${this.location.function}>` : null);
+        const module = `${this.location.address}::${this.location.module}`;
+        return fn ? `${module}::${fn}` : module;
+    }
+
+    /**
+     * Get a one-line human readable explanation of the failure
+     */
+    getDescription() {
+        const commandText = this.command !== null ? ` in command ${this.command}` : '';
+
+        switch (this.kind) {
+            case 'MoveAbort': {
+                const clever = ExecutionFailure.decodeCleverAbortCode(this.abortCode);
+                let code = this.abortName ? `${this.abortName} (${this.abortCode})` : `code ${this.abortCode}`;
+                if (clever) {
+                    code = `code ${this.abortCode} (clever error at line ${clever.line})`;
+                }
+                return `Move abort ${code} in ${this.getLocationString() || 'unknown location'}${commandText}`;
+            }
+            case 'MovePrimitiveRuntimeError':
+                return `Move runtime error (arithmetic, cast or similar) in ${this.getLocationString() || 'unknown location'}${commandText}`;
+            case 'CommandArgumentError':
+                return `Argument ${this.argumentIndex} is invalid${commandText}: ${this._subKindText()}`;
+            case 'TypeArgumentError':
+                return `Type argument ${this.argumentIndex} is invalid${commandText}: ${this._subKindText()}`;
+            case 'InsufficientGas':
+                return 'Gas budget exhausted before execution finished';
+            case 'InsufficientCoinBalance':
+                return `Coin balance too low for the requested split or withdrawal${commandText}`;
+            case 'ArityMismatch':
+                return `Wrong number of arguments or return values${commandText}`;
+            default:
+                return `${this.kind}${commandText}`;
+        }
+    }
+
+    _subKindText() {
+        if (!this.subKind) {
+            return 'unknown reason';
+        }
+        if (this.details && typeof this.details === 'object') {
+            const fields = Object.entries(this.details).map(([key, value]) => `${key}: ${value}`).join(', ');
+            return `${this.subKind} (${fields})`;
+        }
+        return this.subKind;
+    }
+}
+
+/**
+ * Owner - Object ownership as recorded in transaction effects
+ */
+class Owner {
+    constructor(kind, address = null, version = null) {
+        this.kind = kind;       // AddressOwner, ObjectOwner, Shared, Immutable or ConsensusAddressOwner
+        this.address = address; // Owning address (or parent object ID for ObjectOwner)
+        this.version = version; // initial_shared_version (Shared) or start_version (ConsensusAddressOwner)
+    }
+
+    /**
+     * Parse an owner value: "Immutable", { AddressOwner: addr }, { ObjectOwner: id },
+     * { Shared: { initial_shared_version } } or { ConsensusAddressOwner: { start_version, owner } }
+     */
+    static fromRaw(raw) {
+        if (raw === null || raw === undefined) {
+            return null;
+        }
+        if (typeof raw === 'string') {
+            return new Owner(raw);
+        }
+
+        const kind = Object.keys(raw)[0];
+        const value = raw[kind];
+        switch (kind) {
+            case 'AddressOwner':
+            case 'ObjectOwner':
+                return new Owner(kind, value);
+            case 'Shared':
+                return new Owner(kind, null, value?.initial_shared_version ?? null);
+            case 'ConsensusAddressOwner':
+                return new Owner(kind, value?.owner ?? null, value?.start_version ?? null);
+            default:
+                return new Owner(kind || 'Unknown');
+        }
+    }
+
+    isAddressOwned() {
+        return this.kind === 'AddressOwner' || this.kind === 'ConsensusAddressOwner';
+    }
+
+    equals(other) {
+        return !!other && this.kind === other.kind && this.address === other.address && String(this.version) === String(other.version);
+    }
+
+    /**
+     * Get "AddressOwner 0xab5e…ec7c" / "Shared" / "Immutable" style text
+     */
+    toDisplayString(shortAddress = true) {
+        if (!this.address) {
+            return this.kind;
+        }
+        const address = shortAddress && this.address.length > 14 ? `${this.address.slice(0, 6)}…${this.address.slice(-4)}` : this.address;
+        return `${this.kind} ${address}`;
+    }
+}
+
+/**
+ * ObjectChange - Before/after state of one changed object from transaction effects
+ */
+class ObjectChange {
+    constructor(objectId) {
+        this.object_id = objectId;
+        this.id_operation = null;   // Created, Deleted or None (V2 id_operation)
+        this.version_before = null;
+        this.version_after = null;  // The transaction's lamport version for written objects
+        this.digest_before = null;
+        this.digest_after = null;
+        this.owner_before = null;   // Owner or null (not existing, or not recorded - see isPreviousOwnerKnown())
+        this.owner_before_recorded = true; // false for V1 effects
+        this.owner_after = null;    // Owner or null (not written)
+        this.output_kind = null;    // ObjectWrite, PackageWrite or NotExist
+        this.change_class = null;   // Created, Unwrapped, Mutated, Deleted, Wrapped, UnwrappedThenDeleted or PackageWrite
+    }
+
+    /**
+     * Build from a V2 changed_objects entry: [object_id, { input_state, output_state, id_operation }]
+     */
+    static fromV2(objectId, changeInfo, lamportVersion = null) {
+        const change = new ObjectChange(objectId);
+        change.id_operation = changeInfo.id_operation || null;
+
+        // input_state: "NotExist" | { Exist: [[version, digest], owner] }
+        const exist = changeInfo.input_state?.Exist;
+        if (exist) {
+            [change.version_before, change.digest_before] = exist[0] || [];
+            change.owner_before = Owner.fromRaw(exist[1]);
+        }
+
+        // output_state: "NotExist" | { ObjectWrite: [digest, owner] } | { PackageWrite: [version, digest] }
+        const output = changeInfo.output_state;
+        if (typeof output === 'string') {
+            change.output_kind = output;
+        } else if (output && output.ObjectWrite) {
+            change.output_kind = 'ObjectWrite';
+            change.digest_after = output.ObjectWrite[0];
+            change.owner_after = Owner.fromRaw(output.ObjectWrite[1]);
+            change.version_after = lamportVersion;
+        } else if (output && output.PackageWrite) {
+            change.output_kind = 'PackageWrite';
+            [change.version_after, change.digest_after] = output.PackageWrite;
+            change.owner_after = new Owner('Immutable');
+        } else if (output) {
+            change.output_kind = Object.keys(output)[0] || null;
+        }
+
+        change.change_class = ObjectChange.classifyV2(!!exist, change.output_kind, change.id_operation);
+        return change;
+    }
+
+    /**
+     * Classify a V2 change from whether the object existed before, what was written and id_operation:
+     *
+     *   input     output       id_operation   class
+     *   NotExist  ObjectWrite  Created        Created
+     *   NotExist  ObjectWrite  None           Unwrapped
+     *   Exist     ObjectWrite  None           Mutated
+     *   Exist     NotExist     Deleted        Deleted
+     *   Exist     NotExist     None           Wrapped
+     *   NotExist  NotExist     Deleted        UnwrappedThenDeleted
+     *   any       PackageWrite any            PackageWrite
+     */
+    static classifyV2(existed, outputKind, idOperation) {
+        if (outputKind === 'PackageWrite') {
+            return 'PackageWrite';
+        }
+        if (outputKind === 'NotExist') {
+            if (idOperation === 'Deleted') {
+                return existed ? 'Deleted' : 'UnwrappedThenDeleted';
+            }
+            return 'Wrapped';
+        }
+        if (idOperation === 'Created') {
+            return 'Created';
+        }
+        return existed ? 'Mutated' : 'Unwrapped';
+    }
+
+    /**
+     * Get the ownership transitions this change represents
+     * Returns a subset of ["transfer", "share", "freeze", "wrap"]
+     */
+    getTransitions() {
+        const transitions = [];
+        const before = this.owner_before;
+        const after = this.owner_after;
+
+        // When the previous owner is not recorded (V1 effects) only new objects can be said to become shared/frozen
+        const becomes = kind => after && after.kind === kind && (before ? before.kind !== kind : this.isPreviousOwnerKnown());
+
+        if (becomes('Shared')) {
+            transitions.push('share');
+        }
+        if (becomes('Immutable') && this.output_kind !== 'PackageWrite') {
+            transitions.push('freeze');
+        }
+        if (before && after && (after.isAddressOwned() || after.kind === 'ObjectOwner') && !before.equals(after)) {
+            transitions.push('transfer');
+        }
+        if (this.change_class === 'Wrapped') {
+            transitions.push('wrap');
+        }
+        return transitions;
+    }
+
+    /**
+     * Whether a null owner_before means "did not exist" rather than "not recorded"
+     * V1 effects never record the previous owner, but created/unwrapped objects had none
+     */
+    isPreviousOwnerKnown() {
+        return this.owner_before_recorded || ['Created', 'Unwrapped', 'UnwrappedThenDeleted'].includes(this.change_class);
+    }
+
+    /**
+     * Get "AddressOwner 0xab5e…ec7c → Shared" style text
+     * "∅" stands for not existing, "?" for a previous owner the effects do not record
+     */
+    getTransitionString(shortAddress = true) {
+        const before = this.owner_before ? this.owner_before.toDisplayString(shortAddress) : (this.isPreviousOwnerKnown() ? '∅' : '?');
+        const after = this.owner_after ? this.owner_after.toDisplayString(shortAddress) : '∅';
+        if (this.owner_before && this.owner_after && this.owner_before.equals(this.owner_after)) {
+            return `${after} (unchanged)`;
+        }
+        return `${before} → ${after}`;
+    }
+}
+
+class Transaction {
+    constructor() {
+        // Top-level transaction fields
+        this.digest = null;
+        this.sender = null;
+        this.epoch = null; // executed_epoch from the effects, else the replay cache's epoch_id
+        this.cache_epoch = null; // replay_cache_summary.json epoch_id
+        this.executed_epoch = null; // transaction_effects.json executed_epoch
+        this.checkpoint = null;
+        this.protocol_version = null;
+        this.network = null;
+        this.status = null;
+        this.expiration = null;
+
+        // Transaction data fields
+        this.kind = null; // Will store the full transaction kind (e.g., ProgrammableTransaction)
+
+        // Unified gas information (combines gas_data and gas_charges)
+        this.gas_data = {
+            // From transaction_data.json (gas_data)
+            payment: null,      // Array of payment objects [object_id, version, digest]
+            owner: null,        // Gas owner address
+            price: null,        // Gas price
+            budget: null,       // Gas budget
+
+            // From transaction_gas_report.json
+            computation_cost: null,
+            storage_cost: null,
+            non_refundable_fee: null,
+            storage_rebate: null,
+            gas_used: null,
+            reference_gas_price: null,
+            storage_gas_price: null,
+            rebate_rate: null,
+
+            // Derived fields
+            coins: [],          // Array of object_id strings (extracted from payment)
+            per_object_breakup: [] // Array of { object_id, size, storage_cost, non_refundable_fee, storage_rebate }
+        };
+
+        // Dependencies
+        this.deps = [];
+
+        // Changed objects - just IDs, details are in _objects
+        this.changed_objects = []; // Array of object_id strings
+        this._objectChanges = new Map(); // object_id -> ObjectChange (owners and digests before/after)
+
+        // Objects involved in the transaction - THE SOURCE OF TRUTH
+        this._objects = []; // Internal storage: { object_id, version, status, source, type, object_type }
+
+        // Artifacts whose loader threw ({ artifact, message }); the rest of the transaction still loads
+        this.load_errors = [];
+
+        // Raw JSON data (for debugging and transition period)
+        this._rawData = {
+            transaction_data: null,
+            transaction_effects: null,
+            transaction_gas_report: null,
+            replay_cache_summary: null,
+            move_call_info: null
+        };
+    }
+
+    /**
+     * Load replay_cache_summary.json and extract relevant fields
+     */
+    loadReplayCacheSummary(json) {
+        this._rawData.replay_cache_summary = json;
+
+        // Extract top-level fields
+        this.cache_epoch = json.epoch_id ?? null;
+        this.epoch = this.executed_epoch ?? this.cache_epoch;
+        this.checkpoint = json.checkpoint || null;
+        this.protocol_version = json.protocol_version || null;
+        this.network = json.network || null;
+
+        // Process cache_entries and rename to objects
+        if (json.cache_entries && Array.isArray(json.cache_entries)) {
+            json.cache_entries.forEach(entry => {
+                const obj = {
+                    object_id: entry.object_id,
+                    version: entry.version,
+                    status: null, // Will be populated from transaction_effects
+                    source: null, // Will be populated when we load transaction_data
+                    type: null, // Will be populated based on object_type
+                    object_type: entry.object_type // Keep the full object_type structure
+                };
+                if (entry.object_type && entry.object_type.Package) {
+                    obj.package = Transaction.parsePackageInfo(entry.object_type.Package, entry.object_id);
+                }
+
+                this._objects.push(obj);
+            });
+        }
+    }
+
+    /**
+     * Normalize the object_type.Package of a cache entry:
+     *   { original_id, module_names, linkage_table, type_origin_table }
+     * linkage_table is [{ original_id, upgraded_id, upgraded_version }] and type_origin_table
+     * [{ module_name, datatype_name, package }]; both are null when the replay did not record them.
+     */
+    static parsePackageInfo(info, objectId) {
+        const linkage = info.linkage_table;
+        const linkageEntries = linkage && typeof linkage === 'object'
+            ? (Array.isArray(linkage) ? linkage : Object.entries(linkage))
+            : null;
+        return {
+            original_id: info.original_id || objectId,
+            module_names: Array.isArray(info.module_names) ? info.module_names : [],
+            linkage_table: linkageEntries ? linkageEntries.map(([originalId, upgrade]) => ({
+                original_id: originalId,
+                upgraded_id: upgrade?.upgraded_id ?? null,
+                upgraded_version: upgrade?.upgraded_version ?? null
+            })) : null,
+            // Older replays name the field struct_name
+            type_origin_table: Array.isArray(info.type_origin_table) ? info.type_origin_table.map(origin => ({
+                module_name: origin.module_name,
+                datatype_name: origin.datatype_name ?? origin.struct_name,
+                package: origin.package
+            })) : null
+        };
+    }
+
+    /**
+     * API: Get all objects (both packages and move objects)
+     */
+    get allObjects() {
+        return this._objects;
+    }
+
+    /**
+     * API: Get only packages
+     */
+    get packages() {
+        return this._objects.filter(obj => {
+            return obj.object_type && obj.object_type.Package !== undefined;
+        });
+    }
+
+    /**
+     * API: Get only move objects (non-packages)
+     */
+    get objects() {
+        return this._objects.filter(obj => {
+            return obj.object_type && obj.object_type.MoveObject !== undefined;
+        });
+    }
+
+    /**
+     * Load transaction_data.json and extract relevant fields
+     */
+    loadTransactionData(json) {
+        this._rawData.transaction_data = json;
+
+        // Extract from V1 structure
+        const v1 = json.V1 || {};
+
+        // Extract sender
+        this.sender = v1.sender || null;
+
+        // Extract expiration
+        this.expiration = v1.expiration || null;
+
+        // Store kind as-is
+        this.kind = v1.kind || null;
+
+        // Extract gas_data fields into unified gas_data object
+        const gasData = v1.gas_data || {};
+        this.gas_data.payment = gasData.payment || null;
+        this.gas_data.owner = gasData.owner || null;
+        this.gas_data.price = gasData.price || null;
+        this.gas_data.budget = gasData.budget || null;
+
+        // Extract gas coin object IDs from payment
+        if (this.gas_data.payment && Array.isArray(this.gas_data.payment)) {
+            this.gas_data.coins = this.gas_data.payment.map(p => p[0]);
+        }
+
+        // Populate source field for objects now that we have transaction data
+        this._populateObjectSources();
+    }
+
+    /**
+     * Populate the source field for all objects
+     * Should be called after loadTransactionData
+     */
+    _populateObjectSources() {
+        // Get input object IDs from transaction data
+        const inputObjects = this.getInputObjects();
+        const gasObjects = this.getGasPaymentObjects();
+
+        // Update source for all objects
+        this._objects.forEach(obj => {
+            if (gasObjects.has(obj.object_id)) {
+                obj.source = 'Gas';
+            } else if (inputObjects.has(obj.object_id)) {
+                obj.source = 'Input';
+            } else {
+                obj.source = 'Runtime';
+            }
+        });
+    }
+
+    /**
+     * Update status and source fields in _objects based on changed_objects
+     * Should be called after loadTransactionEffects
+     */
+    _updateObjectStatusAndSource() {
+        // Get input object IDs from transaction data
+        const inputObjects = this.getInputObjects();
+        const gasObjects = this.getGasPaymentObjects();
+
+        // Update _objects with status and source information
+        this._objects.forEach(obj => {
+            // Determine source
+            if (gasObjects.has(obj.object_id)) {
+                obj.source = 'Gas';
+            } else if (inputObjects.has(obj.object_id)) {
+                obj.source = 'Input';
+            } else {
+                obj.source = 'Runtime';
+            }
+
+            // Set status to 'Accessed' by default ONLY if not already set
+            // (processV2ChangedObjects/processV1ChangedObjects may have already set it to Created/Modified/Deleted)
+            if (!obj.status) {
+                obj.status = 'Accessed';
+            }
+        });
+    }
+
+    /**
+     * Load transaction_effects.json and extract relevant fields
+     * Handles both V1 and V2 formats
+     */
+    loadTransactionEffects(json) {
+        this._rawData.transaction_effects = json;
+
+        // Determine version and extract common fields
+        const isV1 = json.V1 !== undefined;
+        const isV2 = json.V2 !== undefined;
+        const effects = isV1 ? json.V1 : (isV2 ? json.V2 : {});
+
+        // Extract common fields
+        this.status = effects.status || null;
+        // Both artifacts record an epoch; keep both so TransactionDiagnostics can compare them
+        this.executed_epoch = effects.executed_epoch ?? null;
+        this.epoch = this.executed_epoch ?? this.cache_epoch;
+        this.deps = effects.dependencies || [];
+        this.digest = effects.transaction_digest || null;
+
+        // Process changed_objects based on version
+        if (isV2) {
+            this.processV2ChangedObjects(effects.changed_objects || [], effects.lamport_version ?? null);
+        } else if (isV1) {
+            this.processV1ChangedObjects(effects);
+        }
+
+        // Update status and source fields in _objects
+        this._updateObjectStatusAndSource();
+    }
+
+    /**
+     * Process V2 changed_objects
+     */
+    processV2ChangedObjects(changedObjects, lamportVersion = null) {
+        changedObjects.forEach(([objectId, changeInfo]) => {
+            const change = ObjectChange.fromV2(objectId, changeInfo, lamportVersion);
+            this._objectChanges.set(objectId, change);
+
+            // Map id_operation to status
+            let status = null;
+            if (changeInfo.id_operation === 'Created') {
+                status = 'Created';
+            } else if (changeInfo.id_operation === 'Deleted') {
+                status = 'Deleted';
+            } else if (changeInfo.id_operation === 'None') {
+                status = 'Modified';
+            }
+
+            // Store only the object ID in changed_objects
+            this.changed_objects.push(objectId);
+            this._applyObjectChange(change, status);
+        });
+    }
+
+    /**
+     * Process V1 effects, which list objects by what happened to them
+     * (created, mutated, unwrapped, deleted, wrapped, unwrapped_then_deleted)
+     */
+    processV1ChangedObjects(effects) {
+        // Versions before the transaction: modified_at_versions [[id, version]] and
+        // shared_objects [[id, version, digest]] (shared inputs, including read-only ones)
+        const versionsBefore = new Map();
+        (effects.modified_at_versions || []).forEach(([objectId, version]) => {
+            versionsBefore.set(objectId, { version, digest: null });
+        });
+        (effects.shared_objects || []).forEach(([objectId, version, digest]) => {
+            versionsBefore.set(objectId, { version, digest });
+        });
+
+        // [effects field, change class, status (same mapping as V2 id_operation)]
+        const groups = [
+            ['created', 'Created', 'Created'],
+            ['mutated', 'Mutated', 'Modified'],
+            ['unwrapped', 'Unwrapped', 'Modified'],
+            ['deleted', 'Deleted', 'Deleted'],
+            ['wrapped', 'Wrapped', 'Modified'],
+            ['unwrapped_then_deleted', 'UnwrappedThenDeleted', 'Deleted']
+        ];
+
+        groups.forEach(([field, changeClass, status]) => {
+            if (!Array.isArray(effects[field])) {
+                return;
+            }
+            effects[field].forEach(entry => {
+                // Written objects are [[id, version, digest], owner], removed ones [id, version, digest];
+                // V1 does not record the previous owner
+                const written = Array.isArray(entry[0]);
+                const [objectId, version, digest] = written ? entry[0] : entry;
+
+                const change = new ObjectChange(objectId);
+                change.change_class = changeClass;
+                change.owner_before_recorded = false;
+                change.id_operation = status === 'Modified' ? 'None' : status;
+                if (written) {
+                    change.output_kind = 'ObjectWrite';
+                    change.version_after = version;
+                    change.digest_after = digest;
+                    change.owner_after = Owner.fromRaw(entry[1]);
+                } else {
+                    change.output_kind = 'NotExist';
+                }
+
+                const before = versionsBefore.get(objectId);
+                if (before) {
+                    change.version_before = before.version;
+                    change.digest_before = before.digest;
+                }
+
+                // Store only object ID in changed_objects
+                this.changed_objects.push(objectId);
+                this._objectChanges.set(objectId, change);
+                this._applyObjectChange(change, status);
+            });
+        });
+    }
+
+    /**
+     * Update the status and change class of a changed object in _objects
+     * Written objects the replay never loaded (created or unwrapped) are added
+     */
+    _applyObjectChange(change, status) {
+        const obj = this._objects.find(o => o.object_id === change.object_id);
+        if (obj) {
+            obj.status = status;
+            obj.change_class = change.change_class;
+        } else if (change.owner_after !== null) {
+            this._objects.push({
+                object_id: change.object_id,
+                version: change.version_after, // The version the transaction wrote
+                object_type: 'Unknown', // Will be updated if type info is available
+                status: status,
+                change_class: change.change_class,
+                source: 'Runtime' // Created and unwrapped objects are always Runtime
+            });
+        }
+    }
+
+    /**
+     * Load transaction_gas_report.json and extract relevant fields
+     */
+    loadTransactionGasReport(json) {
+        this._rawData.transaction_gas_report = json;
+
+        // Extract cost_summary fields
+        const costSummary = json.cost_summary || {};
+        this.gas_data.computation_cost = costSummary.computationCost || null;
+        this.gas_data.storage_cost = costSummary.storageCost || null;
+        this.gas_data.storage_rebate = costSummary.storageRebate || null;
+        this.gas_data.non_refundable_fee = costSummary.nonRefundableStorageFee || null;
+
+        // Extract other gas fields
+        this.gas_data.gas_used = json.gas_used || null;
+        this.gas_data.reference_gas_price = json.reference_gas_price || null;
+        this.gas_data.storage_gas_price = json.storage_gas_price || null;
+        this.gas_data.rebate_rate = json.rebate_rate || null;
+
+        // Process per_object_storage into per_object_breakup
+        if (json.per_object_storage && Array.isArray(json.per_object_storage)) {
+            this.gas_data.per_object_breakup = json.per_object_storage.map(([objectId, storageInfo]) => ({
+                object_id: objectId,
+                size: storageInfo.new_size || 0,
+                storage_cost: storageInfo.storage_cost || 0,
+                storage_rebate: storageInfo.storage_rebate || 0,
+                // Calculate non_refundable_fee based on rebate_rate
+                non_refundable_fee: this.calculateNonRefundableFee(
+                    storageInfo.storage_cost || 0,
+                    storageInfo.storage_rebate || 0,
+                    this.gas_data.rebate_rate || 9900
+                )
+            }));
+        }
+
+    }
+
+    /**
+     * Helper: Calculate non-refundable fee for an object
+     */
+    calculateNonRefundableFee(storageCost, storageRebate, rebateRate) {
+        return GasVerification.nonRefundableFee(storageRebate, rebateRate);
+    }
+
+    /**
+     * Load move_call_info.json and merge with commands from transaction_data
+     */
+    loadPtbDetails(json) {
+        this._rawData.move_call_info = json;
+
+        // Merge command_signatures with commands in kind.ProgrammableTransaction
+        if (json.command_signatures && Array.isArray(json.command_signatures)) {
+            const signatures = json.command_signatures;
+            const commands = this.kind?.ProgrammableTransaction?.commands || [];
+
+            // Add _signature field to each command
+            commands.forEach((cmd, index) => {
+                if (index < signatures.length) {
+                    cmd._signature = signatures[index]; // Can be null for non-MoveCall commands
+                }
+            });
+        }
+    }
+
+    // ============================================================================
+    // Helper Methods for UI Rendering
+    // ============================================================================
+
+    /**
+     * Get object type by object ID
+     */
+    getObjectType(objectId) {
+        const obj = this._objects.find(o => o.object_id === objectId);
+        return obj?.object_type || null;
+    }
+
+    /**
+     * Get MoveType for an object by ID
+     */
+    getObjectMoveType(objectId) {
+        const obj = this._objects.find(o => o.object_id === objectId);
+        if (!obj || !obj.object_type) {
+            return null;
+        }
+
+        if (obj.object_type.Package) {
+            return new MoveType(null, null, 'MovePackage', [], true);
+        }
+
+        if (obj.object_type.MoveObject) {
+            return MoveType.fromTypeStructure(obj.object_type.MoveObject, this);
+        }
+
+        return null;
+    }
+
+    /**
+     * Get object version by object ID
+     */
+    getObjectVersion(objectId) {
+        const obj = this._objects.find(o => o.object_id === objectId);
+        return obj?.version || null;
+    }
+
+    /**
+     * Extract all object IDs from transaction inputs
+     * Also includes packages from MoveCall commands
+     */
+    getInputObjects() {
+        const objects = new Set();
+        if (this.kind?.ProgrammableTransaction?.inputs) {
+            this.kind.ProgrammableTransaction.inputs.forEach(input => {
+                if (input.Object) {
+                    if (input.Object.ImmOrOwnedObject) {
+                        objects.add(input.Object.ImmOrOwnedObject[0]);
+                    } else if (input.Object.SharedObject) {
+                        objects.add(input.Object.SharedObject.id);
+                    } else if (input.Object.Receiving) {
+                        objects.add(input.Object.Receiving[0]);
+                    }
+                }
+            });
+        }
+
+        // Also include packages from MoveCall commands
+        if (this.kind?.ProgrammableTransaction?.commands) {
+            this.kind.ProgrammableTransaction.commands.forEach(cmd => {
+                if (cmd.MoveCall && cmd.MoveCall.package) {
+                    objects.add(cmd.MoveCall.package);
+                }
+            });
+        }
+
+        return objects;
+    }
+
+    /**
+     * Get all created objects (from _objects with status 'Created')
+     */
+    getCreatedObjects() {
+        return this._objects.filter(o => o.status === 'Created');
+    }
+
+    /**
+     * Get all deleted objects (from _objects with status 'Deleted')
+     */
+    getDeletedObjects() {
+        return this._objects.filter(o => o.status === 'Deleted');
+    }
+
+    /**
+     * Get all modified objects (from _objects with status 'Modified')
+     */
+    getModifiedObjects() {
+        return this._objects.filter(o => o.status === 'Modified');
+    }
+
+    /**
+     * Count non-package objects by status (Created, Modified, Deleted, Accessed)
+     */
+    getObjectStatusCounts() {
+        const counts = { Created: 0, Modified: 0, Deleted: 0, Accessed: 0 };
+        this._objects.forEach(obj => {
+            if (obj.object_type && obj.object_type.Package !== undefined) {
+                return;
+            }
+            if (obj.status) {
+                counts[obj.status] = (counts[obj.status] || 0) + 1;
+            }
+        });
+        return counts;
+    }
+
+    /**
+     * Check if an object was deleted
+     */
+    isObjectDeleted(objectId) {
+        const obj = this._objects.find(o => o.object_id === objectId);
+        return obj && obj.status === 'Deleted';
+    }
+
+    /**
+     * Get the change class (Created, Unwrapped, Mutated, Deleted, Wrapped, UnwrappedThenDeleted,
+     * PackageWrite) of an object, or null if the effects did not change it
+     */
+    getObjectChangeClass(objectId) {
+        const change = this._objectChanges.get(objectId);
+        return change ? change.change_class : null;
+    }
+
+    /**
+     * Get the parent of an object owned by another object (ObjectOwner in the effects), or null
+     * Only objects changed by the transaction carry owner information
+     */
+    getObjectParent(objectId) {
+        const change = this._objectChanges.get(objectId);
+        if (!change) {
+            return null;
+        }
+        const owner = change.owner_after || change.owner_before;
+        return owner && owner.kind === 'ObjectOwner' ? owner.address : null;
+    }
+
+    /**
+     * Build the parent/child tree of objects connected through ObjectOwner, i.e. dynamic fields
+     * nested under the object (or table/bag UID) that owns them
+     *
+     * Returns { roots, unresolved } where each node is
+     * { object_id, loaded, type, field, storage, subtree_storage, children }
+     * - loaded: false for parents only known as an owner address (e.g. the UID inside a Table or Bag)
+     * - field: MoveType.getDynamicFieldInfo() of the node's type, or null
+     * - storage / subtree_storage: { storage_cost, storage_rebate, non_refundable_fee } from
+     *   per_object_breakup, for the node alone and for the node plus all descendants
+     * Roots are parents with at least one child; unresolved lists dynamic fields whose parent
+     * is not recorded (objects read but not changed by the transaction)
+     */
+    getDynamicFieldTree() {
+        const storageById = new Map();
+        this.gas_data.per_object_breakup.forEach(entry => {
+            storageById.set(entry.object_id, {
+                storage_cost: parseInt(entry.storage_cost || 0),
+                storage_rebate: parseInt(entry.storage_rebate || 0),
+                non_refundable_fee: parseInt(entry.non_refundable_fee || 0)
+            });
+        });
+
+        const nodes = new Map();
+        const makeNode = (objectId, loaded) => {
+            const type = loaded ? this.getObjectMoveType(objectId) : null;
+            const node = {
+                object_id: objectId,
+                loaded,
+                type,
+                field: type ? type.getDynamicFieldInfo() : null,
+                storage: storageById.get(objectId) || { storage_cost: 0, storage_rebate: 0, non_refundable_fee: 0 },
+                subtree_storage: null,
+                children: []
+            };
+            nodes.set(objectId, node);
+            return node;
+        };
+
+        // Every non-package object the transaction loaded or changed
+        this._objects.forEach(obj => {
+            if (!(obj.object_type && obj.object_type.Package)) {
+                makeNode(obj.object_id, true);
+            }
+        });
+        this._objectChanges.forEach((change, objectId) => {
+            if (!nodes.has(objectId) && change.change_class !== 'PackageWrite') {
+                makeNode(objectId, false);
+            }
+        });
+
+        const hasParent = new Set();
+        Array.from(nodes.values()).forEach(node => {
+            const parentId = this.getObjectParent(node.object_id);
+            if (!parentId || parentId === node.object_id) {
+                return;
+            }
+            const parent = nodes.get(parentId) || makeNode(parentId, false);
+            parent.children.push(node);
+            hasParent.add(node.object_id);
+        });
+
+        // Sum storage bottom-up; the visited set guards against ownership cycles
+        const sumStorage = (node, visited) => {
+            const total = Object.assign({}, node.storage);
+            visited.add(node.object_id);
+            node.children.forEach(child => {
+                if (visited.has(child.object_id)) {
+                    return;
+                }
+                const childTotal = sumStorage(child, visited);
+                Object.keys(total).forEach(key => {
+                    total[key] += childTotal[key];
+                });
+            });
+            node.subtree_storage = total;
+            return total;
+        };
+
+        const roots = Array.from(nodes.values()).filter(node => !hasParent.has(node.object_id) && node.children.length > 0);
+        roots.forEach(root => sumStorage(root, new Set()));
+
+        const unresolved = Array.from(nodes.values()).filter(node => node.field && !hasParent.has(node.object_id) && node.children.length === 0);
+        unresolved.forEach(node => sumStorage(node, new Set()));
+
+        return { roots, unresolved };
+    }
+
+    /**
+     * Get all object IDs that appear in changed_objects
+     */
+    getChangedObjectIds() {
+        return new Set(this.changed_objects);
+    }
+
+    /**
+     * Get the ObjectChange (owner and digest before/after) of every changed object, in effects order
+     */
+    getObjectChanges() {
+        return Array.from(this._objectChanges.values());
+    }
+
+    /**
+     * Get the ObjectChange of one object, or null if the effects did not change it
+     */
+    getObjectChange(objectId) {
+        return this._objectChanges.get(objectId) || null;
+    }
+
+    /**
+     * Get gas payment object IDs
+     */
+    getGasPaymentObjects() {
+        const gasObjects = new Set();
+        if (this.gas_data.payment && Array.isArray(this.gas_data.payment)) {
+            this.gas_data.payment.forEach(payment => {
+                gasObjects.add(payment[0]); // object_id
+            });
+        }
+        return gasObjects;
+    }
+
+    /**
+     * Get parsed Command objects from PTB commands
+     * Returns an array of Command instances (MoveCallCommand, SplitCoinsCommand, etc.)
+     */
+    getCommands() {
+        return this._parseCommands().filter(cmd => cmd !== null);
+    }
+
+    /**
+     * Parse PTB commands keeping their original positions
+     * Unknown command types are returned as null so indices still match Result(i) references
+     */
+    _parseCommands() {
+        const rawCommands = this.kind?.ProgrammableTransaction?.commands || [];
+        const inputs = this.kind?.ProgrammableTransaction?.inputs || [];
+
+        return rawCommands.map((rawCmd, i) => {
+            // Result references can only point at earlier commands
+            const earlierCommands = rawCommands.slice(0, i);
+            if (rawCmd.MoveCall) {
+                return MoveCallCommand.fromRawCommand(rawCmd, this);
+            } else if (rawCmd.SplitCoins) {
+                return SplitCoinsCommand.fromRawCommand(rawCmd, this, inputs, earlierCommands);
+            } else if (rawCmd.MergeCoins) {
+                return MergeCoinsCommand.fromRawCommand(rawCmd, this, inputs, earlierCommands);
+            } else if (rawCmd.MakeMoveVec) {
+                return MakeMoveVecCommand.fromRawCommand(rawCmd, this, inputs, earlierCommands);
+            } else if (rawCmd.TransferObjects) {
+                return TransferObjectsCommand.fromRawCommand(rawCmd);
+            } else if (rawCmd.Publish) {
+                return PublishCommand.fromRawCommand(rawCmd);
+            } else if (rawCmd.Upgrade) {
+                return UpgradeCommand.fromRawCommand(rawCmd);
+            } else {
+                // Unknown command types have no parsed representation
+                return null;
+            }
+        });
+    }
+
+    /**
+     * Get the return types of every PTB command as fully qualified strings
+     * Entry i is either an array of types (one per returned value), 'void' or 'unknown'
+     */
+    getCommandReturnTypes() {
+        if (this._commandReturnTypes) {
+            return this._commandReturnTypes;
+        }
+
+        const rawCommands = this.kind?.ProgrammableTransaction?.commands || [];
+        const parsedCommands = this._parseCommands();
+
+        this._commandReturnTypes = rawCommands.map((cmd, i) => {
+            const parsedCommand = parsedCommands[i];
+            const signature = cmd._signature;
+
+            if (cmd.MoveCall) {
+                if (signature && signature.return_types && signature.return_types.length > 0) {
+                    return signature.return_types.map(retType =>
+                        MoveType.typeStructureToString(MoveType.substituteTypeParameters(retType, cmd.MoveCall.type_arguments)));
+                }
+                return 'void';
+            } else if (cmd.SplitCoins) {
+                // One coin of the split coin's type for each amount
+                const [_coin, amounts] = cmd.SplitCoins;
+                const numReturns = amounts ? amounts.length : 1;
+                const coinTypeString = parsedCommand && parsedCommand.coinType
+                    ? parsedCommand.coinType.toFullyQualifiedString()
+                    : 'T';
+                return Array(numReturns).fill(coinTypeString);
+            } else if (cmd.Publish) {
+                return '0x0000000000000000000000000000000000000000000000000000000000000002::package::UpgradeCap';
+            } else if (cmd.MakeMoveVec) {
+                if (parsedCommand && parsedCommand.elementType) {
+                    return `vector<${parsedCommand.elementType.toFullyQualifiedString()}>`;
+                }
+                return 'vector<T>';
+            } else if (cmd.MergeCoins || cmd.TransferObjects || cmd.Upgrade) {
+                return 'void';
+            }
+            return 'unknown';
+        });
+
+        return this._commandReturnTypes;
+    }
+
+    /**
+     * Look up the type of a command result
+     * resultIndex selects the value for NestedResult (Cmd_X.Y where Y is the resultIndex)
+     */
+    inferCommandReturnType(cmdIndex, resultIndex = 0) {
+        const returnTypes = this.getCommandReturnTypes()[cmdIndex];
+        if (!returnTypes) {
+            return 'unknown';
+        }
+
+        // Multiple return values
+        if (Array.isArray(returnTypes)) {
+            return resultIndex < returnTypes.length ? returnTypes[resultIndex] : 'unknown';
+        }
+
+        // Single return value - only valid if resultIndex is 0
+        return resultIndex === 0 ? returnTypes : 'unknown';
+    }
+
+    /**
+     * Build the PTB dataflow graph
+     * Nodes are inputs, the gas coin and commands; edges are argument uses pointing from the
+     * producing node to the consuming command.
+     * @returns {{nodes: Array, edges: Array}}
+     *   node: { id, kind: 'input'|'gas'|'command', index, label, detail, type, returnTypes }
+     *   edge: { from, to, role, label, resultIndex, type }
+     */
+    getDataflowGraph() {
+        const inputs = this.kind?.ProgrammableTransaction?.inputs || [];
+        const rawCommands = this.kind?.ProgrammableTransaction?.commands || [];
+        const parsedCommands = this._parseCommands();
+        const gasCoinType = '0x0000000000000000000000000000000000000000000000000000000000000002::coin::Coin<0x0000000000000000000000000000000000000000000000000000000000000002::sui::SUI>';
+        const nodes = [];
+        const edges = [];
+
+        inputs.forEach((input, i) => {
+            let detail = 'Unknown';
+            let type = null;
+            if (input.Pure) {
+                detail = 'Pure';
+            } else if (input.Object) {
+                let objectId = null;
+                if (input.Object.ImmOrOwnedObject) {
+                    detail = 'ImmOrOwned';
+                    objectId = input.Object.ImmOrOwnedObject[0];
+                } else if (input.Object.SharedObject) {
+                    detail = input.Object.SharedObject.mutable ? 'mut Shared' : 'Shared';
+                    objectId = input.Object.SharedObject.id;
+                } else if (input.Object.Receiving) {
+                    detail = 'Receiving';
+                    objectId = input.Object.Receiving[0];
+                }
+                const moveType = objectId ? this.getObjectMoveType(objectId) : null;
+                type = moveType ? moveType.toFullyQualifiedString() : null;
+            } else if (input.FundsWithdrawal) {
+                detail = 'FundsWithdrawal';
+            }
+            nodes.push({ id: `input:${i}`, kind: 'input', index: i, label: `Input_${i}`, detail, type, returnTypes: null });
+        });
+
+        let usesGasCoin = false;
+
+        rawCommands.forEach((rawCmd, i) => {
+            const parsedCommand = parsedCommands[i];
+            const returnTypes = this.getCommandReturnTypes()[i];
+            nodes.push({
+                id: `cmd:${i}`,
+                kind: 'command',
+                index: i,
+                label: `Cmd_${i}`,
+                detail: parsedCommand ? parsedCommand.toDisplayString() : (Object.keys(rawCmd)[0] || 'Unknown'),
+                type: null,
+                returnTypes: Array.isArray(returnTypes) ? returnTypes : (returnTypes === 'void' || returnTypes === 'unknown' ? [] : [returnTypes])
+            });
+
+            if (!parsedCommand) {
+                return;
+            }
+
+            const parameters = parsedCommand instanceof MoveCallCommand
+                ? (parsedCommand.getInstantiatedSignature()?.parameters || [])
+                : [];
+            parsedCommand.getArguments().forEach(({ role, argument }, argIndex) => {
+                if (!argument) return;
+
+                // Parameter types from move_call_info describe how the value is used (including references);
+                // built-in commands take u64 amounts and an address recipient
+                let paramType = null;
+                if (parsedCommand instanceof MoveCallCommand && parameters[argIndex]) {
+                    paramType = MoveType.typeStructureToString(parameters[argIndex]);
+                } else if (role.startsWith('amounts[')) {
+                    paramType = 'u64';
+                } else if (role === 'recipient') {
+                    paramType = 'address';
+                }
+
+                if (argument === 'GasCoin' || argument.GasCoin !== undefined) {
+                    usesGasCoin = true;
+                    edges.push({ from: 'gas', to: `cmd:${i}`, role, label: 'gas_coin', resultIndex: null,
+                        type: paramType || gasCoinType });
+                } else if (argument.Input !== undefined) {
+                    const inputNode = nodes[argument.Input];
+                    edges.push({ from: `input:${argument.Input}`, to: `cmd:${i}`, role, label: `Input_${argument.Input}`, resultIndex: null,
+                        type: paramType || (inputNode ? inputNode.type : null) });
+                } else if (argument.Result !== undefined) {
+                    const inferred = this.inferCommandReturnType(argument.Result);
+                    edges.push({ from: `cmd:${argument.Result}`, to: `cmd:${i}`, role, label: `Cmd_${argument.Result}`, resultIndex: 0,
+                        type: inferred !== 'unknown' ? inferred : paramType });
+                } else if (argument.NestedResult !== undefined) {
+                    const [cmdIndex, resultIndex] = argument.NestedResult;
+                    const inferred = this.inferCommandReturnType(cmdIndex, resultIndex);
+                    edges.push({ from: `cmd:${cmdIndex}`, to: `cmd:${i}`, role, label: `Cmd_${cmdIndex}.${resultIndex}`, resultIndex,
+                        type: inferred !== 'unknown' ? inferred : paramType });
+                }
+            });
+        });
+
+        if (usesGasCoin) {
+            nodes.unshift({
+                id: 'gas',
+                kind: 'gas',
+                index: null,
+                label: 'gas_coin',
+                detail: 'GasCoin',
+                type: gasCoinType,
+                returnTypes: null
+            });
+        }
+
+        return { nodes, edges };
+    }
+
+    /**
+     * Get the cache Package entry of a package ID, or null when it was not loaded
+     */
+    getPackage(packageId) {
+        const id = MoveType.normalizeAddress(packageId);
+        return this.packages.find(pkg => MoveType.normalizeAddress(pkg.object_id) === id) || null;
+    }
+
+    /**
+     * Get the loaded version of a package with the highest version number, by original ID
+     */
+    getLatestPackage(originalId) {
+        const id = MoveType.normalizeAddress(originalId);
+        return this.packages
+            .filter(pkg => pkg.package && MoveType.normalizeAddress(pkg.package.original_id) === id)
+            .reduce((latest, pkg) => (!latest || Number(pkg.version) > Number(latest.version) ? pkg : latest), null);
+    }
+
+    /**
+     * Resolve the version of a package that executes in this transaction: the package a MoveCall
+     * names, else the one the called packages link to, else the latest loaded version.
+     * @returns {Object|null} - The cache Package entry
+     */
+    getRuntimePackage(originalId) {
+        const id = MoveType.normalizeAddress(originalId);
+        let commands = [];
+        try {
+            commands = this.getCommands();
+        } catch (error) {
+            // Malformed commands (reported by ArtifactValidator): resolve from the cache alone
+        }
+        const called = commands
+            .filter(command => command instanceof MoveCallCommand)
+            .map(command => this.getPackage(command.function.package))
+            .filter(pkg => pkg && pkg.package);
+
+        const direct = called.find(pkg => MoveType.normalizeAddress(pkg.package.original_id) === id);
+        if (direct) {
+            return direct;
+        }
+        for (const pkg of called) {
+            const link = (pkg.package.linkage_table || []).find(row => MoveType.normalizeAddress(row.original_id) === id);
+            if (link && this.getPackage(link.upgraded_id)) {
+                return this.getPackage(link.upgraded_id);
+            }
+        }
+        return this.getLatestPackage(originalId);
+    }
+
+    /**
+     * Resolve the package a MoveCall names against the replay cache
+     * @returns {{package_id, loaded, original_id, version, latest_id, latest_version, outdated}}
+     *   original_id and version are null when the package was not loaded; outdated is true when
+     *   the cache also holds a newer version of the same original package
+     */
+    getMoveCallTarget(packageId) {
+        const pkg = this.getPackage(packageId);
+        const info = pkg ? pkg.package : null;
+        const latest = info ? this.getLatestPackage(info.original_id) : null;
+        return {
+            package_id: packageId,
+            loaded: pkg !== null,
+            original_id: info ? info.original_id : null,
+            version: pkg ? pkg.version : null,
+            latest_id: latest ? latest.object_id : null,
+            latest_version: latest ? latest.version : null,
+            outdated: !!latest && Number(latest.version) > Number(pkg.version)
+        };
+    }
+
+    /**
+     * Where a datatype comes from. A type tag names the package that first defined the type,
+     * which after upgrades is usually not the package version that runs.
+     * @returns {{module, name, type_package, defining_package, original_id, runtime_package,
+     *            runtime_version, recorded}}
+     *   recorded is true when a type_origin_table confirmed the defining package; original_id
+     *   and the runtime fields are null when no loaded package is related to the type.
+     */
+    getTypeOrigin(address, module, name) {
+        const typePackage = MoveType.normalizeAddress(address);
+        let owner = null;
+        let definingPackage = address;
+        let recorded = false;
+
+        for (const pkg of this.packages) {
+            const origin = (pkg.package?.type_origin_table || [])
+                .find(entry => entry.module_name === module && entry.datatype_name === name);
+            if (origin && MoveType.normalizeAddress(origin.package) === typePackage) {
+                owner = pkg;
+                definingPackage = origin.package;
+                recorded = true;
+                break;
+            }
+        }
+        if (!owner) {
+            owner = this.getPackage(address) ||
+                this.packages.find(pkg => pkg.package && MoveType.normalizeAddress(pkg.package.original_id) === typePackage) ||
+                null;
+        }
+
+        const originalId = owner && owner.package ? owner.package.original_id : null;
+        const runtime = originalId ? this.getRuntimePackage(originalId) : null;
+        return {
+            module,
+            name,
+            type_package: address,
+            defining_package: definingPackage,
+            original_id: originalId,
+            runtime_package: runtime ? runtime.object_id : null,
+            runtime_version: runtime ? runtime.version : null,
+            recorded
+        };
+    }
+
+    /**
+     * Build the package dependency graph from the linkage tables of the cache Package entries
+     * @returns {{nodes: Array, edges: Array}}
+     *   node: { id, version, original_id, module_count, loaded, latest, linkage_recorded }
+     *   edge: { from, to, original_id, version }, from linking the package with original ID
+     *   original_id to the upgraded version to. Targets that were not loaded become nodes with
+     *   loaded false.
+     */
+    getPackageGraph() {
+        const nodes = new Map();
+        const edges = [];
+
+        this.packages.filter(pkg => pkg.package).forEach(pkg => {
+            const latest = this.getLatestPackage(pkg.package.original_id);
+            nodes.set(MoveType.normalizeAddress(pkg.object_id), {
+                id: pkg.object_id,
+                version: pkg.version,
+                original_id: pkg.package.original_id,
+                module_count: pkg.package.module_names.length,
+                loaded: true,
+                latest: !latest || latest.object_id === pkg.object_id,
+                linkage_recorded: pkg.package.linkage_table !== null
+            });
+        });
+
+        this.packages.filter(pkg => pkg.package && pkg.package.linkage_table).forEach(pkg => {
+            pkg.package.linkage_table.forEach(row => {
+                if (!row.upgraded_id) {
+                    return;
+                }
+                const key = MoveType.normalizeAddress(row.upgraded_id);
+                if (!nodes.has(key)) {
+                    nodes.set(key, {
+                        id: row.upgraded_id,
+                        version: row.upgraded_version,
+                        original_id: row.original_id,
+                        module_count: null,
+                        loaded: false,
+                        latest: false,
+                        linkage_recorded: false
+                    });
+                }
+                edges.push({ from: pkg.object_id, to: nodes.get(key).id, original_id: row.original_id, version: row.upgraded_version });
+            });
+        });
+
+        return { nodes: [...nodes.values()], edges };
+    }
+
+    /**
+     * Get the execution status in a normalized form
+     * Returns { success, error, command } or null if effects were not loaded
+     */
+    getExecutionStatus() {
+        if (!this.status) {
+            return null;
+        }
+
+        if (this.status === 'Success' || this.status.Success !== undefined) {
+            return { success: true, error: null, command: null };
+        }
+
+        if (this.status.Failure) {
+            const failure = this.status.Failure;
+            return {
+                success: false,
+                error: failure.error,
+                command: failure.command !== undefined ? failure.command : null
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the transaction kind as a TransactionKind subclass (null when transaction_data.json is missing)
+     */
+    getTransactionKind() {
+        if (this._transactionKind === undefined) {
+            this._transactionKind = TransactionKind.fromRaw(this.kind);
+        }
+        return this._transactionKind;
+    }
+
+    /**
+     * Get the parsed failure (ExecutionFailure) when the transaction failed, otherwise null
+     */
+    getExecutionFailure() {
+        const status = this.getExecutionStatus();
+        if (!status || status.success) {
+            return null;
+        }
+        return ExecutionFailure.fromStatus(status.error, status.command);
+    }
+
+    /**
+     * Recompute the gas charges and check them against the reported values (see GasVerification)
+     */
+    getGasVerification() {
+        return new GasVerification(this);
+    }
+
+    /**
+     * Run the cross-artifact consistency rules (see TransactionDiagnostics)
+     */
+    getDiagnostics() {
+        return new TransactionDiagnostics(this);
+    }
+
+    /**
+     * Compare every Upgrade command with the package it upgrades (see UpgradeCompatibility)
+     */
+    getUpgradeCompatibility() {
+        return this._parseCommands()
+            .map((command, index) => (command instanceof UpgradeCommand ? new UpgradeCompatibility(this, index) : null))
+            .filter(report => report !== null);
+    }
+
+    /**
+     * Get the gas summary shown in the Overview and Gas Analysis tabs
+     * gas_charges = computation_cost + storage_cost - storage_rebate, as Sui charges it:
+     * storage_rebate is already net of the non-refundable fee, so the fee is not added again
+     */
+    getGasSummary() {
+        const gas = this.gas_data;
+
+        let gasCharges = null;
+        if (gas.computation_cost !== null && gas.storage_cost !== null && gas.storage_rebate !== null) {
+            gasCharges = parseInt(gas.computation_cost) + parseInt(gas.storage_cost) - parseInt(gas.storage_rebate);
+        }
+
+        return {
+            price: gas.price,
+            budget: gas.budget,
+            gas_used: gas.gas_used,
+            reference_gas_price: gas.reference_gas_price,
+            storage_gas_price: gas.storage_gas_price,
+            rebate_rate: gas.rebate_rate,
+            computation_cost: gas.computation_cost,
+            storage_cost: gas.storage_cost,
+            non_refundable_fee: gas.non_refundable_fee,
+            storage_rebate: gas.storage_rebate,
+            gas_charges: gasCharges
+        };
+    }
+
+    // ============================================================================
+    // Static Factory Method for Loading from Files
+    // ============================================================================
+
+    /**
+     * Parse the text of a replay JSON file like JSON.parse, except that integers above
+     * Number.MAX_SAFE_INTEGER are kept as decimal strings instead of being rounded
+     * (u64 abort codes such as clever errors always have bit 63 set)
+     */
+    static parseJson(text) {
+        // Strings are matched whole so digits inside them are left alone
+        const quoted = text.replace(/"(?:[^"\\]|\\.)*"|(?<![-.\d])\d{16,}(?![.eE\d])/g, token => {
+            if (token[0] === '"' || Number.isSafeInteger(Number(token))) {
+                return token;
+            }
+            return `"${token}"`;
+        });
+        return JSON.parse(quoted);
+    }
+
+    /**
+     * Load a transaction from a directory containing the JSON files
+     * @param {Object} files - Object with file contents { transaction_data, transaction_effects, etc. }
+     * @returns {Transaction} - Loaded transaction object
+     */
+    static fromFiles(files) {
+        const transaction = new Transaction();
+
+        // A file in an unexpected format (see artifact-schema.js) must not stop the others from loading
+        const load = (artifact, loader) => {
+            if (!files[artifact]) {
+                return;
+            }
+            try {
+                loader.call(transaction, files[artifact]);
+            } catch (error) {
+                transaction.load_errors.push({ artifact, message: error.message });
+            }
+        };
+
+        // Load files in order (some depend on others)
+        load('replay_cache_summary', transaction.loadReplayCacheSummary);
+        load('transaction_data', transaction.loadTransactionData);
+        load('transaction_effects', transaction.loadTransactionEffects);
+        load('transaction_gas_report', transaction.loadTransactionGasReport);
+        load('move_call_info', transaction.loadPtbDetails);
+
+        return transaction;
+    }
+}
+
+/**
+ * TransactionDiff - Field-by-field comparison of two loaded transactions
+ * Typically the same digest replayed twice (different replay tool or protocol version),
+ * but any two transactions can be compared. "left" and "right" are Transaction instances.
+ *
+ * Every get*Diff() method returns rows of the form { key, left, right, changed };
+ * keyed sections (objects, packages, per-object storage) also list changedFields.
+ */
+class TransactionDiff {
+    constructor(left, right) {
+        this.left = left;
+        this.right = right;
+    }
+
+    /**
+     * Top-level transaction fields and execution status
+     */
+    getSummaryDiff() {
+        const fields = ['digest', 'sender', 'epoch', 'checkpoint', 'protocol_version', 'network'];
+        const rows = fields.map(field => TransactionDiff._row(field, this.left[field], this.right[field]));
+        rows.splice(1, 0, TransactionDiff._row('status',
+            TransactionDiff._statusString(this.left), TransactionDiff._statusString(this.right)));
+        return rows;
+    }
+
+    /**
+     * Every gas_data field except per_object_breakup (see getPerObjectBreakupDiff), plus derived gas charges
+     */
+    getGasDiff() {
+        const fields = Object.keys(this.left.gas_data).filter(field => field !== 'per_object_breakup');
+        const rows = fields.map(field => TransactionDiff._row(field, this.left.gas_data[field], this.right.gas_data[field]));
+        rows.push(TransactionDiff._row('gas_charges',
+            this.left.getGasSummary().gas_charges, this.right.getGasSummary().gas_charges));
+        return rows;
+    }
+
+    /**
+     * per_object_breakup rows matched by object ID
+     */
+    getPerObjectBreakupDiff() {
+        const pick = entry => ({
+            size: entry.size,
+            storage_cost: entry.storage_cost,
+            non_refundable_fee: entry.non_refundable_fee,
+            storage_rebate: entry.storage_rebate
+        });
+        return TransactionDiff._keyedDiff(this.left.gas_data.per_object_breakup, this.right.gas_data.per_object_breakup,
+            entry => entry.object_id, pick);
+    }
+
+    /**
+     * Status and version of every non-package object in _objects, matched by object ID
+     */
+    getObjectDiff() {
+        const isObject = obj => !(obj.object_type && obj.object_type.Package !== undefined);
+        const pick = obj => ({ status: obj.status, version: obj.version, source: obj.source });
+        return TransactionDiff._keyedDiff(this.left.allObjects.filter(isObject), this.right.allObjects.filter(isObject),
+            obj => obj.object_id, pick);
+    }
+
+    /**
+     * Packages loaded during execution, matched by package ID
+     */
+    getPackageDiff() {
+        const pick = pkg => ({ version: pkg.version });
+        return TransactionDiff._keyedDiff(this.left.packages, this.right.packages, pkg => pkg.object_id, pick);
+    }
+
+    /**
+     * Command signatures matched by position in the PTB
+     */
+    getCommandSignatureDiff() {
+        const leftSignatures = TransactionDiff._commandSignatures(this.left);
+        const rightSignatures = TransactionDiff._commandSignatures(this.right);
+        const count = Math.max(leftSignatures.length, rightSignatures.length);
+
+        const rows = [];
+        for (let i = 0; i < count; i++) {
+            const left = leftSignatures[i] || null;
+            const right = rightSignatures[i] || null;
+            rows.push({
+                key: `Cmd_${i}`,
+                left,
+                right,
+                changed: !TransactionDiff._equal(left, right),
+                changedFields: TransactionDiff._changedFields(left, right)
+            });
+        }
+        return rows;
+    }
+
+    /**
+     * Number of changed rows in each section
+     */
+    getDifferenceCounts() {
+        const count = rows => rows.filter(row => row.changed).length;
+        return {
+            summary: count(this.getSummaryDiff()),
+            gas: count(this.getGasDiff()),
+            per_object_breakup: count(this.getPerObjectBreakupDiff()),
+            objects: count(this.getObjectDiff()),
+            packages: count(this.getPackageDiff()),
+            commands: count(this.getCommandSignatureDiff())
+        };
+    }
+
+    hasDifferences() {
+        return Object.values(this.getDifferenceCounts()).some(count => count > 0);
+    }
+
+    static _statusString(transaction) {
+        const status = transaction.getExecutionStatus();
+        if (!status) {
+            return null;
+        }
+        return status.success ? 'Success' : `Failure: ${JSON.stringify(status.error)}`;
+    }
+
+    static _commandSignatures(transaction) {
+        const returnTypes = transaction.getCommandReturnTypes();
+        const rawCommands = transaction.kind?.ProgrammableTransaction?.commands || [];
+
+        return transaction._parseCommands().map((cmd, i) => {
+            if (!cmd) {
+                return { command: Object.keys(rawCommands[i] || {})[0] || 'Unknown', target: null, parameters: [], return_types: returnTypes[i] };
+            }
+            const parameters = cmd instanceof MoveCallCommand ? (cmd.getInstantiatedSignature()?.parameters || []) : [];
+            return {
+                command: cmd.getTypeName(),
+                target: cmd.function ? cmd.function.toFullyQualifiedString() : cmd.toDisplayString(),
+                parameters: parameters.map(param => MoveType.typeStructureToString(param)),
+                return_types: returnTypes[i]
+            };
+        });
+    }
+
+    static _keyedDiff(leftItems, rightItems, keyFn, pickFn) {
+        const leftMap = new Map((leftItems || []).map(item => [keyFn(item), pickFn(item)]));
+        const rightMap = new Map((rightItems || []).map(item => [keyFn(item), pickFn(item)]));
+        const keys = [...new Set([...leftMap.keys(), ...rightMap.keys()])];
+
+        return keys.map(key => {
+            const left = leftMap.has(key) ? leftMap.get(key) : null;
+            const right = rightMap.has(key) ? rightMap.get(key) : null;
+            return {
+                key,
+                left,
+                right,
+                changed: !TransactionDiff._equal(left, right),
+                changedFields: TransactionDiff._changedFields(left, right)
+            };
+        });
+    }
+
+    static _changedFields(left, right) {
+        if (!left || !right) {
+            return [];
+        }
+        const fields = new Set([...Object.keys(left), ...Object.keys(right)]);
+        return [...fields].filter(field => !TransactionDiff._equal(left[field], right[field]));
+    }
+
+    static _row(key, left, right) {
+        return { key, left, right, changed: !TransactionDiff._equal(left, right) };
+    }
+
+    static _equal(a, b) {
+        // null and undefined both mean "not present"; numbers and numeric strings compare by value
+        const normalize = value => (value === undefined ? null : (typeof value === 'number' ? String(value) : value));
+        return JSON.stringify(a, (_key, value) => normalize(value)) === JSON.stringify(b, (_key, value) => normalize(value));
+    }
+}
+
+/**
+ * Storage units charged per byte of object data, and the computation buckets of the
+ * default (mainnet) cost table: gas_used is rounded up to the first bucket that holds it.
+ * Both come from the protocol config, which the replay artifacts do not include.
+ */
+const GAS_STORAGE_UNITS_PER_BYTE = 100;
+const GAS_COMPUTATION_BUCKETS = [1000, 5000, 10000, 20000, 50000, 200000, 1000000, 5000000];
+const GAS_BASIS_POINTS = 10000;
+
+/**
+ * GasVerification - Recomputes the gas charges of a loaded transaction and checks them
+ * against the reported values.
+ *
+ * Inputs are the per_object_breakup sizes and rebates, storage_gas_price, rebate_rate,
+ * gas price and gas_used; reported values are cost_summary and the effects gas_used.
+ *
+ * getChecks() returns rows of the form
+ *   { id, label, object_id, formula, calculation, expected, actual, relation, ok, severity }
+ * where "expected" is the recomputed value (or, for the effects rows, the cost_summary value)
+ * and "actual" the reported one. Severity 'warning'
+ * marks checks that rely on protocol constants assumed above rather than read from the replay.
+ * That covers every storage recomputation, not only the storage cost: the recorded per-object
+ * rebates are the storage costs of earlier versions, charged with the same units per byte.
+ */
+class GasVerification {
+    constructor(transaction) {
+        this.transaction = transaction;
+        this._checks = null;
+    }
+
+    /**
+     * Numeric gas parameters, null when missing from the artifacts
+     */
+    getInputs() {
+        const gas = this.transaction.gas_data;
+        return {
+            gas_price: GasVerification._number(gas.price),
+            gas_budget: GasVerification._number(gas.budget),
+            gas_used: GasVerification._number(gas.gas_used),
+            storage_gas_price: GasVerification._number(gas.storage_gas_price),
+            rebate_rate: GasVerification._number(gas.rebate_rate)
+        };
+    }
+
+    /**
+     * Recomputed storage numbers for every per_object_breakup entry:
+     * { object_id, size, storage_cost, reported_storage_cost, storage_rebate, non_refundable_fee, refundable_rebate }
+     * storage_rebate is taken as reported: it is the storage cost paid for the previous version.
+     * parameters defaults to getInputs(); only storage_gas_price and rebate_rate are used.
      */
-    get packages() {
-        return this._objects.filter(obj => {
-            return obj.object_type && obj.object_type.Package !== undefined;
+    getPerObjectRecomputation(parameters = this.getInputs()) {
+        const { storage_gas_price: storageGasPrice, rebate_rate: rebateRate } = parameters;
+        return this.transaction.gas_data.per_object_breakup.map(entry => {
+            const size = GasVerification._number(entry.size) || 0;
+            const storageRebate = GasVerification._number(entry.storage_rebate) || 0;
+            const nonRefundable = rebateRate === null ? null
+                : this.transaction.calculateNonRefundableFee(entry.storage_cost, storageRebate, rebateRate);
+            return {
+                object_id: entry.object_id,
+                size,
+                storage_cost: storageGasPrice === null ? null : size * GAS_STORAGE_UNITS_PER_BYTE * storageGasPrice,
+                reported_storage_cost: GasVerification._number(entry.storage_cost) || 0,
+                storage_rebate: storageRebate,
+                non_refundable_fee: nonRefundable,
+                refundable_rebate: nonRefundable === null ? null : storageRebate - nonRefundable
+            };
         });
     }
 
     /**
-     * API: Get only move objects (non-packages)
+     * Fee kept by the storage fund out of a rebate: Sui rounds the sender's share
+     * rebate × rebate_rate / 10000 half up, and the fee is the rest
+     * e.g. nonRefundableFee(160, 9900) = 160 − round(158.4) = 2
      */
-    get objects() {
-        return this._objects.filter(obj => {
-            return obj.object_type && obj.object_type.MoveObject !== undefined;
-        });
+    static nonRefundableFee(storageRebate, rebateRate) {
+        const rebate = BigInt(Math.round(storageRebate));
+        const basisPoints = BigInt(GAS_BASIS_POINTS);
+        const senderRebate = (rebate * BigInt(rebateRate) + basisPoints / 2n) / basisPoints;
+        return Number(rebate - senderRebate);
     }
 
     /**
-     * Load transaction_data.json and extract relevant fields
+     * Transaction totals recomputed from the inputs, in the same shape as the reported summaries
      */
-    loadTransactionData(json) {
-        this._rawData.transaction_data = json;
+    getRecomputedSummary() {
+        return this.recompute(this.getInputs());
+    }
 
-        // Extract from V1 structure
-        const v1 = json.V1 || {};
+    /**
+     * Totals for the loaded gas_used and per_object_breakup under arbitrary
+     * { gas_price, storage_gas_price, rebate_rate }; any null parameter yields null for what depends on it
+     */
+    recompute(parameters) {
+        const objects = this.getPerObjectRecomputation(parameters);
+        const sum = values => (values.some(value => value === null) ? null : values.reduce((a, b) => a + b, 0));
+
+        const storageCost = sum(objects.map(obj => obj.storage_cost));
+        const totalRebate = sum(objects.map(obj => obj.storage_rebate));
+        const nonRefundable = parameters.rebate_rate === null || totalRebate === null ? null
+            : GasVerification.nonRefundableFee(totalRebate, parameters.rebate_rate);
+        const bucket = GasVerification.computationBucket(this.getInputs().gas_used);
+        const computationCost = bucket === null || parameters.gas_price === null ? null : bucket * parameters.gas_price;
+
+        return {
+            computation_bucket: bucket,
+            computation_cost: computationCost,
+            storage_cost: storageCost,
+            total_rebate: totalRebate,
+            non_refundable_fee: nonRefundable,
+            storage_rebate: nonRefundable === null ? null : totalRebate - nonRefundable,
+            net_gas_charge: GasVerification._net(computationCost, storageCost, nonRefundable === null ? null : totalRebate - nonRefundable)
+        };
+    }
 
-        // Extract sender
-        this.sender = v1.sender || null;
+    /**
+     * Reported cost summary from the gas report (source 'cost_summary') or from the
+     * effects gas_used block (source 'effects'); null when that source is missing
+     */
+    getReportedSummary(source = 'cost_summary') {
+        let summary = null;
+        if (source === 'effects') {
+            const effectsJson = this.transaction._rawData.transaction_effects || {};
+            const effects = effectsJson.V2 || effectsJson.V1 || {};
+            summary = effects.gas_used || null;
+        } else {
+            const report = this.transaction._rawData.transaction_gas_report || {};
+            summary = report.cost_summary || null;
+        }
+        if (!summary) {
+            return null;
+        }
 
-        // Extract expiration
-        this.expiration = v1.expiration || null;
+        const computationCost = GasVerification._number(summary.computationCost);
+        const storageCost = GasVerification._number(summary.storageCost);
+        const storageRebate = GasVerification._number(summary.storageRebate);
+        return {
+            computation_cost: computationCost,
+            storage_cost: storageCost,
+            storage_rebate: storageRebate,
+            non_refundable_fee: GasVerification._number(summary.nonRefundableStorageFee),
+            net_gas_charge: GasVerification._net(computationCost, storageCost, storageRebate)
+        };
+    }
 
-        // Store kind as-is
-        this.kind = v1.kind || null;
+    /**
+     * Every check that can be made with the loaded artifacts
+     */
+    getChecks() {
+        if (this._checks) {
+            return this._checks;
+        }
 
-        // Extract gas_data fields into unified gas_data object
-        const gasData = v1.gas_data || {};
-        this.gas_data.payment = gasData.payment || null;
-        this.gas_data.owner = gasData.owner || null;
-        this.gas_data.price = gasData.price || null;
-        this.gas_data.budget = gasData.budget || null;
+        const inputs = this.getInputs();
+        const objects = this.getPerObjectRecomputation();
+        const recomputed = this.getRecomputedSummary();
+        const reported = this.getReportedSummary('cost_summary');
+        const effects = this.getReportedSummary('effects');
+        const checks = [];
+        const add = (check) => {
+            if (check.expected === null || check.actual === null) {
+                return;
+            }
+            const relation = check.relation || '=';
+            const tolerance = check.tolerance || 0;
+            const ok = relation === '≤' ? check.actual <= check.expected : Math.abs(check.expected - check.actual) <= tolerance;
+            checks.push({
+                object_id: null,
+                calculation: null,
+                severity: 'error',
+                ...check,
+                relation,
+                ok
+            });
+        };
 
-        // Extract gas coin object IDs from payment
-        if (this.gas_data.payment && Array.isArray(this.gas_data.payment)) {
-            this.gas_data.coins = this.gas_data.payment.map(p => p[0]);
+        // Per-object storage cost
+        objects.forEach(obj => {
+            add({
+                id: 'object_storage_cost',
+                label: 'Object storage cost',
+                object_id: obj.object_id,
+                formula: `new_size × ${GAS_STORAGE_UNITS_PER_BYTE} × storage_gas_price`,
+                calculation: `${obj.size} × ${GAS_STORAGE_UNITS_PER_BYTE} × ${inputs.storage_gas_price}`,
+                expected: obj.storage_cost,
+                actual: obj.reported_storage_cost,
+                severity: 'warning'
+            });
+        });
+
+        if (reported && objects.length > 0) {
+            add({
+                id: 'storage_cost',
+                label: 'Storage cost',
+                formula: `Σ new_size × ${GAS_STORAGE_UNITS_PER_BYTE} × storage_gas_price`,
+                calculation: `(${objects.map(obj => obj.size).join(' + ')}) × ${GAS_STORAGE_UNITS_PER_BYTE} × ${inputs.storage_gas_price}`,
+                expected: recomputed.storage_cost,
+                actual: reported.storage_cost,
+                severity: 'warning'
+            });
+            add({
+                id: 'non_refundable_fee',
+                label: 'Non-refundable storage fee',
+                formula: `Σ storage_rebate − round(Σ storage_rebate × rebate_rate / ${GAS_BASIS_POINTS})`,
+                calculation: `${recomputed.total_rebate} − round(${recomputed.total_rebate} × ${inputs.rebate_rate} / ${GAS_BASIS_POINTS})`,
+                expected: recomputed.non_refundable_fee,
+                actual: reported.non_refundable_fee,
+                severity: 'warning'
+            });
+            // Sui rounds the total once; rounding each object separately may drift by up to half a MIST per object
+            add({
+                id: 'per_object_non_refundable_fee',
+                label: 'Σ per-object non-refundable fee',
+                formula: `Σ (storage_rebate − round(storage_rebate × rebate_rate / ${GAS_BASIS_POINTS})), ±1 per 2 objects`,
+                calculation: objects.map(obj => obj.non_refundable_fee).join(' + '),
+                expected: objects.some(obj => obj.non_refundable_fee === null) ? null
+                    : objects.reduce((total, obj) => total + obj.non_refundable_fee, 0),
+                actual: reported.non_refundable_fee,
+                tolerance: Math.floor(objects.length / 2),
+                severity: 'warning'
+            });
+            add({
+                id: 'storage_rebate',
+                label: 'Storage rebate',
+                formula: 'Σ storage_rebate − non_refundable_fee',
+                calculation: `${recomputed.total_rebate} − ${recomputed.non_refundable_fee}`,
+                expected: recomputed.storage_rebate,
+                actual: reported.storage_rebate,
+                severity: 'warning'
+            });
         }
 
-        // Populate source field for objects now that we have transaction data
-        this._populateObjectSources();
+        if (reported) {
+            add({
+                id: 'computation_cost',
+                label: 'Computation cost',
+                formula: 'bucket(gas_used) × gas_price',
+                calculation: `bucket(${inputs.gas_used}) = ${recomputed.computation_bucket}; ${recomputed.computation_bucket} × ${inputs.gas_price}`,
+                expected: recomputed.computation_cost,
+                actual: reported.computation_cost,
+                severity: 'warning'
+            });
+            // Checked against the Gas Charges value the Overview and Gas Analysis tabs display
+            add({
+                id: 'net_gas_charge',
+                label: 'Net gas charge',
+                formula: 'computation_cost + storage_cost − storage_rebate',
+                calculation: `${recomputed.computation_cost} + ${recomputed.storage_cost} − ${recomputed.storage_rebate}`,
+                expected: recomputed.net_gas_charge,
+                actual: this.transaction.getGasSummary().gas_charges,
+                severity: 'warning'
+            });
+            add({
+                id: 'gas_budget',
+                label: 'Within gas budget',
+                formula: 'computation_cost + storage_cost ≤ gas_budget',
+                calculation: `${reported.computation_cost} + ${reported.storage_cost} ≤ ${inputs.gas_budget}`,
+                expected: inputs.gas_budget,
+                actual: reported.computation_cost === null || reported.storage_cost === null ? null
+                    : reported.computation_cost + reported.storage_cost,
+                relation: '≤'
+            });
+        }
+
+        if (reported && effects) {
+            [
+                ['computation_cost', 'computationCost'],
+                ['storage_cost', 'storageCost'],
+                ['storage_rebate', 'storageRebate'],
+                ['non_refundable_fee', 'nonRefundableStorageFee']
+            ].forEach(([field, jsonField]) => {
+                add({
+                    id: `effects_${field}`,
+                    label: `Effects gas_used.${jsonField}`,
+                    formula: `effects gas_used.${jsonField} = cost_summary.${jsonField}`,
+                    expected: reported[field],
+                    actual: effects[field]
+                });
+            });
+        }
+
+        this._checks = checks;
+        return checks;
     }
 
     /**
-     * Populate the source field for all objects
-     * Should be called after loadTransactionData
+     * Checks whose recomputed and reported values disagree
      */
-    _populateObjectSources() {
-        // Get input object IDs from transaction data
-        const inputObjects = this.getInputObjects();
-        const gasObjects = this.getGasPaymentObjects();
+    getMismatches() {
+        return this.getChecks().filter(check => !check.ok);
+    }
 
-        // Update source for all objects
-        this._objects.forEach(obj => {
-            if (gasObjects.has(obj.object_id)) {
-                obj.source = 'Gas';
-            } else if (inputObjects.has(obj.object_id)) {
-                obj.source = 'Input';
-            } else {
-                obj.source = 'Runtime';
-            }
-        });
+    /**
+     * True when no error-severity check failed
+     */
+    isConsistent() {
+        return !this.getMismatches().some(check => check.severity === 'error');
     }
 
     /**
-     * Update status and source fields in _objects based on changed_objects
-     * Should be called after loadTransactionEffects
+     * Smallest computation bucket that holds gas_used, or the largest bucket when it exceeds them all
      */
-    _updateObjectStatusAndSource() {
-        // Get input object IDs from transaction data
-        const inputObjects = this.getInputObjects();
-        const gasObjects = this.getGasPaymentObjects();
+    static computationBucket(gasUsed) {
+        if (gasUsed === null || gasUsed === undefined) {
+            return null;
+        }
+        const bucket = GAS_COMPUTATION_BUCKETS.find(max => gasUsed <= max);
+        return bucket !== undefined ? bucket : GAS_COMPUTATION_BUCKETS[GAS_COMPUTATION_BUCKETS.length - 1];
+    }
 
-        // Update _objects with status and source information
-        this._objects.forEach(obj => {
-            // Determine source
-            if (gasObjects.has(obj.object_id)) {
-                obj.source = 'Gas';
-            } else if (inputObjects.has(obj.object_id)) {
-                obj.source = 'Input';
-            } else {
-                obj.source = 'Runtime';
+    static _net(computationCost, storageCost, storageRebate) {
+        if (computationCost === null || storageCost === null || storageRebate === null) {
+            return null;
+        }
+        return computationCost + storageCost - storageRebate;
+    }
+
+    static _number(value) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+}
+
+/**
+ * GasSimulator - What-if costs of a loaded transaction under other gas parameters
+ *
+ * Parameters are { reference_gas_price, storage_gas_price, rebate_rate, gas_budget }.
+ * The transaction keeps its tip: the simulated gas price is the new reference price plus
+ * whatever the sender paid above the original one. gas_used and object sizes are fixed,
+ * and so are the per-object rebates, which were paid at the storage price of earlier versions.
+ */
+class GasSimulator {
+    constructor(transaction) {
+        this.transaction = transaction;
+        this.verification = transaction.getGasVerification();
+    }
+
+    /**
+     * The parameters the transaction actually ran with
+     */
+    getBaselineParameters() {
+        const inputs = this.verification.getInputs();
+        return {
+            reference_gas_price: GasVerification._number(this.transaction.gas_data.reference_gas_price),
+            storage_gas_price: inputs.storage_gas_price,
+            rebate_rate: inputs.rebate_rate,
+            gas_budget: inputs.gas_budget
+        };
+    }
+
+    /**
+     * Gas price paid above the reference price (0 when either is unknown)
+     */
+    getTip() {
+        const { gas_price: gasPrice } = this.verification.getInputs();
+        const { reference_gas_price: referenceGasPrice } = this.getBaselineParameters();
+        return gasPrice === null || referenceGasPrice === null ? 0 : gasPrice - referenceGasPrice;
+    }
+
+    /**
+     * The charges the transaction reported (gas report cost_summary, else effects gas_used),
+     * in the shape of a run() result; null when neither is loaded
+     */
+    getReported() {
+        const reported = this.verification.getReportedSummary('cost_summary') || this.verification.getReportedSummary('effects');
+        if (!reported) {
+            return null;
+        }
+
+        return {
+            gas_price: this.verification.getInputs().gas_price,
+            ...reported,
+            budget_required: reported.computation_cost === null || reported.storage_cost === null ? null
+                : reported.computation_cost + reported.storage_cost
+        };
+    }
+
+    /**
+     * Simulate one scenario; missing parameters fall back to the baseline.
+     * Returns { parameters, gas_price, ...recompute() totals, budget_required, budget_exceeded, errors, warnings }
+     */
+    run(parameters = {}) {
+        const merged = { ...this.getBaselineParameters() };
+        Object.entries(parameters).forEach(([name, value]) => {
+            if (value !== null && value !== undefined && value !== '') {
+                merged[name] = GasVerification._number(value);
             }
+        });
 
-            // Set status to 'Accessed' by default ONLY if not already set
-            // (processV2ChangedObjects/processV1ChangedObjects may have already set it to Created/Modified/Deleted)
-            if (!obj.status) {
-                obj.status = 'Accessed';
+        const errors = [];
+        Object.entries(merged).forEach(([name, value]) => {
+            if (value !== null && (value < 0 || !Number.isInteger(value))) {
+                errors.push(`${name} must be a non-negative integer`);
             }
         });
+        if (merged.rebate_rate !== null && merged.rebate_rate > GAS_BASIS_POINTS) {
+            errors.push(`rebate_rate is in basis points and cannot exceed ${GAS_BASIS_POINTS}`);
+        }
+
+        const gasPrice = merged.reference_gas_price === null ? null : merged.reference_gas_price + this.getTip();
+        const totals = this.verification.recompute({
+            gas_price: gasPrice,
+            storage_gas_price: merged.storage_gas_price,
+            rebate_rate: merged.rebate_rate
+        });
+
+        // The budget has to cover computation and storage up front; rebates are only credited afterwards
+        const budgetRequired = totals.computation_cost === null || totals.storage_cost === null ? null
+            : totals.computation_cost + totals.storage_cost;
+        const budgetExceeded = budgetRequired !== null && merged.gas_budget !== null && budgetRequired > merged.gas_budget;
+
+        const warnings = [];
+        if (budgetExceeded) {
+            warnings.push(`Budget exceeded: computation + storage needs ${budgetRequired} but the budget is ${merged.gas_budget}; the transaction would fail with InsufficientGas`);
+        }
+
+        return {
+            parameters: merged,
+            gas_price: gasPrice,
+            ...totals,
+            budget_required: budgetRequired,
+            budget_exceeded: budgetExceeded,
+            errors,
+            warnings
+        };
     }
 
     /**
-     * Load transaction_effects.json and extract relevant fields
-     * Handles both V1 and V2 formats
+     * Exportable document for a set of named scenarios ({ name, parameters } each)
      */
-    loadTransactionEffects(json) {
-        this._rawData.transaction_effects = json;
+    exportScenarios(scenarios) {
+        const inputs = this.verification.getInputs();
+        return {
+            digest: this.transaction.digest,
+            gas_used: inputs.gas_used,
+            tip: this.getTip(),
+            objects: this.verification.getPerObjectRecomputation().map(obj => ({
+                object_id: obj.object_id,
+                size: obj.size,
+                storage_rebate: obj.storage_rebate
+            })),
+            reported: this.getReported(),
+            baseline: this.run(),
+            scenarios: scenarios.map(scenario => ({
+                name: scenario.name,
+                ...this.run(scenario.parameters)
+            }))
+        };
+    }
+}
 
-        // Determine version and extract common fields
-        const isV1 = json.V1 !== undefined;
-        const isV2 = json.V2 !== undefined;
-        const effects = isV1 ? json.V1 : (isV2 ? json.V2 : {});
+/**
+ * Rules run by TransactionDiagnostics, in display order. "artifacts" lists the files a
+ * rule reads; it is skipped when one of them is missing, and "check" names the method
+ * that returns its findings.
+ */
+const TRANSACTION_DIAGNOSTIC_RULES = [
+    {
+        id: 'epoch-agreement',
+        title: 'Epoch agreement',
+        description: 'The replay cache epoch_id matches the executed_epoch of the effects',
+        artifacts: ['replay_cache_summary', 'transaction_effects'],
+        check: '_checkEpochAgreement'
+    },
+    {
+        id: 'kind-epoch',
+        title: 'System transaction epoch',
+        description: 'Epochs carried by system transactions match the executed epoch (ChangeEpoch starts the next one)',
+        artifacts: ['transaction_data', 'transaction_effects'],
+        check: '_checkKindEpoch'
+    },
+    {
+        id: 'expiration',
+        title: 'Expiration',
+        description: 'A transaction expiring at epoch N did not execute after epoch N',
+        artifacts: ['transaction_data', 'transaction_effects'],
+        check: '_checkExpiration'
+    },
+    {
+        id: 'inputs-in-cache',
+        title: 'Inputs loaded',
+        description: 'Every input object and called package is in the replay cache, at the version the transaction names',
+        artifacts: ['transaction_data', 'replay_cache_summary'],
+        check: '_checkInputsInCache'
+    },
+    {
+        id: 'changed-in-cache',
+        title: 'Changed objects loaded',
+        description: 'Objects the effects modified or deleted are in the replay cache at their input version',
+        artifacts: ['transaction_effects', 'replay_cache_summary'],
+        check: '_checkChangedInCache'
+    },
+    {
+        id: 'consensus-in-cache',
+        title: 'Read-only consensus objects loaded',
+        description: 'Unchanged consensus objects read by the transaction are in the replay cache at the version read',
+        artifacts: ['transaction_effects', 'replay_cache_summary'],
+        check: '_checkConsensusInCache'
+    },
+    {
+        id: 'gas-coins',
+        title: 'Gas coins',
+        description: 'Gas payment coins are loaded at their payment version and changed by the transaction',
+        artifacts: ['transaction_data', 'transaction_effects', 'replay_cache_summary'],
+        check: '_checkGasCoins'
+    },
+    {
+        id: 'storage-vs-changes',
+        title: 'Per-object storage',
+        description: 'per_object_storage in the gas report covers exactly the changed objects of the effects',
+        artifacts: ['transaction_effects', 'transaction_gas_report'],
+        check: '_checkStorageVsChanges'
+    },
+    {
+        id: 'gas-parameters',
+        title: 'Gas price and budget',
+        description: 'The gas report ran with the gas price and budget of the transaction data',
+        artifacts: ['transaction_data', 'transaction_gas_report'],
+        check: '_checkGasParameters'
+    },
+    {
+        id: 'move-call-signatures',
+        title: 'MoveCall signatures',
+        description: 'move_call_info.json has one signature per command, naming the function each MoveCall calls',
+        artifacts: ['transaction_data', 'move_call_info'],
+        check: '_checkMoveCallSignatures'
+    },
+    {
+        id: 'latest-package-calls',
+        title: 'Latest package versions',
+        description: 'No MoveCall names an older version of a package the replay cache also holds at a newer version',
+        artifacts: ['transaction_data', 'replay_cache_summary'],
+        check: '_checkLatestPackageCalls'
+    }
+];
 
-        // Extract common fields
-        this.status = effects.status || null;
-        this.epoch = effects.executed_epoch || null;
-        this.deps = effects.dependencies || [];
-        this.digest = effects.transaction_digest || null;
+/**
+ * TransactionDiagnostics - Cross-artifact consistency checks of a loaded transaction
+ *
+ * The five replay files are written separately and each loader only reads its own,
+ * so disagreements between them (an object charged for storage that the effects never
+ * changed, an input the replay did not load, two different epochs) would otherwise go
+ * unnoticed. Each rule of TRANSACTION_DIAGNOSTIC_RULES compares two or more artifacts.
+ *
+ * getResults() returns one row per rule:
+ *   { rule, status, missing_artifacts, error, findings }
+ * with status 'passed', 'failed' or 'skipped' (an artifact is missing, or the rule threw
+ * on a malformed one and error holds the message), and findings of the form
+ *   { rule, severity, message, object_ids }
+ * where severity is 'error' (the artifacts contradict each other) or 'warning'
+ * (unusual, but a replay can legitimately produce it).
+ */
+class TransactionDiagnostics {
+    constructor(transaction) {
+        this.transaction = transaction;
+        this._results = null;
+        this._cache = null;
+    }
 
-        // Process changed_objects based on version
-        if (isV2) {
-            this.processV2ChangedObjects(effects.changed_objects || []);
-        } else if (isV1) {
-            this.processV1ChangedObjects(effects);
+    static getRules() {
+        return TRANSACTION_DIAGNOSTIC_RULES;
+    }
+
+    getResults() {
+        if (this._results) {
+            return this._results;
         }
 
-        // Update status and source fields in _objects
-        this._updateObjectStatusAndSource();
+        this._results = TRANSACTION_DIAGNOSTIC_RULES.map(rule => {
+            const missing = rule.artifacts.filter(artifact => !this.transaction._rawData[artifact]);
+            if (missing.length > 0) {
+                return { rule, status: 'skipped', missing_artifacts: missing, error: null, findings: [] };
+            }
+            let findings;
+            try {
+                findings = this[rule.check]();
+            } catch (error) {
+                // Malformed artifacts are reported by ArtifactValidator; the other rules still run
+                return { rule, status: 'skipped', missing_artifacts: [], error: error.message, findings: [] };
+            }
+            findings = findings.map(finding => ({
+                rule: rule.id,
+                severity: 'error',
+                object_ids: [],
+                ...finding
+            }));
+            return { rule, status: findings.length > 0 ? 'failed' : 'passed', missing_artifacts: [], error: null, findings };
+        });
+        return this._results;
     }
 
     /**
-     * Process V2 changed_objects
+     * Findings of every rule, errors first
      */
-    processV2ChangedObjects(changedObjects) {
-        changedObjects.forEach(([objectId, changeInfo]) => {
-            // Map id_operation to status
-            let status = null;
-            if (changeInfo.id_operation === 'Created') {
-                status = 'Created';
-            } else if (changeInfo.id_operation === 'Deleted') {
-                status = 'Deleted';
-            } else if (changeInfo.id_operation === 'None') {
-                status = 'Modified';
+    getFindings() {
+        const findings = [].concat(...this.getResults().map(result => result.findings));
+        return findings.sort((a, b) => (a.severity === b.severity ? 0 : (a.severity === 'error' ? -1 : 1)));
+    }
+
+    getCounts() {
+        const findings = this.getFindings();
+        const results = this.getResults();
+        return {
+            errors: findings.filter(finding => finding.severity === 'error').length,
+            warnings: findings.filter(finding => finding.severity === 'warning').length,
+            passed: results.filter(result => result.status === 'passed').length,
+            skipped: results.filter(result => result.status === 'skipped').length
+        };
+    }
+
+    // ============================================================================
+    // Rules
+    // ============================================================================
+
+    _checkEpochAgreement() {
+        const { cache_epoch: cacheEpoch, executed_epoch: executedEpoch } = this.transaction;
+        if (cacheEpoch === null || executedEpoch === null || TransactionDiagnostics._same(cacheEpoch, executedEpoch)) {
+            return [];
+        }
+        return [{
+            message: `replay_cache_summary.json is for epoch ${cacheEpoch} but the effects executed in epoch ${executedEpoch}`
+        }];
+    }
+
+    _checkKindEpoch() {
+        const executedEpoch = this.transaction.executed_epoch;
+        const kind = this.transaction.getTransactionKind();
+        if (executedEpoch === null || !kind) {
+            return [];
+        }
+
+        const kinds = kind instanceof EndOfEpochTransactionKind ? kind.getOperations() : [kind];
+        const findings = [];
+        kinds.forEach(current => {
+            const epoch = current.raw && current.raw.epoch !== undefined ? current.raw.epoch : null;
+            if (epoch === null) {
+                return;
+            }
+            // ChangeEpoch carries the epoch it starts
+            const expected = current instanceof ChangeEpochKind ? Number(executedEpoch) + 1 : executedEpoch;
+            if (!TransactionDiagnostics._same(epoch, expected)) {
+                findings.push({
+                    message: `${current.name} carries epoch ${epoch}, expected ${expected} for a transaction executed in epoch ${executedEpoch}`
+                });
+            }
+        });
+        return findings;
+    }
+
+    _checkExpiration() {
+        const expiration = this.transaction.expiration;
+        const executedEpoch = this.transaction.executed_epoch;
+        if (!expiration || expiration.Epoch === undefined || executedEpoch === null) {
+            return [];
+        }
+        if (Number(executedEpoch) <= Number(expiration.Epoch)) {
+            return [];
+        }
+        return [{
+            message: `The transaction expires after epoch ${expiration.Epoch} but executed in epoch ${executedEpoch}`
+        }];
+    }
+
+    _checkInputsInCache() {
+        const cache = this._getCacheVersions();
+        const pt = this.transaction.kind?.ProgrammableTransaction;
+        const findings = [];
+        if (!pt) {
+            return findings;
+        }
+
+        (pt.inputs || []).forEach((input, index) => {
+            if (!input.Object) {
+                return;
+            }
+            const object = input.Object;
+            let objectId;
+            let version = null;
+            if (object.ImmOrOwnedObject) {
+                [objectId, version] = object.ImmOrOwnedObject;
+            } else if (object.SharedObject) {
+                objectId = object.SharedObject.id;
+            } else if (object.Receiving) {
+                [objectId, version] = object.Receiving;
+            } else {
+                return;
+            }
+
+            if (!cache.has(objectId)) {
+                // A Receiving object is only loaded when a command actually receives it
+                findings.push({
+                    severity: object.Receiving ? 'warning' : 'error',
+                    message: `Input ${index} (${Object.keys(object)[0]}) is not in the replay cache`,
+                    object_ids: [objectId]
+                });
+            } else if (version !== null && !TransactionDiagnostics._same(cache.get(objectId), version)) {
+                findings.push({
+                    message: `Input ${index} names version ${version} but the replay cache holds version ${cache.get(objectId)}`,
+                    object_ids: [objectId]
+                });
+            }
+        });
+
+        const packages = new Set();
+        (pt.commands || []).forEach((command, index) => {
+            const packageId = command.MoveCall?.package;
+            if (packageId && !cache.has(packageId) && !packages.has(packageId)) {
+                packages.add(packageId);
+                findings.push({
+                    message: `Package called by command ${index} is not in the replay cache`,
+                    object_ids: [packageId]
+                });
+            }
+        });
+        return findings;
+    }
+
+    _checkChangedInCache() {
+        const cache = this._getCacheVersions();
+        const findings = [];
+        this.transaction.getObjectChanges().forEach(change => {
+            // Created objects did not exist before the transaction
+            if (change.version_before === null || change.version_before === undefined) {
+                return;
+            }
+            if (!cache.has(change.object_id)) {
+                findings.push({
+                    message: `${change.change_class || 'Changed'} object (input version ${change.version_before}) is not in the replay cache`,
+                    object_ids: [change.object_id]
+                });
+            } else if (!TransactionDiagnostics._same(cache.get(change.object_id), change.version_before)) {
+                findings.push({
+                    message: `Effects give input version ${change.version_before} but the replay cache holds version ${cache.get(change.object_id)}`,
+                    object_ids: [change.object_id]
+                });
+            }
+        });
+        return findings;
+    }
+
+    _checkConsensusInCache() {
+        const cache = this._getCacheVersions();
+        const effects = this._getEffects();
+        const findings = [];
+        (effects.unchanged_consensus_objects || []).forEach(([objectId, kind]) => {
+            // Only ReadOnlyRoot names a version that was read; the other variants are cancellations and stream ends
+            if (!kind || !Array.isArray(kind.ReadOnlyRoot)) {
+                return;
+            }
+            const version = kind.ReadOnlyRoot[0];
+            if (!cache.has(objectId)) {
+                findings.push({
+                    message: `Read-only consensus object (version ${version}) is not in the replay cache`,
+                    object_ids: [objectId]
+                });
+            } else if (!TransactionDiagnostics._same(cache.get(objectId), version)) {
+                findings.push({
+                    message: `Effects read version ${version} but the replay cache holds version ${cache.get(objectId)}`,
+                    object_ids: [objectId]
+                });
+            }
+        });
+        return findings;
+    }
+
+    _checkGasCoins() {
+        // System transactions pay with a placeholder coin that is never loaded
+        const kind = this.transaction.getTransactionKind();
+        if (!kind || !kind.isProgrammable()) {
+            return [];
+        }
+
+        const cache = this._getCacheVersions();
+        const changed = this.transaction.getChangedObjectIds();
+        const findings = [];
+        (this.transaction.gas_data.payment || []).forEach(([objectId, version]) => {
+            if (!cache.has(objectId)) {
+                findings.push({ message: `Gas coin (version ${version}) is not in the replay cache`, object_ids: [objectId] });
+            } else if (!TransactionDiagnostics._same(cache.get(objectId), version)) {
+                findings.push({
+                    message: `Gas payment names version ${version} but the replay cache holds version ${cache.get(objectId)}`,
+                    object_ids: [objectId]
+                });
+            }
+            if (!changed.has(objectId)) {
+                findings.push({ message: 'Gas coin is not among the changed objects of the effects', object_ids: [objectId] });
+            }
+        });
+        return findings;
+    }
+
+    _checkStorageVsChanges() {
+        const changed = this.transaction.getChangedObjectIds();
+        const charged = new Set(this.transaction.gas_data.per_object_breakup.map(obj => obj.object_id));
+        const findings = [];
+        charged.forEach(objectId => {
+            if (!changed.has(objectId)) {
+                findings.push({
+                    message: 'Charged in per_object_storage but not among the changed objects of the effects',
+                    object_ids: [objectId]
+                });
+            }
+        });
+        changed.forEach(objectId => {
+            if (!charged.has(objectId)) {
+                findings.push({
+                    severity: 'warning',
+                    message: 'Changed by the effects but missing from per_object_storage',
+                    object_ids: [objectId]
+                });
             }
+        });
+        return findings;
+    }
 
-            // Store only the object ID in changed_objects
-            this.changed_objects.push(objectId);
+    _checkGasParameters() {
+        const report = this.transaction._rawData.transaction_gas_report;
+        const gas = this.transaction.gas_data;
+        const findings = [];
+        [['gas_price', gas.price, 'price'], ['gas_budget', gas.budget, 'budget']].forEach(([field, expected, label]) => {
+            const actual = report[field];
+            if (actual === undefined || actual === null || expected === null) {
+                return;
+            }
+            if (!TransactionDiagnostics._same(actual, expected)) {
+                findings.push({ message: `Gas report ${field} is ${actual} but the transaction data sets a ${label} of ${expected}` });
+            }
+        });
+        return findings;
+    }
+
+    _checkMoveCallSignatures() {
+        const signatures = this.transaction._rawData.move_call_info.command_signatures;
+        const commands = this.transaction.kind?.ProgrammableTransaction?.commands;
+        if (!Array.isArray(signatures) || !Array.isArray(commands)) {
+            return [];
+        }
 
-            // Find the object in _objects and update its status
-            const obj = this._objects.find(o => o.object_id === objectId);
-            if (obj) {
-                obj.status = status;
-            } else if (status === 'Created') {
-                // Created objects might not be in cache - add them to _objects
-                // Extract version from output_state
-                let version = null;
-                if (changeInfo.output_state && changeInfo.output_state.ObjectWrite) {
-                    version = changeInfo.output_state.ObjectWrite[0]; // This is a digest, need version from input
+        const findings = [];
+        if (signatures.length !== commands.length) {
+            findings.push({
+                severity: 'warning',
+                message: `move_call_info.json has ${signatures.length} signatures for ${commands.length} commands`
+            });
+        }
+        commands.forEach((command, index) => {
+            const signature = index < signatures.length ? signatures[index] : null;
+            const call = command.MoveCall;
+            if (!call) {
+                if (signature) {
+                    findings.push({ severity: 'warning', message: `Command ${index} (${Object.keys(command)[0]}) has a MoveCall signature` });
                 }
-                if (changeInfo.input_state && changeInfo.input_state.Exist) {
-                    version = changeInfo.input_state.Exist[0][0]; // [version, digest]
+                return;
+            }
+            const target = `${call.module}::${call.function}`;
+            if (!signature) {
+                if (index < signatures.length) {
+                    findings.push({ severity: 'warning', message: `MoveCall ${index} (${target}) has no signature`, object_ids: [call.package] });
                 }
-
-                this._objects.push({
-                    object_id: objectId,
-                    version: version,
-                    object_type: 'Unknown', // Will be updated if type info is available
-                    status: status,
-                    source: 'Runtime' // Created objects are always Runtime
+                return;
+            }
+            if (signature.package !== call.package || signature.module !== call.module || signature.function !== call.function) {
+                findings.push({
+                    message: `Signature of command ${index} is for ${signature.module}::${signature.function}, the command calls ${target}`,
+                    object_ids: [...new Set([call.package, signature.package].filter(Boolean))]
                 });
             }
         });
+        return findings;
     }
 
-    /**
-     * Process V1 created, mutated, and deleted objects
-     */
-    processV1ChangedObjects(effects) {
-        // Process created objects
-        if (effects.created && Array.isArray(effects.created)) {
-            effects.created.forEach(([[objectId, version, _digest], _owner]) => {
-                // Store only object ID in changed_objects
-                this.changed_objects.push(objectId);
-
-                // Find the object in _objects and update its status
-                const obj = this._objects.find(o => o.object_id === objectId);
-                if (obj) {
-                    obj.status = 'Created';
-                } else {
-                    // Created objects might not be in cache - add them to _objects
-                    this._objects.push({
-                        object_id: objectId,
-                        version: version,
-                        object_type: 'Unknown',
-                        status: 'Created',
-                        source: 'Runtime' // Created objects are always Runtime
-                    });
-                }
-            });
+    _checkLatestPackageCalls() {
+        const commands = this.transaction.kind?.ProgrammableTransaction?.commands;
+        if (!Array.isArray(commands)) {
+            return [];
         }
 
-        // Process mutated objects
-        if (effects.mutated && Array.isArray(effects.mutated)) {
-            effects.mutated.forEach(([[objectId, version, _digest], _owner]) => {
-                // Store only object ID in changed_objects
-                this.changed_objects.push(objectId);
-
-                // Find the object in _objects and update its status
-                const obj = this._objects.find(o => o.object_id === objectId);
-                if (obj) {
-                    obj.status = 'Modified';
-                }
-            });
-        }
+        const findings = [];
+        commands.forEach((command, index) => {
+            const call = command.MoveCall;
+            if (!call) {
+                return;
+            }
+            const target = this.transaction.getMoveCallTarget(call.package);
+            if (target.outdated) {
+                findings.push({
+                    severity: 'warning',
+                    message: `MoveCall ${index} (${call.module}::${call.function}) runs version ${target.version} of package ${target.original_id}, but version ${target.latest_version} is also loaded`,
+                    object_ids: [call.package, target.latest_id]
+                });
+            }
+        });
+        return findings;
+    }
 
-        // Process deleted objects
-        if (effects.deleted && Array.isArray(effects.deleted)) {
-            effects.deleted.forEach(([objectId, version, _digest]) => {
-                // Store only object ID in changed_objects
-                this.changed_objects.push(objectId);
+    // ============================================================================
+    // Helpers
+    // ============================================================================
 
-                // Find the object in _objects and update its status
-                const obj = this._objects.find(o => o.object_id === objectId);
-                if (obj) {
-                    obj.status = 'Deleted';
-                }
-            });
+    /**
+     * object_id -> version of the replay cache entries
+     */
+    _getCacheVersions() {
+        if (!this._cache) {
+            const entries = this.transaction._rawData.replay_cache_summary?.cache_entries || [];
+            this._cache = new Map(entries.map(entry => [entry.object_id, entry.version]));
         }
+        return this._cache;
+    }
+
+    _getEffects() {
+        const json = this.transaction._rawData.transaction_effects || {};
+        return json.V2 || json.V1 || {};
     }
 
     /**
-     * Load transaction_gas_report.json and extract relevant fields
+     * Versions and epochs arrive as numbers or decimal strings depending on the artifact
      */
-    loadTransactionGasReport(json) {
-        this._rawData.transaction_gas_report = json;
-
-        // Extract cost_summary fields
-        const costSummary = json.cost_summary || {};
-        this.gas_data.computation_cost = costSummary.computationCost || null;
-        this.gas_data.storage_cost = costSummary.storageCost || null;
-        this.gas_data.storage_rebate = costSummary.storageRebate || null;
-        this.gas_data.non_refundable_fee = costSummary.nonRefundableStorageFee || null;
+    static _same(a, b) {
+        return String(a) === String(b);
+    }
+}
 
-        // Extract other gas fields
-        this.gas_data.gas_used = json.gas_used || null;
-        this.gas_data.reference_gas_price = json.reference_gas_price || null;
-        this.gas_data.storage_gas_price = json.storage_gas_price || null;
-        this.gas_data.rebate_rate = json.rebate_rate || null;
+// ============================================================================
+// Upgrade Compatibility
+// ============================================================================
 
-        // Process per_object_storage into per_object_breakup
-        if (json.per_object_storage && Array.isArray(json.per_object_storage)) {
-            this.gas_data.per_object_breakup = json.per_object_storage.map(([objectId, storageInfo]) => ({
-                object_id: objectId,
-                size: storageInfo.new_size || 0,
-                storage_cost: storageInfo.storage_cost || 0,
-                storage_rebate: storageInfo.storage_rebate || 0,
-                // Calculate non_refundable_fee based on rebate_rate
-                non_refundable_fee: this.calculateNonRefundableFee(
-                    storageInfo.storage_cost || 0,
-                    storageInfo.storage_rebate || 0,
-                    this.gas_data.rebate_rate || 9900
-                )
-            }));
-        }
+/**
+ * Upgrade policies of sui::package, from the most to the least permissive. An UpgradeTicket
+ * is issued by package::authorize_upgrade(cap, policy, digest) for one of these.
+ */
+const UPGRADE_POLICIES = [
+    { value: 0, name: 'compatible' },
+    { value: 128, name: 'additive' },
+    { value: 192, name: 'dependency-only' }
+];
 
+/**
+ * UpgradeCompatibility - What an Upgrade command changes against the package it upgrades
+ *
+ * The previous version is the replay cache Package entry of the command's package ID. The
+ * cache records its module_names and, when present, its type_origin_table and linkage_table,
+ * but not its bytecode, so:
+ *   - modules are compared completely,
+ *   - structs and enums are compared completely when the type_origin_table is recorded,
+ *     otherwise only those of added and removed modules are known,
+ *   - functions are known for added modules, and removed ones are found only when this
+ *     transaction calls them on the previous version.
+ * A new module that fails to decode has no known name, so nothing is reported removed from
+ * a module missing among the decoded ones and getCoverage() marks modules incomplete.
+ *
+ * getChanges() returns rows of { kind, name, change } (kind 'module', 'datatype' or 'function',
+ * change 'added' or 'removed') and getFindings() the changes some policy forbids:
+ *   { severity, message, breaks, may_break }
+ * where breaks lists the policy names it violates and may_break those it violates depending
+ * on what the cache does not record. severity is 'error' when the ticket's policy is in
+ * breaks, 'warning' when it is in may_break or could not be resolved.
+ */
+class UpgradeCompatibility {
+    constructor(transaction, commandIndex) {
+        this.transaction = transaction;
+        this.command_index = commandIndex;
+        this.command = transaction._parseCommands()[commandIndex];
     }
 
-    /**
-     * Helper: Calculate non-refundable fee for an object
-     */
-    calculateNonRefundableFee(storageCost, storageRebate, rebateRate) {
-        // Non-refundable fee = storage_rebate * (10000 - rebate_rate) / 10000
-        return Math.floor(storageRebate * (10000 - rebateRate) / 10000);
+    static getPolicies() {
+        return UPGRADE_POLICIES;
     }
 
     /**
-     * Load move_call_info.json and merge with commands from transaction_data
+     * The cache entry of the package being upgraded, or null when it was not loaded
      */
-    loadPtbDetails(json) {
-        this._rawData.move_call_info = json;
-
-        // Merge command_signatures with commands in kind.ProgrammableTransaction
-        if (json.command_signatures && Array.isArray(json.command_signatures)) {
-            const signatures = json.command_signatures;
-            const commands = this.kind?.ProgrammableTransaction?.commands || [];
-
-            // Add _signature field to each command
-            commands.forEach((cmd, index) => {
-                if (index < signatures.length) {
-                    cmd._signature = signatures[index]; // Can be null for non-MoveCall commands
-                }
-            });
+    getPreviousPackage() {
+        const entry = this.transaction.getPackage(this.command.packageId);
+        if (!entry || !entry.package) {
+            return null;
         }
+        return { id: entry.object_id, version: entry.version, ...entry.package };
     }
 
-    // ============================================================================
-    // Helper Methods for UI Rendering
-    // ============================================================================
-
     /**
-     * Get object type by object ID
+     * The package written by this transaction: { id, version }, or null without effects
      */
-    getObjectType(objectId) {
-        const obj = this._objects.find(o => o.object_id === objectId);
-        return obj?.object_type || null;
+    getNewPackage() {
+        const change = this.transaction.getObjectChanges()
+            .find(current => current.output_kind === 'PackageWrite' && current.version_before === null);
+        return change ? { id: change.object_id, version: change.version_after } : null;
     }
 
     /**
-     * Get MoveType for an object by ID
+     * Resolve the policy of the UpgradeTicket: the u8 passed to package::authorize_upgrade.
+     * Returns { value, name } or null when the ticket does not come from a pure input.
      */
-    getObjectMoveType(objectId) {
-        const obj = this._objects.find(o => o.object_id === objectId);
-        if (!obj || !obj.object_type) {
+    getPolicy() {
+        const ticket = this.command.ticket || {};
+        const source = ticket.Result !== undefined ? ticket.Result : (Array.isArray(ticket.NestedResult) ? ticket.NestedResult[0] : null);
+        const authorize = source !== null ? this.transaction._parseCommands()[source] : null;
+        if (!(authorize instanceof MoveCallCommand) ||
+            MoveType.normalizeAddress(authorize.function.package) !== '0x2' ||
+            authorize.function.module !== 'package' || authorize.function.name !== 'authorize_upgrade') {
             return null;
         }
-
-        if (obj.object_type.Package) {
-            return new MoveType(null, null, 'MovePackage', [], true);
-        }
-
-        if (obj.object_type.MoveObject) {
-            return MoveType.fromTypeStructure(obj.object_type.MoveObject, this);
+        const argument = authorize.arguments[1];
+        const inputs = this.transaction.kind?.ProgrammableTransaction?.inputs || [];
+        const input = argument && argument.Input !== undefined ? inputs[argument.Input] : null;
+        if (!input || !Array.isArray(input.Pure) || input.Pure.length !== 1) {
+            return null;
         }
-
-        return null;
+        const value = input.Pure[0];
+        const policy = UPGRADE_POLICIES.find(current => current.value === value);
+        return { value, name: policy ? policy.name : `unknown (${value})` };
     }
 
     /**
-     * Get object version by object ID
+     * Added and removed modules, structs / enums and functions
      */
-    getObjectVersion(objectId) {
-        const obj = this._objects.find(o => o.object_id === objectId);
-        return obj?.version || null;
-    }
+    getChanges() {
+        if (this._changes) {
+            return this._changes;
+        }
+        const previous = this.getPreviousPackage();
+        if (!previous) {
+            this._changes = [];
+            return this._changes;
+        }
 
-    /**
-     * Extract all object IDs from transaction inputs
-     * Also includes packages from MoveCall commands
-     */
-    getInputObjects() {
-        const objects = new Set();
-        if (this.kind?.ProgrammableTransaction?.inputs) {
-            this.kind.ProgrammableTransaction.inputs.forEach(input => {
-                if (input.Object) {
-                    if (input.Object.ImmOrOwnedObject) {
-                        objects.add(input.Object.ImmOrOwnedObject[0]);
-                    } else if (input.Object.SharedObject) {
-                        objects.add(input.Object.SharedObject.id);
-                    } else if (input.Object.Receiving) {
-                        objects.add(input.Object.Receiving[0]);
-                    }
+        const compiled = this.command.getCompiledModules().filter(entry => entry.module);
+        const modules = new Map(compiled.map(entry => [entry.module.getName(), entry.module]));
+        const oldModules = new Set(previous.module_names);
+        const decodedAll = this.getUndecodedModules().length === 0;
+        const changes = [];
+        const record = (kind, name, change) => changes.push({ kind, name, change });
+
+        if (decodedAll) {
+            previous.module_names.filter(name => !modules.has(name)).forEach(name => record('module', name, 'removed'));
+        }
+        [...modules.keys()].filter(name => !oldModules.has(name)).forEach(name => record('module', name, 'added'));
+
+        // Datatypes: the type origin table lists every struct and enum of the previous version
+        const datatypes = module => [...module.getStructs(), ...module.getEnums()].map(datatype => datatype.name);
+        const oldTypes = this.getPreviousDatatypes();
+        modules.forEach((module, moduleName) => {
+            datatypes(module).forEach(name => {
+                const qualified = `${moduleName}::${name}`;
+                if (!oldModules.has(moduleName) || (oldTypes && !oldTypes.has(qualified))) {
+                    record('datatype', qualified, 'added');
                 }
             });
-        }
-
-        // Also include packages from MoveCall commands
-        if (this.kind?.ProgrammableTransaction?.commands) {
-            this.kind.ProgrammableTransaction.commands.forEach(cmd => {
-                if (cmd.MoveCall && cmd.MoveCall.package) {
-                    objects.add(cmd.MoveCall.package);
+        });
+        if (oldTypes) {
+            oldTypes.forEach(qualified => {
+                const [moduleName, name] = qualified.split('::');
+                const module = modules.get(moduleName);
+                if (module ? !datatypes(module).includes(name) : decodedAll) {
+                    record('datatype', qualified, 'removed');
                 }
             });
         }
 
-        return objects;
-    }
+        modules.forEach((module, moduleName) => {
+            if (!oldModules.has(moduleName)) {
+                module.getFunctions().forEach(fn => record('function', `${moduleName}::${fn.name}`, 'added'));
+            }
+        });
+        this.getCalledPreviousFunctions().forEach(qualified => {
+            const [moduleName, name] = qualified.split('::');
+            const module = modules.get(moduleName);
+            if (module ? !module.getFunctions().some(fn => fn.name === name) : decodedAll) {
+                record('function', qualified, 'removed');
+            }
+        });
 
-    /**
-     * Get all created objects (from _objects with status 'Created')
-     */
-    getCreatedObjects() {
-        return this._objects.filter(o => o.status === 'Created');
+        this._changes = changes;
+        return changes;
     }
 
     /**
-     * Get all deleted objects (from _objects with status 'Deleted')
+     * Modules of the command whose bytecode could not be decoded: [{ index, size, error }]
      */
-    getDeletedObjects() {
-        return this._objects.filter(o => o.status === 'Deleted');
+    getUndecodedModules() {
+        return this.command.getCompiledModules()
+            .filter(entry => !entry.module)
+            .map(({ index, size, error }) => ({ index, size, error }));
     }
 
     /**
-     * Get all modified objects (from _objects with status 'Modified')
+     * "module::Name" of every datatype in the previous version's type_origin_table, or null
+     * when the cache did not record it
      */
-    getModifiedObjects() {
-        return this._objects.filter(o => o.status === 'Modified');
+    getPreviousDatatypes() {
+        const previous = this.getPreviousPackage();
+        if (!previous || !Array.isArray(previous.type_origin_table)) {
+            return null;
+        }
+        return new Set(previous.type_origin_table.map(origin => `${origin.module_name}::${origin.datatype_name}`));
     }
 
     /**
-     * Check if an object was deleted
+     * "module::function" of the MoveCalls of this transaction to the previous version
      */
-    isObjectDeleted(objectId) {
-        const obj = this._objects.find(o => o.object_id === objectId);
-        return obj && obj.status === 'Deleted';
+    getCalledPreviousFunctions() {
+        const packageId = MoveType.normalizeAddress(this.command.packageId);
+        const called = new Set();
+        this.transaction.getCommands().forEach(command => {
+            if (command instanceof MoveCallCommand && MoveType.normalizeAddress(command.function.package) === packageId) {
+                called.add(`${command.function.module}::${command.function.name}`);
+            }
+        });
+        return [...called];
     }
 
     /**
-     * Get all object IDs that appear in changed_objects
+     * Which parts of the comparison are complete: { modules, datatypes, functions }
      */
-    getChangedObjectIds() {
-        return new Set(this.changed_objects);
+    getCoverage() {
+        const previous = this.getPreviousPackage();
+        const decodedAll = this.getUndecodedModules().length === 0;
+        return {
+            modules: previous !== null && decodedAll,
+            datatypes: this.getPreviousDatatypes() !== null && decodedAll,
+            functions: false
+        };
     }
 
     /**
-     * Get gas payment object IDs
+     * Dependencies before and after, keyed by original package ID:
+     * [{ original_id, old_id, old_version, new_id, new_version, change }]
+     * with change 'unchanged', 'upgraded', 'downgraded', 'added' or 'removed'. The old
+     * side is null when the previous version's linkage_table was not recorded.
      */
-    getGasPaymentObjects() {
-        const gasObjects = new Set();
-        if (this.gas_data.payment && Array.isArray(this.gas_data.payment)) {
-            this.gas_data.payment.forEach(payment => {
-                gasObjects.add(payment[0]); // object_id
-            });
-        }
-        return gasObjects;
-    }
+    getLinkage() {
+        const previous = this.getPreviousPackage();
+        const rows = new Map();
+        const row = originalId => {
+            const key = MoveType.normalizeAddress(originalId);
+            if (!rows.has(key)) {
+                rows.set(key, { original_id: originalId, old_id: null, old_version: null, new_id: null, new_version: null, change: null });
+            }
+            return rows.get(key);
+        };
 
-    /**
-     * Get parsed Command objects from PTB commands
-     * Returns an array of Command instances (MoveCallCommand, SplitCoinsCommand, etc.)
-     */
-    getCommands() {
-        const rawCommands = this.kind?.ProgrammableTransaction?.commands || [];
-        const inputs = this.kind?.ProgrammableTransaction?.inputs || [];
+        const linkage = previous ? previous.linkage_table : null;
+        (linkage || []).forEach(link => {
+            const current = row(link.original_id);
+            current.old_id = link.upgraded_id;
+            current.old_version = link.upgraded_version;
+        });
 
-        return rawCommands.map(rawCmd => {
-            if (rawCmd.MoveCall) {
-                return MoveCallCommand.fromRawCommand(rawCmd, this);
-            } else if (rawCmd.SplitCoins) {
-                return SplitCoinsCommand.fromRawCommand(rawCmd, this, inputs);
-            } else if (rawCmd.MergeCoins) {
-                return MergeCoinsCommand.fromRawCommand(rawCmd, this, inputs);
-            } else if (rawCmd.MakeMoveVec) {
-                return MakeMoveVecCommand.fromRawCommand(rawCmd, this, inputs, rawCommands);
-            } else if (rawCmd.TransferObjects) {
-                return TransferObjectsCommand.fromRawCommand(rawCmd);
-            } else if (rawCmd.Publish) {
-                return PublishCommand.fromRawCommand(rawCmd);
-            } else if (rawCmd.Upgrade) {
-                return UpgradeCommand.fromRawCommand(rawCmd);
+        (this.command.deps || []).forEach(dep => {
+            const entry = this.transaction.getPackage(dep);
+            const current = row(entry && entry.package ? entry.package.original_id : dep);
+            current.new_id = dep;
+            current.new_version = entry ? entry.version : null;
+        });
+
+        return [...rows.values()].map(current => {
+            if (linkage === null) {
+                current.change = null;
+            } else if (current.old_id === null) {
+                current.change = 'added';
+            } else if (current.new_id === null) {
+                current.change = 'removed';
+            } else if (current.old_version !== null && current.new_version !== null && Number(current.new_version) < Number(current.old_version)) {
+                current.change = 'downgraded';
             } else {
-                // Fallback for unknown command types - return a generic command
-                return null;
+                // System packages are upgraded in place: same ID, higher version
+                const sameId = MoveType.normalizeAddress(current.old_id) === MoveType.normalizeAddress(current.new_id);
+                const newer = current.old_version !== null && current.new_version !== null && Number(current.new_version) > Number(current.old_version);
+                current.change = sameId && !newer ? 'unchanged' : 'upgraded';
             }
-        }).filter(cmd => cmd !== null);
+            return current;
+        });
     }
 
-    // ============================================================================
-    // Static Factory Method for Loading from Files
-    // ============================================================================
-
     /**
-     * Load a transaction from a directory containing the JSON files
-     * @param {Object} files - Object with file contents { transaction_data, transaction_effects, etc. }
-     * @returns {Transaction} - Loaded transaction object
+     * Changes forbidden by at least one policy. Every policy keeps existing modules and
+     * datatypes, and Sui rejects a dependency that is dropped or downgraded; only
+     * dependency-only forbids adding modules, datatypes and functions. Only compatible lets
+     * a function go, and only a non-public or entry one, which the cache does not record.
+     * additive and dependency-only keep every function.
      */
-    static fromFiles(files) {
-        const transaction = new Transaction();
-
-        // Load files in order (some depend on others)
-        if (files.replay_cache_summary) {
-            transaction.loadReplayCacheSummary(files.replay_cache_summary);
-        }
-
-        if (files.transaction_data) {
-            transaction.loadTransactionData(files.transaction_data);
-        }
-
-        if (files.transaction_effects) {
-            transaction.loadTransactionEffects(files.transaction_effects);
-        }
-
-        if (files.transaction_gas_report) {
-            transaction.loadTransactionGasReport(files.transaction_gas_report);
-        }
-
-        if (files.move_call_info) {
-            transaction.loadPtbDetails(files.move_call_info);
-        }
+    getFindings() {
+        const policy = this.getPolicy();
+        const all = UPGRADE_POLICIES.map(current => current.name);
+        const findings = [];
+        const add = (message, breaks, mayBreak = []) => {
+            let severity = null;
+            if (policy === null || mayBreak.includes(policy.name)) {
+                severity = 'warning';
+            } else if (breaks.includes(policy.name)) {
+                severity = 'error';
+            }
+            if (severity) {
+                findings.push({ severity, message, breaks, may_break: mayBreak });
+            }
+        };
 
-        return transaction;
+        this.getChanges().forEach(change => {
+            const label = change.kind.charAt(0).toUpperCase() + change.kind.slice(1);
+            if (change.change === 'removed' && change.kind === 'function') {
+                add(`${label} ${change.name} was removed (called in this transaction); only compatible allows this, and only if it was not public`,
+                    ['additive', 'dependency-only'], ['compatible']);
+            } else if (change.change === 'removed') {
+                add(`${label} ${change.name} was removed`, all);
+            } else {
+                add(`${label} ${change.name} was added`, ['dependency-only']);
+            }
+        });
+        this.getLinkage().forEach(current => {
+            if (current.change === 'removed') {
+                add(`Dependency ${current.original_id} was dropped`, all);
+            } else if (current.change === 'downgraded') {
+                add(`Dependency ${current.original_id} went from version ${current.old_version} to ${current.new_version}`, all);
+            }
+        });
+        return findings.sort((a, b) => (a.severity === b.severity ? 0 : (a.severity === 'error' ? -1 : 1)));
     }
 }
+
+// Allow the model to be loaded with require() from Node.js (used by replay-cli.js).
+// In the browser this file is a plain <script> and the classes are globals.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MoveType,
+        MoveFunction,
+        Command,
+        MoveCallCommand,
+        TransferObjectsCommand,
+        SplitCoinsCommand,
+        MergeCoinsCommand,
+        MakeMoveVecCommand,
+        PublishCommand,
+        UpgradeCommand,
+        TransactionKind,
+        ProgrammableTransactionKind,
+        ConsensusCommitPrologueKind,
+        ChangeEpochKind,
+        EndOfEpochTransactionKind,
+        AuthenticatorStateUpdateKind,
+        RandomnessStateUpdateKind,
+        GenesisKind,
+        UnknownTransactionKind,
+        ExecutionFailure,
+        Owner,
+        ObjectChange,
+        Transaction,
+        TransactionDiff,
+        GasVerification,
+        GasSimulator,
+        TransactionDiagnostics,
+        UpgradeCompatibility
+    };
+}
@@ -0,0 +1,370 @@
+// Copyright (c) Mysten Labs, Inc.
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Transaction Report
+ *
+ * Builds a standalone report of one analyzed transaction for postmortems and
+ * incident threads: Overview, PTB inputs and commands, gas summary, object
+ * changes and diagnostics findings. Everything is read from the Transaction model, so the same report is
+ * produced in the browser and by replay-cli.js.
+ *
+ * toMarkdown() returns GitHub-flavoured Markdown. toHTML() returns a single offline
+ * HTML page; the viewer passes its stylesheet and the rendered tab panels so the
+ * page also carries the full interactive-free analysis.
+ */
+
+/**
+ * Minimum styling of an exported page, placed before the viewer's stylesheet. It keeps the
+ * page usable when styles.css could not be read (opened from file:// in some browsers).
+ */
+const REPORT_BASE_CSS = `
+body { font-family: 'Monaco', 'Menlo', 'Consolas', monospace; background-color: #1a1a1a; color: white; font-size: 14px; }
+a { color: #4a9eff; }
+.tab-btn { background: none; border: none; color: white; padding: 10px 16px; cursor: pointer; font-family: inherit; font-weight: bold; }
+.tab-btn.active { color: #4a9eff; border-bottom: 2px solid #4a9eff; }
+.tab-panel { display: none; padding: 20px; }
+.tab-panel.active { display: block; }
+.overview-section-title { color: #4a9eff; }`;
+
+/**
+ * TransactionReport - Report sections of a loaded Transaction
+ * Every section is plain data ({ title, columns, rows } tables of strings) so the
+ * Markdown and HTML writers stay trivial.
+ */
+class TransactionReport {
+    constructor(transaction) {
+        this.transaction = transaction;
+    }
+
+    /**
+     * Label/value rows of the Overview tab
+     */
+    getOverviewRows() {
+        const transaction = this.transaction;
+        const status = transaction.getExecutionStatus();
+        const failure = transaction.getExecutionFailure();
+        const kind = transaction.getTransactionKind();
+
+        let statusText = 'N/A';
+        if (status) {
+            statusText = status.success ? 'Success' : `Failure: ${failure ? failure.kind : 'Unknown'}`;
+        }
+
+        const rows = [
+            ['Digest', transaction.digest],
+            ['Status', statusText]
+        ];
+        if (failure) {
+            rows.push(['Error', failure.getDescription()]);
+        }
+        rows.push(
+            ['Kind', kind ? kind.getTypeName() : null],
+            ['Sender', transaction.sender],
+            ['Epoch', transaction.epoch],
+            ['Checkpoint', transaction.checkpoint],
+            ['Protocol Version', transaction.protocol_version],
+            ['Network', transaction.network]
+        );
+
+        return rows.map(([label, value]) => [label, TransactionReport._text(value)]);
+    }
+
+    /**
+     * PTB inputs and commands as two tables, or the kind's fields for system transactions
+     */
+    getCommandTables() {
+        const kind = this.transaction.getTransactionKind();
+        if (kind && !kind.isProgrammable()) {
+            return [{
+                title: kind.getTypeName(),
+                columns: ['Field', 'Value'],
+                rows: kind.getFields().map(field => [field.label, TransactionReport._text(field.value)])
+            }];
+        }
+
+        const graph = this.transaction.getDataflowGraph();
+        const rawInputs = this.transaction.kind?.ProgrammableTransaction?.inputs || [];
+
+        const inputRows = graph.nodes.filter(node => node.kind === 'input').map(node => {
+            const raw = rawInputs[node.index] || {};
+            const firstUse = graph.edges.find(edge => edge.from === node.id);
+            let value;
+            if (raw.Pure) {
+                value = this._formatPure(raw.Pure, firstUse);
+            } else if (raw.Object) {
+                const reference = raw.Object.ImmOrOwnedObject || raw.Object.Receiving;
+                value = reference ? reference[0] : (raw.Object.SharedObject ? raw.Object.SharedObject.id : '');
+            } else {
+                value = JSON.stringify(raw);
+            }
+            return [node.label, node.detail, value, TransactionReport._text(node.type || (firstUse ? firstUse.type : null), '')];
+        });
+
+        const commandRows = graph.nodes.filter(node => node.kind === 'command').map(node => {
+            const args = graph.edges.filter(edge => edge.to === node.id).map(edge => edge.label).join(', ');
+            const returns = node.returnTypes && node.returnTypes.length > 0 ? node.returnTypes.join(', ') : '';
+            return [node.label, node.detail, args, returns];
+        });
+
+        return [
+            { title: `Inputs (${inputRows.length})`, columns: ['Input', 'Kind', 'Value / Object', 'Type'], rows: inputRows },
+            { title: `Commands (${commandRows.length})`, columns: ['Command', 'Call', 'Arguments', 'Returns'], rows: commandRows }
+        ];
+    }
+
+    /**
+     * Gas summary rows, including the verification verdict
+     */
+    getGasRows() {
+        const gas = this.transaction.getGasSummary();
+        const verification = this.transaction.getGasVerification();
+        const mismatches = verification.getMismatches();
+        const checks = verification.getChecks();
+
+        let verdict = `OK (${checks.length} checks)`;
+        if (mismatches.length > 0) {
+            verdict = `${verification.isConsistent() ? 'Warning' : 'Mismatch'}: ` +
+                mismatches.map(check => (check.object_id ? `${check.label} ${check.object_id}` : check.label)).join('; ');
+        }
+
+        return [
+            ['Gas Price', TransactionReport._number(gas.price)],
+            ['Gas Budget', TransactionReport._number(gas.budget)],
+            ['Gas Used', TransactionReport._number(gas.gas_used)],
+            ['Computation Cost', TransactionReport._number(gas.computation_cost)],
+            ['Storage Cost', TransactionReport._number(gas.storage_cost)],
+            ['Non-Refundable Storage Fee', TransactionReport._number(gas.non_refundable_fee)],
+            ['Storage Rebate', gas.storage_rebate === null ? 'N/A' : `-${TransactionReport._number(gas.storage_rebate)}`],
+            ['Gas Charges', TransactionReport._number(gas.gas_charges)],
+            ['Gas Verification', checks.length > 0 ? verdict : 'N/A']
+        ];
+    }
+
+    /**
+     * One row per object changed by the effects
+     */
+    getObjectChangeRows() {
+        return this.transaction.getObjectChanges().map(change => {
+            const moveType = this.transaction.getObjectMoveType(change.object_id);
+            const version = change.version_before !== null && change.version_before !== undefined
+                ? `${change.version_before} → ${TransactionReport._text(change.version_after, '∅')}`
+                : TransactionReport._text(change.version_after, '∅');
+            return [
+                change.object_id,
+                change.change_class || '',
+                moveType ? moveType.toDisplayString() : '',
+                version,
+                change.getTransitionString()
+            ];
+        });
+    }
+
+    /**
+     * One row per cross-artifact inconsistency found by TransactionDiagnostics
+     */
+    getDiagnosticRows() {
+        const diagnostics = this.transaction.getDiagnostics();
+        const titles = new Map(diagnostics.getResults().map(result => [result.rule.id, result.rule.title]));
+        return diagnostics.getFindings().map(finding => [
+            finding.severity,
+            titles.get(finding.rule),
+            finding.message,
+            finding.object_ids.join(', ')
+        ]);
+    }
+
+    /**
+     * All sections in report order: { title, tables: [{ title, columns, rows }] }
+     */
+    getSections() {
+        return [
+            { title: 'Overview', tables: [{ title: null, columns: ['Field', 'Value'], rows: this.getOverviewRows() }] },
+            { title: 'Commands', tables: this.getCommandTables() },
+            { title: 'Gas', tables: [{ title: null, columns: ['Item', 'Amount'], rows: this.getGasRows() }] },
+            {
+                title: 'Object Changes',
+                tables: [{
+                    title: null,
+                    columns: ['Object ID', 'Change', 'Type', 'Version', 'Ownership'],
+                    rows: this.getObjectChangeRows()
+                }]
+            },
+            {
+                title: 'Diagnostics',
+                tables: [{ title: null, columns: ['Severity', 'Rule', 'Finding', 'Objects'], rows: this.getDiagnosticRows() }]
+            }
+        ];
+    }
+
+    toMarkdown() {
+        const escape = cell => String(cell).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+        const lines = [`# Transaction ${this.transaction.digest || ''}`.trim(), ''];
+
+        this.getSections().forEach(section => {
+            lines.push(`## ${section.title}`, '');
+            section.tables.forEach(table => {
+                if (table.title) {
+                    lines.push(`### ${table.title}`, '');
+                }
+                if (table.rows.length === 0) {
+                    lines.push('_None_', '');
+                    return;
+                }
+                lines.push(`| ${table.columns.map(escape).join(' | ')} |`);
+                lines.push(`|${table.columns.map(() => ' --- |').join('')}`);
+                table.rows.forEach(row => lines.push(`| ${row.map(escape).join(' | ')} |`));
+                lines.push('');
+            });
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Single-file HTML page. options.css is inlined; options.tabs ([{ id, label, html }], e.g. the
+     * viewer's rendered panels) follow the model-built Report tab and switch with a few lines of script.
+     */
+    toHTML(options = {}) {
+        const css = options.css || '';
+        const tabs = [{ id: 'report', label: 'Report', html: this._sectionsToHTML() }].concat(options.tabs || []);
+        const title = `Sui Transaction ${this.transaction.digest || ''}`.trim();
+        const escape = TransactionReport._escapeHTML;
+
+        const nav = tabs.map((tab, i) =>
+            `<button class="tab-btn${i === 0 ? ' active' : ''}" data-tab="${escape(tab.id)}">${escape(tab.label)}</button>`).join('\n            ');
+        const panels = tabs.map((tab, i) => `
+            <div class="tab-panel${i === 0 ? ' active' : ''}" id="tab-${escape(tab.id)}">
+                <section class="section-card">
+                    <div class="content">${tab.html}</div>
+                </section>
+            </div>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escape(title)}</title>
+    <style>
+${REPORT_BASE_CSS}
+${css}
+    </style>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <h1>🔍 ${escape(title)}</h1>
+            <p>Exported ${escape(new Date().toISOString())} from the Sui Transaction Replay Viewer</p>
+        </header>
+        <nav class="tab-nav">
+            ${nav}
+        </nav>
+        <div class="tab-content">${panels}
+        </div>
+    </div>
+    <script>
+        document.querySelectorAll('.tab-btn').forEach(function (button) {
+            button.addEventListener('click', function () {
+                document.querySelectorAll('.tab-btn, .tab-panel').forEach(function (element) {
+                    element.classList.remove('active');
+                });
+                button.classList.add('active');
+                document.getElementById('tab-' + button.getAttribute('data-tab')).classList.add('active');
+            });
+        });
+    </script>
+</body>
+</html>
+`;
+    }
+
+    _sectionsToHTML() {
+        const escape = TransactionReport._escapeHTML;
+        const th = 'padding: 8px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;';
+        const td = 'padding: 6px 8px; border-bottom: 1px solid #333; color: white; vertical-align: top;';
+        let html = '';
+
+        this.getSections().forEach(section => {
+            html += `<div class="overview-section"><h3 class="overview-section-title">${escape(section.title)}</h3>`;
+            section.tables.forEach(table => {
+                if (table.title) {
+                    html += `<h4 style="margin: 15px 0 10px 0; color: #4a9eff;">${escape(table.title)}</h4>`;
+                }
+                if (table.rows.length === 0) {
+                    html += `<p style="color: #888;">None</p>`;
+                    return;
+                }
+                html += `<table style="width: 100%; border-collapse: collapse; font-family: monospace; margin-bottom: 10px;"><thead><tr style="background: #333;">`;
+                html += table.columns.map(column => `<th style="${th}">${escape(column)}</th>`).join('');
+                html += `</tr></thead><tbody>`;
+                table.rows.forEach(row => {
+                    html += `<tr>${row.map(cell => `<td style="${td}">${escape(cell)}</td>`).join('')}</tr>`;
+                });
+                html += `</tbody></table>`;
+            });
+            html += `</div>`;
+        });
+
+        return html;
+    }
+
+    /**
+     * Decoded pure value when the decoder is loaded and the first use gives a type, otherwise hex.
+     * A MoveCall parameter from move_call_info is preferred over the type inferred for the edge.
+     */
+    _formatPure(bytes, firstUse) {
+        const hex = `0x${bytes.map(b => b.toString(16).padStart(2, '0')).join('')}`;
+        const decoder = typeof BcsDecoder !== 'undefined' ? BcsDecoder
+            : (typeof require === 'function' ? require('./bcs-decoder.js').BcsDecoder : null);
+        if (!decoder || !firstUse) {
+            return hex;
+        }
+
+        let type = firstUse.type;
+        let typeArguments = [];
+        const commandIndex = parseInt(firstUse.to.split(':')[1]);
+        const command = this.transaction._parseCommands()[commandIndex];
+        const argIndex = /^arg(\d+)$/.exec(firstUse.role);
+        if (command && command.getTypeName() === 'MoveCall' && argIndex && command.signature?.parameters?.[argIndex[1]]) {
+            type = command.signature.parameters[argIndex[1]];
+            typeArguments = this.transaction.kind.ProgrammableTransaction.commands[commandIndex].MoveCall.type_arguments || [];
+        }
+        if (!type) {
+            return hex;
+        }
+
+        try {
+            return decoder.formatValue(decoder.decode(bytes, type, typeArguments), type, typeArguments);
+        } catch (error) {
+            return hex;
+        }
+    }
+
+    static _text(value, placeholder = 'N/A') {
+        if (value === null || value === undefined || value === '') {
+            return placeholder;
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    static _number(value) {
+        // Same underscore thousands separator as the viewer
+        const text = TransactionReport._text(value);
+        return /^-?\d+$/.test(text) ? text.replace(/\B(?=(\d{3})+(?!\d))/g, '_') : text;
+    }
+
+    static _escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Allow the report to be loaded with require() from Node.js (used by replay-cli.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TransactionReport };
+}
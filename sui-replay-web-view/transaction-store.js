@@ -0,0 +1,198 @@
+// Copyright (c) Mysten Labs, Inc.
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Transaction Store
+ *
+ * Keeps the parsed replay artifacts of analyzed transactions in the browser's
+ * IndexedDB so they can be reopened from the Load tab without picking the
+ * directory again. Nothing leaves the machine.
+ *
+ * Two object stores share the "<network>:<digest>" key: `transactions` holds the
+ * small metadata records listed on the Load tab, `bundles` holds the five JSON
+ * files, which are only read when an entry is reopened.
+ */
+
+const TRANSACTION_STORE_DB = 'sui-replay-web-view';
+const TRANSACTION_STORE_VERSION = 1;
+
+// Oldest unpinned entries beyond this count are dropped when a new one is saved
+const TRANSACTION_STORE_MAX_UNPINNED = 25;
+
+/**
+ * TransactionStore - IndexedDB persistence of analyzed replay bundles
+ * Every method returns a Promise; they reject when IndexedDB is unavailable
+ * (e.g. some private browsing modes).
+ */
+class TransactionStore {
+    constructor(indexedDBFactory = (typeof indexedDB !== 'undefined' ? indexedDB : null)) {
+        this.factory = indexedDBFactory;
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return this.factory !== null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!this.factory) {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+                const request = this.factory.open(TRANSACTION_STORE_DB, TRANSACTION_STORE_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('transactions')) {
+                        db.createObjectStore('transactions', { keyPath: 'key' });
+                    }
+                    if (!db.objectStoreNames.contains('bundles')) {
+                        db.createObjectStore('bundles', { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error || new Error('Unable to open IndexedDB'));
+            });
+            // Allow a later call to retry after a failed open
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    static getKey(network, digest) {
+        return `${network || 'unknown'}:${digest}`;
+    }
+
+    /**
+     * Save the files of an analyzed transaction, keeping the pin of an existing entry
+     * @param {Transaction} transaction - Used for the digest, network and list columns
+     * @param {Object} files - The viewer's files map (transaction_data, transaction_effects, ...)
+     * @returns {Promise<Object>} - The stored metadata record
+     */
+    save(transaction, files) {
+        const key = TransactionStore.getKey(transaction.network, transaction.digest);
+        const bundle = {};
+        Object.keys(files).forEach(fileType => {
+            if (files[fileType]) {
+                bundle[fileType] = files[fileType];
+            }
+        });
+        const status = transaction.getExecutionStatus();
+
+        return this.open().then(db => this._transaction(db, ['transactions', 'bundles'], 'readwrite', stores => {
+            return this._request(stores.transactions.get(key)).then(existing => {
+                const now = Date.now();
+                const record = {
+                    key,
+                    digest: transaction.digest,
+                    network: transaction.network || 'unknown',
+                    checkpoint: transaction.checkpoint || null,
+                    status: status ? (status.success ? 'Success' : 'Failure') : null,
+                    command_count: transaction.getCommands().length,
+                    size: TransactionStore.getBundleSize(bundle),
+                    pinned: existing ? existing.pinned : false,
+                    saved_at: existing ? existing.saved_at : now,
+                    opened_at: now
+                };
+                stores.transactions.put(record);
+                stores.bundles.put({ key, files: bundle });
+                return record;
+            });
+        })).then(record => this.prune().then(() => record));
+    }
+
+    /**
+     * Metadata of every stored transaction, pinned first, then most recently opened
+     * @returns {Promise<Array<Object>>}
+     */
+    list() {
+        return this.open().then(db => this._transaction(db, ['transactions'], 'readonly', stores => {
+            return this._request(stores.transactions.getAll());
+        })).then(records => records.sort((a, b) => {
+            if (a.pinned !== b.pinned) {
+                return a.pinned ? -1 : 1;
+            }
+            return b.opened_at - a.opened_at;
+        }));
+    }
+
+    /**
+     * Files of a stored transaction, in the shape of the viewer's files map
+     * @returns {Promise<Object|null>} - null when the entry no longer exists
+     */
+    load(key) {
+        return this.open().then(db => this._transaction(db, ['bundles'], 'readonly', stores => {
+            return this._request(stores.bundles.get(key));
+        })).then(bundle => bundle ? bundle.files : null);
+    }
+
+    setPinned(key, pinned) {
+        return this.open().then(db => this._transaction(db, ['transactions'], 'readwrite', stores => {
+            return this._request(stores.transactions.get(key)).then(record => {
+                if (record) {
+                    record.pinned = pinned;
+                    stores.transactions.put(record);
+                }
+                return record || null;
+            });
+        }));
+    }
+
+    remove(key) {
+        return this.open().then(db => this._transaction(db, ['transactions', 'bundles'], 'readwrite', stores => {
+            stores.transactions.delete(key);
+            stores.bundles.delete(key);
+            return Promise.resolve();
+        }));
+    }
+
+    /**
+     * Drop the least recently opened unpinned entries beyond TRANSACTION_STORE_MAX_UNPINNED
+     */
+    prune() {
+        return this.list().then(records => {
+            const stale = records.filter(record => !record.pinned).slice(TRANSACTION_STORE_MAX_UNPINNED);
+            return Promise.all(stale.map(record => this.remove(record.key)));
+        });
+    }
+
+    /**
+     * Approximate stored size in bytes: the UTF-8 length of the JSON files
+     */
+    static getBundleSize(bundle) {
+        const json = JSON.stringify(bundle);
+        return typeof TextEncoder !== 'undefined' ? new TextEncoder().encode(json).length : json.length;
+    }
+
+    /**
+     * Run work(stores) inside one IndexedDB transaction and resolve with its result once the
+     * transaction has committed. The work must only chain IndexedDB requests, since the
+     * transaction closes as soon as nothing is pending on it.
+     */
+    _transaction(db, storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(name => {
+                stores[name] = tx.objectStore(name);
+            });
+            let result;
+            work(stores).then(value => {
+                result = value;
+            }, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error || new Error('IndexedDB transaction failed'));
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
@@ -11,6 +11,16 @@ class TransactionViewer {
             'move_call_info': null
         };
 
+        // Optional second replay directory for compare mode
+        this.compareFiles = {
+            'transaction_data': null,
+            'transaction_effects': null,
+            'transaction_gas_report': null,
+            'replay_cache_summary': null,
+            'move_call_info': null
+        };
+        this.compareTransaction = null;
+
         this.requiredFiles = [
             'transaction_data.json',
             'transaction_effects.json',
@@ -19,7 +29,20 @@ class TransactionViewer {
             'move_call_info.json'
         ];
 
+        // View state mirrored into location.hash so a link reopens the same view of the same digest.
+        // A hash found on page load waits in pendingViewState and is applied by the next analysis if the digest matches.
+        this.viewState = { tab: null, object: null, sort: {}, json: [] };
+        this.pendingViewState = this.readHashState();
+        if (this.pendingViewState && this.pendingViewState.explorer) {
+            document.getElementById('explorer-select').value = this.pendingViewState.explorer;
+        }
+
+        // Previously analyzed transactions, reopened from the Load tab (transaction-store.js)
+        this.store = new TransactionStore();
+
         this.setupEventListeners();
+        this.renderRecentTransactions();
+        this.loadFromQueryParameters();
     }
 
     // Explorer configuration mapping
@@ -216,10 +239,13 @@ class TransactionViewer {
     }
 
     // Sortable table functionality
+    // Every registered table also gets CSV/TSV export buttons (see exportTable)
     makeSortable(tableId) {
         const table = document.getElementById(tableId);
         if (!table) return;
 
+        this.addTableExportButtons(table);
+
         const thead = table.querySelector('thead');
         if (!thead) return; // Skip tables without proper thead structure
 
@@ -228,23 +254,28 @@ class TransactionViewer {
             header.style.cursor = 'pointer';
             header.style.userSelect = 'none';
             header.classList.add('sortable-header');
+            header.setAttribute('data-export-label', header.textContent.trim());
 
             // Add sort indicator container
             const originalText = header.innerHTML;
             header.innerHTML = `${originalText} <span class="sort-indicator"></span>`;
 
             header.addEventListener('click', () => {
-                this.sortTable(table, index, header);
+                const direction = this.sortTable(table, index, header);
+                this.viewState.sort[tableId] = { column: index, direction };
+                this.writeHashState();
             });
         });
     }
 
-    sortTable(table, columnIndex, header) {
+    // Sort by one column; direction ('asc' or 'desc') defaults to the opposite of the current one
+    // Returns the direction applied
+    sortTable(table, columnIndex, header, direction = null) {
         const tbody = table.querySelector('tbody');
         const rows = Array.from(tbody.querySelectorAll('tr'));
 
         // Determine current sort direction
-        const isAscending = header.classList.contains('sort-asc');
+        const isAscending = direction ? direction === 'desc' : header.classList.contains('sort-asc');
 
         // Remove all sort classes from headers
         table.querySelectorAll('th').forEach(th => {
@@ -272,6 +303,16 @@ class TransactionViewer {
 
             if (!aCell || !bCell) return 0;
 
+            // Cells with an explicit data-sort-value sort by it: numerically if both are plain numbers,
+            // otherwise as text (digests and IDs would otherwise be mistaken for numbers below)
+            const aSortValue = aCell.getAttribute('data-sort-value');
+            const bSortValue = bCell.getAttribute('data-sort-value');
+            if (aSortValue !== null && bSortValue !== null) {
+                const bothNumeric = aSortValue !== '' && bSortValue !== '' && !isNaN(Number(aSortValue)) && !isNaN(Number(bSortValue));
+                const comparison = bothNumeric ? Number(aSortValue) - Number(bSortValue) : aSortValue.localeCompare(bSortValue);
+                return sortAscending ? comparison : -comparison;
+            }
+
             // Get text content for comparison (strip HTML tags)
             const aText = aCell.textContent || aCell.innerText || '';
             const bText = bCell.textContent || bCell.innerText || '';
@@ -295,6 +336,72 @@ class TransactionViewer {
 
         // Reorder rows in DOM
         rows.forEach(row => tbody.appendChild(row));
+        return sortAscending ? 'asc' : 'desc';
+    }
+
+    addTableExportButtons(table) {
+        const previous = table.previousElementSibling;
+        if (previous && previous.classList.contains('table-export')) return;
+
+        table.insertAdjacentHTML('beforebegin', `
+            <div class="table-export">
+                <button type="button" class="table-export-btn" data-format="csv" title="Download this table as CSV, in the current sort order">⬇ CSV</button>
+                <button type="button" class="table-export-btn" data-format="tsv" title="Download this table as TSV, in the current sort order">⬇ TSV</button>
+            </div>`);
+        table.previousElementSibling.querySelectorAll('.table-export-btn').forEach(button => {
+            button.addEventListener('click', () => this.exportTable(table, button.getAttribute('data-format')));
+        });
+    }
+
+    /**
+     * Plain rows of a rendered table in its current (sorted, filtered) order: header first when there is one.
+     * Separator rows are skipped; hidden rows (e.g. filtered out in Object Changes) too.
+     */
+    getTableExportRows(table) {
+        const rows = [];
+        const headers = Array.from(table.querySelectorAll('thead th'));
+        if (headers.length > 0) {
+            rows.push(headers.map(header => header.getAttribute('data-export-label') || header.textContent.trim()));
+        }
+
+        table.querySelectorAll('tbody tr').forEach(row => {
+            if (row.style.display === 'none') return;
+            const cells = [];
+            Array.from(row.cells).forEach(cell => {
+                // Keep spanned cells (e.g. "Total" rows) aligned with the header columns
+                cells.push(this.getCellExportValue(cell));
+                for (let i = 1; i < cell.colSpan; i++) cells.push('');
+            });
+            if (cells.every(value => value === '')) return;
+            rows.push(cells);
+        });
+        return rows;
+    }
+
+    /**
+     * data-export-value when the cell shows something shortened (types, transitions), otherwise the
+     * visible text with the underscore thousands separators removed from numbers
+     */
+    getCellExportValue(cell) {
+        const exportValue = cell.getAttribute('data-export-value');
+        if (exportValue !== null) {
+            return exportValue;
+        }
+        const text = cell.textContent.replace(/\s+/g, ' ').trim();
+        return /^-?\d{1,3}(_\d{3})+$/.test(text) ? text.replace(/_/g, '') : text;
+    }
+
+    exportTable(table, format) {
+        const separator = format === 'tsv' ? '\t' : ',';
+        const escapeCell = value => {
+            if (format === 'tsv') {
+                return value.replace(/[\t\r\n]+/g, ' ');
+            }
+            return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        };
+        const content = this.getTableExportRows(table).map(row => row.map(escapeCell).join(separator)).join('\r\n') + '\r\n';
+        const prefix = this.transaction && this.transaction.digest ? `${this.transaction.digest}-` : '';
+        this.downloadFile(`${prefix}${table.id}.${format}`, content, format === 'tsv' ? 'text/tab-separated-values' : 'text/csv');
     }
 
     formatNumber(num) {
@@ -445,6 +552,86 @@ class TransactionViewer {
         }
     }
 
+    /**
+     * Clicking a type (any .custom-tooltip holding a 0x…::module::Name tag) opens a popover with
+     * its defining and runtime package; clicking elsewhere closes it.
+     */
+    handleTypeClick(event) {
+        const popover = document.getElementById('type-origin-popover');
+        if (popover && popover.contains(event.target)) {
+            return;
+        }
+        const element = event.target.closest ? event.target.closest('.custom-tooltip') : null;
+        const match = element && this.transaction
+            ? /^(0x[0-9a-fA-F]+)::(\w+)::(\w+)/.exec(element.getAttribute('data-tooltip') || '')
+            : null;
+        if (!match) {
+            this.hideTypeOrigin();
+            return;
+        }
+        this.hideTooltip();
+        this.showTypeOrigin(element, this.transaction.getTypeOrigin(match[1], match[2], match[3]));
+    }
+
+    showTypeOrigin(element, origin) {
+        this.hideTypeOrigin();
+        const link = id => `<span style="font-family: monospace;">${this.createExplorerLink(id, 'package')}</span>`;
+        const version = id => {
+            const pkg = this.transaction.getPackage(id);
+            return pkg ? ` <span style="color: #888;">v${pkg.version}</span>` : ' <span style="color: #888;">(not loaded)</span>';
+        };
+        const row = (label, value) => `<div style="margin-top: 6px;"><div style="color: #888;">${label}</div><div>${value}</div></div>`;
+
+        let html = `<div style="display: flex; justify-content: space-between; gap: 10px;"><strong style="color: #87ceeb;">${this.encodeHTML(`${origin.module}::${origin.name}`)}</strong>`;
+        html += `<button class="type-origin-close" style="background: none; border: none; color: #888; cursor: pointer;" title="Close">×</button></div>`;
+        html += row(`Defining package${origin.recorded ? ' (type_origin_table)' : ' (from the type tag)'}`, link(origin.defining_package) + version(origin.defining_package));
+        if (origin.original_id) {
+            html += row('Original package', link(origin.original_id));
+        }
+        if (origin.runtime_package) {
+            const differs = MoveType.normalizeAddress(origin.runtime_package) !== MoveType.normalizeAddress(origin.defining_package);
+            html += row('Runtime package', `${link(origin.runtime_package)} <span style="color: #888;">v${origin.runtime_version}</span>` +
+                (differs ? '<div style="color: #ffa500; margin-top: 4px;">⚠ Upgraded: the code running for this type is not in the defining package</div>' : ''));
+        } else {
+            html += row('Runtime package', '<span style="color: #888;">no loaded package defines this type</span>');
+        }
+
+        const popover = document.createElement('div');
+        popover.id = 'type-origin-popover';
+        popover.style.cssText = `
+            position: fixed;
+            background: linear-gradient(135deg, #2a2a2a, #1a1a1a);
+            color: #ffffff;
+            padding: 10px 12px;
+            border-radius: 6px;
+            border: 1px solid #4a9eff;
+            font-size: 12px;
+            z-index: 1001;
+            box-shadow: 0 4px 8px rgba(0, 0, 0, 0.3);
+            max-width: 420px;
+            word-break: break-all;
+        `;
+        popover.innerHTML = html;
+        document.body.appendChild(popover);
+        popover.querySelector('.type-origin-close').addEventListener('click', () => this.hideTypeOrigin());
+
+        const rect = element.getBoundingClientRect();
+        const popoverRect = popover.getBoundingClientRect();
+        let top = rect.bottom + 8;
+        if (top + popoverRect.height > window.innerHeight - 10) {
+            top = Math.max(10, rect.top - popoverRect.height - 8);
+        }
+        popover.style.left = `${Math.max(10, Math.min(rect.left, window.innerWidth - popoverRect.width - 10))}px`;
+        popover.style.top = `${top}px`;
+    }
+
+    hideTypeOrigin() {
+        const popover = document.getElementById('type-origin-popover');
+        if (popover && popover.parentNode) {
+            popover.parentNode.removeChild(popover);
+        }
+    }
+
     setupEventListeners() {
         // Directory input
         document.getElementById('directory-input').addEventListener('input', () => {
@@ -462,6 +649,15 @@ class TransactionViewer {
             this.handleDirectorySelect(e.target.files);
         });
 
+        // Archives (.zip, .tar, .tar.gz) of a replay directory or of a whole .replay/ folder
+        document.getElementById('browse-archive').addEventListener('click', () => {
+            document.getElementById('archive-picker').click();
+        });
+        document.getElementById('archive-picker').addEventListener('change', (e) => {
+            this.loadArchives(Array.from(e.target.files));
+            e.target.value = '';
+        });
+
         // Drag and drop
         const dropArea = document.getElementById('drag-drop-area');
         dropArea.addEventListener('dragover', this.handleDragOver.bind(this));
@@ -469,9 +665,65 @@ class TransactionViewer {
         dropArea.addEventListener('dragenter', this.handleDragEnter.bind(this));
         dropArea.addEventListener('dragleave', this.handleDragLeave.bind(this));
 
+        // Comparison directory (optional second replay for compare mode)
+        document.getElementById('browse-compare-directory').addEventListener('click', () => {
+            document.getElementById('compare-directory-picker').click();
+        });
+        document.getElementById('compare-directory-picker').addEventListener('change', (e) => {
+            this.handleDirectorySelect(e.target.files, 'compareFiles');
+        });
+        document.getElementById('browse-compare-archive').addEventListener('click', () => {
+            document.getElementById('compare-archive-picker').click();
+        });
+        document.getElementById('compare-archive-picker').addEventListener('change', (e) => {
+            this.loadArchives(Array.from(e.target.files), 'compareFiles');
+            e.target.value = '';
+        });
+        document.getElementById('clear-compare-directory').addEventListener('click', () => {
+            this.processDirectoryFiles([], 'compareFiles');
+        });
+
+        const compareDropArea = document.getElementById('compare-drag-drop-area');
+        compareDropArea.addEventListener('dragover', this.handleDragOver.bind(this));
+        compareDropArea.addEventListener('drop', (e) => this.handleDrop(e, 'compareFiles'));
+        compareDropArea.addEventListener('dragenter', this.handleDragEnter.bind(this));
+        compareDropArea.addEventListener('dragleave', this.handleDragLeave.bind(this));
+
         // Analyze button
         document.getElementById('analyze-btn').addEventListener('click', this.analyzeTransaction.bind(this));
 
+        // Explorer links are built at render time, so a new choice shows up on the next analysis
+        document.getElementById('explorer-select').addEventListener('change', () => {
+            this.writeHashState();
+        });
+
+        // A permalink pasted into the address bar of an open viewer
+        window.addEventListener('hashchange', () => {
+            if (window.location.hash === this.lastWrittenHash) {
+                return;
+            }
+            const state = this.readHashState();
+            if (!state) {
+                return;
+            }
+            if (state.explorer) {
+                document.getElementById('explorer-select').value = state.explorer;
+            }
+            if (this.transaction && state.digest === this.transaction.digest) {
+                this.restoreViewState(state);
+            } else {
+                this.pendingViewState = state;
+            }
+        });
+
+        // Clicking a type shows where it was defined and which package version runs it
+        document.addEventListener('click', (e) => this.handleTypeClick(e));
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideTypeOrigin();
+            }
+        });
+
         // Tab navigation
         this.setupTabNavigation();
     }
@@ -486,7 +738,7 @@ class TransactionViewer {
         });
     }
 
-    createAnalysisTabs() {
+    createAnalysisTabs(includeAnalysis = true) {
         const tabNav = document.getElementById('tab-nav');
 
         // Clear existing analysis tabs (keep only Load Files tab)
@@ -496,16 +748,41 @@ class TransactionViewer {
                 tab.remove();
             }
         });
+        tabNav.querySelectorAll('.export-actions').forEach(actions => actions.remove());
+
+        // Batch index of a whole .replay/ root stays available next to the analysis of the opened digest
+        if (this.batch && this.batch.length > 0) {
+            const batchBtn = document.createElement('button');
+            batchBtn.className = 'tab-btn';
+            batchBtn.setAttribute('data-tab', 'batch');
+            batchBtn.textContent = `Transactions (${this.batch.length})`;
+            tabNav.appendChild(batchBtn);
+        }
+
+        if (!includeAnalysis) {
+            return;
+        }
 
         // Create new tabs for analysis results
         const tabs = [
             { id: 'overview', label: 'Overview' },
+            { id: 'dataflow', label: 'Dataflow' },
             { id: 'objects', label: 'Objects Touched' },
             { id: 'changes', label: 'Object Changes' },
             { id: 'gas', label: 'Gas Analysis' },
+            { id: 'diagnostics', label: this.getDiagnosticsTabLabel() },
             { id: 'rawjson', label: 'Raw Json' }
         ];
 
+        // Publish and Upgrade transactions get the module inventory and disassembly
+        if (this.getPackageCommands(this.transaction).length > 0) {
+            tabs.splice(tabs.length - 1, 0, { id: 'package', label: 'Package' });
+        }
+
+        if (this.compareTransaction) {
+            tabs.push({ id: 'compare', label: 'Compare' });
+        }
+
         tabs.forEach(tab => {
             const tabBtn = document.createElement('button');
             tabBtn.className = 'tab-btn';
@@ -513,6 +790,24 @@ class TransactionViewer {
             tabBtn.textContent = tab.label;
             tabNav.appendChild(tabBtn);
         });
+
+        const exportActions = document.createElement('div');
+        exportActions.className = 'export-actions';
+        exportActions.innerHTML = `
+            <button type="button" class="export-btn" id="export-html-report" title="Single offline HTML file with the rendered tabs">⬇ HTML Report</button>
+            <button type="button" class="export-btn" id="export-markdown-report" title="Overview, commands, gas and object changes as Markdown">⬇ Markdown</button>`;
+        tabNav.appendChild(exportActions);
+        document.getElementById('export-html-report').addEventListener('click', () => this.exportHtmlReport());
+        document.getElementById('export-markdown-report').addEventListener('click', () => this.exportMarkdownReport());
+    }
+
+    /**
+     * "Diagnostics", with the number of findings when the artifacts disagree
+     */
+    getDiagnosticsTabLabel() {
+        const counts = this.transaction.getDiagnostics().getCounts();
+        const findings = counts.errors + counts.warnings;
+        return findings > 0 ? `Diagnostics (${findings})` : 'Diagnostics';
     }
 
     switchToTab(tabName) {
@@ -535,65 +830,339 @@ class TransactionViewer {
         if (targetPanel) {
             targetPanel.classList.add('active');
         }
+
+        this.viewState.tab = tabName;
+        this.writeHashState();
+    }
+
+    handleDirectorySelect(fileList, slot = 'files') {
+        // webkitRelativePath is "<selected dir>/<sub dirs>/<file>", so files can be grouped by replay directory
+        const entries = Array.from(fileList).map(file => ({
+            file,
+            directory: (file.webkitRelativePath || file.name).split('/').slice(0, -1).join('/')
+        }));
+        this.loadDirectoryEntries(entries, slot);
     }
 
-    handleDirectorySelect(fileList) {
-        const files = Array.from(fileList);
-        this.processDirectoryFiles(files);
+    /**
+     * Route files found under a selected or dropped directory
+     * A single replay directory is loaded directly; a .replay/ root with several digest
+     * subdirectories becomes a batch (see loadBatch).
+     * @param {Array<{file: File, directory: string}>} entries
+     */
+    loadDirectoryEntries(entries, slot = 'files') {
+        const groups = new Map();
+        entries.forEach(({ file, directory }) => {
+            if (!this.getReplayFileType(file.name)) return;
+            if (!groups.has(directory)) {
+                groups.set(directory, []);
+            }
+            groups.get(directory).push(file);
+        });
+
+        if (groups.size <= 1) {
+            const files = groups.size === 1 ? [...groups.values()][0] : entries.map(entry => entry.file);
+            if (slot === 'files') {
+                this.clearBatch();
+            }
+            this.processDirectoryFiles(files, slot);
+            return;
+        }
+
+        if (slot !== 'files') {
+            this.showError(`The comparison directory must contain a single replay, found ${groups.size}: ${[...groups.keys()].join(', ')}`);
+            return;
+        }
+
+        this.loadBatch(groups);
     }
 
-    processDirectoryFiles(files) {
+    /**
+     * Load the JSON files of a replay directory into a file slot
+     * slot is 'files' for the transaction being analyzed or 'compareFiles' for the comparison directory
+     */
+    processDirectoryFiles(files, slot = 'files') {
         // Reset files
-        this.files = {
+        this[slot] = {
             'transaction_data': null,
             'transaction_effects': null,
             'transaction_gas_report': null,
-            'replay_cache_summary': null
+            'replay_cache_summary': null,
+            'move_call_info': null
         };
 
         // Reset status indicators
-        this.updateFileStatus();
+        this.updateFileStatus(slot);
 
         // Process each file
         files.forEach(file => {
             if (file.type === 'application/json' || file.name.endsWith('.json')) {
-                this.identifyAndLoadFile(file);
+                this.identifyAndLoadFile(file, slot);
             }
         });
     }
 
-    identifyAndLoadFile(file) {
-        const fileName = file.name.toLowerCase();
-        let fileType = null;
+    /**
+     * Map a replay artifact file name to its key in this.files (null for unrelated files)
+     */
+    getReplayFileType(name) {
+        const fileName = name.toLowerCase();
 
         if (fileName === 'transaction_data.json') {
-            fileType = 'transaction_data';
+            return 'transaction_data';
         } else if (fileName === 'transaction_effects.json') {
-            fileType = 'transaction_effects';
+            return 'transaction_effects';
         } else if (fileName === 'transaction_gas_report.json') {
-            fileType = 'transaction_gas_report';
+            return 'transaction_gas_report';
         } else if (fileName === 'replay_cache_summary.json') {
-            fileType = 'replay_cache_summary';
+            return 'replay_cache_summary';
         } else if (fileName === 'move_call_info.json') {
-            fileType = 'move_call_info';
+            return 'move_call_info';
         }
+        return null;
+    }
 
-        if (fileType) {
+    /**
+     * Read and parse a JSON file (integers above 2^53 stay exact, see Transaction.parseJson)
+     * @returns {Promise<Object>} - Rejects with the parse or read error
+     */
+    readJsonFile(file) {
+        return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = (e) => {
                 try {
-                    this.files[fileType] = JSON.parse(e.target.result);
-                    this.updateFileStatus();
-                    this.updateAnalyzeButton();
+                    resolve(Transaction.parseJson(e.target.result));
                 } catch (error) {
-                    this.showError(`Error parsing ${fileName}: ${error.message}`);
+                    reject(error);
                 }
             };
+            reader.onerror = () => reject(reader.error || new Error('Unable to read file'));
             reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Read a file into a byte array
+     * @returns {Promise<Uint8Array>}
+     */
+    readFileBytes(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(new Uint8Array(e.target.result));
+            reader.onerror = () => reject(reader.error || new Error('Unable to read file'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * Unpack archives in the browser (archive-reader.js) and load their files as if the
+     * unpacked directory had been selected: one replay directory goes through
+     * identifyAndLoadFile, several become a batch listed in the Transactions tab
+     */
+    loadArchives(archives, slot = 'files') {
+        const extractions = archives.map(archive => {
+            return this.readFileBytes(archive).then(bytes => {
+                return ArchiveReader.extract(bytes).map(entry => {
+                    const parts = entry.path.split('/').filter(part => part !== '');
+                    const name = parts.pop();
+                    return { file: new File([entry.data], name), directory: [archive.name, ...parts].join('/') };
+                });
+            }).catch(error => {
+                throw new Error(`Cannot read ${archive.name}: ${error.message}`);
+            });
+        });
+
+        Promise.all(extractions).then(lists => {
+            const entries = [].concat(...lists);
+            if (!entries.some(entry => this.getReplayFileType(entry.file.name))) {
+                this.showError(`No replay JSON files found in ${archives.map(archive => archive.name).join(', ')}`);
+                return;
+            }
+            this.loadDirectoryEntries(entries, slot);
+        }).catch(error => {
+            this.showError(error.message);
+        });
+    }
+
+    /**
+     * Load artifacts named by the page URL when the viewer is served over HTTP:
+     * ?replay=<directory URL> for one transaction, ?manifest=<manifest URL> for a batch.
+     * Relative URLs resolve against the page, e.g. index.html?replay=.replay/<DIGEST>/
+     */
+    loadFromQueryParameters() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('manifest')) {
+            this.loadManifestUrl(params.get('manifest'));
+        } else if (params.get('replay')) {
+            this.loadReplayUrl(params.get('replay'));
+        }
+    }
+
+    /**
+     * Fetch and parse one JSON file, as readJsonFile does for local files
+     * @returns {Promise<Object>} - Rejects with an Error whose status is the HTTP status (0 for network errors)
+     */
+    fetchJson(url) {
+        return fetch(url).catch(error => {
+            const failure = new Error(`${error.message}. Serve the viewer over HTTP, e.g. python3 -m http.server`);
+            failure.status = 0;
+            throw failure;
+        }).then(response => {
+            if (!response.ok) {
+                const failure = new Error(`HTTP ${response.status}`);
+                failure.status = response.status;
+                throw failure;
+            }
+            return response.text();
+        }).then(text => Transaction.parseJson(text));
+    }
+
+    /**
+     * Fetch the artifacts of one replay directory; a missing move_call_info.json is not an error
+     * @param {string} directoryUrl - Absolute URL of the directory, ending with "/"
+     * @param {Function} onStatus - Called with (fileType, state, detail), state one of loading, found, missing, optional
+     * @returns {Promise<{files: Object, errors: Object}>} - Never rejects; errors maps file types to messages
+     */
+    fetchReplayFiles(directoryUrl, onStatus = () => {}) {
+        const files = {};
+        const errors = {};
+        const fetches = this.requiredFiles.map(fileName => {
+            const fileType = this.getReplayFileType(fileName);
+            onStatus(fileType, 'loading');
+            return this.fetchJson(new URL(fileName, directoryUrl).href).then(json => {
+                files[fileType] = json;
+                onStatus(fileType, 'found');
+            }).catch(error => {
+                if (fileType === 'move_call_info' && error.status === 404) {
+                    onStatus(fileType, 'optional');
+                    return;
+                }
+                errors[fileType] = error.message;
+                onStatus(fileType, 'missing', error.message);
+            });
+        });
+        return Promise.all(fetches).then(() => ({ files, errors }));
+    }
+
+    setFileLoadStatus(fileType, state, detail = null, slot = 'files') {
+        const element = this.getFileStatusElement(fileType, slot);
+        const fileName = `${fileType}.json`;
+        const labels = {
+            loading: `⏳ ${fileName} (fetching…)`,
+            found: `✅ ${fileName}`,
+            optional: `➖ ${fileName} (optional, not found)`,
+            missing: `❌ ${fileName}${detail ? ` (${detail})` : ''}`
+        };
+        element.textContent = labels[state];
+        element.className = state;
+    }
+
+    /**
+     * Fetch one replay directory into a file slot and analyze it once the required files are in
+     */
+    loadReplayUrl(directory, slot = 'files') {
+        const directoryUrl = TransactionViewer.toDirectoryUrl(directory, window.location.href);
+        if (slot === 'files') {
+            this.clearBatch();
+            document.getElementById('directory-input').value = directory;
+        }
+        this[slot] = {
+            'transaction_data': null,
+            'transaction_effects': null,
+            'transaction_gas_report': null,
+            'replay_cache_summary': null,
+            'move_call_info': null
+        };
+        this.updateAnalyzeButton();
+
+        return this.fetchReplayFiles(directoryUrl, (fileType, state, detail) => this.setFileLoadStatus(fileType, state, detail, slot)).then(({ files, errors }) => {
+            Object.assign(this[slot], files);
+            this.updateAnalyzeButton();
+
+            const failed = Object.keys(errors);
+            if (failed.length > 0) {
+                this.showError(`Could not load ${directoryUrl}:\n${failed.map(fileType => `${fileType}.json: ${errors[fileType]}`).join('\n')}`);
+                return;
+            }
+            if (slot === 'files') {
+                this.analyzeTransaction();
+            }
+        });
+    }
+
+    /**
+     * Fetch a manifest.json and every replay directory it lists into the Transactions index
+     */
+    loadManifestUrl(manifest) {
+        const manifestUrl = new URL(manifest, window.location.href).href;
+        this.clearBatch();
+
+        this.fetchJson(manifestUrl).then(json => {
+            const directories = TransactionViewer.getManifestDirectories(json);
+            if (directories.length === 0) {
+                throw new Error('it lists no "digests" or "replays"');
+            }
+
+            const loads = directories.map(directory => {
+                const directoryUrl = TransactionViewer.toDirectoryUrl(directory, manifestUrl);
+                return this.fetchReplayFiles(directoryUrl).then(({ files, errors }) => {
+                    const entryFiles = { move_call_info: null, ...files };
+                    const failed = Object.keys(errors);
+                    if (failed.length > 0) {
+                        return { directory, files: entryFiles, transaction: null, error: failed.map(fileType => `${fileType}.json: ${errors[fileType]}`).join(', ') };
+                    }
+                    return this.createBatchEntry(directory, entryFiles);
+                });
+            });
+            this.showBatch(loads);
+        }).catch(error => {
+            this.showError(`Could not load manifest ${manifestUrl}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Replay directories listed by a manifest, relative to the manifest itself
+     * Accepted shapes: {"root": ".replay/", "digests": ["<DIGEST>", ...]} and/or {"replays": ["<directory URL>", ...]},
+     * or a bare array of directory URLs
+     */
+    static getManifestDirectories(json) {
+        if (Array.isArray(json)) {
+            return [...json];
+        }
+        const root = json.root || './';
+        return [
+            ...(json.replays || []),
+            ...(json.digests || []).map(digest => `${root.endsWith('/') ? root : `${root}/`}${digest}`)
+        ];
+    }
+
+    /**
+     * Absolute URL of a replay directory, with the trailing "/" that file names are resolved against
+     */
+    static toDirectoryUrl(directory, base) {
+        return new URL(directory.endsWith('/') ? directory : `${directory}/`, base).href;
+    }
+
+    identifyAndLoadFile(file, slot = 'files') {
+        const fileType = this.getReplayFileType(file.name);
+
+        if (fileType) {
+            this.readJsonFile(file).then(json => {
+                this[slot][fileType] = json;
+                this.updateFileStatus(slot);
+                this.updateAnalyzeButton();
+            }).catch(error => {
+                this.showError(`Error parsing ${file.name.toLowerCase()}: ${error.message}`);
+            });
         }
     }
 
-    updateFileStatus() {
+    /**
+     * The file-status list item of one artifact
+     */
+    getFileStatusElement(fileType, slot = 'files') {
+        // The comparison directory has its own status list with prefixed element IDs
+        const idPrefix = slot === 'compareFiles' ? 'compare-' : '';
         const statusMap = {
             'transaction_data': 'status-transaction-data',
             'transaction_effects': 'status-transaction-effects',
@@ -601,12 +1170,15 @@ class TransactionViewer {
             'replay_cache_summary': 'status-replay-cache-summary',
             'move_call_info': 'status-ptb-details'
         };
+        return document.getElementById(idPrefix + statusMap[fileType]);
+    }
 
-        Object.keys(statusMap).forEach(fileType => {
-            const element = document.getElementById(statusMap[fileType]);
+    updateFileStatus(slot = 'files') {
+        ['transaction_data', 'transaction_effects', 'transaction_gas_report', 'replay_cache_summary', 'move_call_info'].forEach(fileType => {
+            const element = this.getFileStatusElement(fileType, slot);
             const fileName = fileType.replace('_', '_') + '.json';
 
-            if (this.files[fileType]) {
+            if (this[slot][fileType]) {
                 element.textContent = `✅ ${fileName}`;
                 element.className = 'found';
             } else {
@@ -622,17 +1194,17 @@ class TransactionViewer {
 
     handleDragEnter(e) {
         e.preventDefault();
-        document.getElementById('drag-drop-area').classList.add('drag-over');
+        e.currentTarget.classList.add('drag-over');
     }
 
     handleDragLeave(e) {
         e.preventDefault();
-        document.getElementById('drag-drop-area').classList.remove('drag-over');
+        e.currentTarget.classList.remove('drag-over');
     }
 
-    handleDrop(e) {
+    handleDrop(e, slot = 'files') {
         e.preventDefault();
-        document.getElementById('drag-drop-area').classList.remove('drag-over');
+        e.currentTarget.classList.remove('drag-over');
 
         let files = [];
 
@@ -644,89 +1216,548 @@ class TransactionViewer {
                     const entry = item.webkitGetAsEntry();
                     if (entry && entry.isDirectory) {
                         // This is a directory drop
-                        this.handleDirectoryDrop(entry);
+                        this.handleDirectoryDrop(entry, slot);
                         return;
                     }
                 }
             }
         }
 
+        const archives = Array.from(e.dataTransfer.files).filter(f => ArchiveReader.isArchiveName(f.name));
+        if (archives.length > 0) {
+            this.loadArchives(archives, slot);
+            return;
+        }
+
         // Handle individual file drops
         files = Array.from(e.dataTransfer.files).filter(f =>
             f.type === 'application/json' || f.name.endsWith('.json')
         );
 
         if (files.length > 0) {
-            this.processDirectoryFiles(files);
+            this.processDirectoryFiles(files, slot);
         }
     }
 
-    handleDirectoryDrop(directoryEntry) {
+    handleDirectoryDrop(directoryEntry, slot = 'files') {
         const files = [];
 
-        const readDirectory = (dirEntry) => {
+        // readEntries returns entries in chunks (about 100 in Chrome), so keep calling until it returns none
+        const readAllEntries = (dirReader) => {
             return new Promise((resolve) => {
-                const dirReader = dirEntry.createReader();
-                dirReader.readEntries((entries) => {
-                    const promises = entries.map(entry => {
-                        if (entry.isFile && (entry.name.endsWith('.json'))) {
-                            return new Promise((resolveFile) => {
-                                entry.file((file) => {
-                                    files.push(file);
-                                    resolveFile();
-                                });
-                            });
+                const allEntries = [];
+                const readChunk = () => {
+                    dirReader.readEntries((entries) => {
+                        if (entries.length === 0) {
+                            resolve(allEntries);
+                            return;
                         }
-                        return Promise.resolve();
-                    });
+                        allEntries.push(...entries);
+                        readChunk();
+                    }, () => resolve(allEntries));
+                };
+                readChunk();
+            });
+        };
 
-                    Promise.all(promises).then(() => resolve());
+        // Walk subdirectories too, so a whole .replay/ root can be dropped
+        const readDirectory = (dirEntry) => {
+            return readAllEntries(dirEntry.createReader()).then((entries) => {
+                const promises = entries.map(entry => {
+                    if (entry.isDirectory) {
+                        return readDirectory(entry);
+                    }
+                    if (entry.isFile && (entry.name.endsWith('.json'))) {
+                        return new Promise((resolveFile) => {
+                            entry.file((file) => {
+                                const directory = entry.fullPath.split('/').slice(0, -1).join('/');
+                                files.push({ file, directory });
+                                resolveFile();
+                            }, () => resolveFile());
+                        });
+                    }
+                    return Promise.resolve();
                 });
+
+                return Promise.all(promises);
             });
         };
 
         readDirectory(directoryEntry).then(() => {
-            this.processDirectoryFiles(files);
+            this.loadDirectoryEntries(files, slot);
         });
     }
 
-    updateAnalyzeButton() {
-        const allFilesLoaded = Object.values(this.files).every(file => file !== null);
-        document.getElementById('analyze-btn').disabled = !allFilesLoaded;
-    }
-
-    // Analysis functions ported from Python (keeping all the same logic)
-
-    extractObjectsFromTransactionData(data) {
-        const objects = new Set();
+    /**
+     * Load every replay directory of a batch and show the Transactions index
+     * @param {Map<string, File[]>} groups - Files grouped by their replay directory
+     */
+    loadBatch(groups) {
+        const loads = [...groups.entries()].map(([directory, groupFiles]) => {
+            const files = {
+                'transaction_data': null,
+                'transaction_effects': null,
+                'transaction_gas_report': null,
+                'replay_cache_summary': null,
+                'move_call_info': null
+            };
 
-        const v1Data = data.V1 || {};
-        const ptb = v1Data.kind?.ProgrammableTransaction || {};
-        const inputs = ptb.inputs || [];
+            const reads = groupFiles.map(file => {
+                return this.readJsonFile(file).then(json => {
+                    files[this.getReplayFileType(file.name)] = json;
+                });
+            });
 
-        // Extract from inputs
-        inputs.forEach(inputObj => {
-            if (inputObj.Object) {
-                if (inputObj.Object.SharedObject) {
-                    objects.add(inputObj.Object.SharedObject.id);
-                } else if (inputObj.Object.ImmOrOwnedObject) {
-                    objects.add(inputObj.Object.ImmOrOwnedObject[0]);
-                }
-            }
+            return Promise.all(reads).then(() => this.createBatchEntry(directory, files)).catch(error => {
+                return { directory, files, transaction: null, error: error.message };
+            });
         });
 
-        // Extract from gas payment
-        const gasData = v1Data.gas_data || {};
-        const payment = gasData.payment || [];
-        payment.forEach(paymentObj => {
-            objects.add(paymentObj[0]);
-        });
+        this.showBatch(loads);
+    }
 
-        // Extract from commands
-        const commands = ptb.commands || [];
-        commands.forEach(command => {
-            if (command.MoveCall) {
-                objects.add(command.MoveCall.package);
+    /**
+     * Batch entry for the parsed files of one replay directory; missing required files are reported as its error
+     */
+    createBatchEntry(directory, files) {
+        const missing = Object.keys(files).filter(fileType => fileType !== 'move_call_info' && !files[fileType]);
+        if (missing.length > 0) {
+            return { directory, files, transaction: null, error: `Missing ${missing.map(fileType => `${fileType}.json`).join(', ')}` };
+        }
+        try {
+            return { directory, files, transaction: Transaction.fromFiles(files), error: null };
+        } catch (error) {
+            return { directory, files, transaction: null, error: error.message };
+        }
+    }
+
+    /**
+     * Show the Transactions index once every batch entry has loaded
+     * @param {Array<Promise<Object>>} loads - Promises of createBatchEntry results
+     */
+    showBatch(loads) {
+        Promise.all(loads).then(batch => {
+            this.batch = batch.sort((a, b) => a.directory.localeCompare(b.directory));
+            this.renderBatchIndex();
+
+            // Show only the Transactions tab until a row is opened
+            this.createAnalysisTabs(false);
+            this.switchToTab('batch');
+
+            // A permalink into one of these digests opens it straight away
+            const pendingDigest = this.pendingViewState && this.pendingViewState.digest;
+            const linkedIndex = this.batch.findIndex(entry => entry.transaction && entry.transaction.digest === pendingDigest);
+            if (linkedIndex !== -1) {
+                this.openBatchEntry(linkedIndex);
+            }
+        });
+    }
+
+    clearBatch() {
+        this.batch = null;
+        const batchTab = document.querySelector('[data-tab="batch"]');
+        if (batchTab) {
+            batchTab.remove();
+        }
+    }
+
+    /**
+     * Render the sortable index of all transactions found in a .replay/ root
+     */
+    renderBatchIndex() {
+        const container = document.getElementById('batch-index');
+        const batch = this.batch || [];
+        const loaded = batch.filter(entry => entry.transaction);
+        const successes = loaded.filter(entry => entry.transaction.getExecutionStatus()?.success).length;
+        const failures = loaded.length - successes;
+
+        let html = `
+            <p style="margin: 0 0 20px 0; color: #ccc; font-style: italic;">
+                This section lists every replay directory found under the selected folder or archive, or listed in the manifest. Click a column header to sort, and click a row to open the full analysis for that digest.
+            </p>
+        `;
+
+        html += `<div class="overview-section">`;
+        html += `<div style="display: flex; gap: 30px; font-family: monospace;">`;
+        html += `<span style="color: white;">Transactions: ${batch.length}</span>`;
+        html += `<span style="color: #90ee90;">Success: ${successes}</span>`;
+        html += `<span style="color: #ff6b6b;">Failure: ${failures}</span>`;
+        if (loaded.length < batch.length) {
+            html += `<span style="color: #ffa500;">Not loaded: ${batch.length - loaded.length}</span>`;
+        }
+        html += `</div>`;
+        html += `</div>`;
+
+        const th = (label, align = 'left') => `<th style="padding: 10px; text-align: ${align}; color: #4a9eff; border-bottom: 2px solid #4a9eff;">${label}</th>`;
+        html += `<table id="batch-table" style="width: 100%; border-collapse: collapse; font-family: monospace;">`;
+        html += `<thead><tr style="background: #333;">`;
+        html += th('Digest') + th('Status') + th('Gas Used', 'right') + th('Computation Cost', 'right') + th('Storage Cost', 'right') +
+            th('Commands', 'right') + th('Created', 'right') + th('Modified', 'right') + th('Deleted', 'right') + th('Accessed', 'right');
+        html += `</tr></thead><tbody>`;
+
+        batch.forEach((entry, index) => {
+            const td = (content, align = 'left', color = 'white', sortValue = null) => {
+                const sortAttr = sortValue !== null && sortValue !== undefined ? ` data-sort-value="${this.encodeHTML(sortValue)}"` : '';
+                return `<td${sortAttr} style="padding: 6px 10px; border-bottom: 1px solid #333; color: ${color}; text-align: ${align};">${content}</td>`;
+            };
+
+            html += `<tr class="batch-row" data-batch-index="${index}" style="cursor: pointer;">`;
+
+            if (!entry.transaction) {
+                const name = entry.directory.split('/').pop();
+                html += td(this.encodeHTML(name), 'left', 'white', name);
+                html += td(`Error: ${this.encodeHTML(entry.error)}`, 'left', '#ffa500', 'Error');
+                html += td('', 'right').repeat(8);
+                html += `</tr>`;
+                return;
+            }
+
+            const transaction = entry.transaction;
+            const digest = transaction.digest || entry.directory.split('/').pop();
+            const status = transaction.getExecutionStatus();
+            const statusLabel = status ? (status.success ? 'Success' : 'Failure') : 'N/A';
+            const statusColor = status ? (status.success ? '#90ee90' : '#ff6b6b') : 'white';
+            const gas = transaction.getGasSummary();
+            const counts = transaction.getObjectStatusCounts();
+            const commandCount = (transaction.kind?.ProgrammableTransaction?.commands || []).length;
+
+            html += td(this.encodeHTML(digest), 'left', 'white', digest);
+            html += td(statusLabel, 'left', statusColor, statusLabel);
+            html += td(this.formatNumber(gas.gas_used), 'right', 'white', gas.gas_used);
+            html += td(this.formatNumber(gas.computation_cost), 'right', 'white', gas.computation_cost);
+            html += td(this.formatNumber(gas.storage_cost), 'right', 'white', gas.storage_cost);
+            html += td(commandCount, 'right', 'white', commandCount);
+            ['Created', 'Modified', 'Deleted', 'Accessed'].forEach(status => {
+                html += td(counts[status], 'right', 'white', counts[status]);
+            });
+            html += `</tr>`;
+        });
+
+        html += `</tbody></table>`;
+        container.innerHTML = html;
+
+        this.makeSortable('batch-table');
+
+        container.querySelectorAll('.batch-row').forEach(row => {
+            row.addEventListener('click', () => {
+                this.openBatchEntry(parseInt(row.getAttribute('data-batch-index')));
+            });
+        });
+    }
+
+    /**
+     * Open the full tabbed analysis for one transaction of the batch
+     */
+    openBatchEntry(index) {
+        const entry = this.batch && this.batch[index];
+        if (!entry) return;
+
+        document.querySelectorAll('.batch-row').forEach(row => {
+            row.classList.toggle('batch-row-selected', parseInt(row.getAttribute('data-batch-index')) === index);
+        });
+
+        if (!entry.transaction) {
+            this.showError(`Cannot open ${entry.directory}: ${entry.error}`);
+            return;
+        }
+
+        this.files = entry.files;
+        this.updateFileStatus();
+        this.updateAnalyzeButton();
+        this.analyzeTransaction();
+    }
+
+    /**
+     * Keep the files of the transaction just analyzed in IndexedDB for the Recent Transactions list
+     */
+    rememberTransaction() {
+        if (!this.store.isAvailable() || !this.transaction.digest) return;
+
+        this.store.save(this.transaction, this.files)
+            .then(() => this.renderRecentTransactions())
+            .catch(error => this.renderRecentTransactions(`Could not save this transaction: ${error.message}`));
+    }
+
+    /**
+     * Render the Recent Transactions list on the Load tab
+     * @param {string|null} notice - Shown above the list, e.g. a failed save
+     */
+    renderRecentTransactions(notice = null) {
+        const container = document.getElementById('recent-transactions');
+        if (!this.store.isAvailable()) {
+            container.innerHTML = `<p style="color: #ffa500;">IndexedDB is not available in this browser, so analyzed transactions cannot be kept.</p>`;
+            return;
+        }
+
+        this.store.list().then(records => {
+            let html = notice ? `<p style="color: #ffa500;">${this.encodeHTML(notice)}</p>` : '';
+
+            if (records.length === 0) {
+                container.innerHTML = html + `<p style="color: #888;">No transactions saved yet. Analyzed transactions appear here.</p>`;
+                return;
+            }
+
+            const totalSize = records.reduce((sum, record) => sum + record.size, 0);
+            const th = (label, align = 'left') => `<th style="padding: 8px; text-align: ${align}; color: #4a9eff; border-bottom: 2px solid #4a9eff;">${label}</th>`;
+            html += `<table id="recent-transactions-table" style="width: 100%; border-collapse: collapse; font-family: monospace;">`;
+            html += `<thead><tr style="background: #333;">`;
+            html += th('Digest') + th('Network') + th('Status') + th('Commands', 'right') + th('Last Opened') + th('Size', 'right') + th('');
+            html += `</tr></thead><tbody>`;
+
+            records.forEach(record => {
+                const td = (content, align = 'left', color = 'white') => `<td style="padding: 6px 8px; border-bottom: 1px solid #333; color: ${color}; text-align: ${align};">${content}</td>`;
+                const statusColor = record.status === 'Success' ? '#90ee90' : (record.status === 'Failure' ? '#ff6b6b' : 'white');
+                const key = this.encodeHTML(record.key);
+
+                html += `<tr class="recent-row" data-recent-key="${key}" style="cursor: pointer;">`;
+                html += td(`${record.pinned ? '📌 ' : ''}${this.encodeHTML(record.digest)}`);
+                html += td(this.encodeHTML(record.network));
+                html += td(record.status || 'N/A', 'left', statusColor);
+                html += td(record.command_count, 'right');
+                html += td(this.encodeHTML(new Date(record.opened_at).toLocaleString()));
+                html += td(this.formatByteSize(record.size), 'right');
+                html += td(`<button type="button" class="recent-action recent-pin${record.pinned ? ' pinned' : ''}" data-recent-key="${key}">${record.pinned ? 'Unpin' : 'Pin'}</button>` +
+                    `<button type="button" class="recent-action recent-delete" data-recent-key="${key}">Delete</button>`, 'right');
+                html += `</tr>`;
+            });
+
+            html += `</tbody></table>`;
+            html += `<div style="margin-top: 8px; color: #888; font-family: monospace; text-align: right;">${records.length} saved, ${this.formatByteSize(totalSize)} total</div>`;
+            container.innerHTML = html;
+
+            container.querySelectorAll('.recent-row').forEach(row => {
+                row.addEventListener('click', (e) => {
+                    if (e.target.closest('button')) return;
+                    this.openRecentTransaction(row.getAttribute('data-recent-key'));
+                });
+            });
+            container.querySelectorAll('.recent-pin').forEach(button => {
+                button.addEventListener('click', () => {
+                    const record = records.find(entry => entry.key === button.getAttribute('data-recent-key'));
+                    this.store.setPinned(record.key, !record.pinned).then(() => this.renderRecentTransactions());
+                });
+            });
+            container.querySelectorAll('.recent-delete').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.store.remove(button.getAttribute('data-recent-key')).then(() => this.renderRecentTransactions());
+                });
+            });
+        }).catch(error => {
+            container.innerHTML = `<p style="color: #ffa500;">Saved transactions could not be read: ${this.encodeHTML(error.message)}</p>`;
+        });
+    }
+
+    /**
+     * Load a saved bundle into the file slots and analyze it, as if its directory had been selected
+     */
+    openRecentTransaction(key) {
+        this.store.load(key).then(files => {
+            if (!files) {
+                this.renderRecentTransactions(`${key} is no longer saved.`);
+                return;
+            }
+            this.clearBatch();
+            this.files = {
+                'transaction_data': null,
+                'transaction_effects': null,
+                'transaction_gas_report': null,
+                'replay_cache_summary': null,
+                'move_call_info': null,
+                ...files
+            };
+            this.updateFileStatus();
+            this.updateAnalyzeButton();
+            this.analyzeTransaction();
+        }).catch(error => {
+            this.showError(`Cannot open saved transaction ${key}: ${error.message}`);
+        });
+    }
+
+    formatByteSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Clicking an object row (outside its links) selects that object in every object table
+     */
+    attachObjectRowSelection(container) {
+        container.querySelectorAll('.object-row').forEach(row => {
+            row.addEventListener('click', (e) => {
+                if (e.target.closest('a')) return;
+                const objectId = row.getAttribute('data-object-id');
+                this.selectObject(this.viewState.object === objectId ? null : objectId);
+            });
+        });
+    }
+
+    selectObject(objectId, scroll = false) {
+        this.viewState.object = objectId;
+        document.querySelectorAll('.object-row').forEach(row => {
+            row.classList.toggle('object-row-selected', row.getAttribute('data-object-id') === objectId);
+        });
+
+        if (objectId && scroll) {
+            // objectId may come from a pasted permalink, so it is escaped before going into the selector
+            const row = document.querySelector(`.tab-panel.active .object-row[data-object-id="${CSS.escape(objectId)}"]`);
+            if (row && row.scrollIntoView) {
+                row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        }
+        this.writeHashState();
+    }
+
+    readHashState() {
+        return TransactionViewer.parseHashState(window.location.hash);
+    }
+
+    writeHashState() {
+        // Keep a permalink intact until a transaction is analyzed
+        if (!this.transaction || this.pendingViewState) {
+            return;
+        }
+
+        const hash = TransactionViewer.formatHashState({
+            ...this.viewState,
+            digest: this.transaction.digest,
+            explorer: document.getElementById('explorer-select').value
+        });
+        if (hash === window.location.hash) {
+            return;
+        }
+        this.lastWrittenHash = hash;
+        if (window.history && window.history.replaceState) {
+            window.history.replaceState(null, '', hash);
+        } else {
+            window.location.hash = hash;
+        }
+    }
+
+    /**
+     * Parse a view state hash ("#digest=...&tab=...&object=...&sort=...&json=...&explorer=...") or null when empty
+     * sort is a comma-separated list of "<table id>:<column>:<asc|desc>", json a comma-separated list of paths
+     */
+    static parseHashState(hash) {
+        const query = hash.replace(/^#/, '');
+        if (!query) {
+            return null;
+        }
+
+        const params = new URLSearchParams(query);
+        const sort = {};
+        (params.get('sort') || '').split(',').filter(Boolean).forEach(spec => {
+            const [tableId, column, direction] = spec.split(':');
+            if (tableId && !isNaN(parseInt(column))) {
+                sort[tableId] = { column: parseInt(column), direction: direction === 'desc' ? 'desc' : 'asc' };
+            }
+        });
+
+        return {
+            digest: params.get('digest'),
+            tab: params.get('tab'),
+            object: params.get('object'),
+            sort,
+            json: (params.get('json') || '').split(',').filter(Boolean),
+            explorer: params.get('explorer')
+        };
+    }
+
+    /**
+     * Format a view state { digest, tab, object, sort, json, explorer } as a hash that parseHashState reads back
+     */
+    static formatHashState(state) {
+        const params = new URLSearchParams();
+        params.set('digest', state.digest || '');
+        if (state.tab) params.set('tab', state.tab);
+        if (state.object) params.set('object', state.object);
+        const sort = Object.entries(state.sort || {}).map(([tableId, { column, direction }]) => `${tableId}:${column}:${direction}`);
+        if (sort.length > 0) params.set('sort', sort.join(','));
+        if (state.json && state.json.length > 0) params.set('json', state.json.join(','));
+        if (state.explorer) params.set('explorer', state.explorer);
+        return `#${params.toString()}`;
+    }
+
+    /**
+     * Apply a parsed hash state to the rendered tabs of the current transaction
+     */
+    restoreViewState(state) {
+        Object.entries(state.sort).forEach(([tableId, { column, direction }]) => {
+            const table = document.getElementById(tableId);
+            const header = table ? table.querySelectorAll('thead th')[column] : null;
+            if (header) {
+                this.sortTable(table, column, header, direction);
+                this.viewState.sort[tableId] = { column, direction };
+            }
+        });
+
+        const rawJson = document.getElementById('raw-json');
+        if (state.json.includes('*')) {
+            rawJson.querySelectorAll('details').forEach(details => details.open = true);
+        } else {
+            state.json.forEach(path => {
+                const details = Array.from(rawJson.querySelectorAll('details[data-json-path]'))
+                    .find(element => element.getAttribute('data-json-path') === path);
+                // Open the ancestors too, in case only the leaf was recorded
+                for (let node = details; node; node = node.parentElement && node.parentElement.closest('details')) {
+                    node.open = true;
+                }
+            });
+        }
+        this.viewState.json = state.json.slice();
+
+        if (state.tab && document.querySelector(`.tab-btn[data-tab="${CSS.escape(state.tab)}"]`)) {
+            this.switchToTab(state.tab);
+        }
+        if (state.object) {
+            this.selectObject(state.object, true);
+        }
+        this.writeHashState();
+    }
+
+    updateAnalyzeButton() {
+        document.getElementById('analyze-btn').disabled = !this.hasRequiredFiles();
+    }
+
+    /**
+     * Whether a file slot holds every required artifact; move_call_info.json is optional
+     */
+    hasRequiredFiles(slot = 'files') {
+        return Object.keys(this[slot]).every(fileType => fileType === 'move_call_info' || this[slot][fileType] !== null);
+    }
+
+    // Analysis functions ported from Python (keeping all the same logic)
+
+    extractObjectsFromTransactionData(data) {
+        const objects = new Set();
+
+        const v1Data = data.V1 || {};
+        const ptb = v1Data.kind?.ProgrammableTransaction || {};
+        const inputs = ptb.inputs || [];
+
+        // Extract from inputs
+        inputs.forEach(inputObj => {
+            if (inputObj.Object) {
+                if (inputObj.Object.SharedObject) {
+                    objects.add(inputObj.Object.SharedObject.id);
+                } else if (inputObj.Object.ImmOrOwnedObject) {
+                    objects.add(inputObj.Object.ImmOrOwnedObject[0]);
+                }
+            }
+        });
+
+        // Extract from gas payment
+        const gasData = v1Data.gas_data || {};
+        const payment = gasData.payment || [];
+        payment.forEach(paymentObj => {
+            objects.add(paymentObj[0]);
+        });
+
+        // Extract from commands
+        const commands = ptb.commands || [];
+        commands.forEach(command => {
+            if (command.MoveCall) {
+                objects.add(command.MoveCall.package);
             }
         });
 
@@ -964,6 +1995,21 @@ class TransactionViewer {
         }
     }
 
+    /**
+     * Line under a MoveCall naming the original package and the version that ran, with a
+     * warning when a newer version of that package is also loaded
+     */
+    formatMoveCallTarget(target) {
+        if (!target.loaded) {
+            return `\n<span class="move-call-target" style="color: #888; font-size: 12px;">package not in the replay cache</span>`;
+        }
+        let html = `\n<span class="move-call-target" style="color: #888; font-size: 12px;">original package ${this.createExplorerLink(target.original_id, 'package')}, version ${target.version}</span>`;
+        if (target.outdated) {
+            html += `\n<span class="move-call-target" style="color: #ffa500; font-size: 12px;">⚠ Calls an older version: version ${target.latest_version} (${this.createExplorerLink(target.latest_id, 'package')}) is also loaded</span>`;
+        }
+        return html;
+    }
+
     /**
      * Format argument with object ID for command display
      * Shows Input_N(objectId): Type for object inputs
@@ -1152,6 +2198,7 @@ class TransactionViewer {
         const plainArgName = tempDiv.textContent || tempDiv.innerText || '';
 
         tempDiv.innerHTML = typeHTML;
+        tempDiv.querySelectorAll('.sig-generic').forEach(variant => variant.remove());
         const plainType = tempDiv.textContent || tempDiv.innerText || '';
 
         // Total length includes base indentation + argument name + ": " + type
@@ -1478,465 +2525,93 @@ class TransactionViewer {
         return 'unknown';
     }
 
-    bytesToU64(bytes) {
-        // Convert little-endian u64 bytes to BigInt for safe handling of large numbers
-        let result = 0n;
-        for (let i = 0; i < Math.min(8, bytes.length); i++) {
-            result += BigInt(bytes[i]) << (BigInt(i) * 8n);
-        }
-        return result;
+    /**
+     * Decode pure bytes as the given type with the BCS decoder (bcs-decoder.js)
+     * typeInput is a move_call_info type structure or a primitive name such as 'u64'
+     * @throws {BcsDecodeError} when the bytes do not match the type
+     */
+    convertPureValue(bytes, typeInput, typeArguments = []) {
+        return BcsDecoder.decode(bytes, typeInput, typeArguments);
     }
 
-    convertPureValue(bytes, typeInput) {
-        // Convert pure bytes to typed value based on TypeInput
-        if (!Array.isArray(bytes) || bytes.length === 0) {
-            return null;
+    inferPureValueType(bytes, context = 'amount') {
+        // Infer the most likely type from pure bytes based on context
+        if (!Array.isArray(bytes)) return null;
+
+        // Context-based inference
+        if (context === 'amount' || context === 'value' || context === 'balance') {
+            // Amount/value contexts typically use u64
+            if (bytes.length === 8) return 'u64';
+            if (bytes.length === 16) return 'u128';
+            if (bytes.length === 32) return 'u256';
         }
 
-        // Handle primitive types
-        if (typeof typeInput === 'string') {
-            return this.convertPrimitiveType(bytes, typeInput);
+        // General byte length based inference
+        switch (bytes.length) {
+            case 1:
+                // Could be bool or u8 - check if it's 0 or 1 for bool likelihood
+                return (bytes[0] === 0 || bytes[0] === 1) ? 'bool' : 'u8';
+            case 2:
+                return 'u16';
+            case 4:
+                return 'u32';
+            case 8:
+                return 'u64';
+            case 16:
+                return 'u128';
+            case 32:
+                // Could be u256 or address
+                return context === 'address' ? 'address' : 'u256';
+            default:
+                return null; // Unknown type
         }
+    }
 
-        // Handle structured TypeInput objects
-        if (typeof typeInput === 'object' && typeInput !== null) {
-            // Check for Option type (0x1::option::Option<T>)
-            if (this.isOptionType(typeInput)) {
-                return this.convertOption(bytes, typeInput);
-            }
+    formatPureInput(bytes, context = 'amount', explicitType = null, forceHex = false, typeArguments = []) {
+        // Format pure input with appropriate type conversion and highlighting
+        // forceHex: if true, always show as hex (for inputs section)
+        // explicitType can be a TypeInput object or string type name
+        // typeArguments resolve TypeParameter(i) in explicitType (the MoveCall's type_arguments)
 
-            // Check for vector type
-            if (typeInput.vector !== undefined || typeInput.Vector !== undefined) {
-                const elementTypeInput = typeInput.vector || typeInput.Vector;
-                // Extract element type - could be a string or object
-                const elementType = this.extractElementType(elementTypeInput);
-                if (elementType) {
-                    return this.convertVector(bytes, elementType);
-                }
-            }
-            // Check for primitive type keys
-            if (typeInput.bool !== undefined || typeInput.Bool !== undefined) {
-                return this.convertBool(bytes);
-            } else if (typeInput.u8 !== undefined || typeInput.U8 !== undefined) {
-                return this.convertU8(bytes);
-            } else if (typeInput.u16 !== undefined || typeInput.U16 !== undefined) {
-                return this.convertU16(bytes);
-            } else if (typeInput.u32 !== undefined || typeInput.U32 !== undefined) {
-                return this.convertU32(bytes);
-            } else if (typeInput.u64 !== undefined || typeInput.U64 !== undefined) {
-                return this.convertU64(bytes);
-            } else if (typeInput.u128 !== undefined || typeInput.U128 !== undefined) {
-                return this.convertU128(bytes);
-            } else if (typeInput.u256 !== undefined || typeInput.U256 !== undefined) {
-                return this.convertU256(bytes);
-            } else if (typeInput.address !== undefined || typeInput.Address !== undefined) {
-                return this.convertAddress(bytes);
-            }
+        if (forceHex) {
+            // For inputs section - always show as hex byte array
+            const fullHex = `0x${bytes.map(b => b.toString(16).padStart(2, '0')).join('')}`;
+            return this.truncatePureValue(fullHex);
         }
 
-        return null; // Unsupported type
-    }
+        // For commands section - convert to proper typed values
+        let inferredType = explicitType;
 
-    /**
-     * Check if a type is Option<T> from 0x1::option::Option
-     */
-    isOptionType(typeInput) {
-        // Check for Datatype format: [address, module, name, typeParams]
-        if (typeInput.Datatype) {
-            const [address, module, name, _] = typeInput.Datatype;
-            const normalizedAddr = this.normalizeAddress(address);
-            return normalizedAddr === '0x1' && module === 'option' && name === 'Option';
+        if (!inferredType) {
+            inferredType = this.inferPureValueType(bytes, context);
         }
 
-        // Check for DatatypeInstantiation format: [[address, module, name, typeParams], typeArgs]
-        if (typeInput.DatatypeInstantiation) {
-            const [[address, module, name, _], typeArgs] = typeInput.DatatypeInstantiation;
-            const normalizedAddr = this.normalizeAddress(address);
-            return normalizedAddr === '0x1' && module === 'option' && name === 'Option';
+        if (!inferredType) {
+            // Fallback to hex display for unknown types
+            const fullHex = `0x${bytes.map(b => b.toString(16).padStart(2, '0')).join('')}`;
+            return this.truncatePureValue(fullHex);
         }
 
-        return false;
-    }
+        let convertedValue;
+        try {
+            convertedValue = this.convertPureValue(bytes, inferredType, typeArguments);
+        } catch (error) {
+            if (!(error instanceof BcsDecodeError)) {
+                throw error;
+            }
+            // Fallback to hex display; when the type came from the signature, say where decoding stopped
+            const fullHex = `0x${bytes.map(b => b.toString(16).padStart(2, '0')).join('')}`;
+            if (!explicitType) {
+                return this.truncatePureValue(fullHex);
+            }
+            const message = this.encodeHTML(`BCS decode failed: ${error.message}`);
+            return `${this.truncatePureValue(fullHex)} <span class="pure-decode-error custom-tooltip" data-tooltip="${message}" style="cursor: help;">⚠ byte ${error.offset}</span>`;
+        }
 
-    /**
-     * Normalize an address to 0x-prefixed format with leading zeros removed
-     */
-    normalizeAddress(address) {
-        // Remove 0x prefix if present
-        let addr = address.startsWith('0x') ? address.slice(2) : address;
-        // Remove leading zeros
-        addr = addr.replace(/^0+/, '') || '0';
-        // Add 0x prefix
-        return '0x' + addr;
-    }
-
-    /**
-     * Convert Option<T> bytes to "None" or "Some(value)"
-     */
-    convertOption(bytes, typeInput) {
-        if (bytes.length === 0) {
-            return 'None';
-        }
-
-        const discriminant = bytes[0];
-
-        if (discriminant === 0) {
-            return 'None';
-        } else if (discriminant === 1) {
-            // Extract the inner type
-            let innerType = null;
-
-            if (typeInput.DatatypeInstantiation) {
-                const [[_, __, ___, ____], typeArgs] = typeInput.DatatypeInstantiation;
-                if (typeArgs && typeArgs.length > 0) {
-                    innerType = typeArgs[0];
-                }
-            } else if (typeInput.Datatype) {
-                const [_, __, ___, typeParams] = typeInput.Datatype;
-                if (typeParams && typeParams.length > 0) {
-                    innerType = typeParams[0];
-                }
-            }
-
-            if (!innerType) {
-                // If we can't determine the inner type, just show the hex
-                const innerBytes = bytes.slice(1);
-                const hex = innerBytes.map(b => b.toString(16).padStart(2, '0')).join('');
-                return `Some(0x${hex})`;
-            }
-
-            // Decode the inner value
-            const innerBytes = bytes.slice(1);
-            const innerValue = this.convertPureValue(innerBytes, innerType);
-
-            if (innerValue !== null) {
-                return `Some(${innerValue})`;
-            } else {
-                // Fallback to hex if we can't decode
-                const hex = innerBytes.map(b => b.toString(16).padStart(2, '0')).join('');
-                return `Some(0x${hex})`;
-            }
-        } else {
-            // Invalid discriminant
-            return 'Invalid Option';
-        }
-    }
-
-    extractElementType(elementTypeInput) {
-        // Extract element type name from various input formats
-        if (typeof elementTypeInput === 'string') {
-            return elementTypeInput;
-        }
-        if (typeof elementTypeInput === 'object' && elementTypeInput !== null) {
-            // Check for primitive type keys
-            if (elementTypeInput.u8 !== undefined || elementTypeInput.U8 !== undefined) return 'u8';
-            if (elementTypeInput.u16 !== undefined || elementTypeInput.U16 !== undefined) return 'u16';
-            if (elementTypeInput.u32 !== undefined || elementTypeInput.U32 !== undefined) return 'u32';
-            if (elementTypeInput.u64 !== undefined || elementTypeInput.U64 !== undefined) return 'u64';
-            if (elementTypeInput.u128 !== undefined || elementTypeInput.U128 !== undefined) return 'u128';
-            if (elementTypeInput.u256 !== undefined || elementTypeInput.U256 !== undefined) return 'u256';
-            if (elementTypeInput.bool !== undefined || elementTypeInput.Bool !== undefined) return 'bool';
-            if (elementTypeInput.address !== undefined || elementTypeInput.Address !== undefined) return 'address';
-        }
-        return null;
-    }
-
-    convertPrimitiveType(bytes, typeName) {
-        // Handle string-based type names
-        switch (typeName.toLowerCase()) {
-            case 'bool':
-                return this.convertBool(bytes);
-            case 'u8':
-                return this.convertU8(bytes);
-            case 'u16':
-                return this.convertU16(bytes);
-            case 'u32':
-                return this.convertU32(bytes);
-            case 'u64':
-                return this.convertU64(bytes);
-            case 'u128':
-                return this.convertU128(bytes);
-            case 'u256':
-                return this.convertU256(bytes);
-            case 'address':
-                return this.convertAddress(bytes);
-            default:
-                return null;
-        }
-    }
-
-    convertBool(bytes) {
-        // 1 byte; zero means false, non-zero means true
-        if (bytes.length < 1) return null;
-        return bytes[0] !== 0;
-    }
-
-    convertU8(bytes) {
-        // 1 byte representing unsigned 8-bit integer
-        if (bytes.length < 1) return null;
-        return bytes[0];
-    }
-
-    convertU16(bytes) {
-        // 2 bytes, little-endian
-        if (bytes.length < 2) return null;
-        return bytes[0] | (bytes[1] << 8);
-    }
-
-    convertU32(bytes) {
-        // 4 bytes, little-endian
-        if (bytes.length < 4) return null;
-        return (bytes[0] | (bytes[1] << 8) | (bytes[2] << 16) | (bytes[3] << 24)) >>> 0;
-    }
-
-    convertU64(bytes) {
-        // 8 bytes, little-endian - use existing implementation
-        if (bytes.length < 8) return null;
-        return this.bytesToU64(bytes);
-    }
-
-    convertU128(bytes) {
-        // 16 bytes, little-endian
-        if (bytes.length < 16) return null;
-        let result = 0n;
-        for (let i = 0; i < 16; i++) {
-            result += BigInt(bytes[i]) << (BigInt(i) * 8n);
-        }
-        return result;
-    }
-
-    convertU256(bytes) {
-        // 32 bytes, little-endian
-        if (bytes.length < 32) return null;
-        let result = 0n;
-        for (let i = 0; i < 32; i++) {
-            result += BigInt(bytes[i]) << (BigInt(i) * 8n);
-        }
-        return result;
-    }
-
-    convertAddress(bytes) {
-        // Address stored in standard address format (32 bytes)
-        if (bytes.length < 32) return null;
-        // Convert to hex string with 0x prefix
-        const hex = bytes.map(b => b.toString(16).padStart(2, '0')).join('');
-        return `0x${hex}`;
-    }
-
-    readUleb128(bytes, offset = 0) {
-        // Read a uleb128-encoded integer from byte array
-        // Returns { value, bytesRead } where bytesRead is the number of bytes consumed
-        // Example: [0x02] -> { value: 2, bytesRead: 1 }
-        // Example: [0x80, 0x01] -> { value: 128, bytesRead: 2 }
-        let result = 0;
-        let shift = 0;
-        let byte;
-        let position = offset;
-
-        do {
-            if (position >= bytes.length) {
-                return null; // Not enough bytes
-            }
-            byte = bytes[position++];
-            result |= (byte & 0x7f) << shift;
-            shift += 7;
-        } while (byte & 0x80);
-
-        return { value: result, bytesRead: position - offset };
-    }
-
-    convertVector(bytes, elementType) {
-        // Parse a vector: first value is length in uleb128, followed by elements
-        // elementType can be a string like 'u8', 'u64', etc.
-        // Example: [0x02, 0x03, 0x04] for vector<u8> with 2 elements [3, 4]
-        // Example: [0x02, 0x03, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00] for vector<u64> with 2 elements [3, 4]
-
-        const lengthResult = this.readUleb128(bytes, 0);
-        if (!lengthResult) return null;
-
-        const length = lengthResult.value;
-        const elements = [];
-        let offset = lengthResult.bytesRead;
-
-        // Determine element size based on type
-        let elementSize;
-        let converter;
-
-        switch (elementType.toLowerCase()) {
-            case 'u8':
-                elementSize = 1;
-                converter = (b) => this.convertU8(b);
-                break;
-            case 'u16':
-                elementSize = 2;
-                converter = (b) => this.convertU16(b);
-                break;
-            case 'u32':
-                elementSize = 4;
-                converter = (b) => this.convertU32(b);
-                break;
-            case 'u64':
-                elementSize = 8;
-                converter = (b) => this.convertU64(b);
-                break;
-            case 'u128':
-                elementSize = 16;
-                converter = (b) => this.convertU128(b);
-                break;
-            case 'u256':
-                elementSize = 32;
-                converter = (b) => this.convertU256(b);
-                break;
-            case 'address':
-                elementSize = 32;
-                converter = (b) => this.convertAddress(b);
-                break;
-            case 'bool':
-                elementSize = 1;
-                converter = (b) => this.convertBool(b);
-                break;
-            default:
-                return null; // Unsupported element type
-        }
-
-        // Parse each element
-        for (let i = 0; i < length; i++) {
-            if (offset + elementSize > bytes.length) {
-                return null; // Not enough bytes for all elements
-            }
-
-            const elementBytes = bytes.slice(offset, offset + elementSize);
-            const value = converter(elementBytes);
-            if (value === null) return null;
-
-            elements.push(value);
-            offset += elementSize;
-        }
-
-        return elements;
-    }
-
-    formatPureValue(value, typeName) {
-        // Format the converted value for display
-        if (value === null) return null;
-
-        // Handle arrays (vectors)
-        if (Array.isArray(value)) {
-            const formattedElements = value.map(elem => {
-                // Format each element based on its type
-                if (typeof elem === 'bigint') {
-                    return this.formatUnsignedInteger(elem);
-                } else if (typeof elem === 'string' && elem.startsWith('0x')) {
-                    return elem; // Address
-                } else {
-                    return elem.toString();
-                }
-            });
-            return `[${formattedElements.join(', ')}]`;
-        }
-
-        // If typeName is an object (MoveType), extract the type name string
-        let typeNameStr = typeName;
-        if (typeof typeName === 'object' && typeName !== null) {
-            // Check for primitive type keys
-            if ('Bool' in typeName) typeNameStr = 'bool';
-            else if ('U8' in typeName) typeNameStr = 'u8';
-            else if ('U16' in typeName) typeNameStr = 'u16';
-            else if ('U32' in typeName) typeNameStr = 'u32';
-            else if ('U64' in typeName) typeNameStr = 'u64';
-            else if ('U128' in typeName) typeNameStr = 'u128';
-            else if ('U256' in typeName) typeNameStr = 'u256';
-            else if ('Address' in typeName) typeNameStr = 'address';
-            else {
-                // For complex types, just return the value as-is
-                return value.toString();
-            }
-        }
-
-        switch (typeNameStr?.toLowerCase()) {
-            case 'bool':
-                return value.toString();
-            case 'u8':
-            case 'u16':
-            case 'u32':
-                return this.formatUnsignedInteger(value);
-            case 'u64':
-            case 'u128':
-            case 'u256':
-                return this.formatUnsignedInteger(value);
-            case 'address':
-                return value;
-            default:
-                return value.toString();
-        }
-    }
-
-    inferPureValueType(bytes, context = 'amount') {
-        // Infer the most likely type from pure bytes based on context
-        if (!Array.isArray(bytes)) return null;
-
-        // Context-based inference
-        if (context === 'amount' || context === 'value' || context === 'balance') {
-            // Amount/value contexts typically use u64
-            if (bytes.length === 8) return 'u64';
-            if (bytes.length === 16) return 'u128';
-            if (bytes.length === 32) return 'u256';
-        }
-
-        // General byte length based inference
-        switch (bytes.length) {
-            case 1:
-                // Could be bool or u8 - check if it's 0 or 1 for bool likelihood
-                return (bytes[0] === 0 || bytes[0] === 1) ? 'bool' : 'u8';
-            case 2:
-                return 'u16';
-            case 4:
-                return 'u32';
-            case 8:
-                return 'u64';
-            case 16:
-                return 'u128';
-            case 32:
-                // Could be u256 or address
-                return context === 'address' ? 'address' : 'u256';
-            default:
-                return null; // Unknown type
-        }
-    }
-
-    formatPureInput(bytes, context = 'amount', explicitType = null, forceHex = false) {
-        // Format pure input with appropriate type conversion and highlighting
-        // forceHex: if true, always show as hex (for inputs section)
-        // explicitType can be a TypeInput object or string type name
-
-        if (forceHex) {
-            // For inputs section - always show as hex byte array
-            const fullHex = `0x${bytes.map(b => b.toString(16).padStart(2, '0')).join('')}`;
-            return this.truncatePureValue(fullHex);
-        }
-
-        // For commands section - convert to proper typed values
-        let inferredType = explicitType;
-
-        if (!inferredType) {
-            inferredType = this.inferPureValueType(bytes, context);
-        }
-
-        if (!inferredType) {
-            // Fallback to hex display for unknown types
-            const fullHex = `0x${bytes.map(b => b.toString(16).padStart(2, '0')).join('')}`;
-            return this.truncatePureValue(fullHex);
-        }
-
-        const convertedValue = this.convertPureValue(bytes, inferredType);
-        if (convertedValue === null) {
-            // Fallback to hex display
-            const fullHex = `0x${bytes.map(b => b.toString(16).padStart(2, '0')).join('')}`;
-            return this.truncatePureValue(fullHex);
-        }
-
-        const formattedValue = this.formatPureValue(convertedValue, inferredType);
-        return this.truncatePureValue(formattedValue);
+        const formattedValue = BcsDecoder.formatValue(convertedValue, inferredType, typeArguments, {
+            formatInteger: (value) => this.formatUnsignedInteger(value)
+        });
+        return this.truncatePureValue(formattedValue);
     }
 
     truncatePureValue(value, maxLength = 68) {
@@ -1972,26 +2647,12 @@ class TransactionViewer {
     }
 
     inferCommandReturnType(cmdIndex, resultIndex = 0) {
-        // Look up the return type of a command by its index
+        // Look up the return type of a command by its index in the transaction being analyzed
         // resultIndex is used for NestedResult (Cmd_X.Y where Y is the resultIndex)
-        if (this.commandReturnTypes && this.commandReturnTypes[cmdIndex]) {
-            const returnTypes = this.commandReturnTypes[cmdIndex];
-
-            // If it's an array of return types (multiple values)
-            if (Array.isArray(returnTypes)) {
-                if (resultIndex < returnTypes.length) {
-                    return returnTypes[resultIndex];
-                }
-                return 'unknown'; // Index out of bounds
-            }
-
-            // Single return value - only valid if resultIndex is 0
-            if (resultIndex === 0) {
-                return returnTypes;
-            }
+        if (!this.transaction) {
+            return 'unknown';
         }
-
-        return 'unknown';
+        return this.transaction.inferCommandReturnType(cmdIndex, resultIndex);
     }
 
     /**
@@ -2047,11 +2708,11 @@ class TransactionViewer {
         if (typeInput.U256 !== undefined) return { primitive: 'u256' };
         if (typeInput.Address !== undefined) return { primitive: 'address' };
 
-        // Handle Vector
-        if (typeInput.Vector) {
+        // Handle Vector (and the lowercase TypeTag form from type_arguments)
+        if (typeInput.Vector || typeInput.vector !== undefined) {
             return {
                 vector: true,
-                element: this.convertToTypeTree(typeInput.Vector)
+                element: this.convertToTypeTree(typeInput.Vector || typeInput.vector)
             };
         }
 
@@ -2601,19 +3262,45 @@ class TransactionViewer {
         try {
             this.hideError();
 
+            // Check the files against the expected replay format before building the model; deviations
+            // are listed on the Overview and every tab renders whatever could still be read
+            this.validation = ArtifactValidator.validate(this.files);
+            this.renderErrors = [];
+
             // Create Transaction object from loaded files
             this.transaction = Transaction.fromFiles(this.files);
+            this.viewState = { tab: null, object: null, sort: {}, json: [] };
+
+            // Compare mode: a complete second replay directory was loaded
+            const compareLoaded = this.hasRequiredFiles('compareFiles');
+            this.compareTransaction = compareLoaded ? Transaction.fromFiles(this.compareFiles) : null;
 
             // Generate output using Transaction object
-            this.renderTransactionOverview(this.transaction);
-            this.renderObjectsTouched(this.transaction);
-            this.renderObjectChanges(this.transaction);
-            this.renderGasAnalysis(this.transaction);
-            this.renderRawJson(this.transaction);
+            this.renderSection('transaction-overview', 'Overview', () => this.renderTransactionOverview(this.transaction));
+            this.renderSection('dataflow-graph', 'Dataflow', () => this.renderDataflowGraph(this.transaction));
+            this.renderSection('objects-touched', 'Objects Touched', () => this.renderObjectsTouched(this.transaction));
+            this.renderSection('object-changes', 'Object Changes', () => this.renderObjectChanges(this.transaction));
+            this.renderSection('gas-analysis', 'Gas Analysis', () => this.renderGasAnalysis(this.transaction));
+            this.renderSection('transaction-diagnostics', 'Diagnostics', () => this.renderDiagnostics(this.transaction));
+            if (this.getPackageCommands(this.transaction).length > 0) {
+                this.renderSection('package-modules', 'Package', () => this.renderPackage(this.transaction));
+            }
+            this.renderSection('raw-json', 'Raw Json', () => this.renderRawJson(this.transaction));
+            if (this.compareTransaction) {
+                this.renderSection('transaction-compare', 'Compare', () => this.renderComparison(new TransactionDiff(this.transaction, this.compareTransaction)));
+            }
+            this.renderArtifactValidation();
 
-            // Create analysis tabs and switch to overview
+            // Create analysis tabs and switch to overview, or to the view a permalink describes
             this.createAnalysisTabs();
+            const linkedState = this.pendingViewState;
+            this.pendingViewState = null;
             this.switchToTab('overview');
+            if (linkedState && linkedState.digest === this.transaction.digest) {
+                this.restoreViewState(linkedState);
+            }
+
+            this.rememberTransaction();
 
             // Set up tooltips for all tabs after all rendering is complete
             setTimeout(() => {
@@ -2625,6 +3312,86 @@ class TransactionViewer {
         }
     }
 
+    /**
+     * Run one tab renderer; if it throws on data in an unexpected format, the tab shows the
+     * error and the other tabs still render
+     */
+    renderSection(containerId, label, render) {
+        try {
+            render();
+        } catch (error) {
+            this.renderErrors.push({ section: label, message: error.message });
+            document.getElementById(containerId).innerHTML = `
+                <div class="overview-section">
+                    <h3 class="overview-section-title" style="color: #ff6b6b;">⚠ ${this.encodeHTML(label)} could not be rendered</h3>
+                    <p style="margin: 0 0 10px 0; color: #ccc; font-family: monospace;">${this.encodeHTML(error.message)}</p>
+                    <p style="margin: 0; color: #ccc;">See Artifact Format on the Overview tab for the fields that differ from the expected replay format.</p>
+                </div>`;
+        }
+    }
+
+    /**
+     * Prepend the schema validation result to the Overview: a one-line confirmation with the
+     * detected artifact versions, or the list of deviations when the analysis is degraded
+     */
+    renderArtifactValidation() {
+        const container = document.getElementById('transaction-overview');
+        const validation = this.validation;
+        const loadErrors = this.transaction.load_errors;
+        const versions = `transaction_data ${validation.transaction_data_version || 'unknown'}, effects ${validation.effects_version || 'unknown'}`;
+
+        if (validation.isValid() && loadErrors.length === 0 && this.renderErrors.length === 0) {
+            container.insertAdjacentHTML('afterbegin', `<p style="margin: 0 0 15px 0; color: #90ee90; font-family: monospace;">✔ All artifacts match the expected replay format (${this.encodeHTML(versions)})</p>`);
+            return;
+        }
+
+        const rows = validation.issues.map(issue => ({
+            severity: issue.severity,
+            artifact: `${issue.artifact}.json`,
+            path: issue.path,
+            message: issue.message
+        }));
+        loadErrors.forEach(error => {
+            rows.push({ severity: 'error', artifact: `${error.artifact}.json`, path: '$', message: `could not be loaded: ${error.message}` });
+        });
+        this.renderErrors.forEach(error => {
+            rows.push({ severity: 'error', artifact: '—', path: '—', message: `${error.section} tab could not be rendered: ${error.message}` });
+        });
+
+        const errors = rows.filter(row => row.severity === 'error').length;
+        const warnings = rows.length - errors;
+        const degraded = errors > 0;
+        const counts = [];
+        if (errors > 0) counts.push(`<span style="color: #ff6b6b; font-weight: bold;">✖ ${errors} error${errors === 1 ? '' : 's'}</span>`);
+        if (warnings > 0) counts.push(`<span style="color: #ffa500; font-weight: bold;">⚠ ${warnings} warning${warnings === 1 ? '' : 's'}</span>`);
+
+        let html = `<div class="overview-section">`;
+        html += `<h3 class="overview-section-title" style="color: ${degraded ? '#ff6b6b' : '#ffa500'};">${degraded ? '⚠ Degraded Analysis: ' : ''}Artifact Format</h3>`;
+        html += `<p style="margin: 0 0 10px 0; color: #ccc;">The replay files differ from the format this viewer expects (${this.encodeHTML(versions)}). ` +
+            `${degraded ? 'Values read from the paths below are missing or may be wrong; everything else is shown as usual.' : 'Unexpected fields are ignored; the analysis is otherwise complete.'}</p>`;
+        html += `<p style="margin: 0 0 10px 0;">${counts.join(' ')}</p>`;
+        html += `<table id="artifact-validation-table" style="width: 100%; border-collapse: collapse;">`;
+        html += `<thead><tr style="background: #333;">
+        <th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff; width: 10%;">Severity</th>
+        <th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff; width: 22%;">File</th>
+        <th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;">JSON Path</th>
+        <th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Issue</th>
+    </tr></thead><tbody>`;
+        rows.forEach(row => {
+            const color = row.severity === 'error' ? '#ff6b6b' : '#ffa500';
+            html += `<tr>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: ${color}; font-weight: bold;">${row.severity === 'error' ? '✖ error' : '⚠ warning'}</td>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; font-family: monospace;">${this.encodeHTML(row.artifact)}</td>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: #87ceeb; font-family: monospace; word-break: break-all;">${this.encodeHTML(row.path)}</td>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white;">${this.encodeHTML(row.message)}</td>`;
+            html += `</tr>`;
+        });
+        html += `</tbody></table></div>`;
+
+        container.insertAdjacentHTML('afterbegin', html);
+        this.makeSortable('artifact-validation-table');
+    }
+
     renderTransactionOverview(transaction) {
         const container = document.getElementById('transaction-overview');
 
@@ -2638,14 +3405,14 @@ class TransactionViewer {
         // Format status
         let status = 'N/A';
         let statusColor = 'inherit';
-        if (transaction.status) {
-            if (transaction.status === 'Success' || transaction.status.Success !== undefined) {
+        const executionStatus = transaction.getExecutionStatus();
+        const failure = transaction.getExecutionFailure();
+        if (executionStatus) {
+            if (executionStatus.success) {
                 status = 'Success';
                 statusColor = '#90ee90';
-            } else if (transaction.status.Failure) {
-                const failure = transaction.status.Failure;
-                const errorJson = JSON.stringify(failure.error, null, 2);
-                status = `Failure: ${errorJson}`;
+            } else {
+                status = `Failure: ${this.encodeHTML(failure ? failure.kind : 'Unknown')}`;
                 statusColor = '#ff6b6b';
             }
         }
@@ -2661,10 +3428,8 @@ class TransactionViewer {
         // Calculate net gas charges
         let netGasCharges = 'N/A';
         let gasChargesColor = 'inherit';
-        if (transaction.gas_data.computation_cost !== null && transaction.gas_data.storage_cost !== null &&
-            transaction.gas_data.non_refundable_fee !== null && transaction.gas_data.storage_rebate !== null) {
-            const netValue = parseInt(transaction.gas_data.computation_cost) + parseInt(transaction.gas_data.storage_cost) +
-                           parseInt(transaction.gas_data.non_refundable_fee) - parseInt(transaction.gas_data.storage_rebate);
+        const netValue = transaction.getGasSummary().gas_charges;
+        if (netValue !== null) {
             netGasCharges = this.formatNumber(netValue);
             gasChargesColor = netValue >= 0 ? '#ff6b6b' : '#90ee90';
         }
@@ -2716,6 +3481,7 @@ class TransactionViewer {
                     </div>
                 </div>
             </div>
+            ${failure ? this.renderFailurePanel(transaction, failure) : ''}
             <div class="overview-section">
                 <h4 class="overview-section-title">Gas</h4>
                 <div class="overview-subsection">
@@ -2842,7 +3608,7 @@ class TransactionViewer {
                 }
 
                 // Build table row with 4 columns: Index, Input Type, Value, Value Type
-                html += `<tr>`;
+                html += `<tr id="ptb-input-row-${i}">`;
                 html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; vertical-align: top; width: 10%;">Input_${i}</td>`;
                 html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; vertical-align: top; width: 15%;">${typeVariant}</td>`;
                 html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; vertical-align: top; word-break: break-all; width: 45%;">${objectId}</td>`;
@@ -2859,6 +3625,20 @@ class TransactionViewer {
             html += `
                         </div>
                         <h4>Commands (${commands.length}):</h4>
+            `;
+
+            // Generic calls show their signature instantiated with the type arguments; the toggle restores T0, T1, ...
+            const hasGenericSignature = commands.some(cmd => cmd.MoveCall && (cmd.MoveCall.type_arguments || []).length > 0 && cmd._signature &&
+                [...(cmd._signature.parameters || []), ...(cmd._signature.return_types || [])].some(type => MoveType.hasTypeParameter(type)));
+            if (hasGenericSignature) {
+                html += `
+                        <label style="display: block; margin: 0 0 10px 0; color: #ccc; cursor: pointer;">
+                            <input type="checkbox" id="show-generic-signatures"> Show generic signatures
+                        </label>
+                `;
+            }
+
+            html += `
                         <div style="background: #222; padding: 15px; border-radius: 5px; overflow-x: auto;">
                             <table style="width: 100%; border-collapse: collapse; font-family: monospace;">
                                 <thead>
@@ -2871,50 +3651,10 @@ class TransactionViewer {
                                 <tbody>
             `;
 
-            // Initialize command return types storage
-            // Structure: { cmdIndex: [type1, type2, ...] } for multiple return values
-            this.commandReturnTypes = {};
-
             // Get parsed Command objects
             const parsedCommands = transaction.getCommands();
 
-            // First pass: populate all command return types so they're available during formatting
-            commands.forEach((cmd, i) => {
-                const parsedCommand = parsedCommands[i];
-                const ptbSignature = cmd._signature;
-                let returnType = 'unknown';
-
-                if (cmd.MoveCall) {
-                    if (ptbSignature && ptbSignature.return_types && ptbSignature.return_types.length > 0) {
-                        returnType = ptbSignature.return_types.map(retType => this.ptbTypeToString(retType));
-                    } else {
-                        returnType = 'void';
-                    }
-                } else if (cmd.SplitCoins) {
-                    const [_coin, amounts] = cmd.SplitCoins;
-                    const numReturns = amounts ? amounts.length : 1;
-                    const coinTypeString = parsedCommand && parsedCommand.coinType
-                        ? parsedCommand.coinType.toFullyQualifiedString()
-                        : 'T';
-                    returnType = Array(numReturns).fill(coinTypeString);
-                } else if (cmd.MergeCoins) {
-                    returnType = 'void';
-                } else if (cmd.Publish) {
-                    returnType = '0x0000000000000000000000000000000000000000000000000000000000000002::package::UpgradeCap';
-                } else if (cmd.MakeMoveVec) {
-                    if (parsedCommand && parsedCommand.elementType) {
-                        returnType = `vector<${parsedCommand.elementType.toFullyQualifiedString()}>`;
-                    } else {
-                        returnType = 'vector<T>';
-                    }
-                } else if (cmd.TransferObjects || cmd.Upgrade) {
-                    returnType = 'void';
-                }
-
-                this.commandReturnTypes[i] = returnType;
-            });
-
-            // Second pass: render commands with access to all return types
+            // Render commands - Result/NestedResult types come from transaction.getCommandReturnTypes()
             commands.forEach((cmd, i) => {
                 let commandType = '';
                 let commandDetails = '';
@@ -2946,13 +3686,13 @@ class TransactionViewer {
                         const argStrings = moveCall.arguments.map((arg, argIndex) => {
                             // If Move call signature is available, use it for more accurate typing
                             if (ptbSignature && ptbSignature.parameters && ptbSignature.parameters[argIndex]) {
-                                const paramType = this.formatTypeFromPTB(ptbSignature.parameters[argIndex], transaction);
+                                const paramType = this.formatSignatureType(ptbSignature.parameters[argIndex], moveCall.type_arguments, transaction);
 
                                 // Check if this is a pure input that needs value conversion
                                 if (arg.Input !== undefined && inputs && inputs[arg.Input] && inputs[arg.Input].Pure) {
                                     const inputIndex = arg.Input;
                                     const pureData = inputs[arg.Input].Pure;
-                                    const convertedValue = this.formatPureInput(pureData, 'general', ptbSignature.parameters[argIndex]);
+                                    const convertedValue = this.formatPureInput(pureData, 'general', ptbSignature.parameters[argIndex], false, moveCall.type_arguments || []);
                                     return this.formatArgumentWithType(`Input_${inputIndex}(${convertedValue})`, paramType, 100, 8, 4);
                                 } else if (arg.Input !== undefined && inputs && inputs[arg.Input] && inputs[arg.Input].Object) {
                                     // This is an object input - include object ID
@@ -2990,6 +3730,11 @@ class TransactionViewer {
                     }
 
                     commandDetails = formattedArgs ? `${formattedFunction}(\n${formattedArgs}\n)` : `${formattedFunction}()`;
+                    if (ptbSignature && ptbSignature.return_types && ptbSignature.return_types.length > 0) {
+                        const returns = ptbSignature.return_types.map(retType => this.formatSignatureType(retType, moveCall.type_arguments, transaction));
+                        commandDetails += returns.length === 1 ? `: ${returns[0]}` : `: (${returns.join(', ')})`;
+                    }
+                    commandDetails += this.formatMoveCallTarget(transaction.getMoveCallTarget(moveCall.package));
                     skipFormatting = true; // Already formatted with line breaks
 
                     // Set return type from move call details (store clean types without HTML)
@@ -3218,13 +3963,11 @@ class TransactionViewer {
                     commandDetails = JSON.stringify(cmd);
                 }
 
-                // Note: commandReturnTypes[i] is already set in the first pass above
-
                 // Format command details with proper line breaks and indentation (unless already formatted)
                 const formattedDetails = skipFormatting ? commandDetails : this.formatCommandDetails(commandDetails, 100, 0);
 
                 // Build table row
-                html += `<tr>`;
+                html += `<tr id="ptb-command-row-${i}">`;
                 html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; vertical-align: top;">Cmd_${i}</td>`;
                 html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; vertical-align: top; white-space: normal;">${commandType}</td>`;
                 html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; vertical-align: top; white-space: pre-wrap;">${formattedDetails}</td>`;
@@ -3238,20 +3981,8 @@ class TransactionViewer {
             `;
             html += `</div>`;
             html += `</div>`;
-        } else {
-            const keys = Object.keys(kind);
-            const txType = keys.length > 0 ? keys[0] : 'Unknown';
-            html += `
-                <div class="overview-section">
-                    <h4 class="overview-section-title">Transaction Type</h4>
-                    <div class="overview-subsection">
-                        <div class="overview-item">
-                            <span class="overview-label">Type:</span>
-                            <span class="overview-value" style="font-size: 1.3em; font-weight: bold;">${txType}</span>
-                        </div>
-                    </div>
-                </div>
-            `;
+        } else if (transaction.getTransactionKind()) {
+            html += this.renderTransactionKindSection(transaction.getTransactionKind());
         }
 
         // Dependencies section
@@ -3280,24 +4011,389 @@ class TransactionViewer {
         }
 
         container.innerHTML = html;
-        this.makeSortable('gas-summary-table');
         this.makeSortable('gas-coins-table');
-    }
 
-    renderObjectsTouched(transaction) {
-        const container = document.getElementById('objects-touched');
+        // A re-render starts unchecked, so drop the class left by the previous transaction
+        container.classList.remove('show-generic-signatures');
+        const genericToggle = document.getElementById('show-generic-signatures');
+        if (genericToggle) {
+            genericToggle.addEventListener('change', (e) => {
+                container.classList.toggle('show-generic-signatures', e.target.checked);
+            });
+        }
 
-        // Extract needed data from transaction
-        const createdObjects = new Set(transaction.getCreatedObjects().map(o => o.object_id));
-        const operations = {
-            Created: transaction.getCreatedObjects().map(o => o.object_id),
-            Deleted: transaction.getDeletedObjects().map(o => o.object_id),
-            None: transaction.getModifiedObjects().map(o => o.object_id)
-        };
+        container.querySelectorAll('.failure-jump').forEach(button => {
+            button.addEventListener('click', () => this.highlightPtbRow(button.getAttribute('data-row')));
+        });
+    }
 
-        let html = `
+    /**
+     * Render the Overview section of a non-programmable (system) transaction kind
+     */
+    renderTransactionKindSection(transactionKind) {
+        let html = `
+            <div class="overview-section">
+                <h4 class="overview-section-title">Transaction Type</h4>
+                <div class="overview-subsection">
+                    <div class="overview-item">
+                        <span class="overview-label">Type:</span>
+                        <span class="overview-value" style="font-size: 1.3em; font-weight: bold;">${this.encodeHTML(transactionKind.getTypeName())}</span>
+                    </div>
+                    ${this.renderTransactionKindDetails(transactionKind)}
+        `;
+
+        if (transactionKind instanceof EndOfEpochTransactionKind) {
+            transactionKind.getOperations().forEach((operation, i) => {
+                html += `
+                    <div class="subsection" style="margin-top: 15px; padding-left: 15px; border-left: 2px solid #555;">
+                        <h4 style="color: #ffa500;">Operation ${i}: ${this.encodeHTML(operation.getTypeName())}</h4>
+                        ${this.renderTransactionKindDetails(operation)}
+                    </div>
+                `;
+            });
+        }
+
+        html += `
+                </div>
+            </div>
+        `;
+        return html;
+    }
+
+    renderTransactionKindDetails(transactionKind) {
+        let html = '';
+
+        transactionKind.getFields().forEach(field => {
+            html += `
+                <div class="overview-item">
+                    <span class="overview-label">${field.label}:</span>
+                    <span class="overview-value">${this.formatKindValue(field.value, field.type)}</span>
+                </div>
+            `;
+        });
+
+        transactionKind.getTables().forEach(table => {
+            html += `<h4 style="margin: 15px 0 10px 0; color: #4a9eff;">${this.encodeHTML(table.title)}:</h4>`;
+            html += '<table style="width: 100%; border-collapse: collapse; font-family: monospace;"><thead><tr style="background: #333;">';
+            table.columns.forEach(column => {
+                html += `<th style="padding: 8px; text-align: left; color: #4a9eff;">${column}</th>`;
+            });
+            html += '</tr></thead><tbody>';
+            table.rows.forEach(cells => {
+                html += '<tr>';
+                cells.forEach(cell => {
+                    html += `<td style="padding: 6px 8px; border-bottom: 1px solid #333; color: white; vertical-align: top; word-break: break-all;">${this.formatKindValue(cell.value, cell.type)}</td>`;
+                });
+                html += '</tr>';
+            });
+            if (table.rows.length === 0) {
+                html += `<tr><td colspan="${table.columns.length}" style="padding: 6px 8px; text-align: center;">None</td></tr>`;
+            }
+            html += '</tbody></table>';
+        });
+
+        return html;
+    }
+
+    formatKindValue(value, type) {
+        if (value === null || value === undefined) {
+            return 'N/A';
+        }
+
+        switch (type) {
+            case 'number':
+                return `<span style="font-family: monospace;">${this.formatNumber(value)}</span>`;
+            case 'timestamp': {
+                const date = new Date(Number(value));
+                const iso = isNaN(date.getTime()) ? '' : ` <span style="color: #aaa;">(${date.toISOString()})</span>`;
+                return `<span style="font-family: monospace;">${this.formatNumber(value)}</span>${iso}`;
+            }
+            case 'object':
+                return this.createExplorerLink(value, 'object');
+            case 'objects':
+                return value.length > 0 ? value.map(id => this.createExplorerLink(id, 'object')).join('<br>') : '-';
+            case 'transaction':
+                return this.createExplorerLink(value, 'txblock');
+            case 'bytes':
+                return `<span style="font-family: monospace; word-break: break-all;">0x${value.map(b => b.toString(16).padStart(2, '0')).join('')}</span>`;
+            case 'digest':
+                return `<span style="font-family: monospace;">${this.encodeHTML(String(value))}</span>`;
+            default:
+                return this.encodeHTML(String(value));
+        }
+    }
+
+    /**
+     * Render the structured failure panel for a failed transaction (Overview tab)
+     */
+    renderFailurePanel(transaction, failure) {
+        const rawCommands = transaction.kind?.ProgrammableTransaction?.commands || [];
+        const inputs = transaction.kind?.ProgrammableTransaction?.inputs || [];
+        const row = (label, value) => `
+                    <div class="overview-item">
+                        <span class="overview-label">${label}</span>
+                        <span class="overview-value">${value}</span>
+                    </div>`;
+
+        let html = `
+            <div class="overview-section failure-panel">
+                <h4 class="overview-section-title" style="color: #ff6b6b;">Execution Failure</h4>
+                <div class="overview-subsection">`;
+
+        html += row('Error:', `<span style="color: #ff6b6b; font-weight: bold;">${this.encodeHTML(failure.kind)}</span>`);
+        html += row('Explanation:', this.encodeHTML(failure.getDescription()));
+
+        if (failure.location) {
+            const location = failure.location;
+            html += row('Module:', `<span style="font-family: monospace;">${this.createExplorerLink(location.address, 'object')}::${this.encodeHTML(location.module)}</span>`);
+            const fnName = location.function_name || (location.function !== null ? `function #${location.function}` : 'N/A');
+            const instruction = location.instruction !== null ? ` <span style="color: #aaa;">(instruction ${location.instruction})</span>` : '';
+            html += row('Function:', `<span style="font-family: monospace;">${this.encodeHTML(fnName)}</span>${instruction}`);
+        }
+
+        if (failure.abortCode !== null) {
+            const clever = ExecutionFailure.decodeCleverAbortCode(failure.abortCode);
+            let codeHtml = `<span style="font-family: monospace;">${this.encodeHTML(failure.abortCode)}</span>`;
+            if (failure.abortName) {
+                codeHtml += ` <span style="color: #ffa500; font-weight: bold;">${failure.abortName}</span>`;
+            } else if (clever) {
+                codeHtml += ` <span style="color: #aaa;">(clever error: line ${clever.line}, identifier #${clever.identifier_index}, constant #${clever.constant_index})</span>`;
+            }
+            html += row('Abort Code:', codeHtml);
+        }
+
+        const parsedCommand = failure.command !== null ? transaction._parseCommands()[failure.command] : null;
+        if (failure.command !== null) {
+            const rawCommand = rawCommands[failure.command];
+            const commandName = parsedCommand ? parsedCommand.getTypeName() : (rawCommand ? Object.keys(rawCommand)[0] : 'Unknown');
+            const target = parsedCommand && parsedCommand.function ? ` ${parsedCommand.function.toHTML()}` : '';
+            html += row('Failing Command:', `<span style="font-family: monospace;">Cmd_${failure.command}</span> ${commandName}${target}
+                        <button type="button" class="failure-jump" data-row="ptb-command-row-${failure.command}">↪ Show in Commands</button>`);
+        }
+
+        if (parsedCommand) {
+            const args = parsedCommand.getArguments();
+            const parameters = parsedCommand.signature?.parameters || [];
+            const typeArguments = rawCommands[failure.command]?.MoveCall?.type_arguments || [];
+
+            html += `
+                    <h4 style="margin: 15px 0 10px 0; color: #4a9eff;">Arguments Received (${args.length}):</h4>
+                    <table style="width: 100%; border-collapse: collapse; font-family: monospace;">
+                        <thead>
+                            <tr style="background: #333;">
+                                <th style="padding: 8px; text-align: left; color: #4a9eff; width: 15%;">Position</th>
+                                <th style="padding: 8px; text-align: left; color: #4a9eff; width: 15%;">Argument</th>
+                                <th style="padding: 8px; text-align: left; color: #4a9eff;">Value / Type</th>
+                            </tr>
+                        </thead>
+                        <tbody>`;
+
+            args.forEach(({ role, argument }, i) => {
+                const input = argument.Input !== undefined ? inputs[argument.Input] : null;
+                let value;
+                if (input && input.Pure) {
+                    const context = role === 'recipient' ? 'address' : 'amount';
+                    value = this.formatPureInput(input.Pure, context, parameters[i] || null, false, typeArguments);
+                } else if (parameters[i]) {
+                    value = this.formatSignatureType(parameters[i], typeArguments, transaction);
+                } else {
+                    value = this.formatArgument(argument, inputs, transaction);
+                }
+
+                const blamed = failure.kind === 'CommandArgumentError' && failure.argumentIndex === i;
+                const rowStyle = blamed ? ' style="background: rgba(255, 107, 107, 0.15);"' : '';
+                html += `<tr${rowStyle}>`;
+                html += `<td style="padding: 6px 8px; border-bottom: 1px solid #333; color: ${blamed ? '#ff6b6b' : 'white'};">${this.encodeHTML(role)}</td>`;
+                html += `<td style="padding: 6px 8px; border-bottom: 1px solid #333; color: white;">${this.formatArgumentWithoutType(argument)}</td>`;
+                html += `<td style="padding: 6px 8px; border-bottom: 1px solid #333; color: white; word-break: break-all;">${value}</td>`;
+                html += `</tr>`;
+            });
+
+            if (args.length === 0) {
+                html += '<tr><td colspan="3" style="padding: 6px 8px; text-align: center;">No arguments</td></tr>';
+            }
+
+            html += `
+                        </tbody>
+                    </table>`;
+        }
+
+        html += `
+                    <details style="margin-top: 15px;">
+                        <summary style="cursor: pointer; color: #4a9eff;">Raw error</summary>
+                        <pre style="background: #222; padding: 10px; border-radius: 5px; overflow-x: auto;">${this.encodeHTML(JSON.stringify(failure.raw, null, 2))}</pre>
+                    </details>
+                </div>
+            </div>`;
+
+        return html;
+    }
+
+    /**
+     * Render the PTB dataflow graph as a layered SVG DAG (inputs on the left, commands to the right)
+     * Each command is placed one column after the latest command whose result it consumes.
+     */
+    renderDataflowGraph(transaction) {
+        const container = document.getElementById('dataflow-graph');
+
+        let html = `
             <p style="margin: 0 0 20px 0; color: #ccc; font-style: italic;">
-                This section shows all objects and packages involved in the transaction execution. The <strong>Source</strong> indicates how objects were involved: <strong>Input</strong> (transaction arguments), <strong>Gas</strong> (gas payment coins), or <strong>Runtime</strong> (loaded dynamically during execution or created). The <strong>Status</strong> shows what happened: <strong>Created</strong> (newly generated), <strong>Modified</strong> (state changed), <strong>Deleted</strong> (removed), or <strong>Accessed</strong> (read-only).
+                This section shows how values flow between PTB inputs and commands. Each arrow is an argument use: inputs and the gas coin on the left feed commands, and Result/NestedResult values feed later commands. Hover an arrow to see its type; click a node to jump to it in the Overview listing.
+            </p>
+        `;
+
+        const { nodes, edges } = transaction.getDataflowGraph();
+        if (!nodes.some(node => node.kind === 'command')) {
+            container.innerHTML = html + '<p>No programmable transaction commands to display</p>';
+            return;
+        }
+
+        // Assign layers: inputs and gas coin in column 0, each command after its latest producer
+        const layerOf = {};
+        nodes.forEach(node => {
+            if (node.kind !== 'command') {
+                layerOf[node.id] = 0;
+                return;
+            }
+            const producerLayers = edges
+                .filter(edge => edge.to === node.id && edge.from.startsWith('cmd:'))
+                .map(edge => layerOf[edge.from] || 0);
+            layerOf[node.id] = Math.max(1, ...producerLayers.map(layer => layer + 1));
+        });
+
+        const nodeWidth = 230;
+        const nodeHeight = 52;
+        const gapX = 110;
+        const gapY = 22;
+        const padding = 20;
+
+        const rowsPerLayer = {};
+        const position = {};
+        nodes.forEach(node => {
+            const layer = layerOf[node.id];
+            const row = rowsPerLayer[layer] || 0;
+            rowsPerLayer[layer] = row + 1;
+            position[node.id] = {
+                x: padding + layer * (nodeWidth + gapX),
+                y: padding + row * (nodeHeight + gapY)
+            };
+        });
+
+        const layerCount = Math.max(...Object.values(layerOf)) + 1;
+        const maxRows = Math.max(...Object.values(rowsPerLayer));
+        const width = padding * 2 + layerCount * nodeWidth + (layerCount - 1) * gapX;
+        const height = padding * 2 + maxRows * nodeHeight + (maxRows - 1) * gapY;
+
+        // Strip package addresses for the compact labels drawn inside the graph
+        const shortType = (type) => type ? type.replace(/0x[0-9a-fA-F]+::/g, '') : '';
+        const clip = (text, max) => text.length > max ? `${text.substring(0, max - 1)}…` : text;
+
+        let svg = `<svg id="dataflow-svg" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" style="font-family: monospace; font-size: 12px;">`;
+        svg += `<defs><marker id="dataflow-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="#888"/></marker></defs>`;
+
+        // Edges first so nodes are drawn on top
+        edges.forEach(edge => {
+            const from = position[edge.from];
+            const to = position[edge.to];
+            if (!from || !to) return;
+
+            const x1 = from.x + nodeWidth;
+            const y1 = from.y + nodeHeight / 2;
+            const x2 = to.x;
+            const y2 = to.y + nodeHeight / 2;
+            const bend = Math.max(40, (x2 - x1) / 2);
+            const color = edge.from.startsWith('cmd:') ? '#ffa500' : '#888';
+            const title = `${edge.label} → ${edge.to.replace('cmd:', 'Cmd_')} ${edge.role}${edge.type ? `: ${edge.type}` : ''}`;
+
+            svg += `<g class="dataflow-edge">`;
+            svg += `<title>${this.encodeHTML(title)}</title>`;
+            svg += `<path d="M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}" fill="none" stroke="${color}" stroke-width="1.5" marker-end="url(#dataflow-arrow)"/>`;
+            svg += `<text x="${x2 - 6}" y="${y2 - 5}" text-anchor="end" fill="#aaa" font-size="10">${this.encodeHTML(clip(edge.role, 14))}</text>`;
+            svg += `</g>`;
+        });
+
+        nodes.forEach(node => {
+            const { x, y } = position[node.id];
+            let stroke = '#4a9eff';
+            if (node.kind === 'gas') {
+                stroke = '#90ee90';
+            } else if (node.kind === 'command') {
+                stroke = '#87ceeb';
+            }
+
+            let subtitle = '';
+            let title = `${node.label} ${node.detail}`;
+            if (node.kind === 'command') {
+                const returns = (node.returnTypes || []).map(shortType).join(', ');
+                subtitle = returns ? `→ ${returns}` : '→ ()';
+                if (node.returnTypes && node.returnTypes.length > 0) {
+                    title += `\nreturns: ${node.returnTypes.join(', ')}`;
+                }
+            } else {
+                subtitle = shortType(node.type);
+                if (node.type) {
+                    title += `\n${node.type}`;
+                }
+            }
+
+            svg += `<g class="dataflow-node" data-node-id="${node.id}" style="cursor: pointer;">`;
+            svg += `<title>${this.encodeHTML(title)}</title>`;
+            svg += `<rect x="${x}" y="${y}" width="${nodeWidth}" height="${nodeHeight}" rx="6" fill="#2a2a2a" stroke="${stroke}" stroke-width="1.5"/>`;
+            svg += `<text x="${x + 10}" y="${y + 20}" fill="white"><tspan font-weight="bold">${this.encodeHTML(node.label)}</tspan> <tspan fill="${stroke}">${this.encodeHTML(clip(node.detail, 22))}</tspan></text>`;
+            svg += `<text x="${x + 10}" y="${y + 39}" fill="#aaa">${this.encodeHTML(clip(subtitle, 30))}</text>`;
+            svg += `</g>`;
+        });
+
+        svg += `</svg>`;
+
+        html += `<div style="background: #222; padding: 15px; border-radius: 5px; overflow: auto;">${svg}</div>`;
+        container.innerHTML = html;
+
+        container.querySelectorAll('.dataflow-node').forEach(element => {
+            element.addEventListener('click', () => {
+                const nodeId = element.getAttribute('data-node-id');
+                if (nodeId.startsWith('cmd:')) {
+                    this.highlightPtbRow(`ptb-command-row-${nodeId.slice(4)}`);
+                } else if (nodeId.startsWith('input:')) {
+                    this.highlightPtbRow(`ptb-input-row-${nodeId.slice(6)}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Switch to the Overview tab and highlight a row of the PTB inputs/commands listing
+     */
+    highlightPtbRow(rowId) {
+        this.switchToTab('overview');
+
+        document.querySelectorAll('.ptb-row-highlight').forEach(row => {
+            row.classList.remove('ptb-row-highlight');
+        });
+
+        const row = document.getElementById(rowId);
+        if (row) {
+            row.classList.add('ptb-row-highlight');
+            if (row.scrollIntoView) {
+                row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        }
+    }
+
+    renderObjectsTouched(transaction) {
+        const container = document.getElementById('objects-touched');
+
+        // Extract needed data from transaction
+        const createdObjects = new Set(transaction.getCreatedObjects().map(o => o.object_id));
+        const operations = {
+            Created: transaction.getCreatedObjects().map(o => o.object_id),
+            Deleted: transaction.getDeletedObjects().map(o => o.object_id),
+            None: transaction.getModifiedObjects().map(o => o.object_id)
+        };
+
+        let html = `
+            <p style="margin: 0 0 20px 0; color: #ccc; font-style: italic;">
+                This section shows all objects and packages involved in the transaction execution. The <strong>Source</strong> indicates how objects were involved: <strong>Input</strong> (transaction arguments), <strong>Gas</strong> (gas payment coins), or <strong>Runtime</strong> (loaded dynamically during execution or created). The <strong>Status</strong> shows what happened: <strong>Created</strong> (newly generated), <strong>Unwrapped</strong> (taken out of another object), <strong>Modified</strong> (state changed), <strong>Wrapped</strong> (moved into another object), <strong>Deleted</strong> (removed), or <strong>Accessed</strong> (read-only). Dynamic fields are also shown nested under the object that owns them.
             </p>
         `;
 
@@ -3309,7 +4405,7 @@ class TransactionViewer {
 
         // Create packages table
         html += `<table id="packages-table" style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">`;
-        html += `<thead><tr style="background: #333;"><th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Package ID</th><th style="padding: 10px; text-align: right; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Version</th><th style="padding: 10px; text-align: center; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Source</th><th style="padding: 10px; text-align: right; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Modules</th></tr></thead>`;
+        html += `<thead><tr style="background: #333;"><th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Package ID</th><th style="padding: 10px; text-align: right; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Version</th><th style="padding: 10px; text-align: center; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Source</th><th style="padding: 10px; text-align: right; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Modules</th><th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Original ID</th><th style="padding: 10px; text-align: right; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Linkage</th></tr></thead>`;
         html += `<tbody>`;
 
         // Separate and sort packages - input packages first, then dependencies
@@ -3338,18 +4434,28 @@ class TransactionViewer {
             html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; text-align: right; font-family: monospace;">${pkg.version}</td>`;
             html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: ${typeColor}; text-align: center; font-weight: bold;">${pkgType}</td>`;
             html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; text-align: right; font-family: monospace;">${pkgInfo.module_names.length}</td>`;
+            // Upgraded packages keep the ID of their first version as original_id
+            const info = pkg.package;
+            const upgraded = info && MoveType.normalizeAddress(info.original_id) !== MoveType.normalizeAddress(pkg.object_id);
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; font-family: monospace;">${upgraded ? this.createExplorerLink(info.original_id, 'package') : '<span style="color: #888;">same</span>'}</td>`;
+            const linkage = info && info.linkage_table ? `${info.linkage_table.length}` : '<span style="color: #888;">—</span>';
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; text-align: right; font-family: monospace;">${linkage}</td>`;
             html += `</tr>`;
         });
 
         html += `</tbody></table>`;
         html += `</div>`;
 
+        html += this.renderPackageGraph(transaction);
+
         // Move Objects section - include move objects + created packages
         // Created packages should appear here (not in Packages table) since they were touched in this transaction
         const createdPackages = transaction.packages.filter(pkg => createdObjects.has(pkg.object_id));
         let filteredObjects = [...transaction.objects, ...createdPackages];
 
 
+        html += this.renderDynamicFieldTree(transaction);
+
         html += `<div class="overview-section">`;
         html += `<h3 class="overview-section-title">Move Objects (${filteredObjects.length})</h3>`;
 
@@ -3392,7 +4498,8 @@ class TransactionViewer {
                 version: obj.version,
                 operation,
                 source,
-                objType
+                objType,
+                changeClass: transaction.getObjectChangeClass(obj.object_id)
             };
         });
 
@@ -3402,6 +4509,188 @@ class TransactionViewer {
         container.innerHTML = html;
         this.makeSortable('packages-table');
         this.makeSortable('objects-table');
+        this.attachObjectRowSelection(container);
+    }
+
+    /**
+     * Render the package dependency graph (Objects Touched tab) as a layered SVG: each package
+     * points at the upgraded version its linkage table resolves every dependency to.
+     */
+    renderPackageGraph(transaction) {
+        const { nodes, edges } = transaction.getPackageGraph();
+        let html = `<div class="overview-section">`;
+        html += `<h3 class="overview-section-title">Package Graph</h3>`;
+        html += `<p style="margin: 0 0 15px 0; color: #ccc; font-style: italic;">
+            Each arrow goes from a package to the version its linkage table runs for a dependency; the label is that version. Packages in orange are older versions of a package that is also loaded at a newer version, dashed ones were linked but not loaded. Click any type in the viewer to see its defining and runtime package.
+        </p>`;
+        if (nodes.length === 0) {
+            return html + '<p style="color: #888;">No packages in the replay cache</p></div>';
+        }
+        if (!nodes.some(node => node.linkage_recorded)) {
+            html += `<p style="margin: 0 0 15px 0; color: #888;">The replay cache did not record linkage tables, so only the loaded packages are shown.</p>`;
+        }
+
+        // Dependents to the left of their dependencies: each package one column after the deepest package linking to it
+        const key = id => MoveType.normalizeAddress(id);
+        const layerOf = {};
+        nodes.forEach(node => {
+            layerOf[key(node.id)] = 0;
+        });
+        for (let pass = 0; pass < nodes.length; pass++) {
+            let changed = false;
+            edges.forEach(edge => {
+                const next = layerOf[key(edge.from)] + 1;
+                if (next > layerOf[key(edge.to)] && next < nodes.length) {
+                    layerOf[key(edge.to)] = next;
+                    changed = true;
+                }
+            });
+            if (!changed) {
+                break;
+            }
+        }
+
+        const nodeWidth = 230;
+        const nodeHeight = 52;
+        const gapX = 90;
+        const gapY = 22;
+        const padding = 20;
+        const rowsPerLayer = {};
+        const position = {};
+        nodes.forEach(node => {
+            const layer = layerOf[key(node.id)];
+            const row = rowsPerLayer[layer] || 0;
+            rowsPerLayer[layer] = row + 1;
+            position[key(node.id)] = {
+                x: padding + layer * (nodeWidth + gapX),
+                y: padding + row * (nodeHeight + gapY)
+            };
+        });
+
+        const layerCount = Math.max(...Object.values(layerOf)) + 1;
+        const maxRows = Math.max(...Object.values(rowsPerLayer));
+        const width = padding * 2 + layerCount * nodeWidth + (layerCount - 1) * gapX;
+        const height = padding * 2 + maxRows * nodeHeight + (maxRows - 1) * gapY;
+        const shortId = id => {
+            const normalized = key(id);
+            return normalized.length > 14 ? `${normalized.slice(0, 8)}…${normalized.slice(-4)}` : normalized;
+        };
+
+        let svg = `<svg id="package-graph-svg" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" style="font-family: monospace; font-size: 12px;">`;
+        svg += `<defs><marker id="package-graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="#888"/></marker></defs>`;
+
+        edges.forEach(edge => {
+            const from = position[key(edge.from)];
+            const to = position[key(edge.to)];
+            const x1 = from.x + nodeWidth;
+            const y1 = from.y + nodeHeight / 2;
+            const x2 = to.x;
+            const y2 = to.y + nodeHeight / 2;
+            const bend = Math.max(40, (x2 - x1) / 2);
+            const title = `${edge.from} links ${edge.original_id} to ${edge.to} (version ${edge.version})`;
+            svg += `<g class="package-graph-edge">`;
+            svg += `<title>${this.encodeHTML(title)}</title>`;
+            svg += `<path d="M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}" fill="none" stroke="#888" stroke-width="1.5" marker-end="url(#package-graph-arrow)"/>`;
+            svg += `<text x="${x2 - 6}" y="${y2 - 5}" text-anchor="end" fill="#aaa" font-size="10">v${this.encodeHTML(String(edge.version))}</text>`;
+            svg += `</g>`;
+        });
+
+        nodes.forEach(node => {
+            const { x, y } = position[key(node.id)];
+            let stroke = '#4a9eff';
+            if (!node.loaded) {
+                stroke = '#888';
+            } else if (!node.latest) {
+                stroke = '#ffa500';
+            }
+            const upgraded = key(node.original_id) !== key(node.id);
+            const subtitle = upgraded ? `upgrade of ${shortId(node.original_id)}` : (node.loaded ? `${node.module_count} modules` : 'not loaded');
+            let title = `${node.id}\nversion ${node.version}`;
+            if (upgraded) {
+                title += `\noriginal ${node.original_id}`;
+            }
+            title += node.loaded ? `\n${node.module_count} modules${node.linkage_recorded ? '' : ', linkage table not recorded'}` : '\nnot in the replay cache';
+
+            svg += `<g class="package-graph-node" data-package-id="${node.id}">`;
+            svg += `<title>${this.encodeHTML(title)}</title>`;
+            svg += `<rect x="${x}" y="${y}" width="${nodeWidth}" height="${nodeHeight}" rx="6" fill="#2a2a2a" stroke="${stroke}" stroke-width="1.5"${node.loaded ? '' : ' stroke-dasharray="5 4"'}/>`;
+            svg += `<text x="${x + 10}" y="${y + 20}" fill="white"><tspan font-weight="bold">${this.encodeHTML(shortId(node.id))}</tspan> <tspan fill="${stroke}">v${this.encodeHTML(String(node.version))}</tspan></text>`;
+            svg += `<text x="${x + 10}" y="${y + 39}" fill="#aaa">${this.encodeHTML(subtitle)}</text>`;
+            svg += `</g>`;
+        });
+        svg += `</svg>`;
+
+        html += `<div style="background: #222; padding: 15px; border-radius: 5px; overflow: auto;">${svg}</div>`;
+        html += `</div>`;
+        return html;
+    }
+
+    /**
+     * Render the dynamic field tree (Objects Touched tab): parents with their dynamic fields nested underneath
+     */
+    renderDynamicFieldTree(transaction) {
+        const { roots, unresolved } = transaction.getDynamicFieldTree();
+        if (roots.length === 0 && unresolved.length === 0) {
+            return '';
+        }
+
+        let html = `<div class="overview-section">`;
+        html += `<h3 class="overview-section-title">Dynamic Fields (${roots.length} parent${roots.length === 1 ? '' : 's'})</h3>`;
+        html += `<p style="margin: 0 0 10px 0; color: #aaa;">Objects owned by another object (ObjectOwner in the effects), nested under their parent. Storage columns are for the whole subtree, from the per-object storage breakdown.</p>`;
+        html += `<div class="dynamic-field-tree">`;
+        html += `<div class="dynamic-field-row dynamic-field-header"><span>Object</span><span>Storage Cost</span><span>Storage Rebate</span></div>`;
+
+        roots.forEach(root => {
+            html += this.renderDynamicFieldNode(root, new Set());
+        });
+
+        if (unresolved.length > 0) {
+            html += `<details class="dynamic-field-node">`;
+            html += `<summary class="dynamic-field-row"><span style="color: #888;">Parent not recorded in effects (${unresolved.length} read-only field${unresolved.length === 1 ? '' : 's'})</span><span></span><span></span></summary>`;
+            unresolved.forEach(node => {
+                html += this.renderDynamicFieldNode(node, new Set());
+            });
+            html += `</details>`;
+        }
+
+        html += `</div></div>`;
+        return html;
+    }
+
+    renderDynamicFieldNode(node, visited) {
+        visited.add(node.object_id);
+
+        let label = this.createExplorerLink(node.object_id, 'object');
+        if (!node.loaded) {
+            label += ` <span style="color: #888;">(UID only, e.g. inside a Table or Bag)</span>`;
+        } else if (node.field) {
+            const kind = node.field.kind === 'dynamic_object_field' ? 'dynamic object field' : 'dynamic field';
+            label += ` <span class="change-class-badge" style="color: #ffa500; border-color: #ffa500;">${kind}</span>`;
+            label += ` key: ${node.field.keyType.toHTML()}`;
+            if (node.field.kind === 'dynamic_field') {
+                label += ` → ${node.field.valueType.toHTML()}`;
+            }
+        } else if (node.type) {
+            label += ` ${node.type.toHTML()}`;
+        }
+
+        const storage = node.subtree_storage || node.storage;
+        const cells = `<span>${label}</span>`
+            + `<span style="text-align: right; font-family: monospace;">${this.formatNumber(storage.storage_cost)}</span>`
+            + `<span style="text-align: right; font-family: monospace; color: #90ee90;">${this.formatNumber(storage.storage_rebate)}</span>`;
+
+        const children = node.children.filter(child => !visited.has(child.object_id));
+        if (children.length === 0) {
+            return `<div class="dynamic-field-row dynamic-field-leaf">${cells}</div>`;
+        }
+
+        let html = `<details class="dynamic-field-node" open>`;
+        html += `<summary class="dynamic-field-row">${cells}</summary>`;
+        children.forEach(child => {
+            html += this.renderDynamicFieldNode(child, visited);
+        });
+        html += `</details>`;
+        return html;
     }
 
     renderObjectChanges(transaction) {
@@ -3409,7 +4698,7 @@ class TransactionViewer {
 
         let html = `
             <p style="margin: 0 0 20px 0; color: #ccc; font-style: italic;">
-                This section shows the actual state changes captured in transaction effects. The <strong>Status</strong> indicates what happened: <strong>Created</strong> (newly generated), <strong>Modified</strong> (state changed), or <strong>Deleted</strong> (destroyed). The <strong>Source</strong> column shows the object's relationship to the transaction: <strong>Input</strong> (transaction arguments), <strong>Gas</strong> (payment coins), or <strong>Runtime</strong> (created during execution or loaded dynamically).
+                This section shows the actual state changes captured in transaction effects. The <strong>Status</strong> indicates what happened: <strong>Created</strong> (newly generated), <strong>Unwrapped</strong> (taken out of another object), <strong>Modified</strong> (state changed), <strong>Wrapped</strong> (moved into another object, its ID lives on), <strong>Deleted</strong> (destroyed), <strong>Unwrapped &amp; Deleted</strong> or <strong>Package Write</strong>. The <strong>Source</strong> column shows the object's relationship to the transaction: <strong>Input</strong> (transaction arguments), <strong>Gas</strong> (payment coins), or <strong>Runtime</strong> (created during execution or loaded dynamically). <strong>Ownership</strong> shows the owner before and after the transaction (∅ = did not exist, ? = not recorded in V1 effects) and the object digest change; use the buttons to show only transfers, shares, freezes or wraps.
             </p>
         `;
 
@@ -3424,39 +4713,168 @@ class TransactionViewer {
             const obj = transaction._objects.find(o => o.object_id === objectId);
 
             const objType = this.createTypeWithTooltip(objectId, transaction, 45);
+            const change = transaction.getObjectChange(objectId);
             return {
                 objId: objectId,
-                version: obj?.version || 'N/A',
+                version: obj?.version || change?.version_after || change?.version_before || 'N/A',
                 operation: obj?.status || 'Unknown',
                 source: obj?.source || 'Runtime',
-                objType: objType
+                objType: objType,
+                change: change,
+                changeClass: change?.change_class || null
             };
         });
 
+        // Ownership transition filters
+        const filters = [['transfer', 'Transfers'], ['share', 'Shares'], ['freeze', 'Freezes'], ['wrap', 'Wraps']];
+        html += `<div class="object-change-filters" style="margin-bottom: 10px;">`;
+        html += `<button type="button" class="object-change-filter active" data-filter="">All (${allChangedObjects.length})</button>`;
+        filters.forEach(([filter, label]) => {
+            const count = allChangedObjects.filter(o => o.change && o.change.getTransitions().includes(filter)).length;
+            html += `<button type="button" class="object-change-filter" data-filter="${filter}">${label} (${count})</button>`;
+        });
+        html += `</div>`;
+
         // Use unified table rendering function
-        html += this.renderUnifiedObjectTable('object-changes-table', allChangedObjects);
+        html += this.renderUnifiedObjectTable('object-changes-table', allChangedObjects, true);
         html += `</div>`;
         container.innerHTML = html;
         this.makeSortable('object-changes-table');
+        this.attachObjectRowSelection(container);
+
+        container.querySelectorAll('.object-change-filter').forEach(button => {
+            button.addEventListener('click', () => {
+                container.querySelectorAll('.object-change-filter').forEach(b => b.classList.remove('active'));
+                button.classList.add('active');
+                const filter = button.getAttribute('data-filter');
+                container.querySelectorAll('#object-changes-table tbody tr').forEach(row => {
+                    const transitions = (row.getAttribute('data-transitions') || '').split(' ');
+                    row.style.display = !filter || transitions.includes(filter) ? '' : 'none';
+                });
+            });
+        });
+    }
+
+    /**
+     * Format an Owner model as text with the full address in a tooltip; null means the object did not exist
+     */
+    formatOwnerBadge(owner, placeholder = '∅') {
+        if (!owner) {
+            return `<span style="color: #888;">${placeholder}</span>`;
+        }
+        const color = owner.kind === 'Shared' ? '#ffa500' : owner.kind === 'Immutable' ? '#87ceeb' : owner.kind === 'ObjectOwner' ? '#dda0dd' : '#90ee90';
+        let html = `<span style="color: ${color};">${owner.kind}</span>`;
+        if (owner.address) {
+            html += ` <span class="custom-tooltip" data-tooltip="${owner.address}" style="cursor: help; text-decoration: underline dotted;">${owner.toDisplayString().slice(owner.kind.length + 1)}</span>`;
+        }
+        if (owner.version !== null) {
+            html += ` <span style="color: #aaa;">(v${owner.version})</span>`;
+        }
+        return html;
+    }
+
+    /**
+     * Format an ObjectChange as "owner before → owner after" with the digests underneath
+     */
+    formatOwnershipTransition(change) {
+        if (!change) {
+            return 'N/A';
+        }
+
+        let html;
+        if (change.owner_before && change.owner_after && change.owner_before.equals(change.owner_after)) {
+            html = `${this.formatOwnerBadge(change.owner_after)} <span style="color: #888;">(unchanged)</span>`;
+        } else {
+            html = `${this.formatOwnerBadge(change.owner_before, change.isPreviousOwnerKnown() ? '∅' : '?')} → ${this.formatOwnerBadge(change.owner_after)}`;
+        }
+
+        const shortDigest = digest => digest ? `<span class="custom-tooltip" data-tooltip="${digest}" style="cursor: help;">${digest.slice(0, 8)}…</span>` : '∅';
+        if (change.digest_before || change.digest_after) {
+            html += `<div style="color: #888; font-size: 0.85em; margin-top: 3px;">digest ${shortDigest(change.digest_before)} → ${shortDigest(change.digest_after)}</div>`;
+        }
+        return html;
+    }
+
+    changeClassLabel(changeClass) {
+        const labels = {
+            Mutated: 'Modified',
+            UnwrappedThenDeleted: 'Unwrapped &amp; Deleted',
+            PackageWrite: 'Package Write'
+        };
+        return labels[changeClass] || changeClass;
+    }
+
+    changeClassColor(changeClass) {
+        const colors = {
+            Created: '#87ceeb',
+            Unwrapped: '#7fffd4',
+            Mutated: '#dda0dd',
+            Wrapped: '#ffa500',
+            Deleted: '#ff6b6b',
+            UnwrappedThenDeleted: '#ff6b6b',
+            PackageWrite: '#4a9eff'
+        };
+        return colors[changeClass] || '#ccc';
+    }
+
+    /**
+     * Small change class label for tables that already group by change (e.g. "Wrapped" among deletions)
+     * Classes listed in hiddenClasses are implied by the table and render nothing
+     */
+    formatChangeClassBadge(changeClass, hiddenClasses = []) {
+        if (!changeClass || hiddenClasses.includes(changeClass)) {
+            return '';
+        }
+        return `<span class="change-class-badge" style="color: ${this.changeClassColor(changeClass)}; border-color: ${this.changeClassColor(changeClass)};">${this.changeClassLabel(changeClass)}</span> `;
+    }
+
+    /**
+     * Fully qualified type of a loaded object ("MovePackage" for packages), or null if unknown
+     */
+    getFullObjectType(objectId) {
+        if (!this.transaction) return null;
+        const entry = this.transaction._objects.find(obj => obj.object_id === objectId);
+        if (entry && entry.object_type && entry.object_type.Package !== undefined) {
+            return 'MovePackage';
+        }
+        const moveType = this.transaction.getObjectMoveType(objectId);
+        return moveType ? moveType.toFullyQualifiedString() : null;
+    }
+
+    exportValueAttribute(value) {
+        return value === null || value === undefined ? '' : ` data-export-value="${this.encodeHTML(value)}"`;
     }
 
     // Unified table rendering function for objects with version, operation, source, and type columns
-    renderUnifiedObjectTable(tableId, objects) {
+    // showTransitions adds an Ownership column built from each object's ObjectChange
+    renderUnifiedObjectTable(tableId, objects, showTransitions = false) {
         let html = `<table id="${tableId}" style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">`;
-        html += `<thead><tr style="background: #333;"><th class="object-id-col" style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Object ID</th><th class="usage-col" style="padding: 10px; text-align: right; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Version</th><th class="operation-col" style="padding: 10px; text-align: center; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Status</th><th class="owner-col" style="padding: 10px; text-align: center; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Source</th><th class="type-col" style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Type</th></tr></thead>`;
+        html += `<thead><tr style="background: #333;"><th class="object-id-col" style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Object ID</th><th class="usage-col" style="padding: 10px; text-align: right; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Version</th><th class="operation-col" style="padding: 10px; text-align: center; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Status</th><th class="owner-col" style="padding: 10px; text-align: center; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Source</th><th class="type-col" style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Type</th>`;
+        if (showTransitions) {
+            html += `<th class="transition-col" style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Ownership (before → after)</th>`;
+        }
+        html += `</tr></thead>`;
         html += `<tbody>`;
 
-        objects.forEach(({ objId, version, operation, source, objType }) => {
+        objects.forEach(({ objId, version, operation, source, objType, change, changeClass }) => {
             const linkedObj = this.createExplorerLink(objId, 'object');
-            const operationColor = operation === 'Created' ? '#87ceeb' : operation === 'Deleted' ? '#ff6b6b' : operation === 'Modified' ? '#dda0dd' : '#ccc';
+            let operationColor = operation === 'Created' ? '#87ceeb' : operation === 'Deleted' ? '#ff6b6b' : operation === 'Modified' ? '#dda0dd' : '#ccc';
+            if (changeClass) {
+                operationColor = this.changeClassColor(changeClass);
+                operation = this.changeClassLabel(changeClass);
+            }
             const sourceColor = source === 'Input' ? '#90ee90' : source === 'Gas' ? '#ffd700' : '#87ceeb';
 
-            html += `<tr>`;
+            const transitions = showTransitions && change ? change.getTransitions().join(' ') : '';
+            html += `<tr class="object-row" data-object-id="${objId}"${transitions ? ` data-transitions="${transitions}"` : ''}>`;
             html += `<td class="object-id-col" style="padding: 8px; border-bottom: 1px solid #333; color: white; font-family: monospace; vertical-align: top;">${linkedObj}</td>`;
             html += `<td class="usage-col" style="padding: 8px; border-bottom: 1px solid #333; color: white; text-align: right; font-family: monospace; vertical-align: top;">${version}</td>`;
             html += `<td class="operation-col" style="padding: 8px; border-bottom: 1px solid #333; color: ${operationColor}; text-align: center; font-weight: bold; vertical-align: top;">${operation}</td>`;
             html += `<td class="owner-col" style="padding: 8px; border-bottom: 1px solid #333; color: ${sourceColor}; text-align: center; font-weight: bold; vertical-align: top;">${source}</td>`;
-            html += `<td class="type-col" style="padding: 8px; border-bottom: 1px solid #333; color: white; font-family: monospace; vertical-align: top;">${objType}</td>`;
+            html += `<td class="type-col" style="padding: 8px; border-bottom: 1px solid #333; color: white; font-family: monospace; vertical-align: top;"${this.exportValueAttribute(this.getFullObjectType(objId))}>${objType}</td>`;
+            if (showTransitions) {
+                html += `<td class="transition-col" style="padding: 8px; border-bottom: 1px solid #333; color: white; font-family: monospace; vertical-align: top;"${this.exportValueAttribute(change ? change.getTransitionString(false) : null)}>${this.formatOwnershipTransition(change)}</td>`;
+            }
             html += `</tr>`;
         });
 
@@ -3529,7 +4947,7 @@ class TransactionViewer {
             html += `<tr><td colspan="2" style="padding: 8px 0; border-top: 2px solid #777;"></td></tr>`;
 
             // Calculate gas charges
-            const gasCharges = parseInt(gasData.computation_cost) + parseInt(gasData.storage_cost) + parseInt(gasData.non_refundable_fee) - parseInt(gasData.storage_rebate);
+            const gasCharges = transaction.getGasSummary().gas_charges;
             const gasChargesColor = gasCharges >= 0 ? '#ff6b6b' : '#90ee90';
             html += `<tr><td style="padding: 6px 15px; border-bottom: 1px solid #333; color: white;">Gas Charges</td><td style="padding: 6px 15px; border-bottom: 1px solid #333; text-align: right; font-family: monospace; color: ${gasChargesColor};">${this.formatNumber(gasCharges)}</td></tr>`;
         }
@@ -3537,6 +4955,9 @@ class TransactionViewer {
         html += `</table>`;
         html += `</div>`;
 
+        html += this.renderGasVerification(transaction);
+        html += this.renderGasSimulator(transaction);
+
         // Per-Object Storage Breakdown
         if (gasData.per_object_breakup && gasData.per_object_breakup.length > 0) {
             html += `<div class="overview-section">`;
@@ -3551,8 +4972,16 @@ class TransactionViewer {
                 const storageCost = parseInt(obj.storage_cost || '0');
                 const storageRebate = parseInt(obj.storage_rebate || '0');
                 const newSize = parseInt(obj.size || '0');
+                const changeClass = transaction.getObjectChangeClass(obj.object_id);
 
-                if (newSize === 0 && storageRebate > 0) {
+                // Use the effects classification when available, otherwise infer from the storage numbers
+                if (changeClass === 'Deleted' || changeClass === 'Wrapped' || changeClass === 'UnwrappedThenDeleted') {
+                    deletedGasObjects.push(obj);
+                } else if (changeClass === 'Created' || changeClass === 'Unwrapped') {
+                    createdGasObjects.push(obj);
+                } else if (changeClass === 'Mutated') {
+                    modifiedGasObjects.push(obj);
+                } else if (newSize === 0 && storageRebate > 0) {
                     deletedGasObjects.push(obj);
                 } else if (storageCost > 0 && storageRebate === 0) {
                     createdGasObjects.push(obj);
@@ -3563,7 +4992,7 @@ class TransactionViewer {
 
             // Deleted Objects
             if (deletedGasObjects.length > 0) {
-                html += `<h3 style="color: white; margin: 15px 0 10px 0; font-size: 1.1em;">Deleted Objects</h3>`;
+                html += `<h3 style="color: white; margin: 15px 0 10px 0; font-size: 1.1em;">Deleted &amp; Wrapped Objects</h3>`;
                 html += `<table id="gas-deleted-objects-table" style="width: 100%; border-collapse: collapse; margin-bottom: 20px; table-layout: fixed;">`;
                 html += `<thead><tr style="background: #333;">
         <th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff; font-family: monospace; width: 40%;">Object ID</th>
@@ -3592,11 +5021,11 @@ class TransactionViewer {
                     totalStorageRebate += storageRebate;
 
                     // Get object type with tooltip and wrapping enabled
-                    const objectType = this.createTypeWithTooltip(obj.object_id, transaction, 30);
+                    const objectType = this.formatChangeClassBadge(transaction.getObjectChangeClass(obj.object_id), ['Deleted', 'Created', 'Mutated']) + this.createTypeWithTooltip(obj.object_id, transaction, 30);
 
                     html += `<tr>`;
                     html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; font-family: monospace; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; vertical-align: top;" title="${obj.object_id}">${this.createExplorerLink(obj.object_id, 'object')}</td>`;
-                    html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; font-family: monospace; white-space: normal; vertical-align: top;">${objectType}</td>`;
+                    html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; font-family: monospace; white-space: normal; vertical-align: top;"${this.exportValueAttribute(this.getFullObjectType(obj.object_id))}>${objectType}</td>`;
                     html += `<td style="padding: 8px; border-bottom: 1px solid #333; text-align: right; font-family: monospace; color: white; vertical-align: top;">${this.formatNumber(size)}</td>`;
                     html += `<td style="padding: 8px; border-bottom: 1px solid #333; text-align: right; font-family: monospace; color: white; vertical-align: top;">${this.formatNumber(storageCost)}</td>`;
                     html += `<td style="padding: 8px; border-bottom: 1px solid #333; text-align: right; font-family: monospace; color: white; vertical-align: top;">${this.formatNumber(nonRefundable)}</td>`;
@@ -3619,7 +5048,7 @@ class TransactionViewer {
 
             // Created Objects
             if (createdGasObjects.length > 0) {
-                html += `<h3 style="color: white; margin: 15px 0 10px 0; font-size: 1.1em;">Created Objects</h3>`;
+                html += `<h3 style="color: white; margin: 15px 0 10px 0; font-size: 1.1em;">Created &amp; Unwrapped Objects</h3>`;
                 html += `<table id="gas-created-objects-table" style="width: 100%; border-collapse: collapse; margin-bottom: 20px; table-layout: fixed;">`;
                 html += `<thead><tr style="background: #333;">
         <th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff; font-family: monospace; width: 40%;">Object ID</th>
@@ -3645,11 +5074,11 @@ class TransactionViewer {
                     totalNonRefundable += nonRefundable;
                     totalStorageRebate += storageRebate;
 
-                    const objectType = this.createTypeWithTooltip(obj.object_id, transaction, 30);
+                    const objectType = this.formatChangeClassBadge(transaction.getObjectChangeClass(obj.object_id), ['Deleted', 'Created', 'Mutated']) + this.createTypeWithTooltip(obj.object_id, transaction, 30);
 
                     html += `<tr>`;
                     html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; font-family: monospace; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; vertical-align: top;" title="${obj.object_id}">${this.createExplorerLink(obj.object_id, 'object')}</td>`;
-                    html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; font-family: monospace; white-space: normal; vertical-align: top;">${objectType}</td>`;
+                    html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; font-family: monospace; white-space: normal; vertical-align: top;"${this.exportValueAttribute(this.getFullObjectType(obj.object_id))}>${objectType}</td>`;
                     html += `<td style="padding: 8px; border-bottom: 1px solid #333; text-align: right; font-family: monospace; color: white; vertical-align: top;">${this.formatNumber(size)}</td>`;
                     html += `<td style="padding: 8px; border-bottom: 1px solid #333; text-align: right; font-family: monospace; color: white; vertical-align: top;">${this.formatNumber(storageCost)}</td>`;
                     html += `<td style="padding: 8px; border-bottom: 1px solid #333; text-align: right; font-family: monospace; color: white; vertical-align: top;">${this.formatNumber(nonRefundable)}</td>`;
@@ -3700,11 +5129,11 @@ class TransactionViewer {
                     totalNonRefundable += nonRefundable;
                     totalStorageRebate += storageRebate;
 
-                    const objectType = this.createTypeWithTooltip(obj.object_id, transaction, 30);
+                    const objectType = this.formatChangeClassBadge(transaction.getObjectChangeClass(obj.object_id), ['Deleted', 'Created', 'Mutated']) + this.createTypeWithTooltip(obj.object_id, transaction, 30);
 
                     html += `<tr>`;
                     html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; font-family: monospace; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; vertical-align: top;" title="${obj.object_id}">${this.createExplorerLink(obj.object_id, 'object')}</td>`;
-                    html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; font-family: monospace; white-space: normal; vertical-align: top;">${objectType}</td>`;
+                    html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; font-family: monospace; white-space: normal; vertical-align: top;"${this.exportValueAttribute(this.getFullObjectType(obj.object_id))}>${objectType}</td>`;
                     html += `<td style="padding: 8px; border-bottom: 1px solid #333; text-align: right; font-family: monospace; color: white; vertical-align: top;">${this.formatNumber(size)}</td>`;
                     html += `<td style="padding: 8px; border-bottom: 1px solid #333; text-align: right; font-family: monospace; color: white; vertical-align: top;">${this.formatNumber(storageCost)}</td>`;
                     html += `<td style="padding: 8px; border-bottom: 1px solid #333; text-align: right; font-family: monospace; color: white; vertical-align: top;">${this.formatNumber(nonRefundable)}</td>`;
@@ -3814,9 +5243,746 @@ class TransactionViewer {
         }
 
         container.innerHTML = html;
+        this.makeSortable('gas-summary-table');
+        this.makeSortable('gas-verification-table');
         this.makeSortable('gas-deleted-objects-table');
         this.makeSortable('gas-created-objects-table');
         this.makeSortable('gas-modified-objects-table');
+        this.attachGasSimulator(transaction);
+    }
+
+    /**
+     * Gas Verification section: every recomputed value next to the reported one, with the formula used
+     */
+    renderGasVerification(transaction) {
+        const verification = transaction.getGasVerification();
+        const checks = verification.getChecks();
+        if (checks.length === 0) {
+            return '';
+        }
+
+        const mismatches = verification.getMismatches();
+        const errors = mismatches.filter(check => check.severity === 'error').length;
+        const warnings = mismatches.length - errors;
+
+        let verdict;
+        if (mismatches.length === 0) {
+            verdict = `<span style="color: #90ee90; font-weight: bold;">✔ All ${checks.length} checks passed</span>`;
+        } else {
+            const parts = [];
+            if (errors > 0) {
+                parts.push(`<span style="color: #ff6b6b; font-weight: bold;">✖ ${errors} mismatch${errors === 1 ? '' : 'es'}</span>`);
+            }
+            if (warnings > 0) {
+                parts.push(`<span style="color: #ffa500; font-weight: bold;">⚠ ${warnings} warning${warnings === 1 ? '' : 's'}</span>`);
+            }
+            verdict = `${parts.join(' ')} <span style="color: #aaa;">out of ${checks.length} checks</span>`;
+        }
+
+        let html = `<div class="overview-section">`;
+        html += `<h3 class="overview-section-title">Gas Verification</h3>`;
+        html += `<p style="margin: 0 0 10px 0; color: #ccc;">Recomputed from object sizes, storage gas price, rebate rate, gas price and gas used, then compared with <span style="font-family: monospace;">cost_summary</span> and the effects <span style="font-family: monospace;">gas_used</span>. Computation buckets are the default protocol table, so a computation mismatch is only a warning.</p>`;
+        html += `<p style="margin: 0 0 10px 0;">${verdict}</p>`;
+        html += `<table id="gas-verification-table" style="width: 100%; border-collapse: collapse;">`;
+        html += `<thead><tr style="background: #333;">
+        <th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff; width: 24%;">Check</th>
+        <th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Formula</th>
+        <th style="padding: 10px; text-align: right; color: #4a9eff; border-bottom: 2px solid #4a9eff; width: 13%;">Expected</th>
+        <th style="padding: 10px; text-align: right; color: #4a9eff; border-bottom: 2px solid #4a9eff; width: 13%;">Reported</th>
+        <th style="padding: 10px; text-align: center; color: #4a9eff; border-bottom: 2px solid #4a9eff; width: 8%;">Result</th>
+    </tr></thead>`;
+        html += `<tbody>`;
+
+        checks.forEach(check => {
+            const failColor = check.severity === 'warning' ? '#ffa500' : '#ff6b6b';
+            const color = check.ok ? '#90ee90' : failColor;
+            const result = check.ok ? '✔' : (check.severity === 'warning' ? '⚠' : '✖');
+            const label = check.object_id
+                ? `${this.encodeHTML(check.label)}<br><span style="font-family: monospace; font-size: 0.9em;">${this.createExplorerLink(check.object_id, 'object')}</span>`
+                : this.encodeHTML(check.label);
+            const calculation = check.calculation
+                ? `<br><span style="color: #aaa;">${this.encodeHTML(check.calculation)}</span>`
+                : '';
+            const expected = check.relation === '≤' ? `≤ ${this.formatNumber(check.expected)}` : this.formatNumber(check.expected);
+
+            html += `<tr${check.ok ? '' : ` style="background: rgba(255, 107, 107, 0.08);"`}>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; vertical-align: top;">${label}</td>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: #87ceeb; font-family: monospace; vertical-align: top;">${this.encodeHTML(check.formula)}${calculation}</td>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; text-align: right; font-family: monospace; color: white; vertical-align: top;" data-sort-value="${check.expected}">${expected}</td>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; text-align: right; font-family: monospace; color: ${check.ok ? 'white' : failColor}; vertical-align: top;" data-sort-value="${check.actual}">${this.formatNumber(check.actual)}</td>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; text-align: center; color: ${color}; font-weight: bold; vertical-align: top;">${result}</td>`;
+            html += `</tr>`;
+        });
+
+        html += `</tbody></table>`;
+        html += `</div>`;
+        return html;
+    }
+
+    /**
+     * What-If Simulator section; inputs are wired up by attachGasSimulator() once the HTML is in place
+     */
+    renderGasSimulator(transaction) {
+        const baseline = new GasSimulator(transaction).getBaselineParameters();
+        const input = (id, name, label, value) => `
+                <label for="${id}">${label}
+                    <input type="number" min="0" step="1" id="${id}" data-parameter="${name}" value="${value === null ? '' : value}">
+                </label>`;
+
+        let html = `<div class="overview-section">`;
+        html += `<h3 class="overview-section-title">What-If Simulator</h3>`;
+        html += `<p style="margin: 0 0 10px 0; color: #ccc;">Recomputes this transaction's cost from the same gas used and object sizes under other parameters. Any tip paid above the reference gas price is kept; storage rebates stay as recorded because they were paid at earlier storage prices. Actual is what the transaction reported; Recomputed applies the same formulas at its own parameters (amber where the two disagree), and Change is measured from Recomputed.</p>`;
+        html += `<div class="gas-sim-inputs">`;
+        html += input('gas-sim-reference-gas-price', 'reference_gas_price', 'Reference Gas Price', baseline.reference_gas_price);
+        html += input('gas-sim-storage-gas-price', 'storage_gas_price', 'Storage Gas Price', baseline.storage_gas_price);
+        html += input('gas-sim-rebate-rate', 'rebate_rate', 'Rebate Rate (basis points)', baseline.rebate_rate);
+        html += input('gas-sim-gas-budget', 'gas_budget', 'Gas Budget', baseline.gas_budget);
+        html += `</div>`;
+        html += `<div style="margin-bottom: 15px;">
+                <button type="button" class="gas-sim-button" id="gas-sim-reset">↺ Reset</button>
+                <button type="button" class="gas-sim-button" id="gas-sim-save">＋ Save Scenario</button>
+                <button type="button" class="gas-sim-button" id="gas-sim-export">⬇ Export JSON</button>
+            </div>`;
+        html += `<div id="gas-sim-results"></div>`;
+        html += `<div id="gas-sim-scenarios"></div>`;
+        html += `</div>`;
+        return html;
+    }
+
+    attachGasSimulator(transaction) {
+        const results = document.getElementById('gas-sim-results');
+        if (!results) {
+            return;
+        }
+
+        this.gasSimulator = new GasSimulator(transaction);
+        this.gasScenarios = [];
+        const inputs = Array.from(document.querySelectorAll('.gas-sim-inputs input'));
+        const readParameters = () => {
+            const parameters = {};
+            inputs.forEach(input => {
+                parameters[input.getAttribute('data-parameter')] = input.value;
+            });
+            return parameters;
+        };
+        const update = () => {
+            results.innerHTML = this.renderGasSimulationResult(this.gasSimulator.run(readParameters()));
+        };
+
+        inputs.forEach(input => input.addEventListener('input', update));
+
+        document.getElementById('gas-sim-reset').addEventListener('click', () => {
+            const baseline = this.gasSimulator.getBaselineParameters();
+            inputs.forEach(input => {
+                const value = baseline[input.getAttribute('data-parameter')];
+                input.value = value === null ? '' : value;
+            });
+            update();
+        });
+
+        document.getElementById('gas-sim-save').addEventListener('click', () => {
+            this.gasScenarios.push({ name: `Scenario ${this.gasScenarios.length + 1}`, parameters: readParameters() });
+            document.getElementById('gas-sim-scenarios').innerHTML = this.renderGasScenarios();
+        });
+
+        document.getElementById('gas-sim-export').addEventListener('click', () => {
+            // Export the current inputs too, even when they were never saved as a scenario
+            const scenarios = this.gasScenarios.concat([{ name: 'Current', parameters: readParameters() }]);
+            const json = JSON.stringify(this.gasSimulator.exportScenarios(scenarios), null, 2);
+            this.downloadFile(`gas-scenarios-${transaction.digest || 'transaction'}.json`, json, 'application/json');
+        });
+
+        update();
+    }
+
+    /**
+     * Cost table for one GasSimulator.run() result: the reported charges, the same formulas
+     * at the transaction's own parameters, the simulation, and its change from that recomputation
+     */
+    renderGasSimulationResult(result) {
+        const actual = this.gasSimulator.getReported() || {};
+        const recomputed = this.gasSimulator.run();
+        let html = '';
+
+        result.errors.forEach(error => {
+            html += `<p style="margin: 0 0 10px 0; color: #ff6b6b; font-weight: bold;">✖ ${this.encodeHTML(error)}</p>`;
+        });
+        if (result.budget_exceeded) {
+            html += `<p style="margin: 0 0 10px 0; color: #ffa500; font-weight: bold;">⚠ Budget exceeded: computation + storage needs ${this.formatNumber(result.budget_required)} but the budget is ${this.formatNumber(result.parameters.gas_budget)}. The transaction would fail with InsufficientGas.</p>`;
+        }
+
+        const rows = [
+            ['Gas Price', 'gas_price'],
+            ['Computation Cost', 'computation_cost'],
+            ['Storage Cost', 'storage_cost'],
+            ['Non-Refundable Storage Fee', 'non_refundable_fee'],
+            ['Storage Rebate', 'storage_rebate'],
+            ['Net Gas Charge', 'net_gas_charge'],
+            ['Budget Required', 'budget_required']
+        ];
+
+        html += `<table style="width: 70%; border-collapse: collapse;">`;
+        html += `<thead><tr style="background: #333;">
+        <th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Value</th>
+        <th style="padding: 10px; text-align: right; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Actual</th>
+        <th style="padding: 10px; text-align: right; color: #4a9eff; border-bottom: 2px solid #4a9eff;" title="Same formulas and assumed constants at the transaction's own parameters">Recomputed</th>
+        <th style="padding: 10px; text-align: right; color: #4a9eff; border-bottom: 2px solid #4a9eff;">Simulated</th>
+        <th style="padding: 10px; text-align: right; color: #4a9eff; border-bottom: 2px solid #4a9eff;" title="Simulated minus Recomputed">Change</th>
+    </tr></thead><tbody>`;
+
+        rows.forEach(([label, field]) => {
+            // Compare against the recomputation so only the edited parameters move the change
+            const reported = actual[field] === undefined ? null : actual[field];
+            const before = recomputed[field];
+            const after = result[field];
+            let change = '';
+            if (before !== null && after !== null && before !== after) {
+                const delta = after - before;
+                // Storage rebate is money back, so an increase is good news
+                const cheaper = field === 'storage_rebate' ? delta > 0 : delta < 0;
+                change = `<span style="color: ${cheaper ? '#90ee90' : '#ff6b6b'};">${delta > 0 ? '+' : ''}${this.formatNumber(delta)}</span>`;
+            }
+            const bold = field === 'net_gas_charge' ? ' font-weight: bold;' : '';
+            html += `<tr>`;
+            html += `<td style="padding: 6px 15px; border-bottom: 1px solid #333; color: white;${bold}">${label}</td>`;
+            html += `<td style="padding: 6px 15px; border-bottom: 1px solid #333; text-align: right; font-family: monospace; color: white;">${this.formatNumber(reported)}</td>`;
+            html += `<td style="padding: 6px 15px; border-bottom: 1px solid #333; text-align: right; font-family: monospace; color: ${reported !== null && before !== null && reported !== before ? '#ffa500' : '#ccc'};">${this.formatNumber(before)}</td>`;
+            html += `<td style="padding: 6px 15px; border-bottom: 1px solid #333; text-align: right; font-family: monospace; color: white;${bold}">${this.formatNumber(after)}</td>`;
+            html += `<td style="padding: 6px 15px; border-bottom: 1px solid #333; text-align: right; font-family: monospace;">${change}</td>`;
+            html += `</tr>`;
+        });
+
+        html += `</tbody></table>`;
+        return html;
+    }
+
+    /**
+     * Saved scenarios, one row each
+     */
+    renderGasScenarios() {
+        if (this.gasScenarios.length === 0) {
+            return '';
+        }
+
+        let html = `<h4 style="margin: 20px 0 10px 0; color: #4a9eff;">Saved Scenarios (${this.gasScenarios.length})</h4>`;
+        html += `<table id="gas-sim-scenarios-table" style="width: 100%; border-collapse: collapse; font-family: monospace;">`;
+        html += `<thead><tr style="background: #333;">`;
+        ['Scenario', 'Ref. Gas Price', 'Storage Gas Price', 'Rebate Rate', 'Budget', 'Net Gas Charge', 'Budget Required'].forEach((header, index) => {
+            html += `<th style="padding: 8px; text-align: ${index === 0 ? 'left' : 'right'}; color: #4a9eff; border-bottom: 2px solid #4a9eff;">${header}</th>`;
+        });
+        html += `</tr></thead><tbody>`;
+
+        this.gasScenarios.forEach(scenario => {
+            const result = this.gasSimulator.run(scenario.parameters);
+            const cell = (value, color = 'white') => `<td style="padding: 8px; border-bottom: 1px solid #333; text-align: right; color: ${color};">${this.formatNumber(value)}</td>`;
+            html += `<tr>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white;">${this.encodeHTML(scenario.name)}${result.errors.length > 0 ? ' <span style="color: #ff6b6b;">✖</span>' : ''}</td>`;
+            html += cell(result.parameters.reference_gas_price);
+            html += cell(result.parameters.storage_gas_price);
+            html += cell(result.parameters.rebate_rate);
+            html += cell(result.parameters.gas_budget);
+            html += cell(result.net_gas_charge);
+            html += cell(result.budget_required, result.budget_exceeded ? '#ffa500' : 'white');
+            html += `</tr>`;
+        });
+
+        html += `</tbody></table>`;
+        return html;
+    }
+
+    /**
+     * Render the Diagnostics tab: findings of the cross-artifact consistency rules, then every rule with its result
+     */
+    renderDiagnostics(transaction) {
+        const container = document.getElementById('transaction-diagnostics');
+        const diagnostics = transaction.getDiagnostics();
+        const results = diagnostics.getResults();
+        const findings = diagnostics.getFindings();
+        const counts = diagnostics.getCounts();
+        const th = (label, extra = '') => `<th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;${extra}">${label}</th>`;
+        const severityCell = severity => severity === 'error'
+            ? '<span style="color: #ff6b6b; font-weight: bold;">✖ error</span>'
+            : '<span style="color: #ffa500; font-weight: bold;">⚠ warning</span>';
+
+        let html = `
+            <p style="margin: 0 0 20px 0; color: #ccc; font-style: italic;">
+                Each replay file is written separately. These rules compare them with each other and list every place where they disagree.
+            </p>`;
+
+        const parts = [];
+        if (counts.errors > 0) parts.push(`<span style="color: #ff6b6b; font-weight: bold;">✖ ${counts.errors} error${counts.errors === 1 ? '' : 's'}</span>`);
+        if (counts.warnings > 0) parts.push(`<span style="color: #ffa500; font-weight: bold;">⚠ ${counts.warnings} warning${counts.warnings === 1 ? '' : 's'}</span>`);
+        if (parts.length === 0) parts.push(`<span style="color: #90ee90; font-weight: bold;">✔ The artifacts agree</span>`);
+        const ran = results.length - counts.skipped;
+        parts.push(`<span style="color: #aaa;">${ran} of ${results.length} rules ran${counts.skipped > 0 ? `, ${counts.skipped} skipped` : ''}</span>`);
+
+        html += `<div class="overview-section">`;
+        html += `<h3 class="overview-section-title">Findings</h3>`;
+        html += `<p style="margin: 0 0 10px 0;">${parts.join(' ')}</p>`;
+        if (findings.length > 0) {
+            const titles = new Map(results.map(result => [result.rule.id, result.rule.title]));
+            html += `<table id="diagnostics-findings-table" style="width: 100%; border-collapse: collapse;">`;
+            html += `<thead><tr style="background: #333;">${th('Severity', ' width: 10%;')}${th('Rule', ' width: 18%;')}${th('Finding')}${th('Objects', ' width: 30%;')}</tr></thead><tbody>`;
+            findings.forEach(finding => {
+                const objects = finding.object_ids.map(objectId => {
+                    // Jump to the object's row when the Objects Touched tab lists it; IDs come from the artifacts, so they are escaped
+                    const listed = document.querySelector(`#objects-touched .object-row[data-object-id="${CSS.escape(objectId)}"]`);
+                    const jump = listed ? ` <button type="button" class="diagnostic-jump" data-object-id="${this.encodeHTML(objectId)}" title="Select in Objects Touched">↪</button>` : '';
+                    return `<div style="font-family: monospace;">${this.createExplorerLink(objectId, 'object')}${jump}</div>`;
+                }).join('');
+                html += `<tr>`;
+                html += `<td style="padding: 8px; border-bottom: 1px solid #333; vertical-align: top;">${severityCell(finding.severity)}</td>`;
+                html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: #87ceeb; vertical-align: top;">${this.encodeHTML(titles.get(finding.rule))}</td>`;
+                html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; vertical-align: top;">${this.encodeHTML(finding.message)}</td>`;
+                html += `<td style="padding: 8px; border-bottom: 1px solid #333; vertical-align: top;">${objects || '<span style="color: #888;">—</span>'}</td>`;
+                html += `</tr>`;
+            });
+            html += `</tbody></table>`;
+        }
+        html += `</div>`;
+
+        html += `<div class="overview-section">`;
+        html += `<h3 class="overview-section-title">Rules</h3>`;
+        html += `<table id="diagnostics-rules-table" style="width: 100%; border-collapse: collapse;">`;
+        html += `<thead><tr style="background: #333;">${th('Rule', ' width: 18%;')}${th('Checks')}${th('Artifacts', ' width: 26%;')}${th('Result', ' width: 14%;')}</tr></thead><tbody>`;
+        results.forEach(result => {
+            let status;
+            if (result.status === 'passed') {
+                status = '<span style="color: #90ee90; font-weight: bold;">✔ passed</span>';
+            } else if (result.status === 'failed') {
+                const worst = result.findings.some(finding => finding.severity === 'error') ? 'error' : 'warning';
+                status = `<span style="color: ${worst === 'error' ? '#ff6b6b' : '#ffa500'}; font-weight: bold;">${worst === 'error' ? '✖' : '⚠'} ${result.findings.length} finding${result.findings.length === 1 ? '' : 's'}</span>`;
+            } else {
+                const reason = result.error ? `could not run: ${result.error}` : `missing ${result.missing_artifacts.map(artifact => `${artifact}.json`).join(', ')}`;
+                status = `<span style="color: #888;" title="${this.encodeHTML(reason)}">➖ skipped</span>`;
+            }
+            html += `<tr>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: #87ceeb; vertical-align: top;">${this.encodeHTML(result.rule.title)}</td>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: white; vertical-align: top;">${this.encodeHTML(result.rule.description)}</td>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; color: #ccc; font-family: monospace; font-size: 0.9em; vertical-align: top;">${result.rule.artifacts.map(artifact => this.encodeHTML(`${artifact}.json`)).join('<br>')}</td>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #333; vertical-align: top;">${status}</td>`;
+            html += `</tr>`;
+        });
+        html += `</tbody></table></div>`;
+
+        container.innerHTML = html;
+        if (findings.length > 0) {
+            this.makeSortable('diagnostics-findings-table');
+        }
+        this.makeSortable('diagnostics-rules-table');
+
+        container.querySelectorAll('.diagnostic-jump').forEach(button => {
+            button.addEventListener('click', () => {
+                this.switchToTab('objects');
+                this.selectObject(button.getAttribute('data-object-id'), true);
+            });
+        });
+    }
+
+    /**
+     * Publish and Upgrade commands of the PTB with their command index: [{ index, command }]
+     */
+    getPackageCommands(transaction) {
+        let commands;
+        try {
+            commands = transaction._parseCommands();
+        } catch (error) {
+            // Malformed commands are reported by the other tabs; there is just no Package tab then
+            return [];
+        }
+        return commands
+            .map((command, index) => ({ index, command }))
+            .filter(({ command }) => command instanceof PublishCommand || command instanceof UpgradeCommand);
+    }
+
+    /**
+     * Render the Package tab: the modules of every Publish / Upgrade command, deserialized from their bytecode
+     */
+    renderPackage(transaction) {
+        const container = document.getElementById('package-modules');
+        const th = (label, extra = '') => `<th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;${extra}">${label}</th>`;
+        const td = (content, extra = '') => `<td style="padding: 8px; border-bottom: 1px solid #333; vertical-align: top;${extra}">${content}</td>`;
+        const sortable = [];
+
+        let html = `
+            <p style="margin: 0 0 20px 0; color: #ccc; font-style: italic;">
+                Modules as they went on chain, read from the bytecode of each Publish or Upgrade command. A published package is compiled against address 0x0; its ID is assigned when the transaction executes.
+            </p>`;
+
+        this.getPackageCommands(transaction).forEach(({ index, command }) => {
+            const compiled = command.getCompiledModules();
+            const totalSize = compiled.reduce((sum, entry) => sum + entry.size, 0);
+            const tableId = `package-modules-table-${index}`;
+            sortable.push(tableId);
+
+            html += `<div class="overview-section">`;
+            html += `<h3 class="overview-section-title">Command ${index}: ${command.getTypeName()} (${compiled.length} module${compiled.length === 1 ? '' : 's'}, ${this.formatNumber(totalSize)} bytes)</h3>`;
+            if (command instanceof UpgradeCommand) {
+                html += `<p style="margin: 0 0 10px 0; color: #ccc;">Upgrades package <span style="font-family: monospace;">${this.createExplorerLink(command.packageId, 'package')}</span></p>`;
+            }
+            const deps = (command.deps || []).map(dep => `<span style="font-family: monospace;">${this.createExplorerLink(dep, 'package')}</span>`);
+            html += `<p style="margin: 0 0 10px 0; color: #ccc;">Dependencies: ${deps.length > 0 ? deps.join(', ') : 'none'}</p>`;
+
+            html += `<table id="${tableId}" style="width: 100%; border-collapse: collapse;">`;
+            html += `<thead><tr style="background: #333;">${th('#', ' width: 5%;')}${th('Module')}${th('Bytecode', ' width: 9%;')}${th('Size', ' text-align: right; width: 9%;')}${th('Structs', ' text-align: right; width: 8%;')}${th('Enums', ' text-align: right; width: 8%;')}${th('Functions', ' text-align: right; width: 9%;')}${th('Constants', ' text-align: right; width: 9%;')}${th('Friends', ' text-align: right; width: 8%;')}</tr></thead><tbody>`;
+            compiled.forEach(entry => {
+                const module = entry.module;
+                const count = value => td(String(value), ' text-align: right; color: white;');
+                html += `<tr>`;
+                html += td(String(entry.index), ' color: white;');
+                if (module) {
+                    html += td(`<span style="color: #87ceeb; font-family: monospace;">${this.encodeHTML(module.getName())}</span>`);
+                    html += td(`v${module.version}`, ' color: white;');
+                    html += td(this.formatNumber(entry.size), ' text-align: right; color: white; font-family: monospace;');
+                    html += count(module.struct_defs.length) + count(module.enum_defs.length) + count(module.function_defs.length) + count(module.constant_pool.length) + count(module.friend_decls.length);
+                } else {
+                    html += td(`<span style="color: #ff6b6b;">✖ ${this.encodeHTML(entry.error)}</span>`);
+                    html += td('—', ' color: #888;');
+                    html += td(this.formatNumber(entry.size), ' text-align: right; color: white; font-family: monospace;');
+                    html += td('—', ' color: #888;').repeat(5);
+                }
+                html += `</tr>`;
+            });
+            html += `</tbody></table>`;
+
+            if (command instanceof UpgradeCommand) {
+                const report = transaction.getUpgradeCompatibility().find(current => current.command_index === index);
+                html += this.renderUpgradeCompatibility(report, sortable);
+            }
+
+            compiled.filter(entry => entry.module).forEach(entry => {
+                html += this.renderCompiledModule(entry.module);
+            });
+            html += `</div>`;
+        });
+
+        container.innerHTML = html;
+        sortable.forEach(tableId => this.makeSortable(tableId));
+    }
+
+    /**
+     * Compatibility of an Upgrade command with the package it upgrades (see UpgradeCompatibility).
+     * Ids of the tables to make sortable are appended to sortable.
+     */
+    renderUpgradeCompatibility(report, sortable) {
+        const th = (label, extra = '') => `<th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;${extra}">${label}</th>`;
+        const td = (content, extra = '') => `<td style="padding: 8px; border-bottom: 1px solid #333; vertical-align: top;${extra}">${content}</td>`;
+        const link = id => (id ? `<span style="font-family: monospace;">${this.createExplorerLink(id, 'package')}</span>` : '<span style="color: #888;">—</span>');
+        const subtitle = text => `<h4 style="margin: 20px 0 8px 0; color: #4a9eff;">${text}</h4>`;
+        const previous = report.getPreviousPackage();
+        const newPackage = report.getNewPackage();
+        const policy = report.getPolicy();
+        const index = report.command_index;
+
+        let html = subtitle('Upgrade Compatibility');
+        html += `<p style="margin: 0 0 5px 0; color: #ccc;">Policy: ${policy
+            ? `<strong style="color: white;">${this.encodeHTML(policy.name)}</strong> (from package::authorize_upgrade)`
+            : '<span style="color: #ffa500;">unknown</span> (the UpgradeTicket does not come from package::authorize_upgrade with a pure policy input)'}</p>`;
+        html += `<p style="margin: 0 0 5px 0; color: #ccc;">Previous version: ${previous
+            ? `${link(previous.id)} (version ${previous.version}, original ${link(previous.original_id)})`
+            : '<span style="color: #ffa500;">not in the replay cache; nothing to compare against</span>'}</p>`;
+        html += `<p style="margin: 0 0 10px 0; color: #ccc;">New version: ${newPackage ? `${link(newPackage.id)} (version ${newPackage.version})` : '<span style="color: #888;">not recorded in the effects</span>'}</p>`;
+
+        if (!previous) {
+            return html;
+        }
+
+        const findings = report.getFindings();
+        if (findings.length === 0) {
+            html += `<p style="margin: 0 0 10px 0; color: #90ee90;">✓ No change breaks ${policy ? `the ${this.encodeHTML(policy.name)} policy` : 'any upgrade policy'}</p>`;
+        } else {
+            findings.forEach(finding => {
+                const color = finding.severity === 'error' ? '#ff6b6b' : '#ffa500';
+                const icon = finding.severity === 'error' ? '✖' : '⚠';
+                const policies = [`not allowed under ${finding.breaks.join(', ')}`];
+                if (finding.may_break.length > 0) {
+                    policies.push(`possibly not under ${finding.may_break.join(', ')}`);
+                }
+                html += `<p style="margin: 0 0 5px 0; color: ${color};">${icon} ${this.encodeHTML(finding.message)} <span style="color: #888;">(${policies.join('; ')})</span></p>`;
+            });
+        }
+
+        const coverage = report.getCoverage();
+        const undecoded = report.getUndecodedModules();
+        const gaps = [];
+        if (undecoded.length > 0) {
+            gaps.push(`removed modules, and structs, enums and functions of modules missing among the decoded ones (${undecoded.length} module${undecoded.length === 1 ? '' : 's'} could not be decoded)`);
+        }
+        if (!coverage.datatypes && undecoded.length === 0) {
+            gaps.push('structs and enums of modules kept from the previous version (no type_origin_table in the cache)');
+        }
+        gaps.push('functions of modules kept from the previous version, except those this transaction calls (the cache does not hold the previous bytecode)');
+        html += `<p style="margin: 10px 0; color: #888; font-style: italic;">Not compared: ${gaps.join('; ')}.</p>`;
+
+        const changes = report.getChanges();
+        const changesId = `upgrade-changes-table-${index}`;
+        html += subtitle(`Changes (${changes.length})`);
+        if (changes.length === 0) {
+            html += `<p style="margin: 0; color: #888;">No added or removed modules, datatypes or functions.</p>`;
+        } else {
+            sortable.push(changesId);
+            html += `<table id="${changesId}" style="width: 100%; border-collapse: collapse;">`;
+            html += `<thead><tr style="background: #333;">${th('Kind', ' width: 15%;')}${th('Name')}${th('Change', ' width: 15%;')}</tr></thead><tbody>`;
+            changes.forEach(change => {
+                const color = change.change === 'removed' ? '#ff6b6b' : '#90ee90';
+                html += `<tr>${td(change.kind, ' color: white;')}${td(this.encodeHTML(change.name), ' color: #87ceeb; font-family: monospace;')}${td(`<span style="color: ${color};">${change.change}</span>`)}</tr>`;
+            });
+            html += `</tbody></table>`;
+        }
+
+        const linkage = report.getLinkage();
+        const linkageId = `upgrade-linkage-table-${index}`;
+        const changeColors = { unchanged: '#888', upgraded: '#90ee90', added: '#90ee90', removed: '#ff6b6b', downgraded: '#ff6b6b' };
+        sortable.push(linkageId);
+        html += subtitle('Linkage');
+        if (!previous.linkage_table) {
+            html += `<p style="margin: 0 0 10px 0; color: #888; font-style: italic;">The previous version's linkage_table is not in the replay cache; only the new dependencies are listed.</p>`;
+        }
+        html += `<table id="${linkageId}" style="width: 100%; border-collapse: collapse;">`;
+        html += `<thead><tr style="background: #333;">${th('Original Package')}${th('Previous Linkage')}${th('Version', ' text-align: right;')}${th('New Linkage')}${th('Version', ' text-align: right;')}${th('Change')}</tr></thead><tbody>`;
+        linkage.forEach(row => {
+            const version = value => td(value !== null ? String(value) : '—', ' text-align: right; color: white;');
+            const change = row.change ? `<span style="color: ${changeColors[row.change]};">${row.change}</span>` : '<span style="color: #888;">—</span>';
+            html += `<tr>${td(link(row.original_id))}${td(link(row.old_id))}${version(row.old_version)}${td(link(row.new_id))}${version(row.new_version)}${td(change)}</tr>`;
+        });
+        html += `</tbody></table>`;
+        return html;
+    }
+
+    /**
+     * One module of the Package tab: handle, friends, structs, enums, functions, constants and disassembly
+     */
+    renderCompiledModule(module) {
+        const type = text => `<span style="color: #87ceeb;">${this.encodeHTML(text)}</span>`;
+        const th = label => `<th style="padding: 6px 8px; text-align: left; color: #4a9eff; border-bottom: 1px solid #4a9eff;">${label}</th>`;
+        const td = (content, extra = '') => `<td style="padding: 6px 8px; border-bottom: 1px solid #333; vertical-align: top; color: white;${extra}">${content}</td>`;
+        const subtitle = text => `<h4 style="margin: 15px 0 8px 0; color: #4a9eff;">${text}</h4>`;
+        const abilities = list => (list.length > 0 ? list.join(', ') : '<span style="color: #888;">none</span>');
+        const structs = module.getStructs();
+        const enums = module.getEnums();
+        const functions = module.getFunctions();
+        const constants = module.getConstants();
+        const friends = module.getFriends();
+
+        let html = `<details class="package-module" style="margin-top: 15px;">`;
+        html += `<summary style="cursor: pointer; color: #4a9eff; font-family: monospace;">module ${this.encodeHTML(module.getName())}</summary>`;
+        html += `<div style="padding: 10px 0 0 15px;">`;
+
+        html += `<p style="margin: 0 0 5px 0; color: #ccc;">Module handle: <span style="font-family: monospace; color: white;">${this.encodeHTML(module.getModuleId())}</span> (bytecode version ${module.version})</p>`;
+        html += `<p style="margin: 0 0 5px 0; color: #ccc;">Friends: ${friends.length > 0 ? friends.map(friend => `<span style="font-family: monospace; color: white;">${this.encodeHTML(friend)}</span>`).join(', ') : 'none'}</p>`;
+        const dependencies = module.getDependencies();
+        html += `<p style="margin: 0 0 5px 0; color: #ccc;">Uses: ${dependencies.length > 0 ? dependencies.map(dep => `<span style="font-family: monospace; color: white;">${this.encodeHTML(dep)}</span>`).join(', ') : 'none'}</p>`;
+
+        if (structs.length > 0) {
+            html += subtitle('Structs');
+            html += `<table style="width: 100%; border-collapse: collapse;"><thead><tr>${th('Name')}${th('Abilities')}${th('Fields')}</tr></thead><tbody>`;
+            structs.forEach(struct => {
+                const typeParameters = struct.type_parameters.length > 0 ? `&lt;${this.encodeHTML(struct.type_parameters.join(', '))}&gt;` : '';
+                const fields = struct.native
+                    ? '<span style="color: #888;">native</span>'
+                    : struct.fields.map(field => `${this.encodeHTML(field.name)}: ${type(field.type)}`).join('<br>');
+                html += `<tr>${td(`${this.encodeHTML(struct.name)}${typeParameters}`, ' font-family: monospace;')}${td(abilities(struct.abilities))}${td(fields, ' font-family: monospace;')}</tr>`;
+            });
+            html += `</tbody></table>`;
+        }
+
+        if (enums.length > 0) {
+            html += subtitle('Enums');
+            html += `<table style="width: 100%; border-collapse: collapse;"><thead><tr>${th('Name')}${th('Abilities')}${th('Variants')}</tr></thead><tbody>`;
+            enums.forEach(enumDef => {
+                const typeParameters = enumDef.type_parameters.length > 0 ? `&lt;${this.encodeHTML(enumDef.type_parameters.join(', '))}&gt;` : '';
+                const variants = enumDef.variants.map(variant => {
+                    const fields = variant.fields.map(field => `${this.encodeHTML(field.name)}: ${type(field.type)}`).join(', ');
+                    return `${this.encodeHTML(variant.name)}${fields ? ` { ${fields} }` : ''}`;
+                }).join('<br>');
+                html += `<tr>${td(`${this.encodeHTML(enumDef.name)}${typeParameters}`, ' font-family: monospace;')}${td(abilities(enumDef.abilities))}${td(variants, ' font-family: monospace;')}</tr>`;
+            });
+            html += `</tbody></table>`;
+        }
+
+        if (functions.length > 0) {
+            html += subtitle('Functions');
+            html += `<table style="width: 100%; border-collapse: collapse;"><thead><tr>${th('Visibility')}${th('Entry')}${th('Signature')}${th('Instructions')}</tr></thead><tbody>`;
+            functions.forEach(fn => {
+                const visibility = fn.visibility === 'friend' ? 'public(friend)' : fn.visibility;
+                const color = fn.visibility === 'private' ? '#888' : '#90ee90';
+                html += `<tr>${td(`<span style="color: ${color};">${visibility}</span>`)}${td(fn.is_entry ? '<span style="color: #ffa500;">entry</span>' : '')}`;
+                html += `${td(this.encodeHTML(CompiledMoveModule.formatFunctionSignature(fn)), ' font-family: monospace; color: #87ceeb;')}`;
+                html += `${td(fn.native ? '<span style="color: #888;">native</span>' : String(fn.code.length), ' text-align: right;')}</tr>`;
+            });
+            html += `</tbody></table>`;
+        }
+
+        if (constants.length > 0) {
+            html += subtitle('Constants');
+            html += `<table style="width: 100%; border-collapse: collapse;"><thead><tr>${th('#')}${th('Type')}${th('Value')}</tr></thead><tbody>`;
+            constants.forEach(constant => {
+                html += `<tr>${td(String(constant.index))}${td(type(constant.type), ' font-family: monospace;')}${td(this.encodeHTML(constant.value), ' font-family: monospace; word-break: break-all;')}</tr>`;
+            });
+            html += `</tbody></table>`;
+        }
+
+        const bodies = functions.filter(fn => !fn.native);
+        if (bodies.length > 0) {
+            html += subtitle('Disassembly');
+            bodies.forEach(fn => {
+                const lines = [];
+                fn.locals.forEach((local, i) => lines.push(`    loc${i}: ${local}`));
+                fn.jump_tables.forEach((table, i) => lines.push(`    Jump table ${i} (${table.enum}): [${table.offsets.join(', ')}]`));
+                fn.code.forEach(line => lines.push(`    ${String(line.offset).padStart(4)}: ${line.text}`));
+                html += `<details style="margin: 4px 0;"><summary style="cursor: pointer; color: #87ceeb; font-family: monospace;">${this.encodeHTML(fn.name)}</summary>`;
+                html += `<pre style="background: #222; padding: 10px; border-radius: 5px; overflow-x: auto; margin: 5px 0;">${this.encodeHTML(`${CompiledMoveModule.formatFunctionSignature(fn)} {\n${lines.join('\n')}\n}`)}</pre></details>`;
+            });
+        }
+
+        html += `</div></details>`;
+        return html;
+    }
+
+    /**
+     * Render the Compare tab for two replay directories (A = analyzed directory, B = comparison directory)
+     */
+    renderComparison(diff) {
+        const container = document.getElementById('transaction-compare');
+        const counts = diff.getDifferenceCounts();
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+        let html = `
+            <p style="margin: 0 0 20px 0; color: #ccc; font-style: italic;">
+                This section compares the analyzed replay directory (A) with the comparison directory (B), for example the same digest replayed with a different replay tool or protocol version. Rows that differ are highlighted.
+            </p>
+        `;
+
+        html += `<div class="overview-section">`;
+        html += `<div style="display: flex; gap: 30px; align-items: center; font-family: monospace; flex-wrap: wrap;">`;
+        html += `<span style="color: white;">A: ${this.createExplorerLink(diff.left.digest || 'N/A', 'txblock')}</span>`;
+        html += `<span style="color: white;">B: ${this.createExplorerLink(diff.right.digest || 'N/A', 'txblock')}</span>`;
+        html += `<span style="color: ${total > 0 ? '#ffa500' : '#90ee90'};">${total > 0 ? `${total} difference${total === 1 ? '' : 's'}` : 'No differences'}</span>`;
+        html += `<label style="color: white; cursor: pointer;"><input type="checkbox" id="compare-only-differences"> Only show differences</label>`;
+        html += `</div>`;
+        html += `</div>`;
+
+        html += this.renderDiffFieldTable('Transaction', diff.getSummaryDiff(), counts.summary);
+        html += this.renderDiffFieldTable('Gas Data', diff.getGasDiff(), counts.gas);
+        html += this.renderDiffKeyedTable('Per-Object Storage', diff.getPerObjectBreakupDiff(), counts.per_object_breakup,
+            ['size', 'storage_cost', 'non_refundable_fee', 'storage_rebate'], 'object');
+        html += this.renderDiffKeyedTable('Objects', diff.getObjectDiff(), counts.objects,
+            ['status', 'version', 'source'], 'object');
+        html += this.renderDiffKeyedTable('Packages Loaded', diff.getPackageDiff(), counts.packages,
+            ['version'], 'package');
+
+        // Command signatures: one row per PTB position
+        const signatureText = (signature) => {
+            if (!signature) return null;
+            const returns = Array.isArray(signature.return_types) ? signature.return_types.join(', ') : signature.return_types;
+            const params = signature.parameters.length > 0 ? `(${signature.parameters.join(', ')})` : '';
+            return `${signature.command} ${signature.target}${params} → ${returns}`;
+        };
+        const commandRows = diff.getCommandSignatureDiff().map(row => ({
+            key: row.key,
+            left: signatureText(row.left),
+            right: signatureText(row.right),
+            changed: row.changed
+        }));
+        html += this.renderDiffFieldTable('Command Signatures', commandRows, counts.commands);
+
+        container.innerHTML = html;
+
+        document.getElementById('compare-only-differences').addEventListener('change', (e) => {
+            container.classList.toggle('compare-hide-unchanged', e.target.checked);
+        });
+    }
+
+    /**
+     * Compare table for flat fields: Field | A | B
+     */
+    renderDiffFieldTable(title, rows, changedCount) {
+        let html = `<div class="overview-section">`;
+        html += `<h3 class="overview-section-title">${title} <span style="font-size: 0.7em; color: ${changedCount > 0 ? '#ffa500' : '#888'};">(${changedCount} changed)</span></h3>`;
+        html += `<table style="width: 100%; border-collapse: collapse; font-family: monospace;">`;
+        html += `<thead><tr style="background: #333;">`;
+        html += `<th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff; width: 20%;">Field</th>`;
+        html += `<th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff; width: 40%;">A</th>`;
+        html += `<th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff; width: 40%;">B</th>`;
+        html += `</tr></thead><tbody>`;
+
+        rows.forEach(row => {
+            const color = row.changed ? '#ffa500' : 'white';
+            html += `<tr class="${row.changed ? 'compare-changed' : 'compare-unchanged'}">`;
+            html += `<td style="padding: 6px 10px; border-bottom: 1px solid #333; color: ${color}; vertical-align: top;">${this.encodeHTML(row.key)}</td>`;
+            html += `<td style="padding: 6px 10px; border-bottom: 1px solid #333; color: ${color}; vertical-align: top; word-break: break-all;">${this.formatDiffValue(row.left)}</td>`;
+            html += `<td style="padding: 6px 10px; border-bottom: 1px solid #333; color: ${color}; vertical-align: top; word-break: break-all;">${this.formatDiffValue(row.right)}</td>`;
+            html += `</tr>`;
+        });
+
+        html += `</tbody></table></div>`;
+        return html;
+    }
+
+    /**
+     * Compare table for rows matched by ID: ID | field1 | field2 ...
+     * Changed fields are shown as "A → B"; rows present on one side only are labelled
+     */
+    renderDiffKeyedTable(title, rows, changedCount, fields, linkType) {
+        let html = `<div class="overview-section">`;
+        html += `<h3 class="overview-section-title">${title} <span style="font-size: 0.7em; color: ${changedCount > 0 ? '#ffa500' : '#888'};">(${changedCount} changed)</span></h3>`;
+
+        if (rows.length === 0) {
+            html += `<p style="color: #888;">None in either directory</p></div>`;
+            return html;
+        }
+
+        html += `<table style="width: 100%; border-collapse: collapse; font-family: monospace;">`;
+        html += `<thead><tr style="background: #333;">`;
+        html += `<th style="padding: 10px; text-align: left; color: #4a9eff; border-bottom: 2px solid #4a9eff;">ID</th>`;
+        fields.forEach(field => {
+            html += `<th style="padding: 10px; text-align: right; color: #4a9eff; border-bottom: 2px solid #4a9eff;">${field}</th>`;
+        });
+        html += `</tr></thead><tbody>`;
+
+        rows.forEach(row => {
+            html += `<tr class="${row.changed ? 'compare-changed' : 'compare-unchanged'}">`;
+
+            let presence = '';
+            if (!row.left) {
+                presence = ` <span style="color: #90ee90;">(only in B)</span>`;
+            } else if (!row.right) {
+                presence = ` <span style="color: #ff6b6b;">(only in A)</span>`;
+            }
+            html += `<td style="padding: 6px 10px; border-bottom: 1px solid #333; color: white; word-break: break-all;">${this.createExplorerLink(row.key, linkType)}${presence}</td>`;
+
+            fields.forEach(field => {
+                const leftValue = row.left ? row.left[field] : undefined;
+                const rightValue = row.right ? row.right[field] : undefined;
+                let cell;
+                let color = 'white';
+                if (row.left && row.right && row.changedFields.includes(field)) {
+                    cell = `${this.formatDiffValue(leftValue)} → ${this.formatDiffValue(rightValue)}`;
+                    color = '#ffa500';
+                } else {
+                    cell = this.formatDiffValue(row.left ? leftValue : rightValue);
+                    if (!row.left || !row.right) {
+                        color = '#aaa';
+                    }
+                }
+                html += `<td style="padding: 6px 10px; border-bottom: 1px solid #333; color: ${color}; text-align: right; white-space: nowrap;">${cell}</td>`;
+            });
+
+            html += `</tr>`;
+        });
+
+        html += `</tbody></table></div>`;
+        return html;
+    }
+
+    formatDiffValue(value) {
+        if (value === null || value === undefined) {
+            return '<span style="color: #888;">—</span>';
+        }
+        if (typeof value === 'object') {
+            return this.encodeHTML(JSON.stringify(value));
+        }
+        return this.encodeHTML(this.formatNumber(value));
     }
 
     renderRawJson(transaction) {
@@ -3869,7 +6035,7 @@ class TransactionViewer {
                             ${file.description}
                         </p>
                         <div style="background: #1a1a1a; padding: 15px; border-radius: 5px; overflow-x: auto; color: #e0e0e0; font-family: 'Courier New', monospace; font-size: 1.15em; line-height: 1.6; border: 1px solid #333;">
-                            ${this.renderCollapsibleJson(file.data, 0)}
+                            ${this.renderCollapsibleJson(file.data, 0, file.name)}
                         </div>
                     </div>
                 `;
@@ -3885,9 +6051,35 @@ class TransactionViewer {
         document.getElementById('collapse-all-json')?.addEventListener('click', () => {
             container.querySelectorAll('details').forEach(d => d.open = false);
         });
+
+        // toggle does not bubble; Expand All fires one per node, so record the paths once they settle
+        let recordScheduled = false;
+        container.addEventListener('toggle', () => {
+            if (recordScheduled) return;
+            recordScheduled = true;
+            setTimeout(() => {
+                recordScheduled = false;
+                this.viewState.json = this.getExpandedJsonPaths(container);
+                this.writeHashState();
+            }, 0);
+        }, true);
+    }
+
+    /**
+     * Expanded nested nodes of the Raw Json tab (top-level nodes start open), or ['*'] when all are expanded
+     */
+    getExpandedJsonPaths(container) {
+        const nested = Array.from(container.querySelectorAll('details[data-json-path]'))
+            .filter(details => details.getAttribute('data-json-depth') !== '0');
+        const expanded = nested.filter(details => details.open);
+        if (expanded.length > 0 && expanded.length === nested.length) {
+            return ['*'];
+        }
+        return expanded.map(details => details.getAttribute('data-json-path'));
     }
 
-    renderCollapsibleJson(data, depth = 0) {
+    // path is "<file name>/<key>/<index>/..." with URI-encoded segments and identifies the node in the hash
+    renderCollapsibleJson(data, depth = 0, path = '') {
         const indent = '  '.repeat(depth);
         const maxStringLength = 80;
 
@@ -3918,14 +6110,14 @@ class TransactionViewer {
             }
 
             const openAttr = depth === 0 ? ' open' : '';
-            let html = `<details style="display: inline;"${openAttr}><summary style="cursor: pointer; color: #4a9eff; list-style: none;">`;
+            let html = `<details data-json-path="${this.encodeHTML(path)}" data-json-depth="${depth}" style="display: inline;"${openAttr}><summary style="cursor: pointer; color: #4a9eff; list-style: none;">`;
             html += `▶ Array[${data.length}]</summary>`;
             html += '<div style="margin-left: 20px;">';
 
             data.forEach((item, index) => {
                 html += `<div style="margin: 2px 0;">`;
                 html += `<span style="color: #888;">${index}:</span> `;
-                html += this.renderCollapsibleJson(item, depth + 1);
+                html += this.renderCollapsibleJson(item, depth + 1, `${path}/${index}`);
                 if (index < data.length - 1) html += '<span style="color: #666;">,</span>';
                 html += `</div>`;
             });
@@ -3941,14 +6133,14 @@ class TransactionViewer {
             }
 
             const openAttr = depth === 0 ? ' open' : '';
-            let html = `<details style="display: inline;"${openAttr}><summary style="cursor: pointer; color: #4a9eff; list-style: none;">`;
+            let html = `<details data-json-path="${this.encodeHTML(path)}" data-json-depth="${depth}" style="display: inline;"${openAttr}><summary style="cursor: pointer; color: #4a9eff; list-style: none;">`;
             html += `▶ Object{${keys.length}}</summary>`;
             html += '<div style="margin-left: 20px;">';
 
             keys.forEach((key, index) => {
                 html += `<div style="margin: 2px 0;">`;
                 html += `<span style="color: #87ceeb;">"${this.escapeHtml(key)}"</span>: `;
-                html += this.renderCollapsibleJson(data[key], depth + 1);
+                html += this.renderCollapsibleJson(data[key], depth + 1, `${path}/${encodeURIComponent(key)}`);
                 if (index < keys.length - 1) html += '<span style="color: #666;">,</span>';
                 html += `</div>`;
             });
@@ -3980,6 +6172,53 @@ class TransactionViewer {
         return this.encodeHTML(text);
     }
 
+    exportMarkdownReport() {
+        const report = new TransactionReport(this.transaction);
+        this.downloadFile(`${this.transaction.digest || 'transaction'}.md`, report.toMarkdown(), 'text/markdown');
+    }
+
+    /**
+     * Offline HTML report: the model-built report plus every rendered analysis tab, with styles.css inlined
+     */
+    exportHtmlReport() {
+        const tabs = Array.from(document.querySelectorAll('#tab-nav .tab-btn'))
+            .map(button => ({ id: button.getAttribute('data-tab'), label: button.textContent }))
+            .filter(tab => !['load', 'batch', 'error'].includes(tab.id))
+            .map(tab => {
+                const panel = document.querySelector(`#tab-${tab.id} .content`);
+                return { id: tab.id, label: tab.label, html: panel ? panel.innerHTML : '' };
+            });
+
+        this.getStylesheetText().then(css => {
+            const html = new TransactionReport(this.transaction).toHTML({ css, tabs });
+            this.downloadFile(`${this.transaction.digest || 'transaction'}.html`, html, 'text/html');
+        });
+    }
+
+    /**
+     * Text of the page's stylesheets. Rules of a file:// stylesheet cannot be read in some browsers,
+     * so fall back to fetching styles.css, and to no styles at all when that fails too.
+     */
+    getStylesheetText() {
+        return Promise.resolve()
+            .then(() => Array.from(document.styleSheets)
+                .map(sheet => Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n'))
+                .join('\n'))
+            .catch(() => fetch('styles.css').then(response => response.text()))
+            .catch(() => '');
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
     showError(message) {
         document.getElementById('error-message').textContent = message;
 
@@ -4015,80 +6254,23 @@ class TransactionViewer {
     }
 
     /**
-     * Convert move call type object to simple string (no HTML)
+     * Format a move_call_info parameter or return type with the call's type arguments substituted
+     * Generic types render both variants; the "Show generic signatures" toggle picks which is visible
      */
-    ptbTypeToString(typeObj) {
-        if (!typeObj) return 'unknown';
-
-        // Handle primitive types (string variants) - normalize to lowercase
-        if (typeof typeObj === 'string') {
-            const primitives = {
-                'Bool': 'bool',
-                'U8': 'u8',
-                'U16': 'u16',
-                'U32': 'u32',
-                'U64': 'u64',
-                'U128': 'u128',
-                'U256': 'u256',
-                'Address': 'address'
-            };
-            if (primitives[typeObj]) {
-                return primitives[typeObj];
-            }
-            // Also handle lowercase versions
-            const lower = typeObj.toLowerCase();
-            if (['bool', 'u8', 'u16', 'u32', 'u64', 'u128', 'u256', 'address'].includes(lower)) {
-                return lower;
-            }
-            return typeObj.toLowerCase();
-        }
-
-        // Handle Vector type
-        if (typeObj.Vector) {
-            const elementTypeString = this.ptbTypeToString(typeObj.Vector);
-            return `vector<${elementTypeString}>`;
-        }
-
-        // Handle Datatype (simple struct without type parameters)
-        if (typeObj.Datatype) {
-            const [address, module, name, _typeParams] = typeObj.Datatype;
-            const pkg = address.startsWith('0x') ? address : `0x${address}`;
-            return `${pkg}::${module}::${name}`;
-        }
-
-        // Handle DatatypeInstantiation (struct with type parameters)
-        if (typeObj.DatatypeInstantiation) {
-            const [[address, module, name, _typeParams], typeArgs] = typeObj.DatatypeInstantiation;
-            const pkg = address.startsWith('0x') ? address : `0x${address}`;
-            let typeString = `${pkg}::${module}::${name}`;
-
-            if (typeArgs && typeArgs.length > 0) {
-                const formattedArgs = typeArgs.map(arg => this.ptbTypeToString(arg));
-                typeString += `<${formattedArgs.join(', ')}>`;
-            }
-
-            return typeString;
-        }
-
-        // Handle Reference type
-        if (typeObj.Reference) {
-            const innerType = this.ptbTypeToString(typeObj.Reference);
-            return `&${innerType}`;
-        }
-
-        // Handle MutableReference type
-        if (typeObj.MutableReference) {
-            const innerType = this.ptbTypeToString(typeObj.MutableReference);
-            return `&mut ${innerType}`;
-        }
-
-        // Handle TypeParameter
-        if (typeObj.TypeParameter !== undefined) {
-            return `T${typeObj.TypeParameter}`;
+    formatSignatureType(typeObj, typeArguments, transaction) {
+        if (!typeArguments || typeArguments.length === 0 || !MoveType.hasTypeParameter(typeObj)) {
+            return this.formatTypeFromPTB(typeObj, transaction);
         }
+        const concrete = this.formatTypeFromPTB(MoveType.substituteTypeParameters(typeObj, typeArguments), transaction);
+        const generic = this.formatTypeFromPTB(typeObj, transaction);
+        return `<span class="sig-concrete">${concrete}</span><span class="sig-generic">${generic}</span>`;
+    }
 
-        // Fallback for unknown types
-        return JSON.stringify(typeObj);
+    /**
+     * Convert move call type object to simple string (no HTML)
+     */
+    ptbTypeToString(typeObj) {
+        return MoveType.typeStructureToString(typeObj);
     }
 
     /**
@@ -4116,7 +6298,9 @@ class TransactionViewer {
 
 }
 
-// Initialize the viewer when page loads
+// Initialize the viewer when page loads; the module test page loads this file without the viewer markup
 document.addEventListener('DOMContentLoaded', () => {
-    new TransactionViewer();
+    if (document.getElementById('analyze-btn')) {
+        new TransactionViewer();
+    }
 });
\ No newline at end of file